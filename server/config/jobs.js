@@ -0,0 +1,30 @@
+const { defineJob } = require('../utils/jobScheduler');
+const { closeForgottenShifts } = require('../utils/autoClockOut');
+const { refreshAllLeaveBalances } = require('../utils/leaveUtils');
+
+/**
+ * Register the server's recurring jobs
+ * Schedules are cron expressions (minute hour day-of-month month day-of-week)
+ * in server local time and can be overridden through environment variables
+ */
+const registerJobs = () => {
+  defineJob('auto-clock-out', {
+    description: 'Close shifts left open past the maximum shift length or department cutoff',
+    schedule: process.env.AUTO_CLOCKOUT_SCHEDULE || '*/15 * * * *',
+    handler: async () => {
+      const closed = await closeForgottenShifts();
+      return { closedShifts: closed.length };
+    }
+  });
+
+  defineJob('leave-accrual', {
+    description: 'Recalculate leave balances with the latest accrual and carry-over',
+    schedule: process.env.LEAVE_ACCRUAL_SCHEDULE || '0 2 * * *',
+    handler: async () => {
+      const employees = await refreshAllLeaveBalances();
+      return { employees };
+    }
+  });
+};
+
+module.exports = registerJobs;
\ No newline at end of file
@@ -0,0 +1,55 @@
+/**
+ * Named permissions and the built-in roles made from them
+ * Custom roles (Role model) combine the same permissions
+ */
+
+// Every permission a role can hold
+const PERMISSIONS = {
+  'users:read': 'View employees and their summaries',
+  'users:write': 'Edit and deactivate employees',
+  'roles:manage': 'Assign roles and manage custom roles',
+  'shifts:read': 'View shifts, active shifts and location flags',
+  'shifts:write': 'Add, edit and delete shifts',
+  'shifts:approve': 'Approve timesheets and shift corrections',
+  'schedules:manage': 'Plan and publish scheduled shifts',
+  'leave:approve': 'Approve and reject leave requests',
+  'leave:manage': 'Manage leave types, accrual policies and holiday calendars',
+  'policies:manage': 'Manage overtime, break and compliance rules, work locations and projects',
+  'payroll:read': 'View pay rates, labour cost and payroll snapshots',
+  'payroll:manage': 'Edit pay rates, differentials and budgets and export payroll',
+  'reports:read': 'View analytics, attendance, overtime and compliance reports',
+  'reports:export': 'Export shift data as CSV, Excel or PDF',
+  'audit:read': 'View and export the audit trail',
+  'jobs:manage': 'View and run background jobs',
+  // Not a capability on its own: lifts the department restriction on everything else
+  'scope:all': 'Act on every employee, not just their span of control'
+};
+
+// Roles that always exist; admin holds every permission
+const BUILT_IN_ROLES = {
+  employee: {
+    description: 'Clocks in and out and manages their own requests',
+    permissions: []
+  },
+  supervisor: {
+    description: 'Sees and approves their own team, without payroll access',
+    permissions: ['users:read', 'shifts:read', 'shifts:approve', 'schedules:manage', 'leave:approve', 'reports:read']
+  },
+  hr: {
+    description: 'Edits employees and manages leave',
+    permissions: ['users:read', 'users:write', 'shifts:read', 'leave:approve', 'leave:manage', 'reports:read', 'scope:all']
+  },
+  auditor: {
+    description: 'Read-only access to records, reports and the audit trail',
+    permissions: ['users:read', 'shifts:read', 'payroll:read', 'reports:read', 'reports:export', 'audit:read', 'scope:all']
+  },
+  admin: {
+    description: 'Full access',
+    permissions: Object.keys(PERMISSIONS)
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  BUILT_IN_ROLES
+};
\ No newline at end of file
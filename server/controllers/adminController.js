@@ -1,5 +1,7 @@
 const User = require('../models/user');
 const Shift = require('../models/shift');
+const Timesheet = require('../models/timesheet');
+const Team = require('../models/team');
 const mongoose = require('mongoose');
 const ExcelJS = require('exceljs');
 const PDFDocument = require('pdfkit');
@@ -7,6 +9,21 @@ const { Parser } = require('json2csv');
 const fs = require('fs');
 const path = require('path');
 const moment = require('moment');
+const { getAttendanceVariances, summarizeVariances } = require('../utils/attendanceUtils');
+const { snapshot, recordAudit } = require('../utils/auditUtils');
+const { getPayBuckets, getPayBucketsForShifts, sumPayBuckets, toPayHours } = require('../utils/overtimeUtils');
+const { getLaborCost } = require('../utils/laborCostUtils');
+const ComplianceViolation = require('../models/complianceViolation');
+const { getBreakPolicyForUser } = require('../utils/breakPolicyUtils');
+const { toDecimalHours } = require('../utils/timeUtils');
+const { getSegmentAllocation, summarizeJobHours, formatJobLabel } = require('../utils/segmentUtils');
+const { getProjectHours } = require('../utils/projectUtils');
+const { hasPermission, roleExists, getUserScopeFilter, getScopedUserIds, isUserInScope, applyUserScope } = require('../utils/permissionUtils');
+const { getReports } = require('../utils/orgUtils');
+const { TWO_FACTOR_SECRET_FIELDS, clearTwoFactor } = require('../utils/twoFactorUtils');
+
+// Payable minutes of a shift inside an aggregation, matching Shift#getPayableDuration
+const PAYABLE_MINUTES = { $ifNull: ['$payableDuration', { $ifNull: ['$totalWorkDuration', 0] }] };
 
 /**
  * Get all employees for admin dashboard
@@ -15,7 +32,10 @@ const moment = require('moment');
  */
 exports.getAllEmployees = async (req, res) => {
   try {
-    const employees = await User.find({ role: { $ne: 'admin' } })
+    // Supervisors only see the departments they manage
+    const scope = await getUserScopeFilter(req);
+    
+    const employees = await User.find({ ...scope, role: { $ne: 'admin' } })
       .select('-password -refreshToken')
       .sort({ lastName: 1, firstName: 1 });
     
@@ -57,22 +77,22 @@ exports.getAllShifts = async (req, res) => {
     const filter = {};
     
     if (startDate && endDate) {
-      filter.startTime = { 
+      filter['startTime.timestamp'] = { 
         $gte: new Date(startDate), 
         $lte: new Date(endDate) 
       };
     } else if (startDate) {
-      filter.startTime = { $gte: new Date(startDate) };
+      filter['startTime.timestamp'] = { $gte: new Date(startDate) };
     } else if (endDate) {
-      filter.startTime = { $lte: new Date(endDate) };
+      filter['startTime.timestamp'] = { $lte: new Date(endDate) };
     }
     
     if (employeeId) {
-      filter.employee = mongoose.Types.ObjectId(employeeId);
+      filter.userId = new mongoose.Types.ObjectId(employeeId);
     }
     
     if (status) {
-      filter.status = status;
+      filter.shiftStatus = status;
     }
 
     // For department filtering, we need to join with User collection
@@ -80,19 +100,22 @@ exports.getAllShifts = async (req, res) => {
     if (department) {
       const departmentEmployees = await User.find({ department }).select('_id');
       employeeIds = departmentEmployees.map(emp => emp._id);
-      filter.employee = { $in: employeeIds };
+      filter.userId = { $in: employeeIds };
     }
     
+    await applyUserScope(req, filter);
+    
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
-    // Define sort
+    // Define sort; start and end times are sorted on their timestamps
     const sort = {};
-    sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+    const sortField = ['startTime', 'endTime'].includes(sortBy) ? `${sortBy}.timestamp` : sortBy;
+    sort[sortField] = sortOrder === 'asc' ? 1 : -1;
     
     // Execute query with pagination
     const shifts = await Shift.find(filter)
-      .populate('employee', 'firstName lastName email department')
+      .populate('userId', 'firstName lastName email department')
       .sort(sort)
       .skip(skip)
       .limit(parseInt(limit));
@@ -129,7 +152,7 @@ exports.getAllShifts = async (req, res) => {
 exports.getShiftById = async (req, res) => {
   try {
     const shift = await Shift.findById(req.params.id)
-      .populate('employee', 'firstName lastName email department');
+      .populate('userId', 'firstName lastName email department');
     
     if (!shift) {
       return res.status(404).json({
@@ -138,6 +161,13 @@ exports.getShiftById = async (req, res) => {
       });
     }
     
+    if (!(await isUserInScope(req, shift.userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Shift belongs to an employee outside your scope'
+      });
+    }
+    
     res.status(200).json({
       success: true,
       data: shift
@@ -177,47 +207,51 @@ exports.updateShift = async (req, res) => {
       });
     }
     
-    // Calculate total duration and break duration if both start and end times exist
-    let totalDuration = shift.totalDuration;
-    let breakDuration = shift.breakDuration || 0;
+    if (!(await isUserInScope(req, shift.userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Shift belongs to an employee outside your scope'
+      });
+    }
     
-    if (startTime && endTime) {
-      const start = new Date(startTime);
-      const end = new Date(endTime);
-      totalDuration = (end - start) / (1000 * 60 * 60); // in hours
+    if (shift.isLocked) {
+      return res.status(423).json({
+        success: false,
+        error: 'Shift is locked by an approved timesheet'
+      });
     }
     
-    // Calculate break duration if breaks are provided
-    if (breaks && breaks.length > 0) {
-      breakDuration = breaks.reduce((total, breakItem) => {
-        if (breakItem.startTime && breakItem.endTime) {
-          const breakStart = new Date(breakItem.startTime);
-          const breakEnd = new Date(breakItem.endTime);
-          return total + ((breakEnd - breakStart) / (1000 * 60 * 60)); // in hours
-        }
-        return total;
-      }, 0);
+    const before = snapshot(shift);
+    
+    // Corrected times go through the same path as employee corrections,
+    // which also recalculates break, work and payable durations
+    if (startTime || endTime || breaks) {
+      const employee = breaks ? await User.findById(shift.userId).select('department') : null;
+      shift.applyCorrection({
+        startTime,
+        endTime,
+        breaks,
+        breakPolicy: employee ? await getBreakPolicyForUser(employee) : undefined
+      });
     }
     
-    // Calculate worked hours (total duration minus break duration)
-    const workedHours = totalDuration - breakDuration;
+    if (status) shift.shiftStatus = status;
+    if (notes !== undefined) shift.notes = notes;
+    shift.lastModifiedBy = req.user._id;
     
-    // Update the shift
-    const updatedShift = await Shift.findByIdAndUpdate(
-      req.params.id,
-      {
-        $set: {
-          ...req.body,
-          totalDuration,
-          breakDuration,
-          workedHours,
-          updatedAt: Date.now(),
-          lastModifiedBy: req.user._id,
-          adminEdited: true
-        }
-      },
-      { new: true, runValidators: true }
-    ).populate('employee', 'firstName lastName email');
+    await shift.save();
+    
+    await recordAudit(req, {
+      action: breaks && !startTime && !endTime ? 'shift.breaks_update' : 'shift.update',
+      targetType: 'Shift',
+      targetId: shift._id,
+      targetUser: shift.userId,
+      before,
+      after: shift
+    });
+    
+    const updatedShift = await Shift.findById(shift._id)
+      .populate('userId', 'firstName lastName email');
     
     res.status(200).json({
       success: true,
@@ -225,6 +259,13 @@ exports.updateShift = async (req, res) => {
       message: 'Shift updated successfully'
     });
   } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
     console.error('Error in updateShift:', error);
     res.status(500).json({
       success: false,
@@ -250,7 +291,29 @@ exports.deleteShift = async (req, res) => {
       });
     }
     
-    await shift.remove();
+    if (!(await isUserInScope(req, shift.userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Shift belongs to an employee outside your scope'
+      });
+    }
+    
+    if (shift.isLocked) {
+      return res.status(423).json({
+        success: false,
+        error: 'Shift is locked by an approved timesheet'
+      });
+    }
+    
+    await shift.deleteOne();
+    
+    await recordAudit(req, {
+      action: 'shift.delete',
+      targetType: 'Shift',
+      targetId: shift._id,
+      targetUser: shift.userId,
+      before: shift
+    });
     
     res.status(200).json({
       success: true,
@@ -281,24 +344,29 @@ exports.getAnalytics = async (req, res) => {
     
     // Build filter for shifts
     const shiftFilter = {
-      startTime: { $gte: start, $lte: end },
-      status: 'completed'
+      'startTime.timestamp': { $gte: start, $lte: end },
+      shiftStatus: 'completed'
     };
     
     // For department filtering
+    let employeeIds;
     if (department) {
       const departmentEmployees = await User.find({ department }).select('_id');
-      const employeeIds = departmentEmployees.map(emp => emp._id);
-      shiftFilter.employee = { $in: employeeIds };
+      employeeIds = departmentEmployees.map(emp => emp._id);
+      shiftFilter.userId = { $in: employeeIds };
     }
     
+    // Managers only see figures for their span of control
+    await applyUserScope(req, shiftFilter);
+    const userScope = await getUserScopeFilter(req);
+    
     // Get total employees
-    const totalEmployees = await User.countDocuments({ role: { $ne: 'admin' } });
+    const totalEmployees = await User.countDocuments({ ...userScope, role: { $ne: 'admin' } });
     
     // Get active employees (those with at least one shift in the period)
     const activeEmployeesResult = await Shift.aggregate([
       { $match: shiftFilter },
-      { $group: { _id: '$employee' } },
+      { $group: { _id: '$userId' } },
       { $count: 'activeCount' }
     ]);
     const activeEmployees = activeEmployeesResult.length > 0 ? activeEmployeesResult[0].activeCount : 0;
@@ -306,18 +374,18 @@ exports.getAnalytics = async (req, res) => {
     // Get total shifts
     const totalShifts = await Shift.countDocuments(shiftFilter);
     
-    // Get total hours worked
+    // Get total (payable) hours worked
     const hoursResult = await Shift.aggregate([
       { $match: shiftFilter },
       { $group: { 
         _id: null,
-        totalHours: { $sum: '$workedHours' },
-        totalBreakHours: { $sum: '$breakDuration' }
+        totalMinutes: { $sum: PAYABLE_MINUTES },
+        totalBreakMinutes: { $sum: '$totalBreakDuration' }
       }}
     ]);
     
-    const totalWorkedHours = hoursResult.length > 0 ? hoursResult[0].totalHours : 0;
-    const totalBreakHours = hoursResult.length > 0 ? hoursResult[0].totalBreakHours : 0;
+    const totalWorkedHours = hoursResult.length > 0 ? toDecimalHours(hoursResult[0].totalMinutes) : 0;
+    const totalBreakHours = hoursResult.length > 0 ? toDecimalHours(hoursResult[0].totalBreakMinutes) : 0;
     
     // Get average hours per employee
     const avgHoursPerEmployee = totalEmployees > 0 ? totalWorkedHours / totalEmployees : 0;
@@ -327,7 +395,7 @@ exports.getAnalytics = async (req, res) => {
     
     // Get department breakdown
     const departmentBreakdown = await User.aggregate([
-      { $match: { role: { $ne: 'admin' } } },
+      { $match: { ...userScope, role: { $ne: 'admin' } } },
       { $group: { _id: '$department', count: { $sum: 1 } } },
       { $sort: { count: -1 } }
     ]);
@@ -336,21 +404,23 @@ exports.getAnalytics = async (req, res) => {
     const last7Days = new Date();
     last7Days.setDate(last7Days.getDate() - 7);
     
+    const hourlyFilter = {
+      'startTime.timestamp': { $gte: last7Days },
+      shiftStatus: 'completed'
+    };
+    if (employeeIds) hourlyFilter.userId = { $in: employeeIds };
+    await applyUserScope(req, hourlyFilter);
+    
     const hourlyData = await Shift.aggregate([
-      { 
-        $match: { 
-          startTime: { $gte: last7Days },
-          status: 'completed'
-        } 
-      },
+      { $match: hourlyFilter },
       {
         $group: {
           _id: { 
-            year: { $year: '$startTime' },
-            month: { $month: '$startTime' },
-            day: { $dayOfMonth: '$startTime' }
+            year: { $year: '$startTime.timestamp' },
+            month: { $month: '$startTime.timestamp' },
+            day: { $dayOfMonth: '$startTime.timestamp' }
           },
-          totalHours: { $sum: '$workedHours' },
+          totalMinutes: { $sum: PAYABLE_MINUTES },
           shiftsCount: { $sum: 1 }
         }
       },
@@ -362,26 +432,44 @@ exports.getAnalytics = async (req, res) => {
       const date = new Date(day._id.year, day._id.month - 1, day._id.day);
       return {
         date: date.toISOString().split('T')[0],
-        totalHours: Math.round(day.totalHours * 100) / 100, // Round to 2 decimal places
+        totalHours: toDecimalHours(day.totalMinutes),
         shiftsCount: day.shiftsCount
       };
     });
     
+    // Hours and cost per project from the completed shifts' task segments
+    const projectHours = await getProjectHours(await Shift.find(shiftFilter));
+    
+    const data = {
+      overview: {
+        totalEmployees,
+        activeEmployees,
+        totalShifts,
+        totalWorkedHours: Math.round(totalWorkedHours * 100) / 100,
+        totalBreakHours: Math.round(totalBreakHours * 100) / 100,
+        avgHoursPerEmployee: Math.round(avgHoursPerEmployee * 100) / 100,
+        avgShiftsPerEmployee: Math.round(avgShiftsPerEmployee * 100) / 100
+      },
+      departmentBreakdown,
+      hourlyData: formattedHourlyData
+    };
+    
+    // Labour cost, budgets and project cost are payroll data
+    if (await hasPermission(req, 'payroll:read')) {
+      data.laborCost = await getLaborCost({ start, end, department, userIds: await getScopedUserIds(req) });
+      data.projectHours = {
+        currency: data.laborCost.currency,
+        projects: projectHours
+      };
+    } else {
+      data.projectHours = {
+        projects: projectHours.map(({ cost, ...project }) => project)
+      };
+    }
+    
     res.status(200).json({
       success: true,
-      data: {
-        overview: {
-          totalEmployees,
-          activeEmployees,
-          totalShifts,
-          totalWorkedHours: Math.round(totalWorkedHours * 100) / 100,
-          totalBreakHours: Math.round(totalBreakHours * 100) / 100,
-          avgHoursPerEmployee: Math.round(avgHoursPerEmployee * 100) / 100,
-          avgShiftsPerEmployee: Math.round(avgShiftsPerEmployee * 100) / 100
-        },
-        departmentBreakdown,
-        hourlyData: formattedHourlyData
-      }
+      data
     });
   } catch (error) {
     console.error('Error in getAnalytics:', error);
@@ -406,27 +494,33 @@ exports.exportToCSV = async (req, res) => {
     const filter = {};
     
     if (startDate && endDate) {
-      filter.startTime = { 
+      filter['startTime.timestamp'] = { 
         $gte: new Date(startDate), 
         $lte: new Date(endDate) 
       };
     }
     
     if (employeeId) {
-      filter.employee = mongoose.Types.ObjectId(employeeId);
+      filter.userId = new mongoose.Types.ObjectId(employeeId);
     }
     
     // For department filtering
     if (department) {
       const departmentEmployees = await User.find({ department }).select('_id');
       const employeeIds = departmentEmployees.map(emp => emp._id);
-      filter.employee = { $in: employeeIds };
+      filter.userId = { $in: employeeIds };
     }
     
+    // Only shifts in approved (locked) timesheet periods are exported
+    filter.isLocked = true;
+    
+    // Managers export their span of control only
+    await applyUserScope(req, filter);
+    
     // Get shifts data
     const shifts = await Shift.find(filter)
-      .populate('employee', 'firstName lastName email department employeeId')
-      .sort({ startTime: -1 });
+      .populate('userId', 'firstName lastName email department employeeId')
+      .sort({ 'startTime.timestamp': -1 });
     
     if (shifts.length === 0) {
       return res.status(404).json({
@@ -435,23 +529,36 @@ exports.exportToCSV = async (req, res) => {
       });
     }
     
+    // Regular / overtime / double time split per shift
+    const payBuckets = await getPayBucketsForShifts(shifts);
+    
     // Prepare data for CSV
     const shiftsData = shifts.map(shift => {
+      const pay = toPayHours(payBuckets.get(shift._id.toString()));
       return {
-        'Employee ID': shift.employee.employeeId || 'N/A',
-        'Employee Name': `${shift.employee.firstName} ${shift.employee.lastName}`,
-        'Department': shift.employee.department,
-        'Email': shift.employee.email,
-        'Shift Date': moment(shift.startTime).format('YYYY-MM-DD'),
-        'Start Time': moment(shift.startTime).format('HH:mm:ss'),
-        'End Time': shift.endTime ? moment(shift.endTime).format('HH:mm:ss') : 'Not Ended',
-        'Start Location': shift.startLocation ? shift.startLocation.address : 'N/A',
-        'End Location': shift.endLocation ? shift.endLocation.address : 'N/A',
-        'Status': shift.status,
-        'Total Hours': shift.totalDuration ? shift.totalDuration.toFixed(2) : 'N/A',
-        'Break Hours': shift.breakDuration ? shift.breakDuration.toFixed(2) : '0.00',
-        'Work Hours': shift.workedHours ? shift.workedHours.toFixed(2) : 'N/A',
+        'Employee ID': shift.userId.employeeId || 'N/A',
+        'Employee Name': `${shift.userId.firstName} ${shift.userId.lastName}`,
+        'Department': shift.userId.department,
+        'Email': shift.userId.email,
+        'Shift Date': moment(shift.startTime.timestamp).format('YYYY-MM-DD'),
+        'Start Time': moment(shift.startTime.timestamp).format('HH:mm:ss'),
+        'End Time': shift.endTime ? moment(shift.endTime.timestamp).format('HH:mm:ss') : 'Not Ended',
+        'Start Location': shift.startTime.location ? shift.startTime.location.address : 'N/A',
+        'End Location': shift.endTime && shift.endTime.location ? shift.endTime.location.address : 'N/A',
+        'Status': shift.shiftStatus,
+        'Total Hours': toDecimalHours(shift.getPresenceDuration()).toFixed(2),
+        'Break Hours': toDecimalHours(shift.totalBreakDuration).toFixed(2),
+        'Paid Break Hours': toDecimalHours(shift.paidBreakDuration).toFixed(2),
+        'Work Hours': toDecimalHours(shift.totalWorkDuration).toFixed(2),
+        'Payable Hours': toDecimalHours(shift.getPayableDuration()).toFixed(2),
+        'Regular Hours': pay.regularHours.toFixed(2),
+        'Overtime Hours': pay.overtimeHours.toFixed(2),
+        'Double Time Hours': pay.doubleTimeHours.toFixed(2),
+        'Holiday Hours': pay.holidayHours.toFixed(2),
         'Number of Breaks': shift.breaks ? shift.breaks.length : 0,
+        'Job Hours': getSegmentAllocation(shift)
+          .map(entry => `${formatJobLabel(entry)}: ${toDecimalHours(entry.workMinutes).toFixed(2)}`)
+          .join('; '),
         'Notes': shift.notes || ''
       };
     });
@@ -492,27 +599,33 @@ exports.exportToExcel = async (req, res) => {
     const filter = {};
     
     if (startDate && endDate) {
-      filter.startTime = { 
+      filter['startTime.timestamp'] = { 
         $gte: new Date(startDate), 
         $lte: new Date(endDate) 
       };
     }
     
     if (employeeId) {
-      filter.employee = mongoose.Types.ObjectId(employeeId);
+      filter.userId = new mongoose.Types.ObjectId(employeeId);
     }
     
     // For department filtering
     if (department) {
       const departmentEmployees = await User.find({ department }).select('_id');
       const employeeIds = departmentEmployees.map(emp => emp._id);
-      filter.employee = { $in: employeeIds };
+      filter.userId = { $in: employeeIds };
     }
     
+    // Only shifts in approved (locked) timesheet periods are exported
+    filter.isLocked = true;
+    
+    // Managers export their span of control only
+    await applyUserScope(req, filter);
+    
     // Get shifts data
     const shifts = await Shift.find(filter)
-      .populate('employee', 'firstName lastName email department employeeId')
-      .sort({ startTime: -1 });
+      .populate('userId', 'firstName lastName email department employeeId')
+      .sort({ 'startTime.timestamp': -1 });
     
     if (shifts.length === 0) {
       return res.status(404).json({
@@ -539,8 +652,15 @@ exports.exportToExcel = async (req, res) => {
       { header: 'Status', key: 'status', width: 15 },
       { header: 'Total Hours', key: 'totalHours', width: 15 },
       { header: 'Break Hours', key: 'breakHours', width: 15 },
+      { header: 'Paid Break Hours', key: 'paidBreakHours', width: 17 },
       { header: 'Work Hours', key: 'workHours', width: 15 },
+      { header: 'Payable Hours', key: 'payableHours', width: 15 },
+      { header: 'Regular Hours', key: 'regularHours', width: 15 },
+      { header: 'Overtime Hours', key: 'overtimeHours', width: 15 },
+      { header: 'Double Time Hours', key: 'doubleTimeHours', width: 18 },
+      { header: 'Holiday Hours', key: 'holidayHours', width: 15 },
       { header: 'Number of Breaks', key: 'breakCount', width: 15 },
+      { header: 'Job Hours', key: 'jobHours', width: 40 },
       { header: 'Notes', key: 'notes', width: 30 }
     ];
     
@@ -552,23 +672,36 @@ exports.exportToExcel = async (req, res) => {
       fgColor: { argb: 'FFD3D3D3' }
     };
     
+    // Regular / overtime / double time split per shift
+    const payBuckets = await getPayBucketsForShifts(shifts);
+    
     // Add data rows
     shifts.forEach(shift => {
+      const pay = toPayHours(payBuckets.get(shift._id.toString()));
       worksheet.addRow({
-        employeeId: shift.employee.employeeId || 'N/A',
-        employeeName: `${shift.employee.firstName} ${shift.employee.lastName}`,
-        department: shift.employee.department,
-        email: shift.employee.email,
-        shiftDate: moment(shift.startTime).format('YYYY-MM-DD'),
-        startTime: moment(shift.startTime).format('HH:mm:ss'),
-        endTime: shift.endTime ? moment(shift.endTime).format('HH:mm:ss') : 'Not Ended',
-        startLocation: shift.startLocation ? shift.startLocation.address : 'N/A',
-        endLocation: shift.endLocation ? shift.endLocation.address : 'N/A',
-        status: shift.status,
-        totalHours: shift.totalDuration ? shift.totalDuration.toFixed(2) : 'N/A',
-        breakHours: shift.breakDuration ? shift.breakDuration.toFixed(2) : '0.00',
-        workHours: shift.workedHours ? shift.workedHours.toFixed(2) : 'N/A',
+        employeeId: shift.userId.employeeId || 'N/A',
+        employeeName: `${shift.userId.firstName} ${shift.userId.lastName}`,
+        department: shift.userId.department,
+        email: shift.userId.email,
+        shiftDate: moment(shift.startTime.timestamp).format('YYYY-MM-DD'),
+        startTime: moment(shift.startTime.timestamp).format('HH:mm:ss'),
+        endTime: shift.endTime ? moment(shift.endTime.timestamp).format('HH:mm:ss') : 'Not Ended',
+        startLocation: shift.startTime.location ? shift.startTime.location.address : 'N/A',
+        endLocation: shift.endTime && shift.endTime.location ? shift.endTime.location.address : 'N/A',
+        status: shift.shiftStatus,
+        totalHours: toDecimalHours(shift.getPresenceDuration()).toFixed(2),
+        breakHours: toDecimalHours(shift.totalBreakDuration).toFixed(2),
+        paidBreakHours: toDecimalHours(shift.paidBreakDuration).toFixed(2),
+        workHours: toDecimalHours(shift.totalWorkDuration).toFixed(2),
+        payableHours: toDecimalHours(shift.getPayableDuration()).toFixed(2),
+        regularHours: pay.regularHours.toFixed(2),
+        overtimeHours: pay.overtimeHours.toFixed(2),
+        doubleTimeHours: pay.doubleTimeHours.toFixed(2),
+        holidayHours: pay.holidayHours.toFixed(2),
         breakCount: shift.breaks ? shift.breaks.length : 0,
+        jobHours: getSegmentAllocation(shift)
+          .map(entry => `${formatJobLabel(entry)}: ${toDecimalHours(entry.workMinutes).toFixed(2)}`)
+          .join('; '),
         notes: shift.notes || ''
       });
     });
@@ -578,21 +711,26 @@ exports.exportToExcel = async (req, res) => {
     
     // Calculate summary data
     const totalShifts = shifts.length;
-    const completedShifts = shifts.filter(s => s.status === 'completed').length;
-    const inProgressShifts = shifts.filter(s => s.status === 'in-progress').length;
+    const completedShifts = shifts.filter(s => s.shiftStatus === 'completed').length;
+    const inProgressShifts = shifts.filter(s => ['active', 'break'].includes(s.shiftStatus)).length;
     
     // Total hours calculation
     const totalHours = shifts.reduce((total, shift) => {
-      return total + (shift.workedHours || 0);
+      return total + toDecimalHours(shift.totalWorkDuration);
+    }, 0);
+    
+    // Payable hours include paid breaks
+    const totalPayableHours = shifts.reduce((total, shift) => {
+      return total + toDecimalHours(shift.getPayableDuration());
     }, 0);
     
     // Break hours calculation
     const totalBreakHours = shifts.reduce((total, shift) => {
-      return total + (shift.breakDuration || 0);
+      return total + toDecimalHours(shift.totalBreakDuration);
     }, 0);
     
     // Total employees
-    const uniqueEmployees = new Set(shifts.map(s => s.employee._id.toString())).size;
+    const uniqueEmployees = new Set(shifts.map(s => s.userId._id.toString())).size;
     
     // Add summary data
     summarySheet.columns = [
@@ -615,9 +753,43 @@ exports.exportToExcel = async (req, res) => {
     summarySheet.addRow({ metric: 'In-Progress Shifts', value: inProgressShifts });
     summarySheet.addRow({ metric: 'Total Employees', value: uniqueEmployees });
     summarySheet.addRow({ metric: 'Total Work Hours', value: totalHours.toFixed(2) });
+    summarySheet.addRow({ metric: 'Total Payable Hours', value: totalPayableHours.toFixed(2) });
     summarySheet.addRow({ metric: 'Total Break Hours', value: totalBreakHours.toFixed(2) });
+    
+    const payTotals = toPayHours(sumPayBuckets([...payBuckets.values()]));
+    summarySheet.addRow({ metric: 'Regular Hours', value: payTotals.regularHours.toFixed(2) });
+    summarySheet.addRow({ metric: 'Overtime Hours', value: payTotals.overtimeHours.toFixed(2) });
+    summarySheet.addRow({ metric: 'Double Time Hours', value: payTotals.doubleTimeHours.toFixed(2) });
+    summarySheet.addRow({ metric: 'Holiday Hours', value: payTotals.holidayHours.toFixed(2) });
     summarySheet.addRow({ metric: 'Average Hours Per Shift', value: (totalHours / totalShifts).toFixed(2) });
     
+    // Hours broken down by job, project and cost code from the shifts' task segments
+    const jobSheet = workbook.addWorksheet('Hours by Job');
+    jobSheet.columns = [
+      { header: 'Project', key: 'project', width: 25 },
+      { header: 'Job', key: 'job', width: 25 },
+      { header: 'Cost Code', key: 'costCode', width: 15 },
+      { header: 'Work Hours', key: 'workHours', width: 15 },
+      { header: 'Payable Hours', key: 'payableHours', width: 15 },
+      { header: 'Shifts', key: 'shifts', width: 10 }
+    ];
+    jobSheet.getRow(1).font = { bold: true };
+    summarizeJobHours(shifts).forEach(entry => jobSheet.addRow(entry));
+    
+    // Hours and labour cost per catalogue project
+    const projectSheet = workbook.addWorksheet('Hours by Project');
+    projectSheet.columns = [
+      { header: 'Project', key: 'name', width: 30 },
+      { header: 'Code', key: 'code', width: 15 },
+      { header: 'Client', key: 'client', width: 25 },
+      { header: 'Work Hours', key: 'workHours', width: 15 },
+      { header: 'Payable Hours', key: 'payableHours', width: 15 },
+      { header: 'Labour Cost', key: 'cost', width: 15 },
+      { header: 'Shifts', key: 'shifts', width: 10 }
+    ];
+    projectSheet.getRow(1).font = { bold: true };
+    (await getProjectHours(shifts)).forEach(entry => projectSheet.addRow(entry));
+    
     // Set filename
     const fileName = `shifts_export_${moment().format('YYYY-MM-DD_HH-mm-ss')}.xlsx`;
     const filePath = path.join(__dirname, '..', 'temp', fileName);
@@ -668,27 +840,33 @@ exports.exportToPDF = async (req, res) => {
     const filter = {};
     
     if (startDate && endDate) {
-      filter.startTime = { 
+      filter['startTime.timestamp'] = { 
         $gte: new Date(startDate), 
         $lte: new Date(endDate) 
       };
     }
     
     if (employeeId) {
-      filter.employee = mongoose.Types.ObjectId(employeeId);
+      filter.userId = new mongoose.Types.ObjectId(employeeId);
     }
     
     // For department filtering
     if (department) {
       const departmentEmployees = await User.find({ department }).select('_id');
       const employeeIds = departmentEmployees.map(emp => emp._id);
-      filter.employee = { $in: employeeIds };
+      filter.userId = { $in: employeeIds };
     }
     
+    // Only shifts in approved (locked) timesheet periods are exported
+    filter.isLocked = true;
+    
+    // Managers export their span of control only
+    await applyUserScope(req, filter);
+    
     // Get shifts data
     const shifts = await Shift.find(filter)
-      .populate('employee', 'firstName lastName email department employeeId')
-      .sort({ startTime: -1 })
+      .populate('userId', 'firstName lastName email department employeeId')
+      .sort({ 'startTime.timestamp': -1 })
       .limit(100); // Limit to prevent huge PDFs
     
     if (shifts.length === 0) {
@@ -700,14 +878,23 @@ exports.exportToPDF = async (req, res) => {
     
     // Calculate summary data
     const totalShifts = shifts.length;
-    const completedShifts = shifts.filter(s => s.status === 'completed').length;
-    const inProgressShifts = shifts.filter(s => s.status === 'in-progress').length;
+    const completedShifts = shifts.filter(s => s.shiftStatus === 'completed').length;
+    const inProgressShifts = shifts.filter(s => ['active', 'break'].includes(s.shiftStatus)).length;
     
     // Total hours calculation
     const totalHours = shifts.reduce((total, shift) => {
-      return total + (shift.workedHours || 0);
+      return total + toDecimalHours(shift.totalWorkDuration);
+    }, 0);
+    
+    // Payable hours include paid breaks
+    const totalPayableHours = shifts.reduce((total, shift) => {
+      return total + toDecimalHours(shift.getPayableDuration());
     }, 0);
     
+    // Regular / overtime / double time split per shift
+    const payBuckets = await getPayBucketsForShifts(shifts);
+    const payTotals = toPayHours(sumPayBuckets([...payBuckets.values()]));
+    
     // Set filename
     const fileName = `shifts_export_${moment().format('YYYY-MM-DD_HH-mm-ss')}.pdf`;
     const filePath = path.join(__dirname, '..', 'temp', fileName);
@@ -747,6 +934,16 @@ exports.exportToPDF = async (req, res) => {
     doc.text(`Completed Shifts: ${completedShifts}`);
     doc.text(`In-Progress Shifts: ${inProgressShifts}`);
     doc.text(`Total Work Hours: ${totalHours.toFixed(2)}`);
+    doc.text(`Total Payable Hours: ${totalPayableHours.toFixed(2)}`);
+    doc.text(`Regular / Overtime / Double Time Hours: ${payTotals.regularHours.toFixed(2)} / ${payTotals.overtimeHours.toFixed(2)} / ${payTotals.doubleTimeHours.toFixed(2)}`);
+    doc.text(`Holiday Hours: ${payTotals.holidayHours.toFixed(2)}`);
+    
+    doc.moveDown();
+    doc.font('Helvetica-Bold').text('Hours by Job');
+    doc.font('Helvetica');
+    summarizeJobHours(shifts).forEach(entry => {
+      doc.text(`${formatJobLabel(entry)}: ${entry.workHours.toFixed(2)} worked / ${entry.payableHours.toFixed(2)} payable`);
+    });
     
     doc.moveDown();
     
@@ -758,8 +955,9 @@ exports.exportToPDF = async (req, res) => {
     doc.text('Employee', 30, tableTop, textOptions);
     doc.text('Date', 180, tableTop, textOptions);
     doc.text('Start - End', 250, tableTop, textOptions);
-    doc.text('Hours', 350, tableTop, textOptions);
-    doc.text('Status', 420, tableTop, textOptions);
+    doc.text('Paid Hrs', 350, tableTop, textOptions);
+    doc.text('OT / DT', 400, tableTop, textOptions);
+    doc.text('Status', 470, tableTop, textOptions);
     
     doc.moveTo(30, tableTop + 20).lineTo(565, tableTop + 20).stroke();
     
@@ -778,8 +976,9 @@ exports.exportToPDF = async (req, res) => {
         doc.text('Employee', 30, rowTop, textOptions);
         doc.text('Date', 180, rowTop, textOptions);
         doc.text('Start - End', 250, rowTop, textOptions);
-        doc.text('Hours', 350, rowTop, textOptions);
-        doc.text('Status', 420, rowTop, textOptions);
+        doc.text('Paid Hrs', 350, rowTop, textOptions);
+        doc.text('OT / DT', 400, rowTop, textOptions);
+        doc.text('Status', 470, rowTop, textOptions);
         
         doc.moveTo(30, rowTop + 20).lineTo(565, rowTop + 20).stroke();
         
@@ -788,21 +987,25 @@ exports.exportToPDF = async (req, res) => {
       }
       
       // Employee name (truncated if needed)
-      const employeeName = `${shift.employee.firstName} ${shift.employee.lastName}`;
+      const employeeName = `${shift.userId.firstName} ${shift.userId.lastName}`;
       doc.text(employeeName.substring(0, 20), 30, rowTop, textOptions);
       
       // Date
-      doc.text(moment(shift.startTime).format('YYYY-MM-DD'), 180, rowTop, textOptions);
+      doc.text(moment(shift.startTime.timestamp).format('YYYY-MM-DD'), 180, rowTop, textOptions);
       
       // Start - End time
-      const endTimeStr = shift.endTime ? moment(shift.endTime).format('HH:mm') : 'N/A';
-      doc.text(`${moment(shift.startTime).format('HH:mm')} - ${endTimeStr}`, 250, rowTop, textOptions);
+      const endTimeStr = shift.endTime ? moment(shift.endTime.timestamp).format('HH:mm') : 'N/A';
+      doc.text(`${moment(shift.startTime.timestamp).format('HH:mm')} - ${endTimeStr}`, 250, rowTop, textOptions);
       
       // Hours
-      doc.text(shift.workedHours ? shift.workedHours.toFixed(2) : 'N/A', 350, rowTop, textOptions);
+      doc.text(toDecimalHours(shift.getPayableDuration()).toFixed(2), 350, rowTop, textOptions);
+      
+      // Overtime / double time
+      const pay = toPayHours(payBuckets.get(shift._id.toString()));
+      doc.text(`${pay.overtimeHours.toFixed(2)} / ${pay.doubleTimeHours.toFixed(2)}`, 400, rowTop, textOptions);
       
       // Status
-      doc.text(shift.status, 420, rowTop, textOptions);
+      doc.text(shift.shiftStatus, 470, rowTop, textOptions);
       
       // Add a subtle divider line
       if (i < shifts.length - 1) {
@@ -859,20 +1062,19 @@ exports.getActiveShifts = async (req, res) => {
     const tomorrow = new Date(today);
     tomorrow.setDate(tomorrow.getDate() + 1);
     
-    // Get all active shifts (in-progress or on-break)
-    const activeShifts = await Shift.find({
+    // Get all active shifts (working or on a break)
+    const filter = {
       $and: [
-        { startTime: { $gte: today } },
-        { 
-          $or: [
-            { status: 'in-progress' },
-            { status: 'on-break' }
-          ]
-        }
+        { 'startTime.timestamp': { $gte: today } },
+        { shiftStatus: { $in: ['active', 'break'] } }
       ]
-    })
-    .populate('employee', 'firstName lastName email department employeeId')
-    .sort({ startTime: -1 });
+    };
+    
+    await applyUserScope(req, filter);
+    
+    const activeShifts = await Shift.find(filter)
+    .populate('userId', 'firstName lastName email department employeeId')
+    .sort({ 'startTime.timestamp': -1 });
     
     res.status(200).json({
       success: true,
@@ -889,6 +1091,101 @@ exports.getActiveShifts = async (req, res) => {
   }
 };
 
+/**
+ * Get location flags raised on punches (poor accuracy, impossible speed, repeated coordinates)
+ * @route GET /api/admin/location-flags
+ * @access Private/Admin
+ */
+exports.getLocationFlags = async (req, res) => {
+  try {
+    const { startDate, endDate, type, userId, page = 1, limit = 20 } = req.query;
+    
+    // Filter on shifts that have at least one flag
+    const shiftFilter = { 'locationFlags.0': { $exists: true } };
+    if (userId) {
+      shiftFilter.userId = new mongoose.Types.ObjectId(userId);
+    }
+    
+    await applyUserScope(req, shiftFilter);
+    
+    // Filter on the flags themselves
+    const flagFilter = {};
+    if (type) {
+      flagFilter['locationFlags.type'] = type;
+    }
+    if (startDate || endDate) {
+      flagFilter['locationFlags.detectedAt'] = {};
+      if (startDate) flagFilter['locationFlags.detectedAt'].$gte = new Date(startDate);
+      if (endDate) flagFilter['locationFlags.detectedAt'].$lte = new Date(endDate);
+    }
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const [result] = await Shift.aggregate([
+      { $match: shiftFilter },
+      { $unwind: '$locationFlags' },
+      { $match: flagFilter },
+      { $sort: { 'locationFlags.detectedAt': -1 } },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          flags: [
+            { $skip: skip },
+            { $limit: parseInt(limit) },
+            {
+              $lookup: {
+                from: 'users',
+                localField: 'userId',
+                foreignField: '_id',
+                as: 'user'
+              }
+            },
+            { $unwind: '$user' },
+            {
+              $project: {
+                _id: '$locationFlags._id',
+                shiftId: '$_id',
+                type: '$locationFlags.type',
+                punch: '$locationFlags.punch',
+                details: '$locationFlags.details',
+                detectedAt: '$locationFlags.detectedAt',
+                employee: {
+                  id: '$user._id',
+                  firstName: '$user.firstName',
+                  lastName: '$user.lastName',
+                  employeeId: '$user.employeeId',
+                  department: '$user.department'
+                }
+              }
+            }
+          ]
+        }
+      }
+    ]);
+    
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+    
+    res.status(200).json({
+      success: true,
+      count: result.flags.length,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit))
+      },
+      data: result.flags
+    });
+  } catch (error) {
+    console.error('Error in getLocationFlags:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
 /**
  * Get employee shift summary
  * @route GET /api/admin/employees/:id/summary
@@ -909,32 +1206,39 @@ exports.getEmployeeSummary = async (req, res) => {
       });
     }
     
+    if (!(await isUserInScope(req, employee._id))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Employee is outside your scope'
+      });
+    }
+    
     // Build filter
-    const filter = { employee: mongoose.Types.ObjectId(id) };
+    const filter = { userId: new mongoose.Types.ObjectId(id) };
     
     if (startDate && endDate) {
-      filter.startTime = { 
+      filter['startTime.timestamp'] = { 
         $gte: new Date(startDate), 
         $lte: new Date(endDate) 
       };
     }
     
     // Get all employee shifts
-    const shifts = await Shift.find(filter).sort({ startTime: -1 });
+    const shifts = await Shift.find(filter).sort({ 'startTime.timestamp': -1 });
     
     // Calculate summary data
     const totalShifts = shifts.length;
-    const completedShifts = shifts.filter(s => s.status === 'completed').length;
+    const completedShifts = shifts.filter(s => s.shiftStatus === 'completed').length;
     
-    // Calculate total hours
-    const totalWorkHours = shifts.reduce((total, shift) => {
-      return total + (shift.workedHours || 0);
-    }, 0);
+    // Calculate total (payable) hours
+    const totalWorkHours = toDecimalHours(shifts.reduce((total, shift) => {
+      return total + shift.getPayableDuration();
+    }, 0));
     
     // Calculate total break hours
-    const totalBreakHours = shifts.reduce((total, shift) => {
-      return total + (shift.breakDuration || 0);
-    }, 0);
+    const totalBreakHours = toDecimalHours(shifts.reduce((total, shift) => {
+      return total + (shift.totalBreakDuration || 0);
+    }, 0));
     
     // Calculate average shift length
     const averageShiftLength = completedShifts > 0 ? 
@@ -951,18 +1255,18 @@ exports.getEmployeeSummary = async (req, res) => {
     const weeklyData = await Shift.aggregate([
       {
         $match: {
-          employee: mongoose.Types.ObjectId(id),
-          startTime: { $gte: fourWeeksAgo },
-          status: 'completed'
+          userId: new mongoose.Types.ObjectId(id),
+          'startTime.timestamp': { $gte: fourWeeksAgo },
+          shiftStatus: 'completed'
         }
       },
       {
         $group: {
           _id: { 
-            year: { $year: '$startTime' },
-            week: { $week: '$startTime' }
+            year: { $year: '$startTime.timestamp' },
+            week: { $week: '$startTime.timestamp' }
           },
-          totalHours: { $sum: '$workedHours' },
+          totalMinutes: { $sum: PAYABLE_MINUTES },
           shiftsCount: { $sum: 1 }
         }
       },
@@ -975,7 +1279,7 @@ exports.getEmployeeSummary = async (req, res) => {
       const date = new Date(week._id.year, 0, 1 + (week._id.week - 1) * 7);
       return {
         weekStarting: moment(date).format('YYYY-MM-DD'),
-        totalHours: Math.round(week.totalHours * 100) / 100,
+        totalHours: toDecimalHours(week.totalMinutes),
         shiftsCount: week.shiftsCount
       };
     });
@@ -983,13 +1287,27 @@ exports.getEmployeeSummary = async (req, res) => {
     // Get locations data
     const locations = shifts.map(shift => {
       return {
-        date: moment(shift.startTime).format('YYYY-MM-DD'),
-        startLocation: shift.startLocation,
-        endLocation: shift.endLocation,
+        date: moment(shift.startTime.timestamp).format('YYYY-MM-DD'),
+        startLocation: shift.startTime.location,
+        endLocation: shift.endTime ? shift.endTime.location : null,
         shiftId: shift._id
       };
     });
     
+    // Get plan-vs-actual variances (defaults to the last 4 weeks)
+    const variances = await getAttendanceVariances({
+      start: startDate ? new Date(startDate) : fourWeeksAgo,
+      end: endDate ? new Date(endDate) : new Date(),
+      userIds: [employee._id]
+    });
+    
+    // Regular / overtime / double time split over the same period
+    const payBuckets = await getPayBuckets({
+      start: startDate ? new Date(startDate) : fourWeeksAgo,
+      end: endDate ? new Date(endDate) : new Date(),
+      userIds: [employee._id]
+    });
+    
     // Response data
     const summaryData = {
       employee: {
@@ -1005,10 +1323,15 @@ exports.getEmployeeSummary = async (req, res) => {
         totalWorkHours: Math.round(totalWorkHours * 100) / 100,
         totalBreakHours: Math.round(totalBreakHours * 100) / 100,
         averageShiftLength: Math.round(averageShiftLength * 100) / 100,
-        averageBreakTime: Math.round(averageBreakTime * 100) / 100
+        averageBreakTime: Math.round(averageBreakTime * 100) / 100,
+        payBuckets: toPayHours(payBuckets.totals)
       },
       weeklyData: formattedWeeklyData,
-      locations
+      locations,
+      attendance: {
+        ...summarizeVariances(variances),
+        variances
+      }
     };
     
     res.status(200).json({
@@ -1034,65 +1357,102 @@ exports.getDepartmentSummary = async (req, res) => {
   try {
     const { department, startDate, endDate } = req.query;
     
-    // Build date filter
-    const dateFilter = {};
+    // Employees in the requested department (or any department) within the caller's span of control
+    const employees = await User.find({
+      $and: [
+        { department: department || { $nin: [null, ''] } },
+        await getUserScopeFilter(req)
+      ]
+    }).select('_id department');
+    const employeeIds = employees.map(e => e._id);
+    
+    // Fetch every department's shifts and violations in one query each and group them below
+    const shiftFilter = { userId: { $in: employeeIds } };
+    const violationFilter = { userId: { $in: employeeIds } };
     if (startDate && endDate) {
-      dateFilter.startTime = { 
-        $gte: new Date(startDate), 
-        $lte: new Date(endDate) 
-      };
+      shiftFilter['startTime.timestamp'] = { $gte: new Date(startDate), $lte: new Date(endDate) };
+      violationFilter.createdAt = { $gte: new Date(startDate), $lte: new Date(endDate) };
     }
     
-    // Get all departments if none specified
-    let departments = [];
-    if (department) {
-      departments = [department];
-    } else {
-      const deptResults = await User.distinct('department');
-      departments = deptResults.filter(d => d && d.length > 0);
-    }
+    // Labour cost and budgets are payroll data
+    const canViewCost = await hasPermission(req, 'payroll:read');
+    
+    const [shifts, violations, laborCost] = await Promise.all([
+      Shift.find(shiftFilter).select('userId shiftStatus totalWorkDuration payableDuration'),
+      ComplianceViolation.find(violationFilter).select('userId code status blocked'),
+      // Labour cost covers the requested range, or the current month by default
+      canViewCost && getLaborCost({
+        start: startDate ? new Date(startDate) : new Date(new Date().setDate(1)),
+        end: endDate ? new Date(endDate) : new Date(new Date().setMonth(new Date().getMonth() + 1, 0)),
+        department,
+        userIds: await getScopedUserIds(req)
+      })
+    ]);
+    
+    const departmentOf = new Map(employees.map(e => [e._id.toString(), e.department]));
+    const groups = new Map();
+    const getGroup = (dept) => {
+      if (!groups.has(dept)) groups.set(dept, { employeeCount: 0, shifts: [], violations: [] });
+      return groups.get(dept);
+    };
+    
+    employees.forEach(e => { getGroup(e.department).employeeCount += 1; });
+    shifts.forEach(shift => getGroup(departmentOf.get(shift.userId.toString())).shifts.push(shift));
+    violations.forEach(v => getGroup(departmentOf.get(v.userId.toString())).violations.push(v));
     
     // Initialize result array
     const departmentSummaries = [];
     
     // Process each department
-    for (const dept of departments) {
-      // Get employees in department
-      const employeesInDept = await User.find({ department: dept }).select('_id');
-      const employeeIds = employeesInDept.map(e => e._id);
-      
-      if (employeeIds.length === 0) continue;
-      
-      // Build filter for shifts
-      const shiftFilter = {
-        ...dateFilter,
-        employee: { $in: employeeIds }
-      };
-      
-      // Get department shifts
-      const shifts = await Shift.find(shiftFilter);
+    for (const [dept, group] of groups) {
+      const deptShifts = group.shifts;
+      const deptViolations = group.violations;
       
       // Calculate summary data
-      const totalShifts = shifts.length;
-      const completedShifts = shifts.filter(s => s.status === 'completed').length;
+      const totalShifts = deptShifts.length;
+      const completedShifts = deptShifts.filter(s => s.shiftStatus === 'completed').length;
       
-      // Calculate total hours
-      const totalWorkHours = shifts.reduce((total, shift) => {
-        return total + (shift.workedHours || 0);
-      }, 0);
+      // Calculate total (payable) hours
+      const totalWorkHours = toDecimalHours(deptShifts.reduce((total, shift) => {
+        return total + shift.getPayableDuration();
+      }, 0));
       
       // Calculate average per employee
-      const avgHoursPerEmployee = employeeIds.length > 0 ? 
-        totalWorkHours / employeeIds.length : 0;
+      const avgHoursPerEmployee = group.employeeCount > 0 ? 
+        totalWorkHours / group.employeeCount : 0;
       
-      departmentSummaries.push({
+      // Working time violations recorded in the period
+      const compliance = {
+        totalViolations: deptViolations.length,
+        openViolations: deptViolations.filter(v => v.status === 'open').length,
+        blockedPunches: deptViolations.filter(v => v.blocked).length,
+        byCode: deptViolations.reduce((counts, v) => {
+          counts[v.code] = (counts[v.code] || 0) + 1;
+          return counts;
+        }, {})
+      };
+      
+      const summary = {
         department: dept,
-        employeeCount: employeeIds.length,
+        employeeCount: group.employeeCount,
         totalShifts,
         completedShifts,
         totalWorkHours: Math.round(totalWorkHours * 100) / 100,
-        avgHoursPerEmployee: Math.round(avgHoursPerEmployee * 100) / 100
-      });
+        avgHoursPerEmployee: Math.round(avgHoursPerEmployee * 100) / 100,
+        compliance
+      };
+      
+      if (laborCost) {
+        const deptCost = laborCost.byDepartment.find(entry => entry.department === dept);
+        const deptBudget = laborCost.budgetVsActual.find(entry => entry.department === dept);
+        
+        summary.laborCost = deptCost ? deptCost.totalCost : 0;
+        summary.laborBudget = deptBudget ? deptBudget.budget : null;
+        summary.budgetVariance = deptBudget ? deptBudget.variance : null;
+        summary.currency = laborCost.currency;
+      }
+      
+      departmentSummaries.push(summary);
     }
     
     // Sort by total work hours (descending)
@@ -1140,53 +1500,52 @@ exports.addShift = async (req, res) => {
       });
     }
     
-    // Calculate durations
-    let totalDuration = 0;
-    let breakDuration = 0;
-    
-    if (startTime && endTime) {
-      const start = new Date(startTime);
-      const end = new Date(endTime);
-      totalDuration = (end - start) / (1000 * 60 * 60); // in hours
+    if (!(await isUserInScope(req, employee._id))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Employee is outside your scope'
+      });
     }
     
-    // Calculate break duration if breaks are provided
-    if (breaks && breaks.length > 0) {
-      breakDuration = breaks.reduce((total, breakItem) => {
-        if (breakItem.startTime && breakItem.endTime) {
-          const breakStart = new Date(breakItem.startTime);
-          const breakEnd = new Date(breakItem.endTime);
-          return total + ((breakEnd - breakStart) / (1000 * 60 * 60)); // in hours
-        }
-        return total;
-      }, 0);
+    // Approved weeks are read-only, so no shifts can be added to them
+    if (startTime && await Timesheet.isPeriodApproved(employeeId, new Date(startTime))) {
+      return res.status(423).json({
+        success: false,
+        error: 'The timesheet for this week has already been approved'
+      });
     }
     
-    // Calculate worked hours
-    const workedHours = totalDuration - breakDuration;
-    
     // Create new shift
     const newShift = new Shift({
-      employee: employeeId,
-      startTime,
-      endTime,
-      startLocation,
-      endLocation,
-      breaks: breaks || [],
-      totalDuration,
-      breakDuration,
-      workedHours,
-      status,
+      userId: employeeId,
+      date: new Date(startTime),
+      shiftStatus: status,
+      startTime: { timestamp: startTime, location: startLocation },
+      endTime: endTime ? { timestamp: endTime, location: endLocation || startLocation } : undefined,
       notes,
       adminCreated: true,
       createdBy: req.user._id
     });
     
+    // Breaks and durations are filled in the same way as a correction
+    newShift.applyCorrection({
+      breaks: breaks || [],
+      breakPolicy: await getBreakPolicyForUser(employee)
+    });
+    
     await newShift.save();
     
+    await recordAudit(req, {
+      action: 'shift.create',
+      targetType: 'Shift',
+      targetId: newShift._id,
+      targetUser: newShift.userId,
+      after: newShift
+    });
+    
     // Populate employee info
     const createdShift = await Shift.findById(newShift._id)
-      .populate('employee', 'firstName lastName email department');
+      .populate('userId', 'firstName lastName email department');
     
     res.status(201).json({
       success: true,
@@ -1215,6 +1574,13 @@ exports.getUserById = async (req, res) => {
         });
       }
       
+      if (!(await isUserInScope(req, user._id))) {
+        return res.status(403).json({
+          success: false,
+          error: 'User is outside your scope'
+        });
+      }
+      
       res.status(200).json({
         success: true,
         data: user
@@ -1231,13 +1597,35 @@ exports.getUserById = async (req, res) => {
   
   exports.updateUser = async (req, res) => {
     try {
-      const { firstName, lastName, email, department, role } = req.body;
+      const {
+        firstName,
+        lastName,
+        email,
+        department,
+        role,
+        managedDepartments,
+        managerId,
+        teamId,
+        twoFactorRequired,
+        dateOfBirth
+      } = req.body;
+      
+      // Roles and managed departments decide what a user can see, so only roles:manage may change them
+      if ((role !== undefined || managedDepartments !== undefined) && !(await hasPermission(req, 'roles:manage'))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Changing roles or managed departments requires the roles:manage permission'
+        });
+      }
+      
+      if (role !== undefined && !(await roleExists(role))) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown role: ${role}`
+        });
+      }
       
-      const user = await User.findByIdAndUpdate(
-        req.params.id,
-        { firstName, lastName, email, department, role },
-        { new: true, runValidators: true }
-      ).select('-password -refreshToken');
+      const user = await User.findById(req.params.id);
       
       if (!user) {
         return res.status(404).json({
@@ -1246,9 +1634,71 @@ exports.getUserById = async (req, res) => {
         });
       }
       
+      if (!(await isUserInScope(req, user._id))) {
+        return res.status(403).json({
+          success: false,
+          error: 'User is outside your scope'
+        });
+      }
+      
+      if (teamId && !(await Team.exists({ _id: teamId }))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Team not found'
+        });
+      }
+      
+      // The reporting line must not loop back to the user
+      if (managerId) {
+        const { direct, indirect } = await getReports(user._id, '_id');
+        const belowUser = [...direct, ...indirect].some(report => report._id.equals(managerId));
+        
+        if (user._id.equals(managerId) || belowUser) {
+          return res.status(400).json({
+            success: false,
+            error: 'A user cannot report to themselves or to one of their reports'
+          });
+        }
+        
+        if (!(await User.exists({ _id: managerId }))) {
+          return res.status(400).json({
+            success: false,
+            error: 'Manager not found'
+          });
+        }
+      }
+      
+      const before = snapshot(user);
+      const previousRole = user.role;
+      
+      if (firstName !== undefined) user.firstName = firstName;
+      if (lastName !== undefined) user.lastName = lastName;
+      if (email !== undefined) user.email = email;
+      if (department !== undefined) user.department = department;
+      if (role !== undefined) user.role = role;
+      if (managedDepartments !== undefined) user.managedDepartments = managedDepartments;
+      if (managerId !== undefined) user.managerId = managerId;
+      if (teamId !== undefined) user.teamId = teamId;
+      if (twoFactorRequired !== undefined) user.twoFactorRequired = twoFactorRequired;
+      if (dateOfBirth !== undefined) user.dateOfBirth = dateOfBirth;
+      
+      await user.save();
+      
+      // Role changes are recorded under their own action so they are easy to find
+      await recordAudit(req, {
+        action: user.role !== previousRole || managedDepartments !== undefined ? 'user.role_change' : 'user.update',
+        targetType: 'User',
+        targetId: user._id,
+        targetUser: user._id,
+        before,
+        after: user
+      });
+      
+      const updatedUser = await User.findById(user._id).select('-password -refreshToken');
+      
       res.status(200).json({
         success: true,
-        data: user,
+        data: updatedUser,
         message: 'User updated successfully'
       });
     } catch (error) {
@@ -1272,6 +1722,13 @@ exports.getUserById = async (req, res) => {
         });
       }
       
+      if (!(await isUserInScope(req, user._id))) {
+        return res.status(403).json({
+          success: false,
+          error: 'User is outside your scope'
+        });
+      }
+      
       if (user.role === 'admin') {
         return res.status(400).json({
           success: false,
@@ -1279,7 +1736,15 @@ exports.getUserById = async (req, res) => {
         });
       }
       
-      await user.remove();
+      await user.deleteOne();
+      
+      await recordAudit(req, {
+        action: 'user.delete',
+        targetType: 'User',
+        targetId: user._id,
+        targetUser: user._id,
+        before: user
+      });
       
       res.status(200).json({
         success: true,
@@ -1295,4 +1760,55 @@ exports.getUserById = async (req, res) => {
     }
   };
 
+  /**
+   * Reset a user's two-factor authentication (lost device); they enrol again on next login if required
+   * @route DELETE /api/admin/users/:id/two-factor
+   * @access Private/Admin
+   */
+  exports.resetTwoFactor = async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id).select(TWO_FACTOR_SECRET_FIELDS);
+      
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+      
+      if (!(await isUserInScope(req, user._id))) {
+        return res.status(403).json({
+          success: false,
+          error: 'User is outside your scope'
+        });
+      }
+      
+      const before = snapshot(user);
+      
+      clearTwoFactor(user);
+      await user.save();
+      
+      await recordAudit(req, {
+        action: 'user.two_factor_reset',
+        targetType: 'User',
+        targetId: user._id,
+        targetUser: user._id,
+        before,
+        after: user
+      });
+      
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication reset successfully'
+      });
+    } catch (error) {
+      console.error('Error in resetTwoFactor:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: error.message
+      });
+    }
+  };
+
 module.exports = exports;
\ No newline at end of file
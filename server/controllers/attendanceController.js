@@ -0,0 +1,93 @@
+const User = require('../models/user');
+const { getAttendanceVariances, summarizeVariances } = require('../utils/attendanceUtils');
+const { scopeUserIds } = require('../utils/permissionUtils');
+
+/**
+ * Get plan-vs-actual attendance variances with per-employee and per-department rollups
+ * @route GET /api/admin/attendance/variance
+ * @access Private/Admin
+ */
+exports.getVariance = async (req, res) => {
+  try {
+    const { startDate, endDate, department, userId, type } = req.query;
+
+    // Default to the last 7 days
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(end.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    // Narrow down to the requested employees
+    let userIds;
+    if (userId) {
+      userIds = [userId];
+    } else if (department) {
+      const departmentEmployees = await User.find({ department }).select('_id');
+      userIds = departmentEmployees.map(emp => emp._id);
+    }
+    userIds = await scopeUserIds(req, userIds);
+
+    let variances = await getAttendanceVariances({ start, end, userIds });
+
+    if (type) {
+      variances = variances.filter(v => v.type === type);
+    }
+
+    // Look up names and departments of everyone with a variance
+    const employeeIds = [...new Set(variances.map(v => v.userId.toString()))];
+    const employees = await User.find({ _id: { $in: employeeIds } })
+      .select('firstName lastName employeeId department');
+    const employeeMap = new Map(employees.map(emp => [emp._id.toString(), emp]));
+
+    // Group variances by employee and by department
+    const byEmployee = {};
+    const byDepartment = {};
+
+    variances.forEach(variance => {
+      const key = variance.userId.toString();
+      const employee = employeeMap.get(key);
+      const dept = (employee && employee.department) || 'Unassigned';
+
+      if (!byEmployee[key]) byEmployee[key] = [];
+      byEmployee[key].push(variance);
+
+      if (!byDepartment[dept]) byDepartment[dept] = [];
+      byDepartment[dept].push(variance);
+    });
+
+    const employeeRollup = Object.keys(byEmployee).map(key => {
+      const employee = employeeMap.get(key);
+      return {
+        userId: key,
+        name: employee ? `${employee.firstName} ${employee.lastName}` : 'Unknown',
+        employeeId: employee ? employee.employeeId : null,
+        department: employee ? employee.department : null,
+        ...summarizeVariances(byEmployee[key])
+      };
+    });
+
+    const departmentRollup = Object.keys(byDepartment).map(dept => ({
+      department: dept,
+      employeeCount: new Set(byDepartment[dept].map(v => v.userId.toString())).size,
+      ...summarizeVariances(byDepartment[dept])
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        period: { start, end },
+        totals: summarizeVariances(variances),
+        byEmployee: employeeRollup,
+        byDepartment: departmentRollup,
+        variances
+      }
+    });
+  } catch (error) {
+    console.error('Error in getVariance:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = exports;
\ No newline at end of file
@@ -0,0 +1,193 @@
+const AuditLog = require('../models/auditLog');
+const { Parser } = require('json2csv');
+const moment = require('moment');
+
+// Most audit entries a single export may contain; narrower filters are needed beyond this
+const EXPORT_LIMIT = parseInt(process.env.AUDIT_EXPORT_LIMIT) || 10000;
+
+/**
+ * Build an audit log query from request filters
+ * @param {Object} query - Request query string
+ * @returns {Object} Mongo filter
+ */
+const buildAuditFilter = ({ actor, action, targetType, targetId, targetUser, startDate, endDate }) => {
+  const filter = {};
+
+  if (actor) filter.actor = actor;
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+  if (targetUser) filter.targetUser = targetUser;
+
+  // "shift" matches every shift.* action, "shift.update" matches exactly
+  if (action) {
+    filter.action = action.includes('.') ? action : new RegExp(`^${action}\\.`);
+  }
+
+  if (startDate || endDate) {
+    filter.createdAt = {};
+    if (startDate) filter.createdAt.$gte = new Date(startDate);
+    if (endDate) filter.createdAt.$lte = new Date(endDate);
+  }
+
+  return filter;
+};
+
+/**
+ * Browse the audit trail
+ * @route GET /api/admin/audit
+ * @access Private/Admin
+ */
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const filter = buildAuditFilter(req.query);
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const entries = await AuditLog.find(filter)
+      .populate('actor', 'firstName lastName email')
+      .populate('targetUser', 'firstName lastName email department employeeId')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit))
+      },
+      data: entries
+    });
+  } catch (error) {
+    console.error('Error in getAuditLogs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a single audit entry
+ * @route GET /api/admin/audit/:id
+ * @access Private/Admin
+ */
+exports.getAuditLogById = async (req, res) => {
+  try {
+    const entry = await AuditLog.findById(req.params.id)
+      .populate('actor', 'firstName lastName email')
+      .populate('targetUser', 'firstName lastName email department employeeId');
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Audit entry not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error in getAuditLogById:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Export the audit trail as CSV (one row per changed field) or JSON
+ * @route GET /api/admin/audit/export
+ * @access Private/Admin
+ */
+exports.exportAuditLogs = async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    // One extra entry tells us the export would be cut short
+    const entries = await AuditLog.find(buildAuditFilter(req.query))
+      .populate('targetUser', 'firstName lastName employeeId')
+      .sort({ createdAt: 1 })
+      .limit(EXPORT_LIMIT + 1)
+      .lean();
+
+    if (entries.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No audit entries found with the specified criteria'
+      });
+    }
+
+    if (entries.length > EXPORT_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: `More than ${EXPORT_LIMIT} audit entries match. Narrow the date range or filters and export in parts.`
+      });
+    }
+
+    const fileName = `audit_export_${moment().format('YYYY-MM-DD_HH-mm-ss')}`;
+
+    if (format === 'json') {
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Content-Disposition', `attachment; filename=${fileName}.json`);
+      return res.status(200).send(JSON.stringify(entries, null, 2));
+    }
+
+    // Flatten each entry so every changed field gets its own row
+    const rows = [];
+    entries.forEach(entry => {
+      const base = {
+        'Timestamp': moment(entry.createdAt).format('YYYY-MM-DD HH:mm:ss'),
+        'Actor': entry.actorEmail || 'system',
+        'Action': entry.action,
+        'Target Type': entry.targetType,
+        'Target ID': entry.targetId.toString(),
+        'Employee': entry.targetUser ? `${entry.targetUser.firstName} ${entry.targetUser.lastName}` : '',
+        'Employee ID': entry.targetUser ? entry.targetUser.employeeId || '' : '',
+        'IP Address': entry.ip
+      };
+
+      if (entry.changes.length === 0) {
+        rows.push({ ...base, 'Field': '', 'Before': '', 'After': '' });
+        return;
+      }
+
+      entry.changes.forEach(change => {
+        rows.push({
+          ...base,
+          'Field': change.field,
+          'Before': change.before === null ? '' : JSON.stringify(change.before),
+          'After': change.after === null ? '' : JSON.stringify(change.after)
+        });
+      });
+    });
+
+    const json2csvParser = new Parser();
+    const csv = json2csvParser.parse(rows);
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=${fileName}.csv`);
+
+    res.status(200).send(csv);
+  } catch (error) {
+    console.error('Error in exportAuditLogs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = exports;
\ No newline at end of file
@@ -1,35 +1,56 @@
 const User = require('../models/user');
-const jwt = require('jsonwebtoken');
+const Session = require('../models/session');
+const PasswordResetToken = require('../models/passwordResetToken');
 const { validationResult } = require('express-validator');
+const { createSession, rotateRefreshToken } = require('../utils/sessionUtils');
+const { createPasswordResetToken, consumePasswordResetToken } = require('../utils/passwordResetUtils');
+const { sendPasswordResetEmail } = require('../utils/emailService');
+const {
+  TWO_FACTOR_SECRET_FIELDS,
+  isTwoFactorRequired,
+  startEnrolment,
+  completeEnrolment,
+  issueRecoveryCodes,
+  verifySecondFactor,
+  isSecondFactorLocked,
+  recordFailedSecondFactor,
+  resetFailedSecondFactor,
+  clearTwoFactor,
+  countRecoveryCodes,
+  createLoginChallenge,
+  readLoginChallenge
+} = require('../utils/twoFactorUtils');
 
 /**
- * Generate JWT token for user
- * @param {Object} user - User document
- * @returns {String} JWT token
+ * Session details safe to show to the user
+ * @param {Object} session - Session document
+ * @param {Object} [currentSession] - Session of the current request
+ * @returns {Object} Session summary
  */
-const generateToken = (user) => {
-  return jwt.sign(
-    { 
-      id: user._id,
-      role: user.role 
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: '24h' }
-  );
-};
+const formatSession = (session, currentSession) => ({
+  id: session._id,
+  deviceName: session.deviceName,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: Boolean(currentSession && currentSession._id.equals(session._id))
+});
 
 /**
- * Generate refresh token for user
+ * User details returned with a new session
  * @param {Object} user - User document
- * @returns {String} Refresh token
+ * @returns {Object} User summary
  */
-const generateRefreshToken = (user) => {
-  return jwt.sign(
-    { id: user._id },
-    process.env.REFRESH_TOKEN_SECRET || process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
-};
+const formatAuthUser = (user) => ({
+  id: user._id,
+  employeeId: user.employeeId,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.email,
+  role: user.role
+});
 
 /**
  * Register a new user
@@ -80,20 +101,14 @@ exports.register = async (req, res) => {
     // Save user to database
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken(user);
+    // Start a session on this device
+    const { token, refreshToken } = await createSession(user, req);
 
-    // Return user data and token
+    // Return user data and tokens
     res.status(201).json({
       token,
-      user: {
-        id: user._id,
-        employeeId: user.employeeId,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role
-      }
+      refreshToken,
+      user: formatAuthUser(user)
     });
   } catch (error) {
     console.error('Register error:', error.message);
@@ -133,22 +148,23 @@ exports.login = async (req, res) => {
       return res.status(400).json({ msg: 'Invalid credentials' });
     }
 
-    // Generate JWT tokens
-    const token = generateToken(user);
-    const refreshToken = generateRefreshToken(user);
+    // Two-factor accounts (and accounts that must enrol) finish logging in at /login/2fa
+    if (user.twoFactor.enabled || isTwoFactorRequired(user)) {
+      return res.json({
+        twoFactorRequired: true,
+        setupRequired: !user.twoFactor.enabled,
+        challengeToken: createLoginChallenge(user)
+      });
+    }
+
+    // Start a session on this device
+    const { token, refreshToken } = await createSession(user, req);
 
     // Return user data and tokens
     res.json({
       token,
       refreshToken,
-      user: {
-        id: user._id,
-        employeeId: user.employeeId,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role
-      }
+      user: formatAuthUser(user)
     });
   } catch (error) {
     console.error('Login error:', error.message);
@@ -156,6 +172,102 @@ exports.login = async (req, res) => {
   }
 };
 
+/**
+ * Load the user behind a login challenge token
+ * @param {String} challengeToken - Token from the first login step
+ * @returns {Promise<Object|null>} User with two-factor fields, or null
+ */
+const findChallengedUser = async (challengeToken) => {
+  const userId = readLoginChallenge(challengeToken);
+  if (!userId) return null;
+
+  const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+  return user && user.isActive ? user : null;
+};
+
+/**
+ * Start two-factor enrolment during login when an admin requires it
+ * @route POST /api/auth/login/2fa/setup
+ * @access Public (with login challenge token)
+ */
+exports.loginTwoFactorSetup = async (req, res) => {
+  try {
+    const user = await findChallengedUser(req.body.challengeToken);
+    if (!user) {
+      return res.status(401).json({ msg: 'Invalid or expired login challenge' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({ msg: 'Two-factor authentication is already set up' });
+    }
+
+    const enrolment = startEnrolment(user);
+    await user.save();
+
+    res.json(enrolment);
+  } catch (error) {
+    console.error('Login two-factor setup error:', error.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Second login step: check the TOTP or recovery code and start the session
+ * Users enrolling during login send the first code from their app instead
+ * @route POST /api/auth/login/2fa
+ * @access Public (with login challenge token)
+ */
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const user = await findChallengedUser(challengeToken);
+    if (!user) {
+      return res.status(401).json({ msg: 'Invalid or expired login challenge' });
+    }
+
+    if (isSecondFactorLocked(user)) {
+      return res.status(429).json({ msg: 'Too many invalid two-factor codes. Please try again later.' });
+    }
+
+    let method;
+    let recoveryCodes;
+
+    if (user.twoFactor.enabled) {
+      method = verifySecondFactor(user, { code, recoveryCode });
+    } else {
+      // Enrolling during login: the first code confirms the pending secret
+      recoveryCodes = completeEnrolment(user, code);
+      method = recoveryCodes ? 'totp' : null;
+    }
+
+    if (!method) {
+      const locked = await recordFailedSecondFactor(user);
+      return res.status(locked ? 429 : 401).json({
+        msg: locked ? 'Too many invalid two-factor codes. Please try again later.' : 'Invalid two-factor code'
+      });
+    }
+
+    resetFailedSecondFactor(user);
+    await user.save();
+
+    // Start a session on this device
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+      token,
+      refreshToken,
+      user: formatAuthUser(user),
+      // Shown once, right after enrolment
+      ...(recoveryCodes && { recoveryCodes }),
+      ...(method === 'recovery_code' && { recoveryCodesRemaining: countRecoveryCodes(user) })
+    });
+  } catch (error) {
+    console.error('Login two-factor error:', error.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
 /**
  * Get current user data
  * @route GET /api/auth/me
@@ -191,14 +303,14 @@ exports.verifyToken = (req, res) => {
 };
 
 /**
- * Logout user (invalidate token)
+ * Logout user (revoke the current session)
  * @route POST /api/auth/logout
  * @access Private
  */
 exports.logout = async (req, res) => {
   try {
-    // In a stateless JWT setup, client-side should delete the token
-    // Here we could implement a token blacklist if needed
+    // Revoking the session invalidates its access and refresh tokens
+    await req.authSession.revoke('logout');
     
     res.json({ msg: 'Logged out successfully' });
   } catch (error) {
@@ -208,7 +320,72 @@ exports.logout = async (req, res) => {
 };
 
 /**
- * Refresh JWT token
+ * Logout user from every device
+ * @route POST /api/auth/logout-all
+ * @access Private
+ */
+exports.logoutAll = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'logout_all');
+    
+    res.json({
+      msg: 'Logged out from all devices',
+      revokedSessions: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Get the current user's open sessions
+ * @route GET /api/auth/sessions
+ * @access Private
+ */
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+    
+    res.json(sessions.map(session => formatSession(session, req.authSession)));
+  } catch (error) {
+    console.error('Get sessions error:', error.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions (log out that device)
+ * @route DELETE /api/auth/sessions/:id
+ * @access Private
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      revokedAt: null
+    });
+    
+    if (!session) {
+      return res.status(404).json({ msg: 'Session not found' });
+    }
+    
+    await session.revoke('logout');
+    
+    res.json({ msg: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Refresh JWT token, rotating the refresh token
  * @route POST /api/auth/refresh-token
  * @access Public (with refresh token)
  */
@@ -220,22 +397,16 @@ exports.refreshToken = async (req, res) => {
       return res.status(401).json({ msg: 'No refresh token provided' });
     }
     
-    // Verify refresh token
-    const decoded = jwt.verify(
-      refreshToken, 
-      process.env.REFRESH_TOKEN_SECRET || process.env.JWT_SECRET
-    );
-    
-    // Get user from database
-    const user = await User.findById(decoded.id);
-    if (!user) {
-      return res.status(404).json({ msg: 'User not found' });
+    // The old refresh token stops working once it has been exchanged
+    const result = await rotateRefreshToken(refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({ msg: result.error });
     }
     
-    // Generate new access token
-    const newToken = generateToken(user);
-    
-    res.json({ token: newToken });
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
   } catch (error) {
     console.error('Refresh token error:', error.message);
     res.status(401).json({ msg: 'Invalid or expired refresh token' });
@@ -243,39 +414,146 @@ exports.refreshToken = async (req, res) => {
 };
 
 /**
- * Change password
- * @route PUT /api/auth/password
+ * Get the current user's two-factor status
+ * @route GET /api/auth/2fa
  * @access Private
  */
-exports.changePassword = async (req, res) => {
+exports.getTwoFactorStatus = async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
     
-    // Find user
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({ msg: 'User not found' });
+    res.json({
+      enabled: user.twoFactor.enabled,
+      required: isTwoFactorRequired(user),
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: countRecoveryCodes(user)
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Start two-factor enrolment: returns the secret and otpauth URI for the authenticator app
+ * @route POST /api/auth/2fa/setup
+ * @access Private
+ */
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+    
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({ msg: 'Two-factor authentication is already enabled' });
     }
     
-    // Verify current password
-    const isMatch = await user.comparePassword(currentPassword);
-    if (!isMatch) {
-      return res.status(400).json({ msg: 'Current password is incorrect' });
+    const enrolment = startEnrolment(user);
+    await user.save();
+    
+    res.json(enrolment);
+  } catch (error) {
+    console.error('Setup two-factor error:', error.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Finish enrolment with the first code from the app; returns the recovery codes once
+ * @route POST /api/auth/2fa/verify
+ * @access Private
+ */
+exports.verifyTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+    
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({ msg: 'Two-factor authentication is already enabled' });
     }
     
-    // Update password
-    user.password = newPassword;
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ msg: 'Start two-factor setup first' });
+    }
+    
+    const recoveryCodes = completeEnrolment(user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ msg: 'Invalid two-factor code' });
+    }
+    
+    await user.save();
+    
+    res.json({
+      msg: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Verify two-factor error:', error.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Replace the recovery codes (the old ones stop working)
+ * @route POST /api/auth/2fa/recovery-codes
+ * @access Private
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+    
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is not enabled' });
+    }
+    
+    if (verifySecondFactor(user, { code: req.body.code }) !== 'totp') {
+      return res.status(400).json({ msg: 'Invalid two-factor code' });
+    }
+    
+    const recoveryCodes = issueRecoveryCodes(user);
     await user.save();
     
-    res.json({ msg: 'Password updated successfully' });
+    res.json({ recoveryCodes });
   } catch (error) {
-    console.error('Change password error:', error.message);
+    console.error('Regenerate recovery codes error:', error.message);
     res.status(500).json({ msg: 'Server error' });
   }
 };
 
 /**
- * Request password reset (sends email with reset token)
+ * Turn off two-factor authentication (needs the password and a code)
+ * @route POST /api/auth/2fa/disable
+ * @access Private
+ */
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+    
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is not enabled' });
+    }
+    
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({ msg: 'Two-factor authentication is required for your account' });
+    }
+    
+    const isMatch = await user.comparePassword(password || '');
+    if (!isMatch || !verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(400).json({ msg: 'Invalid password or two-factor code' });
+    }
+    
+    clearTwoFactor(user);
+    await user.save();
+    
+    res.json({ msg: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Disable two-factor error:', error.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Request password reset (emails a single-use reset link)
  * @route POST /api/auth/forgot-password
  * @access Public
  */
@@ -283,28 +561,17 @@ exports.forgotPassword = async (req, res) => {
   try {
     const { email } = req.body;
     
-    // Find user
+    // Only active accounts get a link, but every request gets the same answer
+    // so the response doesn't reveal which emails have accounts
     const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({ msg: 'User not found' });
+    if (user && user.isActive) {
+      // Not awaited: storing the token and waiting on the mail server would make known emails answer slower
+      createPasswordResetToken(user, req)
+        .then(({ resetUrl, expiresInMinutes }) => sendPasswordResetEmail(user, resetUrl, expiresInMinutes))
+        .catch(error => console.error('Password reset token error:', error.message));
     }
     
-    // Generate reset token (would typically send via email)
-    const resetToken = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
-    
-    // In a real app, you would send an email with the reset link
-    // For this example, we'll just return the token
-    
-    res.json({ 
-      msg: 'Password reset instructions sent to your email',
-      // In production, don't return this token in the response
-      // This is just for demonstration
-      resetToken
-    });
+    res.json({ msg: 'If an account exists for that email, password reset instructions have been sent to it' });
   } catch (error) {
     console.error('Forgot password error:', error.message);
     res.status(500).json({ msg: 'Server error' });
@@ -312,7 +579,7 @@ exports.forgotPassword = async (req, res) => {
 };
 
 /**
- * Reset password using token
+ * Reset password using a token from the reset email
  * @route POST /api/auth/reset-password/:token
  * @access Public
  */
@@ -321,29 +588,30 @@ exports.resetPassword = async (req, res) => {
     const { token } = req.params;
     const { password } = req.body;
     
-    if (!token || !password) {
-      return res.status(400).json({ msg: 'Missing required fields' });
+    // The token works once, even if this request fails further on
+    const resetToken = await consumePasswordResetToken(token);
+    if (!resetToken) {
+      return res.status(400).json({ msg: 'Invalid or expired token' });
     }
     
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Find user
-    const user = await User.findById(decoded.id);
-    if (!user) {
-      return res.status(404).json({ msg: 'User not found or token expired' });
+    const user = await User.findById(resetToken.userId);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ msg: 'Invalid or expired token' });
     }
     
     // Update password
     user.password = password;
     await user.save();
     
+    // Any other outstanding links for this account stop working too
+    await PasswordResetToken.deleteMany({ userId: user._id, usedAt: null });
+    
+    // Sign out every device that used the old password
+    await Session.revokeAllForUser(user._id, 'password_reset');
+    
     res.json({ msg: 'Password has been reset successfully' });
   } catch (error) {
     console.error('Reset password error:', error.message);
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      return res.status(401).json({ msg: 'Invalid or expired token' });
-    }
     res.status(500).json({ msg: 'Server error' });
   }
 };
\ No newline at end of file
@@ -0,0 +1,207 @@
+const BreakPolicy = require('../models/breakPolicy');
+const Shift = require('../models/shift');
+const User = require('../models/user');
+const { DEFAULT_BREAK_POLICY } = require('../utils/breakPolicyUtils');
+const { applyUserScope } = require('../utils/permissionUtils');
+
+// Fields an admin may set on a break policy
+const EDITABLE_FIELDS = [
+  'name',
+  'breakTypes',
+  'requiredBreaks',
+  'maxBreaksPerShift',
+  'departments',
+  'isDefault',
+  'isActive'
+];
+
+// Only one policy can be the default
+const clearOtherDefaults = (policy) => {
+  if (!policy.isDefault) return null;
+  return BreakPolicy.updateMany({ _id: { $ne: policy._id }, isDefault: true }, { $set: { isDefault: false } });
+};
+
+/**
+ * Get all break policies
+ * @route GET /api/admin/break-policies
+ * @access Private/Admin
+ */
+exports.getBreakPolicies = async (req, res) => {
+  try {
+    const policies = await BreakPolicy.find().sort({ isDefault: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      data: policies,
+      fallback: DEFAULT_BREAK_POLICY
+    });
+  } catch (error) {
+    console.error('Error in getBreakPolicies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a break policy
+ * @route POST /api/admin/break-policies
+ * @access Private/Admin
+ */
+exports.createBreakPolicy = async (req, res) => {
+  try {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    const policy = new BreakPolicy({
+      ...fields,
+      createdBy: req.user._id
+    });
+
+    await policy.save();
+    await clearOtherDefaults(policy);
+
+    res.status(201).json({
+      success: true,
+      data: policy,
+      message: 'Break policy created successfully'
+    });
+  } catch (error) {
+    console.error('Error in createBreakPolicy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update a break policy
+ * @route PUT /api/admin/break-policies/:id
+ * @access Private/Admin
+ */
+exports.updateBreakPolicy = async (req, res) => {
+  try {
+    const policy = await BreakPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Break policy not found'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) policy[field] = req.body[field];
+    });
+
+    await policy.save();
+    await clearOtherDefaults(policy);
+
+    res.status(200).json({
+      success: true,
+      data: policy,
+      message: 'Break policy updated successfully'
+    });
+  } catch (error) {
+    console.error('Error in updateBreakPolicy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a break policy
+ * @route DELETE /api/admin/break-policies/:id
+ * @access Private/Admin
+ */
+exports.deleteBreakPolicy = async (req, res) => {
+  try {
+    const policy = await BreakPolicy.findByIdAndDelete(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Break policy not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Break policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteBreakPolicy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get shifts that broke their break policy
+ * @route GET /api/admin/break-violations
+ * @access Private/Admin
+ */
+exports.getBreakViolations = async (req, res) => {
+  try {
+    const { startDate, endDate, department, userId, code } = req.query;
+
+    // Default to the last 7 days
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(end.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    const filter = {
+      'startTime.timestamp': { $gte: start, $lte: end },
+      'breakCompliance.violations.0': { $exists: true }
+    };
+    if (code) filter['breakCompliance.violations.code'] = code;
+    if (userId) filter.userId = userId;
+
+    if (department) {
+      const departmentEmployees = await User.find({ department }).select('_id');
+      filter.userId = { $in: departmentEmployees.map(emp => emp._id) };
+    }
+
+    await applyUserScope(req, filter);
+
+    const shifts = await Shift.find(filter)
+      .select('userId startTime endTime breaks breakCompliance')
+      .populate('userId', 'firstName lastName email department employeeId')
+      .sort({ 'startTime.timestamp': -1 });
+
+    const summary = {};
+    shifts.forEach(shift => {
+      shift.breakCompliance.violations.forEach(violation => {
+        summary[violation.code] = (summary[violation.code] || 0) + 1;
+      });
+    });
+
+    res.status(200).json({
+      success: true,
+      count: shifts.length,
+      summary,
+      data: shifts
+    });
+  } catch (error) {
+    console.error('Error in getBreakViolations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = exports;
\ No newline at end of file
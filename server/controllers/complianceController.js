@@ -0,0 +1,255 @@
+const ComplianceRuleSet = require('../models/complianceRuleSet');
+const ComplianceViolation = require('../models/complianceViolation');
+const User = require('../models/user');
+const { DEFAULT_COMPLIANCE_RULES } = require('../utils/complianceUtils');
+const { isUserInScope, applyUserScope } = require('../utils/permissionUtils');
+
+// Fields an admin may set on a compliance rule set
+const EDITABLE_FIELDS = [
+  'name',
+  'minRestHours',
+  'maxShiftHours',
+  'maxWeeklyHours',
+  'averagingWeeks',
+  'minors',
+  'blockOn',
+  'departments',
+  'isDefault',
+  'isActive'
+];
+
+// Only one rule set can be the default
+const clearOtherDefaults = (ruleSet) => {
+  if (!ruleSet.isDefault) return null;
+  return ComplianceRuleSet.updateMany({ _id: { $ne: ruleSet._id }, isDefault: true }, { $set: { isDefault: false } });
+};
+
+/**
+ * Get all compliance rule sets
+ * @route GET /api/admin/compliance/rules
+ * @access Private/Admin
+ */
+exports.getComplianceRuleSets = async (req, res) => {
+  try {
+    const ruleSets = await ComplianceRuleSet.find().sort({ isDefault: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: ruleSets.length,
+      data: ruleSets,
+      fallback: DEFAULT_COMPLIANCE_RULES
+    });
+  } catch (error) {
+    console.error('Error in getComplianceRuleSets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a compliance rule set
+ * @route POST /api/admin/compliance/rules
+ * @access Private/Admin
+ */
+exports.createComplianceRuleSet = async (req, res) => {
+  try {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    const ruleSet = new ComplianceRuleSet({
+      ...fields,
+      createdBy: req.user._id
+    });
+
+    await ruleSet.save();
+    await clearOtherDefaults(ruleSet);
+
+    res.status(201).json({
+      success: true,
+      data: ruleSet,
+      message: 'Compliance rule set created successfully'
+    });
+  } catch (error) {
+    console.error('Error in createComplianceRuleSet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update a compliance rule set
+ * @route PUT /api/admin/compliance/rules/:id
+ * @access Private/Admin
+ */
+exports.updateComplianceRuleSet = async (req, res) => {
+  try {
+    const ruleSet = await ComplianceRuleSet.findById(req.params.id);
+
+    if (!ruleSet) {
+      return res.status(404).json({
+        success: false,
+        error: 'Compliance rule set not found'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) ruleSet[field] = req.body[field];
+    });
+
+    await ruleSet.save();
+    await clearOtherDefaults(ruleSet);
+
+    res.status(200).json({
+      success: true,
+      data: ruleSet,
+      message: 'Compliance rule set updated successfully'
+    });
+  } catch (error) {
+    console.error('Error in updateComplianceRuleSet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a compliance rule set
+ * @route DELETE /api/admin/compliance/rules/:id
+ * @access Private/Admin
+ */
+exports.deleteComplianceRuleSet = async (req, res) => {
+  try {
+    const ruleSet = await ComplianceRuleSet.findByIdAndDelete(req.params.id);
+
+    if (!ruleSet) {
+      return res.status(404).json({
+        success: false,
+        error: 'Compliance rule set not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Compliance rule set deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteComplianceRuleSet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get recorded compliance violations with filtering options
+ * @route GET /api/admin/compliance/violations
+ * @access Private/Admin
+ */
+exports.getComplianceViolations = async (req, res) => {
+  try {
+    const { startDate, endDate, department, userId, code, status, blocked } = req.query;
+
+    const filter = {};
+    if (code) filter.code = code;
+    if (status) filter.status = status;
+    if (blocked !== undefined) filter.blocked = blocked === 'true';
+    if (userId) filter.userId = userId;
+
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    if (department) {
+      const departmentEmployees = await User.find({ department }).select('_id');
+      filter.userId = { $in: departmentEmployees.map(emp => emp._id) };
+    }
+
+    await applyUserScope(req, filter);
+
+    const violations = await ComplianceViolation.find(filter)
+      .populate('userId', 'firstName lastName email department employeeId')
+      .populate('shiftId', 'startTime endTime shiftStatus')
+      .populate('resolvedBy', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: violations.length,
+      data: violations
+    });
+  } catch (error) {
+    console.error('Error in getComplianceViolations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Mark a compliance violation as resolved
+ * @route PUT /api/admin/compliance/violations/:id/resolve
+ * @access Private/Admin
+ */
+exports.resolveComplianceViolation = async (req, res) => {
+  try {
+    const violation = await ComplianceViolation.findById(req.params.id);
+
+    if (!violation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Compliance violation not found'
+      });
+    }
+
+    if (!(await isUserInScope(req, violation.userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Compliance violation belongs to an employee outside your scope'
+      });
+    }
+
+    if (violation.status === 'resolved') {
+      return res.status(409).json({
+        success: false,
+        error: 'Compliance violation has already been resolved'
+      });
+    }
+
+    violation.status = 'resolved';
+    violation.resolvedBy = req.user._id;
+    violation.resolvedAt = new Date();
+    violation.resolutionNote = req.body.note || '';
+    await violation.save();
+
+    res.status(200).json({
+      success: true,
+      data: violation,
+      message: 'Compliance violation resolved'
+    });
+  } catch (error) {
+    console.error('Error in resolveComplianceViolation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = exports;
\ No newline at end of file
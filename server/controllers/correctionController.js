@@ -0,0 +1,342 @@
+const mongoose = require('mongoose');
+const CorrectionRequest = require('../models/correctionRequest');
+const Shift = require('../models/shift');
+const User = require('../models/user');
+const Notification = require('../models/notification');
+const { snapshot, recordAudit } = require('../utils/auditUtils');
+const { getBreakPolicyForUser } = require('../utils/breakPolicyUtils');
+const { isUserInScope, applyUserScope } = require('../utils/permissionUtils');
+
+/**
+ * Request a correction to one of the logged-in user's shifts
+ * @route POST /api/shifts/:id/corrections
+ * @access Private
+ */
+exports.createCorrection = async (req, res) => {
+  try {
+    const { startTime, endTime, breaks, reason } = req.body;
+
+    const shift = await Shift.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shift not found'
+      });
+    }
+
+    // Only one open request per shift, though the employee's own request
+    // replaces one raised by the auto clock-out job
+    const pending = await CorrectionRequest.findOne({ shiftId: shift._id, status: 'pending' });
+    if (pending && pending.source !== 'auto_clockout') {
+      return res.status(409).json({
+        success: false,
+        error: 'A correction request for this shift is already pending'
+      });
+    }
+
+    const correction = new CorrectionRequest({
+      userId: req.user.id,
+      shiftId: shift._id,
+      proposed: { startTime, endTime, breaks },
+      original: CorrectionRequest.snapshotShift(shift),
+      reason
+    });
+
+    // Don't supersede the auto clock-out request with an invalid one
+    await correction.validate();
+
+    if (pending) {
+      pending.status = 'cancelled';
+      pending.reviewComment = 'Superseded by the employee\'s correction request';
+      await pending.save();
+    }
+
+    await correction.save();
+
+    res.status(201).json({
+      success: true,
+      data: correction,
+      message: 'Correction request submitted'
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+    console.error('Error in createCorrection:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the logged-in user's correction requests
+ * @route GET /api/shifts/corrections
+ * @access Private
+ */
+exports.getMyCorrections = async (req, res) => {
+  try {
+    const filter = { userId: req.user.id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const corrections = await CorrectionRequest.find(filter).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: corrections.length,
+      data: corrections
+    });
+  } catch (error) {
+    console.error('Error in getMyCorrections:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Cancel one of the logged-in user's pending correction requests
+ * @route DELETE /api/shifts/corrections/:id
+ * @access Private
+ */
+exports.cancelCorrection = async (req, res) => {
+  try {
+    const correction = await CorrectionRequest.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!correction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Correction request not found'
+      });
+    }
+
+    if (correction.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: `Correction request has already been ${correction.status}`
+      });
+    }
+
+    correction.status = 'cancelled';
+    await correction.save();
+
+    res.status(200).json({
+      success: true,
+      data: correction,
+      message: 'Correction request cancelled'
+    });
+  } catch (error) {
+    console.error('Error in cancelCorrection:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get correction requests for review
+ * @route GET /api/admin/corrections
+ * @access Private/Admin
+ */
+exports.getCorrections = async (req, res) => {
+  try {
+    const { status = 'pending', userId, department, source } = req.query;
+
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (userId) filter.userId = userId;
+    if (source) filter.source = source;
+
+    if (department) {
+      const departmentEmployees = await User.find({ department }).select('_id');
+      filter.userId = { $in: departmentEmployees.map(emp => emp._id) };
+    }
+
+    await applyUserScope(req, filter);
+
+    const corrections = await CorrectionRequest.find(filter)
+      .populate('userId', 'firstName lastName email department employeeId')
+      .populate('reviewedBy', 'firstName lastName')
+      .populate('shiftId', 'shiftStatus autoClosedAt')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: corrections.length,
+      data: corrections
+    });
+  } catch (error) {
+    console.error('Error in getCorrections:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Accept a correction request and apply it to the shift
+ * @route PUT /api/admin/corrections/:id/accept
+ * @access Private/Admin
+ */
+exports.acceptCorrection = async (req, res) => {
+  try {
+    const correction = await CorrectionRequest.findById(req.params.id);
+
+    if (!correction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Correction request not found'
+      });
+    }
+
+    if (!(await isUserInScope(req, correction.userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Correction request belongs to an employee outside your scope'
+      });
+    }
+
+    if (correction.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: `Correction request has already been ${correction.status}`
+      });
+    }
+
+    const shift = await Shift.findById(correction.shiftId);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shift not found'
+      });
+    }
+
+    if (shift.isLocked) {
+      return res.status(423).json({
+        success: false,
+        error: 'Shift is locked by an approved timesheet. Reopen the timesheet first.'
+      });
+    }
+
+    const before = snapshot(shift);
+
+    // Apply the proposed times and recalculate durations
+    // Corrected breaks are paid or unpaid according to the employee's break policy
+    const { startTime, endTime, breaks } = correction.proposed;
+    const employee = breaks ? await User.findById(shift.userId).select('department') : null;
+    shift.applyCorrection({
+      startTime,
+      endTime,
+      breaks: breaks ? breaks.map(b => b.toObject()) : undefined,
+      breakPolicy: employee ? await getBreakPolicyForUser(employee) : undefined
+    });
+    await shift.save();
+
+    correction.status = 'accepted';
+    correction.reviewedBy = req.user._id;
+    correction.reviewedAt = new Date();
+    correction.reviewComment = req.body.comment || '';
+    await correction.save();
+
+    await recordAudit(req, {
+      action: 'shift.correction_applied',
+      targetType: 'Shift',
+      targetId: shift._id,
+      targetUser: shift.userId,
+      before,
+      after: shift,
+      metadata: { correctionRequestId: correction._id, reason: correction.reason }
+    });
+
+    await Notification.createCorrectionReviewedNotification(correction.userId, correction);
+
+    res.status(200).json({
+      success: true,
+      data: { correction, shift },
+      message: 'Correction accepted and applied to the shift'
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+    console.error('Error in acceptCorrection:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Reject a correction request with a comment
+ * @route PUT /api/admin/corrections/:id/reject
+ * @access Private/Admin
+ */
+exports.rejectCorrection = async (req, res) => {
+  try {
+    const correction = await CorrectionRequest.findById(req.params.id);
+
+    if (!correction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Correction request not found'
+      });
+    }
+
+    if (!(await isUserInScope(req, correction.userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Correction request belongs to an employee outside your scope'
+      });
+    }
+
+    if (correction.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: `Correction request has already been ${correction.status}`
+      });
+    }
+
+    correction.status = 'rejected';
+    correction.reviewedBy = req.user._id;
+    correction.reviewedAt = new Date();
+    correction.reviewComment = req.body.comment;
+    await correction.save();
+
+    await Notification.createCorrectionReviewedNotification(correction.userId, correction);
+
+    res.status(200).json({
+      success: true,
+      data: correction,
+      message: 'Correction request rejected'
+    });
+  } catch (error) {
+    console.error('Error in rejectCorrection:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = exports;
\ No newline at end of file
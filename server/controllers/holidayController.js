@@ -0,0 +1,309 @@
+const HolidayCalendar = require('../models/holidayCalendar');
+const { parseIcs } = require('../utils/icsUtils');
+
+// Fields an admin may set on a holiday calendar
+const EDITABLE_FIELDS = ['name', 'region', 'departments', 'workLocations', 'isDefault', 'isActive'];
+
+// Only one calendar can be the default
+const clearOtherDefaults = (calendar) => {
+  if (!calendar.isDefault) return null;
+  return HolidayCalendar.updateMany({ _id: { $ne: calendar._id }, isDefault: true }, { $set: { isDefault: false } });
+};
+
+/**
+ * Get all holiday calendars
+ * @route GET /api/admin/holiday-calendars
+ * @access Private/Admin
+ */
+exports.getHolidayCalendars = async (req, res) => {
+  try {
+    const calendars = await HolidayCalendar.find()
+      .select('-holidays')
+      .populate('workLocations', 'name')
+      .sort({ isDefault: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: calendars.length,
+      data: calendars
+    });
+  } catch (error) {
+    console.error('Error in getHolidayCalendars:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a holiday calendar with its holidays
+ * @route GET /api/admin/holiday-calendars/:id
+ * @access Private/Admin
+ */
+exports.getHolidayCalendarById = async (req, res) => {
+  try {
+    const calendar = await HolidayCalendar.findById(req.params.id)
+      .populate('workLocations', 'name');
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        error: 'Holiday calendar not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: calendar
+    });
+  } catch (error) {
+    console.error('Error in getHolidayCalendarById:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a holiday calendar
+ * @route POST /api/admin/holiday-calendars
+ * @access Private/Admin
+ */
+exports.createHolidayCalendar = async (req, res) => {
+  try {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    const calendar = new HolidayCalendar({
+      ...fields,
+      createdBy: req.user._id
+    });
+
+    await calendar.save();
+    await clearOtherDefaults(calendar);
+
+    res.status(201).json({
+      success: true,
+      data: calendar,
+      message: 'Holiday calendar created successfully'
+    });
+  } catch (error) {
+    console.error('Error in createHolidayCalendar:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update a holiday calendar and its department / work location assignments
+ * @route PUT /api/admin/holiday-calendars/:id
+ * @access Private/Admin
+ */
+exports.updateHolidayCalendar = async (req, res) => {
+  try {
+    const calendar = await HolidayCalendar.findById(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        error: 'Holiday calendar not found'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) calendar[field] = req.body[field];
+    });
+
+    await calendar.save();
+    await clearOtherDefaults(calendar);
+
+    res.status(200).json({
+      success: true,
+      data: calendar,
+      message: 'Holiday calendar updated successfully'
+    });
+  } catch (error) {
+    console.error('Error in updateHolidayCalendar:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a holiday calendar
+ * @route DELETE /api/admin/holiday-calendars/:id
+ * @access Private/Admin
+ */
+exports.deleteHolidayCalendar = async (req, res) => {
+  try {
+    const calendar = await HolidayCalendar.findByIdAndDelete(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        error: 'Holiday calendar not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Holiday calendar deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteHolidayCalendar:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Import holidays from an iCalendar (.ics) file
+ * Accepts the file as a text/calendar body or as { ics } in JSON.
+ * Holidays already on the same day are renamed rather than duplicated.
+ * @route POST /api/admin/holiday-calendars/:id/import
+ * @access Private/Admin
+ */
+exports.importHolidays = async (req, res) => {
+  try {
+    const ics = typeof req.body === 'string' ? req.body : req.body && req.body.ics;
+
+    if (!ics || !ics.includes('BEGIN:VCALENDAR')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Request body must be an iCalendar (.ics) file'
+      });
+    }
+
+    const calendar = await HolidayCalendar.findById(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        error: 'Holiday calendar not found'
+      });
+    }
+
+    const holidays = parseIcs(ics).map(holiday => ({ ...holiday, source: 'ics' }));
+
+    if (holidays.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No events with a start date were found in the file'
+      });
+    }
+
+    const { added, updated } = calendar.mergeHolidays(holidays);
+    await calendar.save();
+
+    res.status(200).json({
+      success: true,
+      data: calendar,
+      added,
+      updated,
+      message: `Imported ${added + updated} holiday(s)`
+    });
+  } catch (error) {
+    console.error('Error in importHolidays:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Add a single holiday to a calendar
+ * @route POST /api/admin/holiday-calendars/:id/holidays
+ * @access Private/Admin
+ */
+exports.addHoliday = async (req, res) => {
+  try {
+    const calendar = await HolidayCalendar.findById(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        error: 'Holiday calendar not found'
+      });
+    }
+
+    const date = new Date(req.body.date);
+    date.setHours(0, 0, 0, 0);
+
+    calendar.mergeHolidays([{ date, name: req.body.name, source: 'manual' }]);
+    await calendar.save();
+
+    res.status(201).json({
+      success: true,
+      data: calendar,
+      message: 'Holiday added successfully'
+    });
+  } catch (error) {
+    console.error('Error in addHoliday:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Remove a holiday from a calendar
+ * @route DELETE /api/admin/holiday-calendars/:id/holidays/:holidayId
+ * @access Private/Admin
+ */
+exports.deleteHoliday = async (req, res) => {
+  try {
+    const calendar = await HolidayCalendar.findById(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        error: 'Holiday calendar not found'
+      });
+    }
+
+    const holiday = calendar.holidays.id(req.params.holidayId);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        error: 'Holiday not found'
+      });
+    }
+
+    holiday.deleteOne();
+    await calendar.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Holiday deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteHoliday:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = exports;
\ No newline at end of file
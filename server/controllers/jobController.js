@@ -0,0 +1,114 @@
+const Job = require('../models/job');
+const { isJobRegistered, runJobNow } = require('../utils/jobScheduler');
+
+/**
+ * Get all recurring jobs with their last run
+ * @route GET /api/admin/jobs
+ * @access Private/Admin
+ */
+exports.getJobs = async (req, res) => {
+  try {
+    const jobs = await Job.find().sort({ name: 1 });
+
+    const data = jobs.map(job => {
+      const { history, ...fields } = job.toObject();
+      return {
+        ...fields,
+        isRunning: job.isRunning,
+        isRegistered: isJobRegistered(job.name),
+        lastRun: history.length > 0 ? history[history.length - 1] : null
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error in getJobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a job with its run history (most recent first)
+ * @route GET /api/admin/jobs/:name
+ * @access Private/Admin
+ */
+exports.getJobByName = async (req, res) => {
+  try {
+    const job = await Job.findOne({ name: req.params.name })
+      .populate('history.triggeredBy', 'firstName lastName email');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    const data = job.toObject();
+    data.history.reverse();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...data,
+        isRunning: job.isRunning,
+        isRegistered: isJobRegistered(job.name)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getJobByName:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Run a job immediately and return the run record
+ * @route POST /api/admin/jobs/:name/run
+ * @access Private/Admin
+ */
+exports.runJob = async (req, res) => {
+  try {
+    if (!isJobRegistered(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    const run = await runJobNow(req.params.name, req.user._id);
+
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job is already running'
+      });
+    }
+
+    res.status(run.status === 'success' ? 200 : 500).json({
+      success: run.status === 'success',
+      data: run,
+      message: run.status === 'success' ? 'Job completed' : `Job failed: ${run.error}`
+    });
+  } catch (error) {
+    console.error('Error in runJob:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = exports;
\ No newline at end of file
@@ -0,0 +1,554 @@
+const User = require('../models/user');
+const Shift = require('../models/shift');
+const PayRate = require('../models/payRate');
+const ShiftDifferential = require('../models/shiftDifferential');
+const LaborBudget = require('../models/laborBudget');
+const { calculateShiftCost } = require('../utils/costUtils');
+const { snapshot, recordAudit } = require('../utils/auditUtils');
+
+// Fields an admin may set on each labour cost setting
+const PAY_RATE_FIELDS = ['position', 'department', 'hourlyRate', 'effectiveFrom', 'note'];
+const DIFFERENTIAL_FIELDS = ['name', 'days', 'startTime', 'endTime', 'premiumType', 'amount', 'departments', 'isActive'];
+const BUDGET_FIELDS = ['department', 'periodStart', 'periodEnd', 'amount', 'notes'];
+
+const pickFields = (body, fields) => {
+  const picked = {};
+  fields.forEach(field => {
+    if (body[field] !== undefined) picked[field] = body[field];
+  });
+  return picked;
+};
+
+/**
+ * Get an employee's personal pay rate history
+ * @route GET /api/admin/users/:id/pay-rates
+ * @access Private/Admin
+ */
+exports.getUserPayRates = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('firstName lastName position department payRates');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: user.payRates.length,
+      data: [...user.payRates].sort((a, b) => b.effectiveFrom - a.effectiveFrom),
+      current: user.getPayRateOn(new Date())
+    });
+  } catch (error) {
+    console.error('Error in getUserPayRates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Add an effective-dated pay rate to an employee
+ * @route POST /api/admin/users/:id/pay-rates
+ * @access Private/Admin
+ */
+exports.addUserPayRate = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const before = snapshot(user);
+    const { hourlyRate, effectiveFrom, note } = req.body;
+
+    user.payRates.push({ hourlyRate, effectiveFrom, note });
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.pay_rate_add',
+      targetType: 'User',
+      targetId: user._id,
+      targetUser: user._id,
+      before,
+      after: user
+    });
+
+    res.status(201).json({
+      success: true,
+      data: user.payRates[user.payRates.length - 1],
+      message: 'Pay rate added successfully'
+    });
+  } catch (error) {
+    console.error('Error in addUserPayRate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Remove a pay rate from an employee
+ * @route DELETE /api/admin/users/:id/pay-rates/:rateId
+ * @access Private/Admin
+ */
+exports.deleteUserPayRate = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const rate = user.payRates.id(req.params.rateId);
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pay rate not found'
+      });
+    }
+
+    const before = snapshot(user);
+
+    rate.deleteOne();
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.pay_rate_delete',
+      targetType: 'User',
+      targetId: user._id,
+      targetUser: user._id,
+      before,
+      after: user
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Pay rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteUserPayRate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get default pay rates for positions and departments
+ * @route GET /api/admin/pay-rates
+ * @access Private/Admin
+ */
+exports.getPayRates = async (req, res) => {
+  try {
+    const { position, department } = req.query;
+
+    const filter = {};
+    if (position) filter.position = position;
+    if (department) filter.department = department;
+
+    const rates = await PayRate.find(filter).sort({ department: 1, position: 1, effectiveFrom: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: rates.length,
+      data: rates
+    });
+  } catch (error) {
+    console.error('Error in getPayRates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a default pay rate for a position and/or department
+ * @route POST /api/admin/pay-rates
+ * @access Private/Admin
+ */
+exports.createPayRate = async (req, res) => {
+  try {
+    const rate = new PayRate({
+      ...pickFields(req.body, PAY_RATE_FIELDS),
+      createdBy: req.user._id
+    });
+
+    await rate.save();
+
+    res.status(201).json({
+      success: true,
+      data: rate,
+      message: 'Pay rate created successfully'
+    });
+  } catch (error) {
+    console.error('Error in createPayRate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update a default pay rate
+ * @route PUT /api/admin/pay-rates/:id
+ * @access Private/Admin
+ */
+exports.updatePayRate = async (req, res) => {
+  try {
+    const rate = await PayRate.findById(req.params.id);
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pay rate not found'
+      });
+    }
+
+    rate.set(pickFields(req.body, PAY_RATE_FIELDS));
+    await rate.save();
+
+    res.status(200).json({
+      success: true,
+      data: rate,
+      message: 'Pay rate updated successfully'
+    });
+  } catch (error) {
+    console.error('Error in updatePayRate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a default pay rate
+ * @route DELETE /api/admin/pay-rates/:id
+ * @access Private/Admin
+ */
+exports.deletePayRate = async (req, res) => {
+  try {
+    const rate = await PayRate.findByIdAndDelete(req.params.id);
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pay rate not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Pay rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deletePayRate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Recalculate the stored cost of completed shifts after rates change
+ * Shifts locked by an approved timesheet keep the cost they were approved with
+ * @route POST /api/admin/pay-rates/recalculate
+ * @access Private/Admin
+ */
+exports.recalculateShiftCosts = async (req, res) => {
+  try {
+    const { startDate, endDate, userId } = req.body;
+
+    const filter = {
+      shiftStatus: 'completed',
+      isLocked: false,
+      'startTime.timestamp': { $gte: new Date(startDate), $lte: new Date(endDate) }
+    };
+    if (userId) filter.userId = userId;
+
+    const shifts = await Shift.find(filter);
+
+    for (const shift of shifts) {
+      shift.cost = await calculateShiftCost(shift);
+      await shift.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      count: shifts.length,
+      message: `Recalculated cost for ${shifts.length} shift(s)`
+    });
+  } catch (error) {
+    console.error('Error in recalculateShiftCosts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get shift differentials
+ * @route GET /api/admin/shift-differentials
+ * @access Private/Admin
+ */
+exports.getShiftDifferentials = async (req, res) => {
+  try {
+    const differentials = await ShiftDifferential.find().sort({ isActive: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: differentials.length,
+      data: differentials
+    });
+  } catch (error) {
+    console.error('Error in getShiftDifferentials:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a shift differential
+ * @route POST /api/admin/shift-differentials
+ * @access Private/Admin
+ */
+exports.createShiftDifferential = async (req, res) => {
+  try {
+    const differential = new ShiftDifferential({
+      ...pickFields(req.body, DIFFERENTIAL_FIELDS),
+      createdBy: req.user._id
+    });
+
+    await differential.save();
+
+    res.status(201).json({
+      success: true,
+      data: differential,
+      message: 'Shift differential created successfully'
+    });
+  } catch (error) {
+    console.error('Error in createShiftDifferential:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update a shift differential
+ * @route PUT /api/admin/shift-differentials/:id
+ * @access Private/Admin
+ */
+exports.updateShiftDifferential = async (req, res) => {
+  try {
+    const differential = await ShiftDifferential.findById(req.params.id);
+
+    if (!differential) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shift differential not found'
+      });
+    }
+
+    differential.set(pickFields(req.body, DIFFERENTIAL_FIELDS));
+    await differential.save();
+
+    res.status(200).json({
+      success: true,
+      data: differential,
+      message: 'Shift differential updated successfully'
+    });
+  } catch (error) {
+    console.error('Error in updateShiftDifferential:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a shift differential
+ * @route DELETE /api/admin/shift-differentials/:id
+ * @access Private/Admin
+ */
+exports.deleteShiftDifferential = async (req, res) => {
+  try {
+    const differential = await ShiftDifferential.findByIdAndDelete(req.params.id);
+
+    if (!differential) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shift differential not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Shift differential deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteShiftDifferential:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get labour budgets
+ * @route GET /api/admin/labor-budgets
+ * @access Private/Admin
+ */
+exports.getLaborBudgets = async (req, res) => {
+  try {
+    const { department } = req.query;
+
+    const filter = {};
+    if (department) filter.department = department;
+
+    const budgets = await LaborBudget.find(filter).sort({ periodStart: -1, department: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: budgets.length,
+      data: budgets
+    });
+  } catch (error) {
+    console.error('Error in getLaborBudgets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a labour budget for a department
+ * @route POST /api/admin/labor-budgets
+ * @access Private/Admin
+ */
+exports.createLaborBudget = async (req, res) => {
+  try {
+    const budget = new LaborBudget({
+      ...pickFields(req.body, BUDGET_FIELDS),
+      createdBy: req.user._id
+    });
+
+    await budget.save();
+
+    res.status(201).json({
+      success: true,
+      data: budget,
+      message: 'Labour budget created successfully'
+    });
+  } catch (error) {
+    console.error('Error in createLaborBudget:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update a labour budget
+ * @route PUT /api/admin/labor-budgets/:id
+ * @access Private/Admin
+ */
+exports.updateLaborBudget = async (req, res) => {
+  try {
+    const budget = await LaborBudget.findById(req.params.id);
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        error: 'Labour budget not found'
+      });
+    }
+
+    budget.set(pickFields(req.body, BUDGET_FIELDS));
+    await budget.save();
+
+    res.status(200).json({
+      success: true,
+      data: budget,
+      message: 'Labour budget updated successfully'
+    });
+  } catch (error) {
+    console.error('Error in updateLaborBudget:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a labour budget
+ * @route DELETE /api/admin/labor-budgets/:id
+ * @access Private/Admin
+ */
+exports.deleteLaborBudget = async (req, res) => {
+  try {
+    const budget = await LaborBudget.findByIdAndDelete(req.params.id);
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        error: 'Labour budget not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Labour budget deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteLaborBudget:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = exports;
\ No newline at end of file
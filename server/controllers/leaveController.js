@@ -0,0 +1,491 @@
+const LeaveRequest = require('../models/leaveRequest');
+const LeaveType = require('../models/leaveType');
+const User = require('../models/user');
+const Notification = require('../models/notification');
+const { snapshot, recordAudit } = require('../utils/auditUtils');
+const { getUserScopeFilter, isUserInScope, applyUserScope } = require('../utils/permissionUtils');
+const {
+  buildLeaveDays,
+  refreshLeaveBalance,
+  getLeaveBalances,
+  findBalanceShortfall
+} = require('../utils/leaveUtils');
+
+// Keep stored balances in step after a request changes status
+const refreshRequestBalances = async (request) => {
+  const [user, leaveType] = await Promise.all([
+    User.findById(request.userId).select('department joinDate createdAt'),
+    LeaveType.findById(request.leaveType)
+  ]);
+  if (!user || !leaveType || !leaveType.tracksBalance) return;
+
+  const years = [...new Set(request.days.map(day => new Date(day.date).getFullYear()))];
+  for (const year of years) {
+    await refreshLeaveBalance(user, leaveType, year);
+  }
+};
+
+/**
+ * Get the leave types employees can request
+ * @route GET /api/leave/types
+ * @access Private
+ */
+exports.getLeaveTypes = async (req, res) => {
+  try {
+    const leaveTypes = await LeaveType.find({ isActive: true })
+      .select('name code description isPaid tracksBalance')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: leaveTypes.length,
+      data: leaveTypes
+    });
+  } catch (error) {
+    console.error('Error in getLeaveTypes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the logged-in user's leave balances for a year
+ * @route GET /api/leave/balances
+ * @access Private
+ */
+exports.getMyLeaveBalances = async (req, res) => {
+  try {
+    const year = req.query.year ? parseInt(req.query.year, 10) : new Date().getFullYear();
+
+    const user = await User.findById(req.user.id).select('department joinDate createdAt');
+    const balances = await getLeaveBalances(user, year);
+
+    res.status(200).json({
+      success: true,
+      count: balances.length,
+      data: balances
+    });
+  } catch (error) {
+    console.error('Error in getMyLeaveBalances:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the logged-in user's leave requests
+ * @route GET /api/leave/requests
+ * @access Private
+ */
+exports.getMyLeaveRequests = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const filter = { userId: req.user.id };
+    if (status) filter.status = status;
+
+    const requests = await LeaveRequest.find(filter)
+      .populate('leaveType', 'name code isPaid')
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ startDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests
+    });
+  } catch (error) {
+    console.error('Error in getMyLeaveRequests:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Request leave for the logged-in user
+ * @route POST /api/leave/requests
+ * @access Private
+ */
+exports.createLeaveRequest = async (req, res) => {
+  try {
+    const { leaveType: leaveTypeId, startDate, endDate, hoursPerDay, reason } = req.body;
+
+    const leaveType = await LeaveType.findOne({ _id: leaveTypeId, isActive: true });
+
+    if (!leaveType) {
+      return res.status(404).json({
+        success: false,
+        error: 'Leave type not found'
+      });
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    const days = buildLeaveDays(start, end, hoursPerDay);
+
+    // Leave can't be booked twice for the same day
+    const overlapping = await LeaveRequest.exists({
+      userId: req.user.id,
+      status: { $in: ['pending', 'approved'] },
+      startDate: { $lte: end },
+      endDate: { $gte: start }
+    });
+
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        error: 'You already have leave requested for some of these days'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('department joinDate createdAt');
+    const shortfall = await findBalanceShortfall(user, leaveType, days, { countPending: true });
+
+    if (shortfall) {
+      return res.status(400).json({
+        success: false,
+        error: `Not enough ${leaveType.name} balance for ${shortfall.year}: ${shortfall.availableHours} hours available, ${shortfall.requestedHours} requested`
+      });
+    }
+
+    const request = new LeaveRequest({
+      userId: req.user.id,
+      leaveType: leaveType._id,
+      startDate: start,
+      endDate: end,
+      days,
+      totalHours: days.reduce((total, day) => total + day.hours, 0),
+      isPaid: leaveType.isPaid,
+      reason
+    });
+
+    await request.save();
+    await refreshRequestBalances(request);
+
+    res.status(201).json({
+      success: true,
+      data: request,
+      message: 'Leave request submitted for approval'
+    });
+  } catch (error) {
+    console.error('Error in createLeaveRequest:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Cancel a pending request, or approved leave that hasn't started yet
+ * @route PUT /api/leave/requests/:id/cancel
+ * @access Private
+ */
+exports.cancelLeaveRequest = async (req, res) => {
+  try {
+    const request = await LeaveRequest.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'Leave request not found'
+      });
+    }
+
+    const cancellable = request.status === 'pending' ||
+      (request.status === 'approved' && request.startDate > new Date());
+
+    if (!cancellable) {
+      return res.status(409).json({
+        success: false,
+        error: request.status === 'approved'
+          ? 'Leave that has already started cannot be cancelled'
+          : `Leave request has already been ${request.status}`
+      });
+    }
+
+    const wasApproved = request.status === 'approved';
+    const before = snapshot(request);
+
+    request.status = 'cancelled';
+    await request.save();
+    await refreshRequestBalances(request);
+
+    // Approved leave already counted towards balances and payroll, so its withdrawal is recorded
+    if (wasApproved) {
+      await recordAudit(req, {
+        action: 'leave.cancel',
+        targetType: 'LeaveRequest',
+        targetId: request._id,
+        targetUser: request.userId,
+        before,
+        after: request
+      });
+
+      if (request.reviewedBy) {
+        await Notification.createLeaveCancelledNotification(
+          request.reviewedBy,
+          request,
+          `${req.user.firstName} ${req.user.lastName}`
+        );
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: request,
+      message: 'Leave request cancelled'
+    });
+  } catch (error) {
+    console.error('Error in cancelLeaveRequest:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get leave requests for approvers with filtering options
+ * @route GET /api/admin/leave/requests
+ * @access Private/Admin
+ */
+exports.getLeaveRequests = async (req, res) => {
+  try {
+    const { status = 'pending', userId, department, startDate, endDate } = req.query;
+
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (userId) filter.userId = userId;
+    if (startDate) filter.endDate = { $gte: new Date(startDate) };
+    if (endDate) filter.startDate = { $lte: new Date(endDate) };
+
+    if (department) {
+      const departmentEmployees = await User.find({ department }).select('_id');
+      filter.userId = { $in: departmentEmployees.map(emp => emp._id) };
+    }
+
+    await applyUserScope(req, filter);
+
+    const requests = await LeaveRequest.find(filter)
+      .populate('userId', 'firstName lastName email department employeeId')
+      .populate('leaveType', 'name code isPaid')
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ startDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests
+    });
+  } catch (error) {
+    console.error('Error in getLeaveRequests:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Approve a pending leave request
+ * @route PUT /api/admin/leave/requests/:id/approve
+ * @access Private/Admin
+ */
+exports.approveLeaveRequest = async (req, res) => {
+  try {
+    const request = await LeaveRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'Leave request not found'
+      });
+    }
+
+    if (!(await isUserInScope(req, request.userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Leave request belongs to an employee outside your scope'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: `Leave request has already been ${request.status}`
+      });
+    }
+
+    // The balance may have been spent since the request was made
+    const [user, leaveType] = await Promise.all([
+      User.findById(request.userId).select('department joinDate createdAt'),
+      LeaveType.findById(request.leaveType)
+    ]);
+    const shortfall = leaveType && await findBalanceShortfall(user, leaveType, request.days);
+
+    if (shortfall) {
+      return res.status(400).json({
+        success: false,
+        error: `Employee only has ${shortfall.availableHours} hours of ${leaveType.name} available for ${shortfall.year}`
+      });
+    }
+
+    const before = snapshot(request);
+
+    request.status = 'approved';
+    request.reviewedBy = req.user._id;
+    request.reviewedAt = new Date();
+    request.reviewComment = req.body.comment || '';
+    await request.save();
+    await refreshRequestBalances(request);
+
+    await recordAudit(req, {
+      action: 'leave.approve',
+      targetType: 'LeaveRequest',
+      targetId: request._id,
+      targetUser: request.userId,
+      before,
+      after: request
+    });
+
+    await Notification.createLeaveReviewedNotification(request.userId, request);
+
+    res.status(200).json({
+      success: true,
+      data: request,
+      message: 'Leave request approved'
+    });
+  } catch (error) {
+    console.error('Error in approveLeaveRequest:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Reject a pending leave request with a comment
+ * @route PUT /api/admin/leave/requests/:id/reject
+ * @access Private/Admin
+ */
+exports.rejectLeaveRequest = async (req, res) => {
+  try {
+    const request = await LeaveRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'Leave request not found'
+      });
+    }
+
+    if (!(await isUserInScope(req, request.userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Leave request belongs to an employee outside your scope'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: `Leave request has already been ${request.status}`
+      });
+    }
+
+    const before = snapshot(request);
+
+    request.status = 'rejected';
+    request.reviewedBy = req.user._id;
+    request.reviewedAt = new Date();
+    request.reviewComment = req.body.comment;
+    await request.save();
+    await refreshRequestBalances(request);
+
+    await recordAudit(req, {
+      action: 'leave.reject',
+      targetType: 'LeaveRequest',
+      targetId: request._id,
+      targetUser: request.userId,
+      before,
+      after: request
+    });
+
+    await Notification.createLeaveReviewedNotification(request.userId, request);
+
+    res.status(200).json({
+      success: true,
+      data: request,
+      message: 'Leave request rejected'
+    });
+  } catch (error) {
+    console.error('Error in rejectLeaveRequest:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get leave balances for one employee or a department
+ * @route GET /api/admin/leave/balances
+ * @access Private/Admin
+ */
+exports.getLeaveBalancesReport = async (req, res) => {
+  try {
+    const { userId, department } = req.query;
+    const year = req.query.year ? parseInt(req.query.year, 10) : new Date().getFullYear();
+
+    const filter = { isActive: true };
+    if (userId) filter._id = userId;
+    if (department) filter.department = department;
+
+    const users = await User.find({ $and: [filter, await getUserScopeFilter(req)] })
+      .select('firstName lastName employeeId department joinDate createdAt')
+      .sort({ lastName: 1, firstName: 1 });
+
+    const data = [];
+    for (const user of users) {
+      data.push({
+        userId: user._id,
+        name: `${user.firstName} ${user.lastName}`,
+        employeeId: user.employeeId,
+        department: user.department,
+        balances: await getLeaveBalances(user, year)
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      year,
+      data
+    });
+  } catch (error) {
+    console.error('Error in getLeaveBalancesReport:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = exports;
\ No newline at end of file
@@ -0,0 +1,303 @@
+const LeaveType = require('../models/leaveType');
+const LeavePolicy = require('../models/leavePolicy');
+const LeaveRequest = require('../models/leaveRequest');
+
+// Fields an admin may set on leave types and policies
+const LEAVE_TYPE_FIELDS = ['name', 'code', 'description', 'isPaid', 'tracksBalance', 'isActive'];
+const LEAVE_POLICY_FIELDS = [
+  'name',
+  'leaveType',
+  'accrualMethod',
+  'accrualHours',
+  'perHoursWorked',
+  'maxBalanceHours',
+  'carryOverHours',
+  'departments',
+  'employees',
+  'isDefault',
+  'isActive'
+];
+
+const pickFields = (body, fields) => {
+  const picked = {};
+  fields.forEach(field => {
+    if (body[field] !== undefined) picked[field] = body[field];
+  });
+  return picked;
+};
+
+// Only one policy per leave type can be the default
+const clearOtherDefaults = (policy) => {
+  if (!policy.isDefault) return null;
+  return LeavePolicy.updateMany(
+    { _id: { $ne: policy._id }, leaveType: policy.leaveType, isDefault: true },
+    { $set: { isDefault: false } }
+  );
+};
+
+/**
+ * Get all leave types
+ * @route GET /api/admin/leave/types
+ * @access Private/Admin
+ */
+exports.getLeaveTypes = async (req, res) => {
+  try {
+    const leaveTypes = await LeaveType.find().sort({ isActive: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: leaveTypes.length,
+      data: leaveTypes
+    });
+  } catch (error) {
+    console.error('Error in getLeaveTypes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a leave type
+ * @route POST /api/admin/leave/types
+ * @access Private/Admin
+ */
+exports.createLeaveType = async (req, res) => {
+  try {
+    const leaveType = new LeaveType({
+      ...pickFields(req.body, LEAVE_TYPE_FIELDS),
+      createdBy: req.user._id
+    });
+
+    await leaveType.save();
+
+    res.status(201).json({
+      success: true,
+      data: leaveType,
+      message: 'Leave type created successfully'
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'A leave type with this name or code already exists'
+      });
+    }
+    console.error('Error in createLeaveType:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update a leave type
+ * @route PUT /api/admin/leave/types/:id
+ * @access Private/Admin
+ */
+exports.updateLeaveType = async (req, res) => {
+  try {
+    const leaveType = await LeaveType.findById(req.params.id);
+
+    if (!leaveType) {
+      return res.status(404).json({
+        success: false,
+        error: 'Leave type not found'
+      });
+    }
+
+    leaveType.set(pickFields(req.body, LEAVE_TYPE_FIELDS));
+    await leaveType.save();
+
+    res.status(200).json({
+      success: true,
+      data: leaveType,
+      message: 'Leave type updated successfully'
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'A leave type with this name or code already exists'
+      });
+    }
+    console.error('Error in updateLeaveType:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a leave type that has never been requested
+ * @route DELETE /api/admin/leave/types/:id
+ * @access Private/Admin
+ */
+exports.deleteLeaveType = async (req, res) => {
+  try {
+    const leaveType = await LeaveType.findById(req.params.id);
+
+    if (!leaveType) {
+      return res.status(404).json({
+        success: false,
+        error: 'Leave type not found'
+      });
+    }
+
+    // Past requests still refer to it, so it can only be deactivated
+    if (await LeaveRequest.exists({ leaveType: leaveType._id })) {
+      return res.status(409).json({
+        success: false,
+        error: 'Leave type has been requested; deactivate it instead'
+      });
+    }
+
+    await leaveType.deleteOne();
+    await LeavePolicy.deleteMany({ leaveType: leaveType._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Leave type deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteLeaveType:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get all leave policies
+ * @route GET /api/admin/leave/policies
+ * @access Private/Admin
+ */
+exports.getLeavePolicies = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.leaveType) filter.leaveType = req.query.leaveType;
+
+    const policies = await LeavePolicy.find(filter)
+      .populate('leaveType', 'name code')
+      .populate('employees', 'firstName lastName email department employeeId')
+      .sort({ isDefault: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      data: policies
+    });
+  } catch (error) {
+    console.error('Error in getLeavePolicies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a leave policy
+ * @route POST /api/admin/leave/policies
+ * @access Private/Admin
+ */
+exports.createLeavePolicy = async (req, res) => {
+  try {
+    const policy = new LeavePolicy({
+      ...pickFields(req.body, LEAVE_POLICY_FIELDS),
+      createdBy: req.user._id
+    });
+
+    await policy.save();
+    await clearOtherDefaults(policy);
+
+    res.status(201).json({
+      success: true,
+      data: policy,
+      message: 'Leave policy created successfully'
+    });
+  } catch (error) {
+    console.error('Error in createLeavePolicy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update a leave policy
+ * @route PUT /api/admin/leave/policies/:id
+ * @access Private/Admin
+ */
+exports.updateLeavePolicy = async (req, res) => {
+  try {
+    const policy = await LeavePolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Leave policy not found'
+      });
+    }
+
+    policy.set(pickFields(req.body, LEAVE_POLICY_FIELDS));
+    await policy.save();
+    await clearOtherDefaults(policy);
+
+    res.status(200).json({
+      success: true,
+      data: policy,
+      message: 'Leave policy updated successfully'
+    });
+  } catch (error) {
+    console.error('Error in updateLeavePolicy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a leave policy
+ * @route DELETE /api/admin/leave/policies/:id
+ * @access Private/Admin
+ */
+exports.deleteLeavePolicy = async (req, res) => {
+  try {
+    const policy = await LeavePolicy.findByIdAndDelete(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Leave policy not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Leave policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteLeavePolicy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = exports;
\ No newline at end of file
@@ -0,0 +1,213 @@
+const OvertimeRule = require('../models/overtimeRule');
+const User = require('../models/user');
+const { DEFAULT_OVERTIME_RULE, getPayBuckets, toPayHours } = require('../utils/overtimeUtils');
+const { scopeUserIds } = require('../utils/permissionUtils');
+
+// Fields an admin may set on an overtime rule
+const EDITABLE_FIELDS = [
+  'name',
+  'dailyOvertimeHours',
+  'dailyDoubleTimeHours',
+  'weeklyOvertimeHours',
+  'consecutiveDayNumber',
+  'consecutiveDayDoubleTimeHours',
+  'departments',
+  'employees',
+  'isDefault',
+  'isActive'
+];
+
+// Only one rule can be the default
+const clearOtherDefaults = (rule) => {
+  if (!rule.isDefault) return null;
+  return OvertimeRule.updateMany({ _id: { $ne: rule._id }, isDefault: true }, { $set: { isDefault: false } });
+};
+
+/**
+ * Get all overtime rules
+ * @route GET /api/admin/overtime-rules
+ * @access Private/Admin
+ */
+exports.getOvertimeRules = async (req, res) => {
+  try {
+    const rules = await OvertimeRule.find()
+      .populate('employees', 'firstName lastName email department employeeId')
+      .sort({ isDefault: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules,
+      fallback: DEFAULT_OVERTIME_RULE
+    });
+  } catch (error) {
+    console.error('Error in getOvertimeRules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create an overtime rule
+ * @route POST /api/admin/overtime-rules
+ * @access Private/Admin
+ */
+exports.createOvertimeRule = async (req, res) => {
+  try {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    const rule = new OvertimeRule({
+      ...fields,
+      createdBy: req.user._id
+    });
+
+    await rule.save();
+    await clearOtherDefaults(rule);
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: 'Overtime rule created successfully'
+    });
+  } catch (error) {
+    console.error('Error in createOvertimeRule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update an overtime rule
+ * @route PUT /api/admin/overtime-rules/:id
+ * @access Private/Admin
+ */
+exports.updateOvertimeRule = async (req, res) => {
+  try {
+    const rule = await OvertimeRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Overtime rule not found'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+
+    await rule.save();
+    await clearOtherDefaults(rule);
+
+    res.status(200).json({
+      success: true,
+      data: rule,
+      message: 'Overtime rule updated successfully'
+    });
+  } catch (error) {
+    console.error('Error in updateOvertimeRule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete an overtime rule
+ * @route DELETE /api/admin/overtime-rules/:id
+ * @access Private/Admin
+ */
+exports.deleteOvertimeRule = async (req, res) => {
+  try {
+    const rule = await OvertimeRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Overtime rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Overtime rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteOvertimeRule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the regular / overtime / double time split per employee for a period
+ * @route GET /api/admin/overtime
+ * @access Private/Admin
+ */
+exports.getOvertimeReport = async (req, res) => {
+  try {
+    const { startDate, endDate, department, userId } = req.query;
+
+    // Default to the last 7 days
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(end.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    let userIds;
+    if (userId) {
+      userIds = [userId];
+    } else if (department) {
+      const departmentEmployees = await User.find({ department }).select('_id');
+      userIds = departmentEmployees.map(emp => emp._id);
+    }
+    userIds = await scopeUserIds(req, userIds);
+
+    const payBuckets = await getPayBuckets({ start, end, userIds });
+
+    const employees = await User.find({ _id: { $in: [...payBuckets.byUser.keys()] } })
+      .select('firstName lastName employeeId department');
+    const employeeMap = new Map(employees.map(emp => [emp._id.toString(), emp]));
+
+    const byEmployee = [...payBuckets.byUser.entries()].map(([key, totals]) => {
+      const employee = employeeMap.get(key);
+      return {
+        userId: key,
+        name: employee ? `${employee.firstName} ${employee.lastName}` : 'Unknown',
+        employeeId: employee ? employee.employeeId : null,
+        department: employee ? employee.department : null,
+        ...toPayHours(totals)
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        period: { start, end },
+        totals: toPayHours(payBuckets.totals),
+        byEmployee
+      }
+    });
+  } catch (error) {
+    console.error('Error in getOvertimeReport:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = exports;
\ No newline at end of file
@@ -0,0 +1,178 @@
+const moment = require('moment');
+const PayrollSnapshot = require('../models/payrollSnapshot');
+const { buildPayrollSnapshot, createPayrollSnapshot } = require('../utils/payrollUtils');
+const { getPayrollAdapter, getPayrollFormats } = require('../utils/payrollAdapters');
+
+/**
+ * Export approved hours for a pay period in a payroll import format
+ * With snapshotId the stored snapshot is exported unchanged and the export is recorded on it;
+ * without it the hours for startDate/endDate are computed for a preview and nothing is stored
+ * @route GET /api/admin/export/payroll/:format
+ * @access Private/Admin
+ */
+exports.exportPayroll = async (req, res) => {
+  try {
+    const { format } = req.params;
+    const { startDate, endDate, department, snapshotId } = req.query;
+
+    const adapter = getPayrollAdapter(format);
+    if (!adapter) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown payroll format. Available formats: ${getPayrollFormats().join(', ')}`
+      });
+    }
+
+    let snapshot;
+    if (snapshotId) {
+      snapshot = await PayrollSnapshot.findById(snapshotId);
+
+      if (!snapshot) {
+        return res.status(404).json({
+          success: false,
+          error: 'Payroll snapshot not found'
+        });
+      }
+    } else {
+      if (!startDate || !endDate) {
+        return res.status(400).json({
+          success: false,
+          error: 'startDate and endDate are required unless a snapshotId is given'
+        });
+      }
+
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+
+      snapshot = await buildPayrollSnapshot({
+        start: new Date(startDate),
+        end,
+        department,
+        createdBy: req.user._id
+      });
+    }
+
+    // Re-exports reuse the settings of the first export in this format
+    const previousExport = snapshot.exports.find(entry => entry.format === format);
+    const settings = previousExport ? previousExport.settings : (adapter.settings ? adapter.settings() : null);
+
+    const content = adapter.render(snapshot, settings || undefined);
+
+    // Only exports of stored snapshots are recorded
+    if (snapshotId) {
+      snapshot.exports.push({ format, exportedBy: req.user._id, settings });
+      await snapshot.save();
+      res.setHeader('X-Payroll-Snapshot-Id', snapshot._id.toString());
+    }
+
+    const fileName = `payroll_${moment(snapshot.periodStart).format('YYYY-MM-DD')}_${moment(snapshot.periodEnd).format('YYYY-MM-DD')}_${format}.${adapter.extension}`;
+
+    res.setHeader('Content-Type', adapter.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+
+    res.status(200).send(content);
+  } catch (error) {
+    console.error('Error in exportPayroll:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Take and store a pay-period snapshot of approved hours, to be exported with snapshotId
+ * @route POST /api/admin/payroll/snapshots
+ * @access Private/Admin
+ */
+exports.createPayrollSnapshot = async (req, res) => {
+  try {
+    const { startDate, endDate, department } = req.body;
+
+    const end = new Date(endDate);
+    end.setHours(23, 59, 59, 999);
+
+    const snapshot = await createPayrollSnapshot({
+      start: new Date(startDate),
+      end,
+      department,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: snapshot,
+      message: 'Payroll snapshot created'
+    });
+  } catch (error) {
+    console.error('Error in createPayrollSnapshot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get stored pay-period snapshots (without employee lines)
+ * @route GET /api/admin/payroll/snapshots
+ * @access Private/Admin
+ */
+exports.getPayrollSnapshots = async (req, res) => {
+  try {
+    const snapshots = await PayrollSnapshot.find()
+      .select('-employees')
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: snapshots.length,
+      formats: getPayrollFormats(),
+      data: snapshots
+    });
+  } catch (error) {
+    console.error('Error in getPayrollSnapshots:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a pay-period snapshot with its per-employee earnings
+ * @route GET /api/admin/payroll/snapshots/:id
+ * @access Private/Admin
+ */
+exports.getPayrollSnapshotById = async (req, res) => {
+  try {
+    const snapshot = await PayrollSnapshot.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName email')
+      .populate('exports.exportedBy', 'firstName lastName email');
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payroll snapshot not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: snapshot
+    });
+  } catch (error) {
+    console.error('Error in getPayrollSnapshotById:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = exports;
\ No newline at end of file
@@ -0,0 +1,215 @@
+const Project = require('../models/project');
+const Shift = require('../models/shift');
+
+// Fields an admin may set on a catalogue entry
+const EDITABLE_FIELDS = [
+  'name',
+  'code',
+  'type',
+  'client',
+  'costCentre',
+  'description',
+  'departments',
+  'isActive'
+];
+
+/**
+ * Check that a project's client and cost centre point at entries of the right type
+ * @param {Object} project - Project being saved
+ * @returns {Promise<String|null>} Error message, or null when valid
+ */
+const checkReferences = async (project) => {
+  if (project.client) {
+    const client = await Project.findById(project.client);
+    if (!client || client.type !== 'client') return 'Client not found';
+  }
+
+  if (project.costCentre) {
+    const costCentre = await Project.findById(project.costCentre);
+    if (!costCentre || costCentre.type !== 'cost_centre') return 'Cost centre not found';
+  }
+
+  return null;
+};
+
+/**
+ * Get the project, client and cost centre catalogue
+ * @route GET /api/admin/projects
+ * @access Private/Admin
+ */
+exports.getProjects = async (req, res) => {
+  try {
+    const { type, department, isActive } = req.query;
+
+    const filter = {};
+    if (type) filter.type = type;
+    if (department) filter.departments = department;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const projects = await Project.find(filter)
+      .populate('client', 'name code')
+      .populate('costCentre', 'name code')
+      .sort({ type: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: projects.length,
+      data: projects
+    });
+  } catch (error) {
+    console.error('Error in getProjects:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Add a project, client or cost centre
+ * @route POST /api/admin/projects
+ * @access Private/Admin
+ */
+exports.createProject = async (req, res) => {
+  try {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    if (await Project.exists({ code: String(fields.code).toUpperCase() })) {
+      return res.status(400).json({
+        success: false,
+        error: 'A project with this code already exists'
+      });
+    }
+
+    const project = new Project({
+      ...fields,
+      createdBy: req.user._id
+    });
+
+    const referenceError = await checkReferences(project);
+    if (referenceError) {
+      return res.status(400).json({
+        success: false,
+        error: referenceError
+      });
+    }
+
+    await project.save();
+
+    res.status(201).json({
+      success: true,
+      data: project,
+      message: 'Project created successfully'
+    });
+  } catch (error) {
+    console.error('Error in createProject:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update a project, client or cost centre
+ * @route PUT /api/admin/projects/:id
+ * @access Private/Admin
+ */
+exports.updateProject = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) project[field] = req.body[field];
+    });
+
+    if (project.isModified('code') && await Project.exists({ _id: { $ne: project._id }, code: project.code })) {
+      return res.status(400).json({
+        success: false,
+        error: 'A project with this code already exists'
+      });
+    }
+
+    const referenceError = await checkReferences(project);
+    if (referenceError) {
+      return res.status(400).json({
+        success: false,
+        error: referenceError
+      });
+    }
+
+    await project.save();
+
+    res.status(200).json({
+      success: true,
+      data: project,
+      message: 'Project updated successfully'
+    });
+  } catch (error) {
+    console.error('Error in updateProject:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a catalogue entry that no time or project refers to
+ * Entries already in use should be deactivated instead
+ * @route DELETE /api/admin/projects/:id
+ * @access Private/Admin
+ */
+exports.deleteProject = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found'
+      });
+    }
+
+    const [bookedShift, linkedProject] = await Promise.all([
+      Shift.exists({ $or: [{ 'segments.projectId': project._id }, { 'segments.costCentreId': project._id }] }),
+      Project.exists({ $or: [{ client: project._id }, { costCentre: project._id }] })
+    ]);
+
+    if (bookedShift || linkedProject) {
+      return res.status(409).json({
+        success: false,
+        error: 'Project is in use. Deactivate it instead.'
+      });
+    }
+
+    await project.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Project deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteProject:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = exports;
\ No newline at end of file
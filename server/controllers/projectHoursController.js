@@ -0,0 +1,103 @@
+const Shift = require('../models/shift');
+const User = require('../models/user');
+const { getJobKey, getSegmentAllocation, summarizeJobHours } = require('../utils/segmentUtils');
+const { applyUserScope } = require('../utils/permissionUtils');
+
+/**
+ * Get hours worked per project, job and cost code with a per-employee split
+ * @route GET /api/admin/reports/project-hours
+ * @access Private/Admin
+ */
+exports.getProjectHoursReport = async (req, res) => {
+  try {
+    const { startDate, endDate, department, userId, project } = req.query;
+
+    // Default to the last 7 days
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(end.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    const filter = {
+      shiftStatus: 'completed',
+      'startTime.timestamp': { $gte: start, $lte: end }
+    };
+
+    if (userId) {
+      filter.userId = userId;
+    } else if (department) {
+      const departmentEmployees = await User.find({ department }).select('_id');
+      filter.userId = { $in: departmentEmployees.map(emp => emp._id) };
+    }
+
+    await applyUserScope(req, filter);
+
+    const shifts = await Shift.find(filter)
+      .populate('userId', 'firstName lastName employeeId department');
+
+    // Split every job's hours between the employees who worked on it
+    const employeesByJob = new Map();
+    shifts.forEach(shift => {
+      const employee = shift.userId;
+      if (!employee) return;
+
+      getSegmentAllocation(shift).forEach(entry => {
+        const key = getJobKey(entry);
+        if (!employeesByJob.has(key)) employeesByJob.set(key, new Map());
+
+        const employees = employeesByJob.get(key);
+        const employeeKey = employee._id.toString();
+        if (!employees.has(employeeKey)) {
+          employees.set(employeeKey, {
+            userId: employee._id,
+            name: `${employee.firstName} ${employee.lastName}`,
+            employeeId: employee.employeeId,
+            department: employee.department,
+            workMinutes: 0,
+            payableMinutes: 0
+          });
+        }
+
+        const totals = employees.get(employeeKey);
+        totals.workMinutes += entry.workMinutes;
+        totals.payableMinutes += entry.payableMinutes;
+      });
+    });
+
+    let jobs = summarizeJobHours(shifts.filter(shift => shift.userId));
+    if (project) {
+      jobs = jobs.filter(job => job.project === project);
+    }
+
+    const data = jobs.map(job => ({
+      ...job,
+      employees: [...(employeesByJob.get(getJobKey(job)) || new Map()).values()]
+        .map(({ workMinutes, payableMinutes, ...employee }) => ({
+          ...employee,
+          workHours: parseFloat((workMinutes / 60).toFixed(2)),
+          payableHours: parseFloat((payableMinutes / 60).toFixed(2))
+        }))
+        .sort((a, b) => b.workHours - a.workHours)
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data: {
+        period: { start, end },
+        totals: {
+          workHours: parseFloat(data.reduce((total, job) => total + job.workHours, 0).toFixed(2)),
+          payableHours: parseFloat(data.reduce((total, job) => total + job.payableHours, 0).toFixed(2))
+        },
+        projects: data
+      }
+    });
+  } catch (error) {
+    console.error('Error in getProjectHoursReport:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = exports;
\ No newline at end of file
@@ -0,0 +1,190 @@
+const Role = require('../models/role');
+const User = require('../models/user');
+const { PERMISSIONS, BUILT_IN_ROLES } = require('../config/permissions');
+const { snapshot, recordAudit } = require('../utils/auditUtils');
+
+// Fields an admin may set on a custom role (the name is fixed once users hold it)
+const EDITABLE_FIELDS = ['description', 'permissions'];
+
+/**
+ * Get built-in and custom roles with the permission catalogue
+ * @route GET /api/admin/roles
+ * @access Private/Admin
+ */
+exports.getRoles = async (req, res) => {
+  try {
+    const customRoles = await Role.find().sort({ name: 1 });
+
+    const builtIn = Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({
+      name,
+      description: role.description,
+      permissions: role.permissions,
+      builtIn: true
+    }));
+
+    const custom = customRoles.map(role => ({
+      ...role.toObject(),
+      builtIn: false
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: builtIn.length + custom.length,
+      data: [...builtIn, ...custom],
+      permissions: PERMISSIONS
+    });
+  } catch (error) {
+    console.error('Error in getRoles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a custom role
+ * @route POST /api/admin/roles
+ * @access Private/Admin
+ */
+exports.createRole = async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Role name is required'
+      });
+    }
+
+    if (BUILT_IN_ROLES[name] || await Role.exists({ name })) {
+      return res.status(400).json({
+        success: false,
+        error: 'A role with this name already exists'
+      });
+    }
+
+    const role = new Role({ name, createdBy: req.user._id });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) role[field] = req.body[field];
+    });
+
+    await role.save();
+
+    await recordAudit(req, {
+      action: 'role.create',
+      targetType: 'Role',
+      targetId: role._id,
+      after: role
+    });
+
+    res.status(201).json({
+      success: true,
+      data: role,
+      message: 'Role created successfully'
+    });
+  } catch (error) {
+    console.error('Error in createRole:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update a custom role's description and permissions
+ * @route PUT /api/admin/roles/:id
+ * @access Private/Admin
+ */
+exports.updateRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    const before = snapshot(role);
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) role[field] = req.body[field];
+    });
+
+    await role.save();
+
+    await recordAudit(req, {
+      action: 'role.update',
+      targetType: 'Role',
+      targetId: role._id,
+      before,
+      after: role
+    });
+
+    res.status(200).json({
+      success: true,
+      data: role,
+      message: 'Role updated successfully'
+    });
+  } catch (error) {
+    console.error('Error in updateRole:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a custom role that no user holds
+ * @route DELETE /api/admin/roles/:id
+ * @access Private/Admin
+ */
+exports.deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    const holders = await User.countDocuments({ role: role.name });
+    if (holders > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Role is assigned to ${holders} user(s)`
+      });
+    }
+
+    await role.deleteOne();
+
+    await recordAudit(req, {
+      action: 'role.delete',
+      targetType: 'Role',
+      targetId: role._id,
+      before: role
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteRole:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,360 @@
+const mongoose = require('mongoose');
+const ScheduledShift = require('../models/scheduledShift');
+const User = require('../models/user');
+const Notification = require('../models/notification');
+const { getWeekBounds } = require('../utils/timeUtils');
+const { isUserInScope, applyUserScope } = require('../utils/permissionUtils');
+
+// Fields an admin may change on an existing scheduled shift
+const EDITABLE_FIELDS = ['plannedStart', 'plannedEnd', 'plannedLocation', 'role', 'department', 'status', 'notes'];
+
+// Move a date by whole calendar days, keeping its wall-clock time across DST changes
+const addDays = (date, days) => {
+  const moved = new Date(date);
+  moved.setDate(moved.getDate() + days);
+  return moved;
+};
+
+/**
+ * Get scheduled shifts (roster) with filtering options
+ * @route GET /api/admin/schedules
+ * @access Private/Admin
+ */
+exports.getSchedules = async (req, res) => {
+  try {
+    const { weekStart, startDate, endDate, userId, department, status } = req.query;
+
+    // Build filter object
+    const filter = {};
+
+    if (weekStart) {
+      const { start, end } = getWeekBounds(new Date(weekStart));
+      filter.plannedStart = { $gte: start, $lte: end };
+    } else if (startDate || endDate) {
+      filter.plannedStart = {};
+      if (startDate) filter.plannedStart.$gte = new Date(startDate);
+      if (endDate) filter.plannedStart.$lte = new Date(endDate);
+    }
+
+    if (userId) filter.userId = userId;
+    if (department) filter.department = department;
+    if (status) filter.status = status;
+
+    await applyUserScope(req, filter);
+
+    const schedules = await ScheduledShift.find(filter)
+      .populate('userId', 'firstName lastName email department employeeId')
+      .sort({ plannedStart: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: schedules.length,
+      data: schedules
+    });
+  } catch (error) {
+    console.error('Error in getSchedules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a scheduled shift for an employee
+ * @route POST /api/admin/schedules
+ * @access Private/Admin
+ */
+exports.createSchedule = async (req, res) => {
+  try {
+    const {
+      userId,
+      plannedStart,
+      plannedEnd,
+      plannedLocation,
+      role,
+      department,
+      notes
+    } = req.body;
+
+    // Validate employee exists
+    const employee = await User.findById(userId);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Employee not found'
+      });
+    }
+
+    if (!(await isUserInScope(req, employee._id))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Employee is outside your scope'
+      });
+    }
+
+    // Default department and role from the employee record
+    const schedule = new ScheduledShift({
+      userId,
+      plannedStart,
+      plannedEnd,
+      plannedLocation,
+      role: role || employee.position || '',
+      department: department || employee.department,
+      notes,
+      createdBy: req.user._id
+    });
+
+    await schedule.save();
+
+    res.status(201).json({
+      success: true,
+      data: schedule,
+      message: 'Scheduled shift created successfully'
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+    console.error('Error in createSchedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update a scheduled shift
+ * @route PUT /api/admin/schedules/:id
+ * @access Private/Admin
+ */
+exports.updateSchedule = async (req, res) => {
+  try {
+    const schedule = await ScheduledShift.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scheduled shift not found'
+      });
+    }
+
+    if (!(await isUserInScope(req, schedule.userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Scheduled shift belongs to an employee outside your scope'
+      });
+    }
+
+    // Only apply whitelisted fields
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        schedule[field] = req.body[field];
+      }
+    });
+
+    // Publishing a single shift through an edit stamps it like a week publish
+    if (schedule.isModified('status') && schedule.status === 'published') {
+      schedule.publishedAt = new Date();
+    }
+
+    await schedule.save();
+
+    res.status(200).json({
+      success: true,
+      data: schedule,
+      message: 'Scheduled shift updated successfully'
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+    console.error('Error in updateSchedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a scheduled shift
+ * @route DELETE /api/admin/schedules/:id
+ * @access Private/Admin
+ */
+exports.deleteSchedule = async (req, res) => {
+  try {
+    const schedule = await ScheduledShift.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scheduled shift not found'
+      });
+    }
+
+    if (!(await isUserInScope(req, schedule.userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Scheduled shift belongs to an employee outside your scope'
+      });
+    }
+
+    await schedule.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled shift deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteSchedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Copy a week's roster into another week as draft shifts
+ * @route POST /api/admin/schedules/copy
+ * @access Private/Admin
+ */
+exports.copyWeek = async (req, res) => {
+  try {
+    const { fromWeek, toWeek, department } = req.body;
+
+    const source = getWeekBounds(new Date(fromWeek));
+    const target = getWeekBounds(new Date(toWeek));
+
+    if (source.start.getTime() === target.start.getTime()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Source and target week must be different'
+      });
+    }
+
+    // Find the source week's shifts (cancelled ones are not carried over)
+    const filter = {
+      plannedStart: { $gte: source.start, $lte: source.end },
+      status: { $ne: 'cancelled' }
+    };
+    if (department) filter.department = department;
+
+    await applyUserScope(req, filter);
+
+    const sourceShifts = await ScheduledShift.find(filter);
+
+    if (sourceShifts.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No scheduled shifts found in the source week'
+      });
+    }
+
+    // Shift every slot by the number of calendar days between the two weeks
+    const dayOffset = Math.round((target.start - source.start) / (24 * 60 * 60 * 1000));
+
+    const copies = sourceShifts.map(shift => ({
+      userId: shift.userId,
+      department: shift.department,
+      plannedStart: addDays(shift.plannedStart, dayOffset),
+      plannedEnd: addDays(shift.plannedEnd, dayOffset),
+      plannedLocation: shift.plannedLocation,
+      role: shift.role,
+      notes: shift.notes,
+      status: 'draft',
+      createdBy: req.user._id
+    }));
+
+    const created = await ScheduledShift.insertMany(copies);
+
+    res.status(201).json({
+      success: true,
+      count: created.length,
+      data: created,
+      message: `Copied ${created.length} scheduled shift(s) to week of ${target.start.toDateString()}`
+    });
+  } catch (error) {
+    console.error('Error in copyWeek:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Publish a week's draft roster and notify the affected employees
+ * @route POST /api/admin/schedules/publish
+ * @access Private/Admin
+ */
+exports.publishWeek = async (req, res) => {
+  try {
+    const { weekStart, department } = req.body;
+
+    const { start, end } = getWeekBounds(new Date(weekStart));
+
+    const filter = {
+      plannedStart: { $gte: start, $lte: end },
+      status: 'draft'
+    };
+    if (department) filter.department = department;
+
+    await applyUserScope(req, filter);
+
+    const drafts = await ScheduledShift.find(filter).select('userId');
+
+    if (drafts.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No draft shifts found for this week'
+      });
+    }
+
+    await ScheduledShift.updateMany(filter, {
+      $set: { status: 'published', publishedAt: new Date() }
+    });
+
+    // Count published shifts per employee and notify each of them once
+    const shiftsPerUser = {};
+    drafts.forEach(draft => {
+      const key = draft.userId.toString();
+      shiftsPerUser[key] = (shiftsPerUser[key] || 0) + 1;
+    });
+
+    await Promise.all(Object.keys(shiftsPerUser).map(userId =>
+      Notification.createSchedulePublishedNotification(userId, start, shiftsPerUser[userId])
+    ));
+
+    res.status(200).json({
+      success: true,
+      count: drafts.length,
+      employeesNotified: Object.keys(shiftsPerUser).length,
+      message: `Published ${drafts.length} scheduled shift(s) for week of ${start.toDateString()}`
+    });
+  } catch (error) {
+    console.error('Error in publishWeek:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = exports;
\ No newline at end of file
@@ -1,8 +1,68 @@
 const Shift = require('../models/shift');
 const User = require('../models/user');
 const Notification = require('../models/notification');
+const ScheduledShift = require('../models/scheduledShift');
+const Project = require('../models/project');
+const { findMatchingSchedule, calculateAttendance } = require('../utils/attendanceUtils');
+const { checkPunchLocation, raiseLocationFlags } = require('../utils/locationFlagUtils');
+const { getPayBuckets, sumPayBuckets, toPayHours } = require('../utils/overtimeUtils');
+const { getApprovedLeave, summarizeLeave } = require('../utils/leaveUtils');
+const { getHolidaysForUser } = require('../utils/holidayUtils');
+const { summarizeJobHours } = require('../utils/segmentUtils');
+const { resolveSegmentFields } = require('../utils/projectUtils');
+const { hasPermission, isUserInScope } = require('../utils/permissionUtils');
+const {
+  getBreakPolicyForUser,
+  findBreakType,
+  checkBreakDuration,
+  evaluateBreakCompliance
+} = require('../utils/breakPolicyUtils');
+const {
+  getComplianceRulesForUser,
+  checkClockIn,
+  checkClockOut,
+  recordViolations,
+  getBlockingResults
+} = require('../utils/complianceUtils');
 const { validationResult } = require('express-validator');
 
+/**
+ * Build the location stored on a punch from the request body
+ * and the geofence result added by the locationVerifier middleware
+ * @param {Object} req - Express request object
+ * @returns {Object} Location for the punch
+ */
+const buildPunchLocation = (req) => {
+  const { latitude, longitude, address } = req.body;
+  const locationData = req.locationData || {};
+  const geocodedAddress = locationData.address ? locationData.address.formattedAddress : '';
+  
+  return {
+    latitude,
+    longitude,
+    address: address || geocodedAddress || '',
+    accuracy: locationData.accuracy !== undefined ? locationData.accuracy : null,
+    workLocationId: locationData.workLocationId || null,
+    distanceFromWork: locationData.distanceFromWork !== undefined ? locationData.distanceFromWork : null,
+    isAtWorkLocation: locationData.isAtWorkLocation !== undefined ? locationData.isAtWorkLocation : null
+  };
+};
+
+/**
+ * Run the location heuristics on a punch and attach any flags to the shift
+ * Must run before the shift is saved so the previous punch is the last one stored
+ * @param {Object} req - Express request object
+ * @param {Object} shift - Shift document
+ * @param {Object} location - Punch location
+ * @param {String} punch - start, end, break_start or break_end
+ * @returns {Promise<Array>} Flags raised
+ */
+const flagPunchLocation = async (req, shift, location, punch) => {
+  const flags = await checkPunchLocation(req.user.id, location, punch);
+  flags.forEach(flag => shift.locationFlags.push(flag));
+  return flags;
+};
+
 /**
  * Start a new shift
  * @route POST /api/shifts/start
@@ -16,8 +76,6 @@ exports.startShift = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { latitude, longitude, address } = req.body;
-    
     // Check if user already has an active shift
     const activeShift = await Shift.findOne({
       userId: req.user.id,
@@ -31,26 +89,83 @@ exports.startShift = async (req, res) => {
       });
     }
     
+    // Check working time rules (rest periods, minors) before clocking in
+    const complianceRules = await getComplianceRulesForUser(req.user);
+    const complianceResults = await checkClockIn(req.user, new Date(), complianceRules);
+    const blocking = getBlockingResults(complianceResults, complianceRules);
+    
+    if (blocking.length > 0) {
+      await recordViolations({
+        user: req.user,
+        rules: complianceRules,
+        punch: 'start',
+        results: complianceResults,
+        blocked: true
+      });
+      return res.status(403).json({
+        msg: 'Clock-in is not allowed under the working time rules',
+        violations: blocking
+      });
+    }
+    
     // Create new shift
+    const location = buildPunchLocation(req);
     const newShift = new Shift({
       userId: req.user.id,
       date: new Date(),
       startTime: {
         timestamp: new Date(),
-        location: {
-          latitude,
-          longitude,
-          address: address || ''
-        }
-      }
+        location
+      },
+      workLocationId: location.workLocationId,
+      distanceFromWorkLocation: location.distanceFromWork
+    });
+    
+    // Link the shift to the employee's planned slot and record late arrival
+    const clockIn = newShift.startTime.timestamp;
+    const candidates = await ScheduledShift.find({
+      userId: req.user.id,
+      status: 'published',
+      plannedEnd: { $gte: clockIn },
+      plannedStart: { $lte: new Date(clockIn.getTime() + 24 * 60 * 60 * 1000) }
     });
+    const schedule = findMatchingSchedule(clockIn, candidates);
+    
+    newShift.scheduledShiftId = schedule ? schedule._id : null;
+    newShift.attendance = calculateAttendance(schedule, newShift);
+    
+    // Optionally start on a job straight away
+    const { job, project, costCode, projectId, costCentreId } = req.body;
+    if (job || project || costCode || projectId || costCentreId) {
+      const { segment, error } = await resolveSegmentFields(req.user, req.body);
+      if (error) {
+        return res.status(400).json({ msg: error });
+      }
+      newShift.switchSegment(segment, clockIn);
+    }
+    
+    const flags = await flagPunchLocation(req, newShift, location, 'start');
     
     // Save shift
     await newShift.save();
     
+    await recordViolations({
+      user: req.user,
+      shift: newShift,
+      rules: complianceRules,
+      punch: 'start',
+      results: complianceResults
+    });
+    
+    // Alert supervisors about suspicious locations (don't hold up the punch)
+    if (flags.length > 0) {
+      raiseLocationFlags(req.user, newShift, flags);
+    }
+    
     res.status(201).json({
       msg: 'Shift started successfully',
-      shift: newShift
+      shift: newShift,
+      complianceViolations: complianceResults
     });
   } catch (error) {
     console.error('Start shift error:', error.message);
@@ -66,10 +181,12 @@ exports.startShift = async (req, res) => {
 exports.startBreak = async (req, res) => {
   try {
     const { id } = req.params;
-    const { type, latitude, longitude, address } = req.body;
+    const { type } = req.body;
     
-    // Validate break type
-    if (!['lunch', 'short'].includes(type)) {
+    // Validate break type against the employee's break policy
+    const policy = await getBreakPolicyForUser(req.user);
+    const breakType = findBreakType(policy, type);
+    if (!breakType) {
       return res.status(400).json({ msg: 'Invalid break type' });
     }
     
@@ -85,12 +202,17 @@ exports.startBreak = async (req, res) => {
     }
     
     // Start break
-    const location = { latitude, longitude, address: address || '' };
-    const newBreak = shift.startBreak(type, location);
+    const location = buildPunchLocation(req);
+    const flags = await flagPunchLocation(req, shift, location, 'break_start');
+    const newBreak = shift.startBreak(type, location, breakType.isPaid);
     
     // Save shift
     await shift.save();
     
+    if (flags.length > 0) {
+      raiseLocationFlags(req.user, shift, flags);
+    }
+    
     res.json({
       msg: `${type} break started successfully`,
       shift,
@@ -110,7 +232,6 @@ exports.startBreak = async (req, res) => {
 exports.endBreak = async (req, res) => {
   try {
     const { id } = req.params;
-    const { latitude, longitude, address } = req.body;
     
     // Find shift
     const shift = await Shift.findOne({
@@ -124,26 +245,31 @@ exports.endBreak = async (req, res) => {
     }
     
     // End break
-    const location = { latitude, longitude, address: address || '' };
+    const location = buildPunchLocation(req);
     const updatedBreak = shift.endBreak(location);
     
     if (!updatedBreak) {
       return res.status(400).json({ msg: 'No active break found' });
     }
     
+    const flags = await flagPunchLocation(req, shift, location, 'break_end');
+    
     // Save shift
     await shift.save();
     
-    // Check if break exceeded recommended time and create notification if needed
-    const breakDuration = updatedBreak.duration;
-    const maxDuration = updatedBreak.type === 'lunch' ? 60 : 15; // Max minutes
+    if (flags.length > 0) {
+      raiseLocationFlags(req.user, shift, flags);
+    }
     
-    if (breakDuration > maxDuration) {
-      const exceededBy = Math.round(breakDuration - maxDuration);
+    // Check if break exceeded the policy's limit and create notification if needed
+    const policy = await getBreakPolicyForUser(req.user);
+    const violation = checkBreakDuration(policy, updatedBreak);
+    
+    if (violation) {
       await Notification.createBreakExceededNotification(
         req.user.id,
-        updatedBreak.type,
-        exceededBy
+        findBreakType(policy, updatedBreak.type).name.toLowerCase(),
+        violation.minutes
       );
     }
     
@@ -158,6 +284,48 @@ exports.endBreak = async (req, res) => {
   }
 };
 
+/**
+ * Switch the job, project or cost code being worked on
+ * @route POST /api/shifts/:id/segments
+ * @access Private
+ */
+exports.switchSegment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Check catalogue references and fill in project and cost code labels
+    const { segment: fields, error } = await resolveSegmentFields(req.user, req.body);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+    
+    // Find shift
+    const shift = await Shift.findOne({
+      _id: id,
+      userId: req.user.id,
+      shiftStatus: { $in: ['active', 'break'] }
+    });
+    
+    if (!shift) {
+      return res.status(404).json({ msg: 'Active shift not found' });
+    }
+    
+    // Close the current segment and start the new one
+    const segment = shift.switchSegment(fields);
+    
+    await shift.save();
+    
+    res.status(201).json({
+      msg: 'Switched task successfully',
+      shift,
+      segment
+    });
+  } catch (error) {
+    console.error('Switch segment error:', error.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
 /**
  * End current shift
  * @route PUT /api/shifts/:id/end
@@ -166,7 +334,7 @@ exports.endBreak = async (req, res) => {
 exports.endShift = async (req, res) => {
   try {
     const { id } = req.params;
-    const { latitude, longitude, address, notes } = req.body;
+    const { notes } = req.body;
     
     // Find shift
     const shift = await Shift.findOne({
@@ -180,7 +348,8 @@ exports.endShift = async (req, res) => {
     }
     
     // End shift
-    const location = { latitude, longitude, address: address || '' };
+    const location = buildPunchLocation(req);
+    const flags = await flagPunchLocation(req, shift, location, 'end');
     shift.endShift(location);
     
     // Add notes if provided
@@ -188,15 +357,52 @@ exports.endShift = async (req, res) => {
       shift.notes = notes;
     }
     
+    // Record early departure against the planned slot
+    if (shift.scheduledShiftId) {
+      const schedule = await ScheduledShift.findById(shift.scheduledShiftId);
+      shift.attendance = calculateAttendance(schedule, shift);
+    }
+    
+    // Check the whole shift against the break policy
+    const policy = await getBreakPolicyForUser(req.user);
+    const violations = evaluateBreakCompliance(shift, policy);
+    shift.breakCompliance = {
+      policyId: policy._id,
+      violations,
+      evaluatedAt: new Date()
+    };
+    
     // Save shift
     await shift.save();
     
+    if (flags.length > 0) {
+      raiseLocationFlags(req.user, shift, flags);
+    }
+    
+    // Overlong breaks were already notified when they ended
+    const shiftViolations = violations.filter(v => v.code !== 'break_too_long');
+    if (shiftViolations.length > 0) {
+      await Notification.createBreakViolationNotification(req.user.id, shiftViolations);
+    }
+    
+    // Check working time rules now the shift counts towards the totals
+    const complianceRules = await getComplianceRulesForUser(req.user);
+    const complianceResults = await checkClockOut(req.user, shift, complianceRules);
+    await recordViolations({
+      user: req.user,
+      shift,
+      rules: complianceRules,
+      punch: 'end',
+      results: complianceResults
+    });
+    
     // Create shift completion notification
     await Notification.createShiftCompleteNotification(req.user.id, shift);
     
     res.json({
       msg: 'Shift ended successfully',
-      shift
+      shift,
+      complianceViolations: complianceResults
     });
   } catch (error) {
     console.error('End shift error:', error.message);
@@ -330,6 +536,10 @@ exports.updateShiftNotes = async (req, res) => {
       return res.status(404).json({ msg: 'Shift not found' });
     }
     
+    if (shift.isLocked) {
+      return res.status(423).json({ msg: 'Shift is locked by an approved timesheet' });
+    }
+    
     shift.notes = notes;
     await shift.save();
     
@@ -363,33 +573,31 @@ exports.getDailyStats = async (req, res) => {
         shiftStatus: 'completed'
       });
       
-      // Calculate statistics
+      // Calculate statistics from the durations stored on each shift
+      // totalHours is time on site; work excludes every break and payable only unpaid ones
       let totalHours = 0;
+      let workMinutes = 0;
+      let payableMinutes = 0;
       let totalBreakMinutes = 0;
+      let paidBreakMinutes = 0;
       
       shifts.forEach(shift => {
-        // Calculate shift duration in hours
-        if (shift.endTime && shift.startTime) {
-          const shiftDuration = (shift.endTime.timestamp - shift.startTime.timestamp) / (1000 * 60 * 60); // Convert ms to hours
-          totalHours += shiftDuration;
-        }
-        
-        // Calculate break durations
-        if (shift.breaks && shift.breaks.length > 0) {
-          shift.breaks.forEach(breakItem => {
-            if (breakItem.endTime && breakItem.startTime) {
-              const breakDuration = (breakItem.endTime.timestamp - breakItem.startTime.timestamp) / (1000 * 60); // Convert ms to minutes
-              totalBreakMinutes += breakDuration;
-            }
-          });
-        }
+        totalHours += shift.getPresenceDuration() / 60;
+        workMinutes += shift.totalWorkDuration;
+        payableMinutes += shift.getPayableDuration();
+        totalBreakMinutes += shift.totalBreakDuration;
+        paidBreakMinutes += shift.paidBreakDuration || 0;
       });
       
       res.json({
         date: startOfDay,
         totalShifts: shifts.length,
         totalHours: parseFloat(totalHours.toFixed(2)),
+        workHours: parseFloat((workMinutes / 60).toFixed(2)),
+        payableHours: parseFloat((payableMinutes / 60).toFixed(2)),
         totalBreakMinutes: Math.round(totalBreakMinutes),
+        paidBreakMinutes: Math.round(paidBreakMinutes),
+        jobs: summarizeJobHours(shifts),
         shifts: shifts
       });
     } catch (error) {
@@ -434,51 +642,67 @@ exports.getDailyStats = async (req, res) => {
           date: new Date(currentDate),
           dayOfWeek: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][index],
           totalHours: 0,
+          workHours: 0,
+          payableHours: 0,
           totalBreakMinutes: 0,
+          paidBreakMinutes: 0,
           shiftsCount: 0
         };
       });
       
-      // Calculate statistics
-      let totalWeeklyHours = 0;
-      let totalWeeklyBreakMinutes = 0;
+      // Calculate statistics from the durations stored on each shift
+      const weekTotals = { totalHours: 0, workHours: 0, payableHours: 0, totalBreakMinutes: 0, paidBreakMinutes: 0 };
       
       shifts.forEach(shift => {
         const shiftDate = new Date(shift.date);
         const dayIndex = shiftDate.getDay(); // 0 = Sunday, 1 = Monday, etc.
         
-        // Calculate shift duration
-        if (shift.endTime && shift.startTime) {
-          const shiftDuration = (shift.endTime.timestamp - shift.startTime.timestamp) / (1000 * 60 * 60); // Convert ms to hours
-          dailyStats[dayIndex].totalHours += shiftDuration;
-          totalWeeklyHours += shiftDuration;
-          dailyStats[dayIndex].shiftsCount++;
-        }
-        
-        // Calculate break durations
-        if (shift.breaks && shift.breaks.length > 0) {
-          shift.breaks.forEach(breakItem => {
-            if (breakItem.endTime && breakItem.startTime) {
-              const breakDuration = (breakItem.endTime.timestamp - breakItem.startTime.timestamp) / (1000 * 60); // Convert ms to minutes
-              dailyStats[dayIndex].totalBreakMinutes += breakDuration;
-              totalWeeklyBreakMinutes += breakDuration;
-            }
-          });
-        }
+        [dailyStats[dayIndex], weekTotals].forEach(entry => {
+          entry.totalHours += shift.getPresenceDuration() / 60;
+          entry.workHours += shift.totalWorkDuration / 60;
+          entry.payableHours += shift.getPayableDuration() / 60;
+          entry.totalBreakMinutes += shift.totalBreakDuration;
+          entry.paidBreakMinutes += shift.paidBreakDuration || 0;
+        });
+        dailyStats[dayIndex].shiftsCount++;
       });
       
+      // Split worked time into regular, overtime and double time
+      const payBuckets = await getPayBuckets({ start: startDate, end: endDate, userIds: [req.user._id] });
+      const bucketList = [...payBuckets.byShift.values()];
+      
+      // Approved leave is shown as non-worked hours
+      const leaveEntries = await getApprovedLeave({ start: startDate, end: endDate, userIds: [req.user._id] });
+      
+      const holidays = await getHolidaysForUser(req.user._id, startDate, endDate);
+      
       // Format the results
-      dailyStats.forEach(day => {
+      dailyStats.forEach((day, index) => {
         day.totalHours = parseFloat(day.totalHours.toFixed(2));
+        day.workHours = parseFloat(day.workHours.toFixed(2));
+        day.payableHours = parseFloat(day.payableHours.toFixed(2));
         day.totalBreakMinutes = Math.round(day.totalBreakMinutes);
+        day.paidBreakMinutes = Math.round(day.paidBreakMinutes);
+        day.jobs = summarizeJobHours(shifts.filter(shift => new Date(shift.date).getDay() === index));
+        day.payBuckets = toPayHours(sumPayBuckets(bucketList.filter(bucket => bucket.date.getDay() === index)));
+        day.leave = summarizeLeave(leaveEntries.filter(entry => entry.date.getDay() === index));
+        const holiday = holidays.find(item => item.date.getDay() === index);
+        day.holiday = holiday ? holiday.name : null;
       });
       
       res.json({
         weekStart: startDate,
         weekEnd: endDate,
         totalShifts: shifts.length,
-        totalHours: parseFloat(totalWeeklyHours.toFixed(2)),
-        totalBreakMinutes: Math.round(totalWeeklyBreakMinutes),
+        totalHours: parseFloat(weekTotals.totalHours.toFixed(2)),
+        workHours: parseFloat(weekTotals.workHours.toFixed(2)),
+        payableHours: parseFloat(weekTotals.payableHours.toFixed(2)),
+        totalBreakMinutes: Math.round(weekTotals.totalBreakMinutes),
+        paidBreakMinutes: Math.round(weekTotals.paidBreakMinutes),
+        jobs: summarizeJobHours(shifts),
+        payBuckets: toPayHours(payBuckets.totals),
+        leave: summarizeLeave(leaveEntries),
+        holidays,
         dailyStats: dailyStats
       });
     } catch (error) {
@@ -510,45 +734,54 @@ exports.getDailyStats = async (req, res) => {
         shiftStatus: 'completed'
       }).sort({ date: 1 });
       
-      // Calculate statistics
-      let totalHours = 0;
-      let totalBreakMinutes = 0;
+      // Split worked time into regular, overtime and double time
+      const payBuckets = await getPayBuckets({ start: startOfMonth, end: endOfMonth, userIds: [req.user._id] });
+      
+      // Approved leave is shown as non-worked hours
+      const leaveEntries = await getApprovedLeave({ start: startOfMonth, end: endOfMonth, userIds: [req.user._id] });
+      
+      const holidays = await getHolidaysForUser(req.user._id, startOfMonth, endOfMonth);
+      
+      // Calculate statistics from the durations stored on each shift
+      const monthTotals = { hours: 0, workHours: 0, payableHours: 0, breaks: 0, paidBreaks: 0 };
       let weeklyStats = {};
+      const emptyWeek = () => ({
+        hours: 0,
+        workHours: 0,
+        payableHours: 0,
+        breaks: 0,
+        paidBreaks: 0,
+        shifts: 0,
+        buckets: [],
+        leave: []
+      });
       
       shifts.forEach(shift => {
-        // Calculate shift duration
-        if (shift.endTime && shift.startTime) {
-          const shiftDuration = (shift.endTime.timestamp - shift.startTime.timestamp) / (1000 * 60 * 60); // Convert ms to hours
-          totalHours += shiftDuration;
-          
-          // Group by week
-          const weekNumber = getWeekNumber(shift.date);
-          if (!weeklyStats[weekNumber]) {
-            weeklyStats[weekNumber] = {
-              hours: 0,
-              breaks: 0,
-              shifts: 0
-            };
-          }
-          
-          weeklyStats[weekNumber].hours += shiftDuration;
-          weeklyStats[weekNumber].shifts++;
+        // Group by week
+        const weekNumber = getWeekNumber(shift.date);
+        if (!weeklyStats[weekNumber]) {
+          weeklyStats[weekNumber] = emptyWeek();
         }
         
-        // Calculate break durations
-        if (shift.breaks && shift.breaks.length > 0) {
-          shift.breaks.forEach(breakItem => {
-            if (breakItem.endTime && breakItem.startTime) {
-              const breakDuration = (breakItem.endTime.timestamp - breakItem.startTime.timestamp) / (1000 * 60); // Convert ms to minutes
-              totalBreakMinutes += breakDuration;
-              
-              const weekNumber = getWeekNumber(shift.date);
-              if (weeklyStats[weekNumber]) {
-                weeklyStats[weekNumber].breaks += breakDuration;
-              }
-            }
-          });
+        [monthTotals, weeklyStats[weekNumber]].forEach(entry => {
+          entry.hours += shift.getPresenceDuration() / 60;
+          entry.workHours += shift.totalWorkDuration / 60;
+          entry.payableHours += shift.getPayableDuration() / 60;
+          entry.breaks += shift.totalBreakDuration;
+          entry.paidBreaks += shift.paidBreakDuration || 0;
+        });
+        weeklyStats[weekNumber].shifts++;
+        
+        const bucket = payBuckets.byShift.get(shift._id.toString());
+        if (bucket) weeklyStats[weekNumber].buckets.push(bucket);
+      });
+      
+      leaveEntries.forEach(entry => {
+        const weekNumber = getWeekNumber(entry.date);
+        if (!weeklyStats[weekNumber]) {
+          weeklyStats[weekNumber] = emptyWeek();
         }
+        weeklyStats[weekNumber].leave.push(entry);
       });
       
       // Format weekly stats array
@@ -556,8 +789,13 @@ exports.getDailyStats = async (req, res) => {
         return {
           weekNumber: parseInt(week),
           totalHours: parseFloat(weeklyStats[week].hours.toFixed(2)),
+          workHours: parseFloat(weeklyStats[week].workHours.toFixed(2)),
+          payableHours: parseFloat(weeklyStats[week].payableHours.toFixed(2)),
           totalBreakMinutes: Math.round(weeklyStats[week].breaks),
-          shiftsCount: weeklyStats[week].shifts
+          paidBreakMinutes: Math.round(weeklyStats[week].paidBreaks),
+          shiftsCount: weeklyStats[week].shifts,
+          payBuckets: toPayHours(sumPayBuckets(weeklyStats[week].buckets)),
+          leave: summarizeLeave(weeklyStats[week].leave)
         };
       });
       
@@ -565,8 +803,15 @@ exports.getDailyStats = async (req, res) => {
         month: date.getMonth() + 1, // 1-12
         year: date.getFullYear(),
         totalShifts: shifts.length,
-        totalHours: parseFloat(totalHours.toFixed(2)),
-        totalBreakMinutes: Math.round(totalBreakMinutes),
+        totalHours: parseFloat(monthTotals.hours.toFixed(2)),
+        workHours: parseFloat(monthTotals.workHours.toFixed(2)),
+        payableHours: parseFloat(monthTotals.payableHours.toFixed(2)),
+        totalBreakMinutes: Math.round(monthTotals.breaks),
+        paidBreakMinutes: Math.round(monthTotals.paidBreaks),
+        jobs: summarizeJobHours(shifts),
+        payBuckets: toPayHours(payBuckets.totals),
+        leave: summarizeLeave(leaveEntries),
+        holidays,
         weeklyStats: formattedWeeklyStats
       });
     } catch (error) {
@@ -629,6 +874,78 @@ exports.getDailyStats = async (req, res) => {
     }
   };
   
+  /**
+   * Get published scheduled shifts for logged-in user
+   * @route GET /api/shifts/schedule
+   * @access Private
+   */
+  exports.getMySchedule = async (req, res) => {
+    try {
+      // Default to the next 14 days
+      const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date();
+      const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date(startDate.getTime() + 14 * 24 * 60 * 60 * 1000);
+      
+      const schedule = await ScheduledShift.find({
+        userId: req.user.id,
+        status: 'published',
+        plannedEnd: { $gte: startDate },
+        plannedStart: { $lte: endDate }
+      }).sort({ plannedStart: 1 });
+      
+      res.json({
+        startDate,
+        endDate,
+        totalShifts: schedule.length,
+        schedule
+      });
+    } catch (error) {
+      console.error('Get schedule error:', error.message);
+      res.status(500).json({ msg: 'Server error' });
+    }
+  };
+  
+  /**
+   * Get the break types and rules that apply to the logged-in user
+   * @route GET /api/shifts/break-policy
+   * @access Private
+   */
+  exports.getMyBreakPolicy = async (req, res) => {
+    try {
+      const policy = await getBreakPolicyForUser(req.user);
+      
+      res.json({
+        name: policy.name,
+        breakTypes: policy.breakTypes,
+        requiredBreaks: policy.requiredBreaks,
+        maxBreaksPerShift: policy.maxBreaksPerShift
+      });
+    } catch (error) {
+      console.error('Get break policy error:', error.message);
+      res.status(500).json({ msg: 'Server error' });
+    }
+  };
+  
+  /**
+   * Get projects and cost centres the logged-in user can book time to
+   * @route GET /api/shifts/projects
+   * @access Private
+   */
+  exports.getMyProjects = async (req, res) => {
+    try {
+      const projects = await Project.findVisibleTo(req.user.department)
+        .select('name code type client costCentre description')
+        .populate('client', 'name code');
+      
+      res.json({
+        projects: projects.filter(project => project.type === 'project'),
+        costCentres: projects.filter(project => project.type === 'cost_centre')
+      });
+    } catch (error) {
+      console.error('Get projects error:', error.message);
+      res.status(500).json({ msg: 'Server error' });
+    }
+  };
+  
   /**
    * Update shift (admin or own shift only)
    * @route PUT /api/shifts/:id
@@ -646,41 +963,29 @@ exports.getDailyStats = async (req, res) => {
         return res.status(404).json({ msg: 'Shift not found' });
       }
       
-      // Check user permission (must be shift owner or admin)
-      if (shift.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+      // Shift owners may edit notes; editing anyone else's shift needs shifts:write for that employee
+      const canEditShifts = await hasPermission(req, 'shifts:write') && await isUserInScope(req, shift.userId);
+      
+      if (shift.userId.toString() !== req.user.id && !canEditShifts) {
         return res.status(403).json({ msg: 'Not authorized to update this shift' });
       }
       
+      if (shift.isLocked) {
+        return res.status(423).json({ msg: 'Shift is locked by an approved timesheet' });
+      }
+      
       // Update fields if provided
       if (notes !== undefined) shift.notes = notes;
       
-      // Only admin can update time fields
-      if (req.user.role === 'admin') {
-        if (startTime) {
-          shift.startTime.timestamp = new Date(startTime);
-        }
-        
-        if (endTime) {
-          shift.endTime = {
-            timestamp: new Date(endTime),
-            location: shift.endTime ? shift.endTime.location : shift.startTime.location
-          };
-          
-          // If setting end time, ensure status is completed
-          if (!shift.endTime) {
-            shift.shiftStatus = 'completed';
-          }
-        }
-        
-        // Update breaks if provided
-        if (breaks) {
-          shift.breaks = breaks;
-        }
-        
-        // Recalculate durations
-        if (shift.endTime && shift.startTime) {
-          shift.duration = (shift.endTime.timestamp - shift.startTime.timestamp) / (1000 * 60 * 60); // hours
-        }
+      // Only shifts:write can update time fields; durations are recalculated as for a correction
+      if (canEditShifts && (startTime || endTime || breaks)) {
+        const employee = breaks ? await User.findById(shift.userId).select('department') : null;
+        shift.applyCorrection({
+          startTime,
+          endTime,
+          breaks,
+          breakPolicy: employee ? await getBreakPolicyForUser(employee) : undefined
+        });
       }
       
       await shift.save();
@@ -696,16 +1001,16 @@ exports.getDailyStats = async (req, res) => {
   };
   
   /**
-   * Delete shift (admin only)
+   * Delete shift (shifts:write only)
    * @route DELETE /api/shifts/:id
-   * @access Private (Admin)
+   * @access Private (shifts:write)
    */
   exports.deleteShift = async (req, res) => {
     try {
       const { id } = req.params;
       
-      // Only admin can delete shifts
-      if (req.user.role !== 'admin') {
+      // Only shifts:write can delete shifts
+      if (!(await hasPermission(req, 'shifts:write'))) {
         return res.status(403).json({ msg: 'Not authorized to delete shifts' });
       }
       
@@ -715,6 +1020,14 @@ exports.getDailyStats = async (req, res) => {
         return res.status(404).json({ msg: 'Shift not found' });
       }
       
+      if (!(await isUserInScope(req, shift.userId))) {
+        return res.status(403).json({ msg: 'Not authorized to delete this shift' });
+      }
+      
+      if (shift.isLocked) {
+        return res.status(423).json({ msg: 'Shift is locked by an approved timesheet' });
+      }
+      
       await shift.remove();
       
       res.json({ msg: 'Shift deleted successfully' });
@@ -0,0 +1,303 @@
+const Team = require('../models/team');
+const User = require('../models/user');
+const { getReports, isTeamWithin } = require('../utils/orgUtils');
+const { isUserInScope } = require('../utils/permissionUtils');
+
+// Fields an admin may set on a team
+const EDITABLE_FIELDS = ['name', 'type', 'description', 'parentTeam', 'managers', 'isActive'];
+
+/**
+ * Check that a team's parent and managers exist and the parent is not below the team
+ * @param {Object} team - Team being saved
+ * @returns {Promise<String|null>} Error message, or null when valid
+ */
+const checkTeam = async (team) => {
+  if (team.parentTeam) {
+    if (!(await Team.exists({ _id: team.parentTeam }))) return 'Parent team not found';
+
+    if (!team.isNew && await isTeamWithin(team.parentTeam, team._id)) {
+      return 'A team cannot be nested under itself or one of its sub-teams';
+    }
+  }
+
+  if (team.managers.length > 0) {
+    const found = await User.countDocuments({ _id: { $in: team.managers } });
+    if (found !== team.managers.length) return 'Manager not found';
+  }
+
+  return null;
+};
+
+/**
+ * Get teams and departments with their member counts
+ * @route GET /api/admin/teams
+ * @access Private/Admin
+ */
+exports.getTeams = async (req, res) => {
+  try {
+    const { type, parentTeam, isActive } = req.query;
+
+    const filter = {};
+    if (type) filter.type = type;
+    if (parentTeam) filter.parentTeam = parentTeam === 'root' ? null : parentTeam;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const [teams, memberCounts] = await Promise.all([
+      Team.find(filter)
+        .populate('parentTeam', 'name type')
+        .populate('managers', 'firstName lastName email employeeId')
+        .sort({ name: 1 }),
+      User.aggregate([
+        { $match: { teamId: { $ne: null } } },
+        { $group: { _id: '$teamId', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = new Map(memberCounts.map(entry => [entry._id.toString(), entry.count]));
+
+    res.status(200).json({
+      success: true,
+      count: teams.length,
+      data: teams.map(team => ({
+        ...team.toObject(),
+        memberCount: counts.get(team._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Error in getTeams:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a team with its members and sub-teams
+ * @route GET /api/admin/teams/:id
+ * @access Private/Admin
+ */
+exports.getTeamById = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id)
+      .populate('parentTeam', 'name type')
+      .populate('managers', 'firstName lastName email employeeId');
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found'
+      });
+    }
+
+    const [members, subTeams] = await Promise.all([
+      User.find({ teamId: team._id })
+        .select('firstName lastName email employeeId department position managerId isActive')
+        .sort({ lastName: 1, firstName: 1 }),
+      Team.find({ parentTeam: team._id }).select('name type isActive').sort({ name: 1 })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...team.toObject(),
+        members,
+        subTeams
+      }
+    });
+  } catch (error) {
+    console.error('Error in getTeamById:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a team or department
+ * @route POST /api/admin/teams
+ * @access Private/Admin
+ */
+exports.createTeam = async (req, res) => {
+  try {
+    const team = new Team({ createdBy: req.user._id });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) team[field] = req.body[field];
+    });
+
+    const teamError = await checkTeam(team);
+    if (teamError) {
+      return res.status(400).json({
+        success: false,
+        error: teamError
+      });
+    }
+
+    if (await Team.exists({ parentTeam: team.parentTeam, name: team.name })) {
+      return res.status(400).json({
+        success: false,
+        error: 'A team with this name already exists here'
+      });
+    }
+
+    await team.save();
+
+    res.status(201).json({
+      success: true,
+      data: team,
+      message: 'Team created successfully'
+    });
+  } catch (error) {
+    console.error('Error in createTeam:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update a team, including moving it under another team
+ * @route PUT /api/admin/teams/:id
+ * @access Private/Admin
+ */
+exports.updateTeam = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) team[field] = req.body[field];
+    });
+
+    const teamError = await checkTeam(team);
+    if (teamError) {
+      return res.status(400).json({
+        success: false,
+        error: teamError
+      });
+    }
+
+    if ((team.isModified('name') || team.isModified('parentTeam')) &&
+        await Team.exists({ _id: { $ne: team._id }, parentTeam: team.parentTeam, name: team.name })) {
+      return res.status(400).json({
+        success: false,
+        error: 'A team with this name already exists here'
+      });
+    }
+
+    await team.save();
+
+    res.status(200).json({
+      success: true,
+      data: team,
+      message: 'Team updated successfully'
+    });
+  } catch (error) {
+    console.error('Error in updateTeam:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a team with no members or sub-teams
+ * @route DELETE /api/admin/teams/:id
+ * @access Private/Admin
+ */
+exports.deleteTeam = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found'
+      });
+    }
+
+    const [members, subTeams] = await Promise.all([
+      User.countDocuments({ teamId: team._id }),
+      Team.countDocuments({ parentTeam: team._id })
+    ]);
+
+    if (members > 0 || subTeams > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Team still has ${members} member(s) and ${subTeams} sub-team(s)`
+      });
+    }
+
+    await team.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Team deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteTeam:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a manager's direct and indirect reports
+ * @route GET /api/admin/users/:id/reports
+ * @access Private/Admin
+ */
+exports.getUserReports = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('firstName lastName email employeeId');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // Callers can look at their own reporting line or anyone inside their span of control
+    if (!user._id.equals(req.user._id) && !(await isUserInScope(req, user._id))) {
+      return res.status(403).json({
+        success: false,
+        error: 'User is outside your scope'
+      });
+    }
+
+    const { direct, indirect } = await getReports(user._id);
+
+    res.status(200).json({
+      success: true,
+      count: direct.length + indirect.length,
+      data: {
+        manager: user,
+        direct,
+        indirect
+      }
+    });
+  } catch (error) {
+    console.error('Error in getUserReports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
\ No newline at end of file
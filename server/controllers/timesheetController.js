@@ -0,0 +1,449 @@
+const Timesheet = require('../models/timesheet');
+const Shift = require('../models/shift');
+const User = require('../models/user');
+const Notification = require('../models/notification');
+const { getWeekBounds } = require('../utils/timeUtils');
+const { snapshot, recordAudit } = require('../utils/auditUtils');
+const { isUserInScope, applyUserScope } = require('../utils/permissionUtils');
+
+/**
+ * Get the logged-in user's timesheets
+ * @route GET /api/timesheets
+ * @access Private
+ */
+exports.getMyTimesheets = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const filter = { userId: req.user.id };
+    if (status) filter.status = status;
+
+    const timesheets = await Timesheet.find(filter).sort({ weekStart: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: timesheets.length,
+      data: timesheets
+    });
+  } catch (error) {
+    console.error('Error in getMyTimesheets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get (and assemble) the logged-in user's timesheet for a week
+ * @route GET /api/timesheets/week
+ * @access Private
+ */
+exports.getWeekTimesheet = async (req, res) => {
+  try {
+    const weekDate = req.query.weekStart ? new Date(req.query.weekStart) : new Date();
+
+    const timesheet = await Timesheet.assemble(req.user.id, weekDate);
+    await timesheet.populate('shifts');
+
+    res.status(200).json({
+      success: true,
+      data: timesheet
+    });
+  } catch (error) {
+    console.error('Error in getWeekTimesheet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Submit the logged-in user's timesheet for a week
+ * @route POST /api/timesheets/submit
+ * @access Private
+ */
+exports.submitTimesheet = async (req, res) => {
+  try {
+    const { weekStart, comment } = req.body;
+    const { start, end } = getWeekBounds(new Date(weekStart));
+
+    // Open shifts would be left out, so they have to be closed first
+    const openShift = await Shift.exists({
+      userId: req.user.id,
+      'startTime.timestamp': { $gte: start, $lte: end },
+      shiftStatus: { $in: ['active', 'break'] }
+    });
+
+    if (openShift) {
+      return res.status(400).json({
+        success: false,
+        error: 'End your active shift before submitting this timesheet'
+      });
+    }
+
+    // Auto-closed shifts carry a guessed end time until they are corrected
+    const autoClosedShift = await Shift.exists({
+      userId: req.user.id,
+      'startTime.timestamp': { $gte: start, $lte: end },
+      shiftStatus: 'auto_closed'
+    });
+
+    if (autoClosedShift) {
+      return res.status(400).json({
+        success: false,
+        error: 'Request a correction for your auto-closed shifts before submitting this timesheet'
+      });
+    }
+
+    const timesheet = await Timesheet.assemble(req.user.id, start);
+
+    if (!timesheet.isEditable) {
+      return res.status(409).json({
+        success: false,
+        error: `Timesheet has already been ${timesheet.status}`
+      });
+    }
+
+    timesheet.status = 'submitted';
+    timesheet.submittedAt = new Date();
+    timesheet.employeeComment = comment || '';
+    await timesheet.save();
+
+    res.status(200).json({
+      success: true,
+      data: timesheet,
+      message: 'Timesheet submitted for approval'
+    });
+  } catch (error) {
+    console.error('Error in submitTimesheet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get one of the logged-in user's timesheets
+ * @route GET /api/timesheets/:id
+ * @access Private
+ */
+exports.getMyTimesheetById = async (req, res) => {
+  try {
+    const timesheet = await Timesheet.findOne({ _id: req.params.id, userId: req.user.id })
+      .populate('shifts');
+
+    if (!timesheet) {
+      return res.status(404).json({
+        success: false,
+        error: 'Timesheet not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: timesheet
+    });
+  } catch (error) {
+    console.error('Error in getMyTimesheetById:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get timesheets for approvers with filtering options
+ * @route GET /api/admin/timesheets
+ * @access Private/Admin
+ */
+exports.getTimesheets = async (req, res) => {
+  try {
+    const { status, weekStart, userId, department } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (weekStart) filter.weekStart = getWeekBounds(new Date(weekStart)).start;
+    if (userId) filter.userId = userId;
+
+    if (department) {
+      const departmentEmployees = await User.find({ department }).select('_id');
+      filter.userId = { $in: departmentEmployees.map(emp => emp._id) };
+    }
+
+    await applyUserScope(req, filter);
+
+    const timesheets = await Timesheet.find(filter)
+      .populate('userId', 'firstName lastName email department employeeId')
+      .sort({ weekStart: -1, submittedAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: timesheets.length,
+      data: timesheets
+    });
+  } catch (error) {
+    console.error('Error in getTimesheets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a timesheet with its shifts for review
+ * @route GET /api/admin/timesheets/:id
+ * @access Private/Admin
+ */
+exports.getTimesheetById = async (req, res) => {
+  try {
+    const timesheet = await Timesheet.findById(req.params.id)
+      .populate('userId', 'firstName lastName email department employeeId')
+      .populate('reviewedBy', 'firstName lastName')
+      .populate('shifts');
+
+    if (!timesheet) {
+      return res.status(404).json({
+        success: false,
+        error: 'Timesheet not found'
+      });
+    }
+
+    if (!(await isUserInScope(req, timesheet.userId._id))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Timesheet belongs to an employee outside your scope'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: timesheet
+    });
+  } catch (error) {
+    console.error('Error in getTimesheetById:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Approve a submitted timesheet and lock its shifts
+ * @route PUT /api/admin/timesheets/:id/approve
+ * @access Private/Admin
+ */
+exports.approveTimesheet = async (req, res) => {
+  try {
+    const timesheet = await Timesheet.findById(req.params.id);
+
+    if (!timesheet) {
+      return res.status(404).json({
+        success: false,
+        error: 'Timesheet not found'
+      });
+    }
+
+    if (!(await isUserInScope(req, timesheet.userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Timesheet belongs to an employee outside your scope'
+      });
+    }
+
+    if (timesheet.status !== 'submitted') {
+      return res.status(409).json({
+        success: false,
+        error: 'Only submitted timesheets can be approved'
+      });
+    }
+
+    // Shifts completed or edited while the timesheet was waiting for review were never seen by the approver,
+    // so the timesheet goes back to the employee to resubmit
+    if (!(await timesheet.matchesWeekShifts())) {
+      timesheet.status = 'open';
+      await timesheet.save();
+
+      return res.status(409).json({
+        success: false,
+        error: 'Timesheet changed since it was submitted and must be resubmitted'
+      });
+    }
+
+    const before = snapshot(timesheet);
+
+    timesheet.status = 'approved';
+    timesheet.reviewedBy = req.user._id;
+    timesheet.reviewedAt = new Date();
+    timesheet.reviewComment = req.body.comment || '';
+    await timesheet.save();
+
+    // Approved shifts become read-only
+    await timesheet.setShiftsLocked(true);
+
+    await recordAudit(req, {
+      action: 'timesheet.approve',
+      targetType: 'Timesheet',
+      targetId: timesheet._id,
+      targetUser: timesheet.userId,
+      before,
+      after: timesheet
+    });
+
+    await Notification.createTimesheetReviewedNotification(timesheet.userId, timesheet);
+
+    res.status(200).json({
+      success: true,
+      data: timesheet,
+      message: 'Timesheet approved'
+    });
+  } catch (error) {
+    console.error('Error in approveTimesheet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Reject a submitted timesheet with a comment
+ * @route PUT /api/admin/timesheets/:id/reject
+ * @access Private/Admin
+ */
+exports.rejectTimesheet = async (req, res) => {
+  try {
+    const timesheet = await Timesheet.findById(req.params.id);
+
+    if (!timesheet) {
+      return res.status(404).json({
+        success: false,
+        error: 'Timesheet not found'
+      });
+    }
+
+    if (!(await isUserInScope(req, timesheet.userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Timesheet belongs to an employee outside your scope'
+      });
+    }
+
+    if (timesheet.status !== 'submitted') {
+      return res.status(409).json({
+        success: false,
+        error: 'Only submitted timesheets can be rejected'
+      });
+    }
+
+    const before = snapshot(timesheet);
+
+    timesheet.status = 'rejected';
+    timesheet.reviewedBy = req.user._id;
+    timesheet.reviewedAt = new Date();
+    timesheet.reviewComment = req.body.comment;
+    await timesheet.save();
+
+    await recordAudit(req, {
+      action: 'timesheet.reject',
+      targetType: 'Timesheet',
+      targetId: timesheet._id,
+      targetUser: timesheet.userId,
+      before,
+      after: timesheet
+    });
+
+    await Notification.createTimesheetReviewedNotification(timesheet.userId, timesheet);
+
+    res.status(200).json({
+      success: true,
+      data: timesheet,
+      message: 'Timesheet rejected'
+    });
+  } catch (error) {
+    console.error('Error in rejectTimesheet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Reopen an approved timesheet and unlock its shifts
+ * @route PUT /api/admin/timesheets/:id/reopen
+ * @access Private/Admin
+ */
+exports.reopenTimesheet = async (req, res) => {
+  try {
+    const timesheet = await Timesheet.findById(req.params.id);
+
+    if (!timesheet) {
+      return res.status(404).json({
+        success: false,
+        error: 'Timesheet not found'
+      });
+    }
+
+    if (!(await isUserInScope(req, timesheet.userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Timesheet belongs to an employee outside your scope'
+      });
+    }
+
+    if (timesheet.status !== 'approved') {
+      return res.status(409).json({
+        success: false,
+        error: 'Only approved timesheets can be reopened'
+      });
+    }
+
+    const before = snapshot(timesheet);
+
+    await timesheet.setShiftsLocked(false);
+
+    timesheet.status = 'open';
+    timesheet.reviewedBy = req.user._id;
+    timesheet.reviewedAt = new Date();
+    timesheet.reviewComment = req.body.comment || '';
+    await timesheet.save();
+
+    await recordAudit(req, {
+      action: 'timesheet.reopen',
+      targetType: 'Timesheet',
+      targetId: timesheet._id,
+      targetUser: timesheet.userId,
+      before,
+      after: timesheet
+    });
+
+    res.status(200).json({
+      success: true,
+      data: timesheet,
+      message: 'Timesheet reopened'
+    });
+  } catch (error) {
+    console.error('Error in reopenTimesheet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = exports;
\ No newline at end of file
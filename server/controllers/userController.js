@@ -1,6 +1,11 @@
 const User = require('../models/user');
 const Shift = require('../models/shift');
 const Notification = require('../models/notification');
+const Session = require('../models/session');
+const ScheduledShift = require('../models/scheduledShift');
+const { recordAudit } = require('../utils/auditUtils');
+const { getHolidaysForUser } = require('../utils/holidayUtils');
+const { getReports } = require('../utils/orgUtils');
 const { validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 
@@ -38,14 +43,13 @@ exports.updateUserProfile = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
     
-    const { firstName, lastName, department, position, profilePicture } = req.body;
+    // Department and position drive pay rates, policies and manager scope, so only admins change them
+    const { firstName, lastName, profilePicture } = req.body;
     
     // Build update object
     const updateFields = {};
     if (firstName) updateFields.firstName = firstName;
     if (lastName) updateFields.lastName = lastName;
-    if (department) updateFields.department = department;
-    if (position) updateFields.position = position;
     if (profilePicture) updateFields.profilePicture = profilePicture;
     
     // Update user
@@ -59,6 +63,21 @@ exports.updateUserProfile = async (req, res) => {
       return res.status(404).json({ msg: 'User not found' });
     }
     
+    // req.user still holds the values from before the update
+    const before = {};
+    Object.keys(updateFields).forEach(field => {
+      before[field] = req.user[field];
+    });
+    
+    await recordAudit(req, {
+      action: 'user.profile_update',
+      targetType: 'User',
+      targetId: user._id,
+      targetUser: user._id,
+      before,
+      after: updateFields
+    });
+    
     res.json({
       msg: 'Profile updated successfully',
       user
@@ -98,6 +117,16 @@ exports.updatePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
     
+    // Sign out every other device
+    await Session.revokeAllForUser(user._id, 'password_change', req.authSession._id);
+    
+    await recordAudit(req, {
+      action: 'user.password_change',
+      targetType: 'User',
+      targetId: user._id,
+      targetUser: user._id
+    });
+    
     res.json({ msg: 'Password updated successfully' });
   } catch (error) {
     console.error('Update password error:', error.message);
@@ -148,12 +177,18 @@ exports.getUserStatistics = async (req, res) => {
     // Calculate statistics
     const totalShifts = shifts.length;
     let totalWorkMinutes = 0;
+    let totalPayableMinutes = 0;
+    let totalPresenceMinutes = 0;
     let totalBreakMinutes = 0;
+    let totalPaidBreakMinutes = 0;
     let longestShift = 0;
     
     shifts.forEach(shift => {
       totalWorkMinutes += shift.totalWorkDuration;
+      totalPayableMinutes += shift.getPayableDuration();
+      totalPresenceMinutes += shift.getPresenceDuration();
       totalBreakMinutes += shift.totalBreakDuration;
+      totalPaidBreakMinutes += shift.paidBreakDuration || 0;
       
       if (shift.totalWorkDuration > longestShift) {
         longestShift = shift.totalWorkDuration;
@@ -164,7 +199,10 @@ exports.getUserStatistics = async (req, res) => {
     const stats = {
       totalShifts,
       totalWorkHours: (totalWorkMinutes / 60).toFixed(2),
+      totalPayableHours: (totalPayableMinutes / 60).toFixed(2),
+      totalPresenceHours: (totalPresenceMinutes / 60).toFixed(2),
       totalBreakHours: (totalBreakMinutes / 60).toFixed(2),
+      paidBreakHours: (totalPaidBreakMinutes / 60).toFixed(2),
       averageShiftLength: totalShifts > 0 ? ((totalWorkMinutes / totalShifts) / 60).toFixed(2) : 0,
       longestShiftHours: (longestShift / 60).toFixed(2),
       timeframe,
@@ -312,10 +350,12 @@ exports.getDashboardData = async (req, res) => {
     
     // Calculate today's stats
     let todayWorkMinutes = 0;
+    let todayPayableMinutes = 0;
     let todayBreakMinutes = 0;
     
     todayShifts.forEach(shift => {
       todayWorkMinutes += shift.totalWorkDuration;
+      todayPayableMinutes += shift.getPayableDuration();
       todayBreakMinutes += shift.totalBreakDuration;
     });
     
@@ -362,8 +402,14 @@ exports.getDashboardData = async (req, res) => {
       isRead: false
     });
     
-    // Get upcoming shifts (if schedule feature is implemented)
-    const upcomingShifts = []; // Placeholder for scheduled shifts
+    // Get upcoming published scheduled shifts
+    const upcomingShifts = await ScheduledShift.findUpcomingByUser(req.user.id);
+    
+    // Get public holidays from today through the next 30 days
+    const holidayWindowEnd = new Date(startOfDay);
+    holidayWindowEnd.setDate(holidayWindowEnd.getDate() + 30);
+    const upcomingHolidays = await getHolidaysForUser(req.user.id, startOfDay, holidayWindowEnd);
+    const todayHoliday = upcomingHolidays.find(holiday => holiday.date.getTime() === startOfDay.getTime());
     
     // Combine all dashboard data
     const dashboardData = {
@@ -385,13 +431,18 @@ exports.getDashboardData = async (req, res) => {
       todayStats: {
         completedShifts: todayShifts.length,
         totalWorkHours: ((todayWorkMinutes + (currentStatus === 'active' ? currentShiftDuration : 0)) / 60).toFixed(2),
+        totalPayableHours: (todayPayableMinutes / 60).toFixed(2),
         totalBreakHours: ((todayBreakMinutes + (currentStatus === 'break' ? currentBreakDuration : 0)) / 60).toFixed(2)
       },
       notifications: {
         recent: recentNotifications,
         unreadCount: unreadNotifications
       },
-      upcomingShifts
+      upcomingShifts,
+      holidays: {
+        today: todayHoliday ? todayHoliday.name : null,
+        upcoming: upcomingHolidays
+      }
     };
     
     res.json(dashboardData);
@@ -524,6 +575,15 @@ exports.updateUserSettings = async (req, res) => {
       return res.status(404).json({ msg: 'User not found' });
     }
     
+    await recordAudit(req, {
+      action: 'settings.update',
+      targetType: 'Settings',
+      targetId: user._id,
+      targetUser: user._id,
+      before: { settings: req.user.settings },
+      after: { settings: settingsUpdate }
+    });
+    
     res.json({
       msg: 'Settings updated successfully',
       settings: user.settings
@@ -532,4 +592,50 @@ exports.updateUserSettings = async (req, res) => {
     console.error('Update user settings error:', error.message);
     res.status(500).json({ msg: 'Server error' });
   }
+};
+
+/**
+ * Get public holidays for the logged-in user
+ * @route GET /api/users/holidays
+ * @access Private
+ */
+exports.getMyHolidays = async (req, res) => {
+  try {
+    // Default to the current calendar year
+    const year = new Date().getFullYear();
+    const start = req.query.startDate ? new Date(req.query.startDate) : new Date(year, 0, 1);
+    const end = req.query.endDate ? new Date(req.query.endDate) : new Date(year, 11, 31, 23, 59, 59, 999);
+    
+    const holidays = await getHolidaysForUser(req.user.id, start, end);
+    
+    res.json({
+      startDate: start,
+      endDate: end,
+      holidays
+    });
+  } catch (error) {
+    console.error('Get holidays error:', error.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Get the logged-in user's direct and indirect reports
+ * @route GET /api/users/reports
+ * @access Private
+ */
+exports.getMyReports = async (req, res) => {
+  try {
+    const { direct, indirect } = await getReports(req.user._id);
+    
+    res.json({
+      directCount: direct.length,
+      indirectCount: indirect.length,
+      direct,
+      indirect
+    });
+  } catch (error) {
+    console.error('Get reports error:', error.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
 };
\ No newline at end of file
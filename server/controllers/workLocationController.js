@@ -0,0 +1,367 @@
+const WorkLocation = require('../models/workLocation');
+const User = require('../models/user');
+const { isValidGeometry, getGeometryCenter } = require('../utils/locationUtils');
+
+// Fields an admin may set on a work location
+const EDITABLE_FIELDS = ['name', 'address', 'center', 'geofenceType', 'radius', 'boundary', 'departments', 'isActive'];
+
+/**
+ * Get all work locations
+ * @route GET /api/admin/work-locations
+ * @access Private/Admin
+ */
+exports.getWorkLocations = async (req, res) => {
+  try {
+    const { department, active } = req.query;
+
+    const filter = {};
+    if (department) filter.departments = department;
+    if (active !== undefined) filter.isActive = active === 'true';
+
+    const workLocations = await WorkLocation.find(filter).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: workLocations.length,
+      data: workLocations
+    });
+  } catch (error) {
+    console.error('Error in getWorkLocations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a work location with the employees assigned to it
+ * @route GET /api/admin/work-locations/:id
+ * @access Private/Admin
+ */
+exports.getWorkLocationById = async (req, res) => {
+  try {
+    const workLocation = await WorkLocation.findById(req.params.id);
+
+    if (!workLocation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Work location not found'
+      });
+    }
+
+    const assignedEmployees = await User.find({ workLocations: workLocation._id })
+      .select('firstName lastName email department employeeId enforceLocationCheck');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...workLocation.toObject(),
+        assignedEmployees
+      }
+    });
+  } catch (error) {
+    console.error('Error in getWorkLocationById:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a work location
+ * @route POST /api/admin/work-locations
+ * @access Private/Admin
+ */
+exports.createWorkLocation = async (req, res) => {
+  try {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    const workLocation = new WorkLocation({
+      ...fields,
+      createdBy: req.user._id
+    });
+
+    await workLocation.save();
+
+    res.status(201).json({
+      success: true,
+      data: workLocation,
+      message: 'Work location created successfully'
+    });
+  } catch (error) {
+    console.error('Error in createWorkLocation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update a work location
+ * @route PUT /api/admin/work-locations/:id
+ * @access Private/Admin
+ */
+exports.updateWorkLocation = async (req, res) => {
+  try {
+    const workLocation = await WorkLocation.findById(req.params.id);
+
+    if (!workLocation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Work location not found'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) workLocation[field] = req.body[field];
+    });
+
+    await workLocation.save();
+
+    res.status(200).json({
+      success: true,
+      data: workLocation,
+      message: 'Work location updated successfully'
+    });
+  } catch (error) {
+    console.error('Error in updateWorkLocation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a work location and remove it from assigned employees
+ * @route DELETE /api/admin/work-locations/:id
+ * @access Private/Admin
+ */
+exports.deleteWorkLocation = async (req, res) => {
+  try {
+    const workLocation = await WorkLocation.findByIdAndDelete(req.params.id);
+
+    if (!workLocation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Work location not found'
+      });
+    }
+
+    await User.updateMany(
+      { workLocations: workLocation._id },
+      { $pull: { workLocations: workLocation._id } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Work location deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteWorkLocation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Assign a work location to employees and/or departments
+ * @route POST /api/admin/work-locations/:id/assign
+ * @access Private/Admin
+ */
+exports.assignWorkLocation = async (req, res) => {
+  try {
+    const { userIds = [], departments = [], enforceLocationCheck } = req.body;
+
+    const workLocation = await WorkLocation.findById(req.params.id);
+
+    if (!workLocation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Work location not found'
+      });
+    }
+
+    // Department assignment lives on the site itself
+    if (departments.length > 0) {
+      workLocation.departments = [...new Set([...workLocation.departments, ...departments])];
+      await workLocation.save();
+    }
+
+    // Employee assignment lives on the user
+    let employeesUpdated = 0;
+    if (userIds.length > 0) {
+      const update = { $addToSet: { workLocations: workLocation._id } };
+      if (enforceLocationCheck !== undefined) {
+        update.$set = { enforceLocationCheck: Boolean(enforceLocationCheck) };
+      }
+
+      const result = await User.updateMany({ _id: { $in: userIds } }, update);
+      employeesUpdated = result.modifiedCount;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: workLocation,
+      employeesUpdated,
+      message: 'Work location assigned successfully'
+    });
+  } catch (error) {
+    console.error('Error in assignWorkLocation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Remove a work location from employees and/or departments
+ * @route POST /api/admin/work-locations/:id/unassign
+ * @access Private/Admin
+ */
+exports.unassignWorkLocation = async (req, res) => {
+  try {
+    const { userIds = [], departments = [] } = req.body;
+
+    const workLocation = await WorkLocation.findById(req.params.id);
+
+    if (!workLocation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Work location not found'
+      });
+    }
+
+    if (departments.length > 0) {
+      workLocation.departments = workLocation.departments.filter(d => !departments.includes(d));
+      await workLocation.save();
+    }
+
+    let employeesUpdated = 0;
+    if (userIds.length > 0) {
+      const result = await User.updateMany(
+        { _id: { $in: userIds } },
+        { $pull: { workLocations: workLocation._id } }
+      );
+      employeesUpdated = result.modifiedCount;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: workLocation,
+      employeesUpdated,
+      message: 'Work location unassigned successfully'
+    });
+  } catch (error) {
+    console.error('Error in unassignWorkLocation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Bulk import work locations from a GeoJSON FeatureCollection
+ * Point features become circular sites (radius from properties.radius),
+ * Polygon and MultiPolygon features become polygon sites.
+ * Sites are matched by name, so re-importing a file updates them in place.
+ * @route POST /api/admin/work-locations/import
+ * @access Private/Admin
+ */
+exports.importWorkLocations = async (req, res) => {
+  try {
+    const { type, features } = req.body;
+
+    if (type !== 'FeatureCollection' || !Array.isArray(features)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Request body must be a GeoJSON FeatureCollection'
+      });
+    }
+
+    const created = [];
+    const updated = [];
+    const errors = [];
+
+    for (const [index, feature] of features.entries()) {
+      const properties = (feature && feature.properties) || {};
+      const geometry = feature && feature.geometry;
+
+      if (!properties.name) {
+        errors.push({ index, message: 'Feature is missing properties.name' });
+        continue;
+      }
+
+      // Build site fields from the feature geometry
+      const fields = {
+        name: properties.name,
+        address: properties.address || '',
+        departments: Array.isArray(properties.departments) ? properties.departments : []
+      };
+
+      if (geometry && geometry.type === 'Point' && Array.isArray(geometry.coordinates)) {
+        fields.geofenceType = 'circle';
+        fields.center = { longitude: geometry.coordinates[0], latitude: geometry.coordinates[1] };
+        fields.radius = properties.radius || 100;
+        fields.boundary = null;
+      } else if (isValidGeometry(geometry)) {
+        fields.geofenceType = 'polygon';
+        fields.center = getGeometryCenter(geometry);
+        fields.boundary = { type: geometry.type, coordinates: geometry.coordinates };
+      } else {
+        errors.push({ index, name: properties.name, message: 'Geometry must be a Point, Polygon or MultiPolygon' });
+        continue;
+      }
+
+      try {
+        let workLocation = await WorkLocation.findOne({ name: fields.name });
+        const isNew = !workLocation;
+
+        if (isNew) {
+          workLocation = new WorkLocation({ ...fields, createdBy: req.user._id });
+        } else {
+          workLocation.set(fields);
+        }
+
+        await workLocation.save();
+        (isNew ? created : updated).push({ id: workLocation._id, name: workLocation.name });
+      } catch (saveError) {
+        errors.push({ index, name: properties.name, message: saveError.message });
+      }
+    }
+
+    res.status(errors.length > 0 && created.length + updated.length === 0 ? 400 : 200).json({
+      success: errors.length === 0,
+      created,
+      updated,
+      errors,
+      message: `Imported ${created.length + updated.length} of ${features.length} work location(s)`
+    });
+  } catch (error) {
+    console.error('Error in importWorkLocations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = exports;
\ No newline at end of file
@@ -4,12 +4,16 @@ const cors = require('cors');
 const connectDB = require('./config/db');
 const errorHandler = require('./middleware/errorHandler');
 const { apiLimiter } = require('./middleware/rateLimiter');
+const registerJobs = require('./config/jobs');
+const { startScheduler } = require('./utils/jobScheduler');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
 const shiftRoutes = require('./routes/shiftRoutes');
 const adminRoutes = require('./routes/adminRoutes');
+const timesheetRoutes = require('./routes/timesheetRoutes');
+const leaveRoutes = require('./routes/leaveRoutes');
 
 // Load .env variables
 dotenv.config();
@@ -23,7 +27,7 @@ connectDB();
 
 // Global Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // GeoJSON site imports can be large
 app.use(express.urlencoded({ extended: true }));
 
 // Apply general rate limiting to all requests
@@ -39,6 +43,8 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/shifts', shiftRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/timesheets', timesheetRoutes);
+app.use('/api/leave', leaveRoutes);
 
 // 404 handler - for undefined routes
 app.use((req, res, next) => {
@@ -55,6 +61,10 @@ const server = app.listen(PORT, () => {
     console.log(`🚀 Server started on http://localhost:${PORT}`);
 });
 
+// Register and start recurring jobs (auto clock-out etc.)
+registerJobs();
+startScheduler();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
     console.error(`❌ Unhandled Rejection: ${err.message}`);
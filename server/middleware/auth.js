@@ -1,10 +1,12 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/user');
+const Session = require('../models/session');
 const { TokenExpiredError } = jwt;
 
 /**
  * Authentication middleware
- * Verifies JWT token and attaches user to request object
+ * Verifies JWT token, checks its session hasn't been revoked
+ * and attaches user and session to request object
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -27,22 +29,29 @@ const auth = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Find user by id and check if token is still valid
-    // (in case user logged out from all devices or token was invalidated)
-    const user = await User.findOne({ 
-      _id: decoded.user.id,
-      'tokens.token': token 
-    });
-
-    if (!user) {
+    // Check the session is still open
+    // (in case user logged out, logged out everywhere or the session was revoked)
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    
+    if (!session || !session.isUsable() || session.userId.toString() !== String(decoded.id)) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Token is invalid or has been revoked.' 
+      });
+    }
+    
+    const user = await User.findById(decoded.id);
+    
+    if (!user || !user.isActive) {
       return res.status(401).json({ 
         success: false, 
         message: 'Token is invalid or has been revoked.' 
       });
     }
 
-    // Add user and token to request
+    // Add user, session and token to request
     req.user = user;
+    req.authSession = session;
     req.token = token;
     
     next();
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const NodeGeocoder = require('node-geocoder');
+const WorkLocation = require('../models/workLocation');
 
 // Configure geocoder with your preferred service
 const geocoder = NodeGeocoder({
@@ -12,7 +13,8 @@ const geocoder = NodeGeocoder({
  * Middleware to verify and enrich location data
  * - Verifies location data exists
  * - Reverse geocodes coordinates to get address
- * - Optionally verifies user is within allowed work locations
+ * - Checks the user's assigned work locations and rejects the punch
+ *   when location checks are enforced and the user is outside all of them
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -66,27 +68,33 @@ const locationVerifier = async (req, res, next) => {
       locationData.geocodeError = 'Address lookup failed';
     }
 
-    // Optional: Check if location is within allowed work locations
-    // This can be expanded based on business requirements
-    if (req.user && req.user.workLocations && req.user.workLocations.length > 0) {
+    // Check if location is within the user's assigned work locations
+    const workLocations = req.user ? await WorkLocation.findForUser(req.user) : [];
+    
+    if (workLocations.length > 0) {
       let isWithinWorkLocation = false;
+      let nearestDistance = Infinity;
       
-      // For each registered work location, check if user is within range
-      for (const workLocation of req.user.workLocations) {
-        const distance = calculateDistance(
-          latitude, 
-          longitude, 
-          workLocation.latitude, 
-          workLocation.longitude
+      // For each assigned work location, check if user is inside its geofence
+      for (const workLocation of workLocations) {
+        const distance = workLocation.distanceFrom(
+          locationData.coordinates.latitude,
+          locationData.coordinates.longitude
         );
         
-        // If within the allowed radius (in meters)
-        if (distance <= workLocation.radius) {
+        if (workLocation.containsPoint(locationData.coordinates.latitude, locationData.coordinates.longitude)) {
           isWithinWorkLocation = true;
           locationData.workLocationId = workLocation._id;
           locationData.distanceFromWork = distance;
           break;
         }
+        
+        // Otherwise remember the nearest site so the punch can be flagged against it
+        if (distance < nearestDistance) {
+          nearestDistance = distance;
+          locationData.workLocationId = workLocation._id;
+          locationData.distanceFromWork = distance;
+        }
       }
       
       // If location verification is enforced and user is not at a work location
@@ -114,28 +122,4 @@ const locationVerifier = async (req, res, next) => {
   }
 };
 
-/**
- * Calculate distance between two points using Haversine formula
- * @param {Number} lat1 - Latitude of first point
- * @param {Number} lon1 - Longitude of first point
- * @param {Number} lat2 - Latitude of second point
- * @param {Number} lon2 - Longitude of second point
- * @returns {Number} - Distance in meters
- */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371e3; // Earth's radius in meters
-  const φ1 = lat1 * Math.PI / 180;
-  const φ2 = lat2 * Math.PI / 180;
-  const Δφ = (lat2 - lat1) * Math.PI / 180;
-  const Δλ = (lon2 - lon1) * Math.PI / 180;
-
-  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-            Math.cos(φ1) * Math.cos(φ2) *
-            Math.sin(Δλ/2) * Math.sin(Δλ/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  const distance = R * c;
-  
-  return distance; // in meters
-}
-
 module.exports = locationVerifier;
\ No newline at end of file
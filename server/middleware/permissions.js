@@ -0,0 +1,41 @@
+const { getRequestPermissions } = require('../utils/permissionUtils');
+
+/**
+ * Permission check middleware
+ * Allows the request when the user's role grants every listed permission
+ * Must be used after auth middleware since it depends on req.user
+ * 
+ * @param {...String} permissions - Required permissions, e.g. 'shifts:approve'
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    // Check if user exists in request (auth middleware should have set this)
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required before checking permissions.'
+      });
+    }
+
+    const granted = await getRequestPermissions(req);
+    const missing = permissions.filter(permission => !granted.includes(permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Missing permission: ${missing.join(', ')}.`
+      });
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Permission check failed.',
+      error: error.message
+    });
+  }
+};
+
+module.exports = requirePermission;
\ No newline at end of file
@@ -1,4 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { PERMISSIONS } = require('../config/permissions');
+const { buildLeaveDays } = require('../utils/leaveUtils');
 
 /**
  * Validates request and returns errors if any
@@ -119,8 +121,14 @@ exports.validateDateRange = [
  */
 exports.validateAdminUserUpdate = [
   ...exports.validateUserUpdate,
-  body('isAdmin').optional().isBoolean().withMessage('isAdmin must be a boolean'),
+  body('role').optional().trim().toLowerCase().notEmpty().withMessage('Role cannot be empty'),
+  body('managedDepartments').optional().isArray().withMessage('Managed departments must be an array'),
+  body('managedDepartments.*').isString().trim().notEmpty().withMessage('Managed departments must be department names'),
+  body(['managerId', 'teamId']).optional({ values: 'null' }).isMongoId().withMessage('Invalid manager or team ID'),
+  body('twoFactorRequired').optional().isBoolean().withMessage('twoFactorRequired must be a boolean'),
   body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('dateOfBirth').optional({ values: 'null' })
+    .isISO8601().withMessage('Date of birth must be a valid date'),
   validate
 ];
 
@@ -137,4 +145,547 @@ exports.validateNotification = [
     .optional()
     .isIn(['low', 'medium', 'high']).withMessage('Priority must be low, medium, or high'),
   validate
+];
+
+/**
+ * Validation rules for creating a scheduled shift
+ */
+exports.validateScheduledShift = [
+  body('userId').isMongoId().withMessage('A valid employee ID is required'),
+  body('plannedStart')
+    .isISO8601().withMessage('Planned start must be a valid date'),
+  body('plannedEnd')
+    .isISO8601().withMessage('Planned end must be a valid date'),
+  body('role').optional().trim(),
+  body('department').optional().trim().notEmpty().withMessage('Department cannot be empty'),
+  body('plannedLocation.latitude').optional()
+    .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('plannedLocation.longitude').optional()
+    .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  validate
+];
+
+/**
+ * Validation rules for updating a scheduled shift
+ */
+exports.validateScheduledShiftUpdate = [
+  param('id').isMongoId().withMessage('Invalid scheduled shift ID format'),
+  body('plannedStart').optional()
+    .isISO8601().withMessage('Planned start must be a valid date'),
+  body('plannedEnd').optional()
+    .isISO8601().withMessage('Planned end must be a valid date'),
+  body('status').optional()
+    .isIn(['draft', 'published', 'cancelled']).withMessage('Status must be draft, published or cancelled'),
+  body('plannedLocation.latitude').optional()
+    .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('plannedLocation.longitude').optional()
+    .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  validate
+];
+
+/**
+ * Validation rules for copying a week's roster
+ */
+exports.validateScheduleCopy = [
+  body('fromWeek').isISO8601().withMessage('Source week must be a valid date'),
+  body('toWeek').isISO8601().withMessage('Target week must be a valid date'),
+  validate
+];
+
+/**
+ * Validation rules for publishing a week's roster
+ */
+exports.validateSchedulePublish = [
+  body('weekStart').isISO8601().withMessage('Week start must be a valid date'),
+  validate
+];
+
+/**
+ * Validation rules for creating or updating a work location
+ */
+exports.validateWorkLocation = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('center.latitude').optional()
+    .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('center.longitude').optional()
+    .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('geofenceType').optional()
+    .isIn(['circle', 'polygon']).withMessage('Geofence type must be circle or polygon'),
+  body('boundary.type').optional()
+    .isIn(['Polygon', 'MultiPolygon']).withMessage('Boundary must be a GeoJSON Polygon or MultiPolygon'),
+  body('radius').optional()
+    .isFloat({ min: 1 }).withMessage('Radius must be a positive number of meters'),
+  body('departments').optional().isArray().withMessage('Departments must be an array'),
+  validate
+];
+
+/**
+ * Validation rules for assigning a work location
+ */
+exports.validateWorkLocationAssignment = [
+  param('id').isMongoId().withMessage('Invalid work location ID format'),
+  body('userIds').optional().isArray().withMessage('User IDs must be an array'),
+  body('userIds.*').optional().isMongoId().withMessage('User IDs must be valid'),
+  body('departments').optional().isArray().withMessage('Departments must be an array'),
+  body('enforceLocationCheck').optional().isBoolean().withMessage('enforceLocationCheck must be a boolean'),
+  validate
+];
+
+/**
+ * Validation rules for creating or updating an overtime rule
+ */
+exports.validateOvertimeRule = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body(['dailyOvertimeHours', 'dailyDoubleTimeHours', 'weeklyOvertimeHours', 'consecutiveDayDoubleTimeHours'])
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Hour thresholds must be zero or more'),
+  body('consecutiveDayNumber').optional({ values: 'null' })
+    .isInt({ min: 2, max: 7 }).withMessage('Consecutive day must be between 2 and 7'),
+  body('departments').optional().isArray().withMessage('Departments must be an array'),
+  body('employees').optional().isArray().withMessage('Employees must be an array'),
+  body('employees.*').optional().isMongoId().withMessage('Employee IDs must be valid'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  validate
+];
+
+/**
+ * Validation rules for payroll exports
+ */
+exports.validatePayrollExport = [
+  query('startDate').optional()
+    .isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional()
+    .isISO8601().withMessage('End date must be a valid date'),
+  query('snapshotId').optional().isMongoId().withMessage('Invalid snapshot ID format'),
+  validate
+];
+
+/**
+ * Validation rules for taking a pay-period snapshot
+ */
+exports.validatePayrollSnapshot = [
+  body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').isISO8601().withMessage('End date must be a valid date'),
+  body('department').optional().isString().trim(),
+  validate
+];
+
+/**
+ * Validation rules for submitting a timesheet
+ */
+exports.validateTimesheetSubmit = [
+  body('weekStart').isISO8601().withMessage('Week start must be a valid date'),
+  body('comment').optional().trim(),
+  validate
+];
+
+/**
+ * Validation rules for approving or reopening a timesheet
+ */
+exports.validateTimesheetReview = [
+  param('id').isMongoId().withMessage('Invalid timesheet ID format'),
+  body('comment').optional().trim(),
+  validate
+];
+
+/**
+ * Validation rules for rejecting a timesheet
+ */
+exports.validateTimesheetReject = [
+  param('id').isMongoId().withMessage('Invalid timesheet ID format'),
+  body('comment').trim().notEmpty().withMessage('A comment is required when rejecting a timesheet'),
+  validate
+];
+
+/**
+ * Validation rules for requesting a shift correction
+ */
+exports.validateCorrectionRequest = [
+  param('id').isMongoId().withMessage('Invalid shift ID format'),
+  body('reason').trim().notEmpty().withMessage('A reason is required'),
+  body('startTime').optional()
+    .isISO8601().withMessage('Start time must be a valid date'),
+  body('endTime').optional()
+    .isISO8601().withMessage('End time must be a valid date'),
+  body('breaks').optional().isArray().withMessage('Breaks must be an array'),
+  body('breaks.*.type').optional()
+    .isString().trim().notEmpty().withMessage('Break type cannot be empty'),
+  body('breaks.*.startTime')
+    .if(body('breaks').exists())
+    .isISO8601().withMessage('Break start time must be a valid date'),
+  body('breaks.*.endTime').optional({ values: 'null' })
+    .isISO8601().withMessage('Break end time must be a valid date')
+    .bail()
+    .custom((endTime, { req, path }) => {
+      const index = Number(path.match(/\d+/)[0]);
+      return new Date(endTime) > new Date(req.body.breaks[index].startTime);
+    }).withMessage('Break end time must be after its start time'),
+  validate
+];
+
+/**
+ * Validation rules for accepting a correction request
+ */
+exports.validateCorrectionReview = [
+  param('id').isMongoId().withMessage('Invalid correction request ID format'),
+  body('comment').optional().trim(),
+  validate
+];
+
+/**
+ * Validation rules for rejecting a correction request
+ */
+exports.validateCorrectionReject = [
+  param('id').isMongoId().withMessage('Invalid correction request ID format'),
+  body('comment').trim().notEmpty().withMessage('A comment is required when rejecting a correction'),
+  validate
+];
+
+/**
+ * Validation rules for browsing or exporting the audit trail
+ */
+exports.validateAuditQuery = [
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID format'),
+  query('targetId').optional().isMongoId().withMessage('Invalid target ID format'),
+  query('targetUser').optional().isMongoId().withMessage('Invalid employee ID format'),
+  query('targetType').optional()
+    .isIn(['Shift', 'User', 'Settings', 'Timesheet', 'CorrectionRequest']).withMessage('Invalid target type'),
+  query('action').optional()
+    .matches(/^[a-z_]+(\.[a-z_]+)?$/).withMessage('Action must look like shift or shift.update'),
+  query('startDate').optional()
+    .isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional()
+    .isISO8601().withMessage('End date must be a valid date'),
+  query('page').optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional()
+    .isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  query('format').optional()
+    .isIn(['csv', 'json']).withMessage('Format must be csv or json'),
+  validate
+];
+
+/**
+ * Validation rules for pay rates (personal or position/department defaults)
+ */
+exports.validatePayRate = [
+  body('hourlyRate').isFloat({ min: 0 }).withMessage('Hourly rate must be zero or more'),
+  body('effectiveFrom').isISO8601().withMessage('Effective from must be a valid date'),
+  body(['position', 'department', 'note']).optional().isString().trim(),
+  validate
+];
+
+/**
+ * Validation rules for shift differentials
+ */
+exports.validateShiftDifferential = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('days').optional().isArray().withMessage('Days must be an array'),
+  body('days.*').optional().isInt({ min: 0, max: 6 }).withMessage('Days must be between 0 (Sunday) and 6 (Saturday)'),
+  body(['startTime', 'endTime']).optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Times must be in HH:mm format'),
+  body('premiumType').optional().isIn(['percent', 'fixed']).withMessage('Premium type must be percent or fixed'),
+  body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be zero or more'),
+  body('departments').optional().isArray().withMessage('Departments must be an array'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  validate
+];
+
+/**
+ * Validation rules for labour budgets
+ */
+exports.validateLaborBudget = [
+  body('department').optional().trim().notEmpty().withMessage('Department cannot be empty'),
+  body(['periodStart', 'periodEnd']).optional()
+    .isISO8601().withMessage('Budget period dates must be valid dates'),
+  body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be zero or more'),
+  validate
+];
+
+/**
+ * Validation rules for recalculating shift costs
+ */
+exports.validateCostRecalculation = [
+  body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').isISO8601().withMessage('End date must be a valid date'),
+  body('userId').optional().isMongoId().withMessage('Invalid user ID format'),
+  validate
+];
+
+/**
+ * Validation rules for requesting leave
+ */
+exports.validateLeaveRequest = [
+  body('leaveType').isMongoId().withMessage('Invalid leave type'),
+  body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').isISO8601().withMessage('End date must be a valid date')
+    .bail()
+    .custom((endDate, { req }) => new Date(endDate) >= new Date(req.body.startDate))
+    .withMessage('End date must be on or after the start date')
+    .bail()
+    .custom((endDate, { req }) => buildLeaveDays(new Date(req.body.startDate), new Date(endDate)).length > 0)
+    .withMessage('Leave must cover at least one working day'),
+  body('hoursPerDay').optional()
+    .isFloat({ min: 0.25, max: 24 }).withMessage('Hours per day must be between 0.25 and 24'),
+  body('reason').optional().isString().trim()
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  validate
+];
+
+/**
+ * Validation rules for leave types
+ */
+exports.validateLeaveType = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('code').optional().trim().notEmpty().withMessage('Code cannot be empty'),
+  body(['isPaid', 'tracksBalance', 'isActive']).optional()
+    .isBoolean().withMessage('Flags must be booleans'),
+  validate
+];
+
+/**
+ * Validation rules for creating a leave type
+ */
+exports.validateLeaveTypeCreate = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('code').trim().notEmpty().withMessage('Code is required'),
+  ...exports.validateLeaveType
+];
+
+/**
+ * Validation rules for leave policies
+ */
+exports.validateLeavePolicy = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('leaveType').optional().isMongoId().withMessage('Invalid leave type'),
+  body('accrualMethod').optional()
+    .isIn(['hours_worked', 'monthly']).withMessage('Accrual method must be hours_worked or monthly'),
+  body('accrualHours').optional().isFloat({ min: 0 }).withMessage('Accrual hours must be zero or more'),
+  body('perHoursWorked').optional().isFloat({ min: 1 }).withMessage('Hours worked per accrual must be at least 1'),
+  body(['maxBalanceHours', 'carryOverHours']).optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Caps must be zero or more'),
+  body('departments').optional().isArray().withMessage('Departments must be an array'),
+  body('employees').optional().isArray().withMessage('Employees must be an array'),
+  body('employees.*').optional().isMongoId().withMessage('Employee IDs must be valid'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  validate
+];
+
+
+/**
+ * Validation rules for approving a leave request
+ */
+exports.validateLeaveReview = [
+  param('id').isMongoId().withMessage('Invalid leave request ID format'),
+  body('comment').optional().trim(),
+  validate
+];
+
+/**
+ * Validation rules for rejecting a leave request
+ */
+exports.validateLeaveReject = [
+  param('id').isMongoId().withMessage('Invalid leave request ID format'),
+  body('comment').trim().notEmpty().withMessage('A comment is required when rejecting leave'),
+  validate
+];
+
+/**
+ * Validation rules for holiday calendars
+ */
+exports.validateHolidayCalendar = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('region').optional().isString().trim(),
+  body('departments').optional().isArray().withMessage('Departments must be an array'),
+  body('workLocations').optional().isArray().withMessage('Work locations must be an array'),
+  body('workLocations.*').optional().isMongoId().withMessage('Work location IDs must be valid'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  validate
+];
+
+/**
+ * Validation rules for adding a single holiday
+ */
+exports.validateHoliday = [
+  body('date').isISO8601().withMessage('Date must be a valid date'),
+  body('name').trim().notEmpty().withMessage('Holiday name is required'),
+  validate
+];
+
+/**
+ * Validation rules for break policies
+ */
+exports.validateBreakPolicy = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('breakTypes').optional().isArray({ min: 1 }).withMessage('At least one break type is required'),
+  body('breakTypes.*.key').optional()
+    .matches(/^[a-z0-9_-]+$/i).withMessage('Break type keys may only contain letters, numbers, - and _'),
+  body('breakTypes.*.name').optional().trim().notEmpty().withMessage('Break type name cannot be empty'),
+  body('breakTypes.*.isPaid').optional().isBoolean().withMessage('isPaid must be a boolean'),
+  body(['breakTypes.*.maxDurationMinutes', 'breakTypes.*.maxPerShift', 'maxBreaksPerShift'])
+    .optional({ values: 'null' })
+    .isInt({ min: 1 }).withMessage('Limits must be whole numbers of at least 1'),
+  body('requiredBreaks').optional().isArray().withMessage('Required breaks must be an array'),
+  body('requiredBreaks.*.afterHoursWorked').optional()
+    .isFloat({ min: 0 }).withMessage('Hours worked must be zero or more'),
+  body('requiredBreaks.*.minDurationMinutes').optional()
+    .isInt({ min: 1 }).withMessage('Minimum break duration must be at least 1 minute'),
+  body('departments').optional().isArray().withMessage('Departments must be an array'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  validate
+];
+
+/**
+ * Validation rules for compliance rule sets
+ */
+exports.validateComplianceRuleSet = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body(['minRestHours', 'maxShiftHours', 'maxWeeklyHours'])
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Hour limits must be zero or more'),
+  body('averagingWeeks').optional().isInt({ min: 1, max: 52 }).withMessage('Averaging period must be between 1 and 52 weeks'),
+  body('minors').optional().isObject().withMessage('Minors rules must be an object'),
+  body(['minors.earliestStart', 'minors.latestEnd']).optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Times must be in HH:mm format'),
+  body('blockOn').optional().isArray().withMessage('blockOn must be an array'),
+  body('departments').optional().isArray().withMessage('Departments must be an array'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  validate
+];
+
+/**
+ * Validation rules for switching task segments
+ */
+exports.validateTaskSegment = [
+  param('id').isMongoId().withMessage('Invalid shift ID'),
+  body(['job', 'project', 'costCode'])
+    .optional()
+    .isString().withMessage('Job, project and cost code must be text')
+    .trim()
+    .isLength({ max: 100 }).withMessage('Job, project and cost code must be at most 100 characters'),
+  body(['projectId', 'costCentreId']).optional().isMongoId().withMessage('Invalid project or cost centre ID'),
+  body('notes').optional().isString().withMessage('Notes must be text'),
+  validate
+];
+
+/**
+ * Validation rules for the optional first task segment when starting a shift
+ */
+exports.validateShiftStartTask = [
+  body(['job', 'project', 'costCode'])
+    .optional()
+    .isString().withMessage('Job, project and cost code must be text')
+    .trim()
+    .isLength({ max: 100 }).withMessage('Job, project and cost code must be at most 100 characters'),
+  body(['projectId', 'costCentreId']).optional().isMongoId().withMessage('Invalid project or cost centre ID'),
+  validate
+];
+
+
+/**
+ * Validation rules for project, client and cost centre catalogue entries
+ */
+exports.validateProject = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('code').trim().notEmpty().withMessage('Code is required')
+    .isLength({ max: 30 }).withMessage('Code must be at most 30 characters'),
+  body('type').optional().isIn(['project', 'client', 'cost_centre']).withMessage('Type must be project, client or cost_centre'),
+  body(['client', 'costCentre']).optional({ values: 'null' }).isMongoId().withMessage('Invalid client or cost centre ID'),
+  body('departments').optional().isArray().withMessage('Departments must be an array'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  validate
+];
+
+/**
+ * Validation rules for session ID parameter
+ */
+exports.validateSessionId = [
+  param('id').isMongoId().withMessage('Invalid session ID'),
+  validate
+];
+/**
+ * Validation rules for creating or updating a custom role
+ */
+exports.validateRole = [
+  body('name').optional().trim().toLowerCase()
+    .matches(/^[a-z][a-z0-9_-]*$/).withMessage('Role names may only contain letters, digits, - and _'),
+  body('description').optional().trim(),
+  body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isIn(Object.keys(PERMISSIONS)).withMessage('Unknown permission'),
+  validate
+];
+/**
+ * Validation rules for creating or updating a team
+ */
+exports.validateTeam = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('type').optional().isIn(['department', 'team']).withMessage('Type must be department or team'),
+  body('parentTeam').optional({ values: 'null' }).isMongoId().withMessage('Invalid parent team ID'),
+  body('managers').optional().isArray().withMessage('Managers must be an array'),
+  body('managers.*').isMongoId().withMessage('Invalid manager ID'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  validate
+];
+
+/**
+ * Validation rules for a two-factor code from an authenticator app
+ */
+exports.validateTwoFactorCode = [
+  body('code').trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  validate
+];
+
+/**
+ * Validation rules for the second login step (TOTP code or recovery code)
+ */
+exports.validateLoginTwoFactor = [
+  body('challengeToken').notEmpty().withMessage('Login challenge token is required'),
+  body('code').if(body('recoveryCode').not().exists())
+    .trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  body('recoveryCode').optional().isString().trim().notEmpty().withMessage('Recovery code cannot be empty'),
+  validate
+];
+
+/**
+ * Validation rules for starting two-factor enrolment during login
+ */
+exports.validateLoginTwoFactorSetup = [
+  body('challengeToken').notEmpty().withMessage('Login challenge token is required'),
+  validate
+];
+
+/**
+ * Validation rules for turning off two-factor authentication
+ */
+exports.validateTwoFactorDisable = [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').if(body('recoveryCode').not().exists())
+    .trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  body('recoveryCode').optional().isString().trim().notEmpty().withMessage('Recovery code cannot be empty'),
+  validate
+];
+/**
+ * Validation rules for requesting a password reset
+ */
+exports.validateForgotPassword = [
+  body('email')
+    .isEmail().withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  validate
+];
+
+/**
+ * Validation rules for setting a new password with a reset token
+ */
+exports.validateResetPassword = [
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid or expired token'),
+  body('password')
+    .isLength({ min: 8 }).withMessage('Password must be at least 8 characters long')
+    .matches(/^(?=.*\d)(?=.*[a-z])(?=.*[A-Z])(?=.*[!@#$%^&*])/).withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number and one special character'),
+  validate
 ];
\ No newline at end of file
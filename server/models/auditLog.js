@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Single field-level change captured in an audit entry
+const AuditChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+// Append-only audit trail entry
+const AuditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorEmail: {
+    type: String,
+    default: ''
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  targetType: {
+    type: String,
+    enum: ['Shift', 'User', 'Settings', 'Timesheet', 'CorrectionRequest', 'LeaveRequest', 'Role'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Employee the change affects, so disputes can be traced per person
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changes: [AuditChangeSchema],
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false } // Entries are never updated
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+AuditLogSchema.index({ targetUser: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+
+// Entries can only ever be inserted
+const immutableError = () => new Error('Audit log entries cannot be modified or deleted');
+
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return next(immutableError());
+  next();
+});
+
+AuditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], function(next) {
+  next(immutableError());
+});
+
+AuditLogSchema.pre('deleteOne', { document: true, query: false }, function(next) {
+  next(immutableError());
+});
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
\ No newline at end of file
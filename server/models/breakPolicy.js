@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// A kind of break employees can take under a policy
+const BreakTypeSchema = new mongoose.Schema({
+  // Stored on Shift.breaks[].type, e.g. "lunch"
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  isPaid: {
+    type: Boolean,
+    default: false
+  },
+  // Longer breaks are flagged (null for no limit)
+  maxDurationMinutes: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  maxPerShift: {
+    type: Number,
+    default: null,
+    min: 1
+  }
+}, { _id: false });
+
+// A break that must have been taken once enough hours have been worked
+const RequiredBreakSchema = new mongoose.Schema({
+  afterHoursWorked: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  minDurationMinutes: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Break types that satisfy the rule (any type when empty)
+  breakTypes: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }]
+}, { _id: false });
+
+// Break rules, assigned to departments or used as the default
+const BreakPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  breakTypes: {
+    type: [BreakTypeSchema],
+    validate: [types => types.length > 0, 'A break policy needs at least one break type']
+  },
+  requiredBreaks: [RequiredBreakSchema],
+  maxBreaksPerShift: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  departments: [{
+    type: String,
+    trim: true
+  }],
+  // Applies to anyone without a department policy
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+// Break type keys must be unique within a policy
+BreakPolicySchema.pre('validate', function(next) {
+  const keys = this.breakTypes.map(type => type.key);
+  if (new Set(keys).size !== keys.length) {
+    this.invalidate('breakTypes', 'Break type keys must be unique');
+  }
+  next();
+});
+
+// Static method to pick a user's policy: department, then default
+BreakPolicySchema.statics.resolveForUser = function(user, policies) {
+  return (user.department && policies.find(policy => policy.departments.includes(user.department))) ||
+    policies.find(policy => policy.isDefault) ||
+    null;
+};
+
+module.exports = mongoose.model('BreakPolicy', BreakPolicySchema);
\ No newline at end of file
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// Rule codes, shared with ComplianceViolation
+const COMPLIANCE_CODES = [
+  'min_rest',
+  'max_shift_hours',
+  'weekly_average_hours',
+  'minor_rest',
+  'minor_daily_hours',
+  'minor_weekly_hours',
+  'minor_night_work'
+];
+
+// Tighter limits for staff under a given age
+const MinorRulesSchema = new mongoose.Schema({
+  ageUnder: {
+    type: Number,
+    default: 18,
+    min: 1
+  },
+  minRestHours: {
+    type: Number,
+    default: 12,
+    min: 0
+  },
+  maxDailyHours: {
+    type: Number,
+    default: 8,
+    min: 0
+  },
+  maxWeeklyHours: {
+    type: Number,
+    default: 40,
+    min: 0
+  },
+  // Minors may not be working outside these local times (HH:mm)
+  earliestStart: {
+    type: String,
+    default: '06:00',
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must be in HH:mm format']
+  },
+  latestEnd: {
+    type: String,
+    default: '22:00',
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must be in HH:mm format']
+  }
+}, { _id: false });
+
+// Working time rules, assigned to departments or used as the default
+// Thresholds are in hours; leave one null to switch that rule off
+const ComplianceRuleSetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Minimum rest between the end of one shift and the start of the next
+  minRestHours: {
+    type: Number,
+    default: 11,
+    min: 0
+  },
+  maxShiftHours: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Average weekly hours over the reference period
+  maxWeeklyHours: {
+    type: Number,
+    default: 48,
+    min: 0
+  },
+  averagingWeeks: {
+    type: Number,
+    default: 17,
+    min: 1
+  },
+  minors: {
+    type: MinorRulesSchema,
+    default: () => ({})
+  },
+  // Rules that refuse a clock-in instead of only recording a violation
+  // (violations found at clock-out are always recorded, never blocked)
+  blockOn: [{
+    type: String,
+    enum: COMPLIANCE_CODES
+  }],
+  departments: [{
+    type: String,
+    trim: true
+  }],
+  // Applies to anyone without a department rule set
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+// Static method to pick a user's rule set: department, then default
+ComplianceRuleSetSchema.statics.resolveForUser = function(user, ruleSets) {
+  return (user.department && ruleSets.find(ruleSet => ruleSet.departments.includes(user.department))) ||
+    ruleSets.find(ruleSet => ruleSet.isDefault) ||
+    null;
+};
+
+const ComplianceRuleSet = mongoose.model('ComplianceRuleSet', ComplianceRuleSetSchema);
+ComplianceRuleSet.COMPLIANCE_CODES = COMPLIANCE_CODES;
+
+module.exports = ComplianceRuleSet;
\ No newline at end of file
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { COMPLIANCE_CODES } = require('./complianceRuleSet');
+
+// Working time rule broken (or prevented) at a clock-in or clock-out
+const ComplianceViolationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Empty when the clock-in was blocked
+  shiftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    default: null
+  },
+  ruleSetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ComplianceRuleSet',
+    default: null // null when the built-in default rules applied
+  },
+  code: {
+    type: String,
+    enum: COMPLIANCE_CODES,
+    required: true
+  },
+  punch: {
+    type: String,
+    enum: ['start', 'end'],
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  limit: Number,
+  actual: Number,
+  blocked: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolutionNote: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+ComplianceViolationSchema.index({ createdAt: -1 });
+ComplianceViolationSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ComplianceViolation', ComplianceViolationSchema);
\ No newline at end of file
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+// Break times proposed or recorded in a correction
+const CorrectionBreakSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    trim: true
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Shift times (either proposed by the employee or as recorded before the change)
+const CorrectionTimesSchema = new mongoose.Schema({
+  startTime: {
+    type: Date,
+    default: null
+  },
+  endTime: {
+    type: Date,
+    default: null
+  },
+  breaks: {
+    type: [CorrectionBreakSchema],
+    default: undefined // leave unset when breaks are not part of the correction
+  }
+}, { _id: false });
+
+// Shift correction request schema
+const CorrectionRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  shiftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    required: true
+  },
+  proposed: {
+    type: CorrectionTimesSchema,
+    required: true
+  },
+  original: {
+    type: CorrectionTimesSchema,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Raised by the employee, or by the auto clock-out job for a forgotten shift
+  source: {
+    type: String,
+    enum: ['employee', 'auto_clockout'],
+    default: 'employee'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewComment: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+CorrectionRequestSchema.index({ status: 1, createdAt: 1 });
+CorrectionRequestSchema.index({ shiftId: 1, status: 1 });
+
+// A request has to change something, can't end before it starts,
+// and its breaks have to fall inside the corrected shift
+CorrectionRequestSchema.pre('validate', function(next) {
+  const { startTime, endTime, breaks } = this.proposed || {};
+
+  if (!startTime && !endTime && !breaks) {
+    this.invalidate('proposed', 'A correction must propose a new start time, end time or breaks');
+  }
+
+  const effectiveStart = startTime || (this.original && this.original.startTime);
+  const effectiveEnd = endTime || (this.original && this.original.endTime);
+  if (effectiveStart && effectiveEnd && effectiveEnd <= effectiveStart) {
+    this.invalidate('proposed.endTime', 'End time must be after start time');
+  }
+
+  (breaks || []).forEach((breakItem, index) => {
+    if (breakItem.endTime && breakItem.endTime <= breakItem.startTime) {
+      this.invalidate(`proposed.breaks.${index}.endTime`, 'Break end time must be after its start time');
+    }
+    const breakEnd = breakItem.endTime || breakItem.startTime;
+    if ((effectiveStart && breakItem.startTime < effectiveStart) || (effectiveEnd && breakEnd > effectiveEnd)) {
+      this.invalidate(`proposed.breaks.${index}`, 'Breaks must fall within the shift');
+    }
+  });
+
+  next();
+});
+
+// Static method to snapshot a shift's current times
+CorrectionRequestSchema.statics.snapshotShift = function(shift) {
+  return {
+    startTime: shift.startTime.timestamp,
+    endTime: shift.endTime ? shift.endTime.timestamp : null,
+    breaks: shift.breaks.map(breakItem => ({
+      type: breakItem.type,
+      startTime: breakItem.startTime.timestamp,
+      endTime: breakItem.endTime ? breakItem.endTime.timestamp : null
+    }))
+  };
+};
+
+module.exports = mongoose.model('CorrectionRequest', CorrectionRequestSchema);
\ No newline at end of file
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// A single public holiday (stored as local midnight of the day)
+const HolidaySchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'ics'],
+    default: 'manual'
+  }
+});
+
+// Public holidays for a region, assigned to work locations or departments
+const HolidayCalendarSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  region: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  holidays: [HolidaySchema],
+  departments: [{
+    type: String,
+    trim: true
+  }],
+  workLocations: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkLocation'
+  }],
+  // Applies to anyone without a work location or department calendar
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+// Static method to pick a user's calendar: work location, then department, then default
+HolidayCalendarSchema.statics.resolveForUser = function(user, calendars) {
+  const locationIds = (user.workLocations || []).map(id => id.toString());
+
+  return calendars.find(calendar => calendar.workLocations.some(id => locationIds.includes(id.toString()))) ||
+    (user.department && calendars.find(calendar => calendar.departments.includes(user.department))) ||
+    calendars.find(calendar => calendar.isDefault) ||
+    null;
+};
+
+// Method to add holidays, replacing any already on the same day
+HolidayCalendarSchema.methods.mergeHolidays = function(holidays) {
+  const byDay = new Map(this.holidays.map(holiday => [holiday.date.toDateString(), holiday]));
+  let added = 0;
+  let updated = 0;
+
+  holidays.forEach(holiday => {
+    const key = holiday.date.toDateString();
+    const existing = byDay.get(key);
+    if (existing) {
+      existing.name = holiday.name;
+      existing.source = holiday.source;
+      updated++;
+    } else {
+      this.holidays.push(holiday);
+      byDay.set(key, this.holidays[this.holidays.length - 1]);
+      added++;
+    }
+  });
+
+  this.holidays.sort((a, b) => a.date - b.date);
+  return { added, updated };
+};
+
+module.exports = mongoose.model('HolidayCalendar', HolidayCalendarSchema);
\ No newline at end of file
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+// Record of a single job run
+const JobRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['schedule', 'retry', 'manual'],
+    required: true
+  },
+  attempt: {
+    type: Number,
+    default: 1
+  },
+  status: {
+    type: String,
+    enum: ['success', 'failed'],
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: {
+    type: Date,
+    required: true
+  },
+  durationMs: {
+    type: Number,
+    default: 0
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  instance: {
+    type: String,
+    default: ''
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { _id: false });
+
+// Recurring server job with its schedule, lock and run history
+const JobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  schedule: {
+    type: String,
+    required: true // Cron expression: minute hour day-of-month month day-of-week
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastStatus: {
+    type: String,
+    enum: ['success', 'failed', null],
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // Consecutive failed attempts of the current run
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxRetries: {
+    type: Number,
+    default: 2
+  },
+  // Instance holding the lock, so only one server runs the job at a time
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  history: [JobRunSchema]
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+// Whether another instance currently holds the lock
+JobSchema.virtual('isRunning').get(function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+});
+
+module.exports = mongoose.model('Job', JobSchema);
\ No newline at end of file
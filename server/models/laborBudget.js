@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Labour cost budget of a department for a period
+const LaborBudgetSchema = new mongoose.Schema({
+  department: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+LaborBudgetSchema.index({ department: 1, periodStart: 1 });
+
+// Budget periods can't end before they start
+LaborBudgetSchema.pre('validate', function(next) {
+  if (this.periodStart && this.periodEnd && this.periodEnd < this.periodStart) {
+    this.invalidate('periodEnd', 'Period end must be after period start');
+  }
+  next();
+});
+
+module.exports = mongoose.model('LaborBudget', LaborBudgetSchema);
\ No newline at end of file
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// An employee's balance of a leave type for a calendar year, in hours
+// Recalculated from the policy, worked shifts and leave requests by refreshLeaveBalance
+const LeaveBalanceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  leaveType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaveType',
+    required: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  policyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeavePolicy',
+    default: null
+  },
+  carriedOverHours: {
+    type: Number,
+    default: 0
+  },
+  accruedHours: {
+    type: Number,
+    default: 0
+  },
+  usedHours: {
+    type: Number,
+    default: 0
+  },
+  pendingHours: {
+    type: Number,
+    default: 0
+  },
+  availableHours: {
+    type: Number,
+    default: 0
+  },
+  calculatedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+LeaveBalanceSchema.index({ userId: 1, leaveType: 1, year: 1 }, { unique: true });
+
+module.exports = mongoose.model('LeaveBalance', LeaveBalanceSchema);
\ No newline at end of file
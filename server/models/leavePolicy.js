@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// How employees earn a leave type, assigned directly or through their department
+const LeavePolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  leaveType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaveType',
+    required: true
+  },
+  // hours_worked: accrualHours for every perHoursWorked hours worked
+  // monthly: accrualHours at the start of every month
+  accrualMethod: {
+    type: String,
+    enum: ['hours_worked', 'monthly'],
+    required: true
+  },
+  accrualHours: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  perHoursWorked: {
+    type: Number,
+    default: 40,
+    min: 1
+  },
+  // Accrual stops while the available balance is at the cap
+  maxBalanceHours: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Hours of unused balance moved into the next year (null carries everything)
+  carryOverHours: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  departments: [{
+    type: String,
+    trim: true
+  }],
+  employees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Applies to anyone without an employee or department policy for the leave type
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+// Static method to pick the policy for an employee: employee, then department, then default
+LeavePolicySchema.statics.resolveForUser = function(user, leaveTypeId, policies) {
+  const userId = user._id.toString();
+  const candidates = policies.filter(policy => policy.leaveType.toString() === leaveTypeId.toString());
+
+  return candidates.find(policy => policy.employees.some(id => id.toString() === userId)) ||
+    (user.department && candidates.find(policy => policy.departments.includes(user.department))) ||
+    candidates.find(policy => policy.isDefault) ||
+    null;
+};
+
+module.exports = mongoose.model('LeavePolicy', LeavePolicySchema);
\ No newline at end of file
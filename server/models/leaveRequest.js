@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Hours of leave taken on one day of a request
+const LeaveDaySchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  hours: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 24
+  }
+}, { _id: false });
+
+// Leave request schema
+const LeaveRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  leaveType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaveType',
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  days: [LeaveDaySchema],
+  totalHours: {
+    type: Number,
+    default: 0
+  },
+  // Copied from the leave type so payroll isn't affected by later type edits
+  isPaid: {
+    type: Boolean,
+    default: true
+  },
+  reason: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewComment: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+LeaveRequestSchema.index({ status: 1, startDate: 1 });
+LeaveRequestSchema.index({ userId: 1, startDate: 1, endDate: 1 });
+
+// Requests can't end before they start and must cover some working time
+LeaveRequestSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be on or after the start date');
+  }
+
+  if (this.days.length === 0 || this.totalHours <= 0) {
+    this.invalidate('days', 'Leave must cover at least one working day');
+  }
+
+  next();
+});
+
+// Method to total the hours of the days falling inside a period
+LeaveRequestSchema.methods.getHoursBetween = function(start, end) {
+  return this.days
+    .filter(day => day.date >= start && day.date <= end)
+    .reduce((total, day) => total + day.hours, 0);
+};
+
+module.exports = mongoose.model('LeaveRequest', LeaveRequestSchema);
\ No newline at end of file
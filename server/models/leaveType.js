@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Kind of absence an employee can request (vacation, sick, unpaid...)
+const LeaveTypeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Paid leave is exported to payroll as PTO hours
+  isPaid: {
+    type: Boolean,
+    default: true
+  },
+  // Requests are limited to the employee's balance (needs a leave policy)
+  tracksBalance: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+module.exports = mongoose.model('LeaveType', LeaveTypeSchema);
\ No newline at end of file
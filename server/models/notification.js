@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { formatDuration } = require('../utils/timeUtils');
 
 const NotificationSchema = new mongoose.Schema({
   userId: {
@@ -8,7 +9,22 @@ const NotificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['shift_completed', 'break_exceeded', 'shift_reminder', 'admin_message'],
+    enum: [
+      'shift_completed',
+      'break_exceeded',
+      'shift_reminder',
+      'admin_message',
+      'schedule_published',
+      'timesheet_approved',
+      'timesheet_rejected',
+      'correction_accepted',
+      'correction_rejected',
+      'shift_auto_closed',
+      'leave_approved',
+      'leave_rejected',
+      'leave_cancelled',
+      'break_violation'
+    ],
     required: true
   },
   message: {
@@ -25,8 +41,12 @@ const NotificationSchema = new mongoose.Schema({
 
 // Static method to create a shift completion notification
 NotificationSchema.statics.createShiftCompleteNotification = async function(userId, shiftData) {
-  const message = `You have completed your shift with a total of ${shiftData.totalWorkDuration.toFixed(2)} 
-                  minutes worked and ${shiftData.totalBreakDuration.toFixed(2)} minutes on breaks.`;
+  const worked = formatDuration(shiftData.totalWorkDuration).formatted;
+  const payable = formatDuration(shiftData.getPayableDuration()).formatted;
+  const breaks = formatDuration(shiftData.totalBreakDuration).formatted;
+  const paidBreaks = formatDuration(shiftData.paidBreakDuration).formatted;
+  const message = `You have completed your shift with ${worked} worked and ${breaks} on breaks ` +
+                  `(${paidBreaks} paid), for ${payable} of paid time.`;
   
   return this.create({
     userId,
@@ -46,6 +66,95 @@ NotificationSchema.statics.createBreakExceededNotification = async function(user
   });
 };
 
+// Static method to create a schedule published notification
+NotificationSchema.statics.createSchedulePublishedNotification = async function(userId, weekStart, shiftCount) {
+  const message = `Your schedule for the week of ${weekStart.toDateString()} has been published with ${shiftCount} shift(s).`;
+  
+  return this.create({
+    userId,
+    type: 'schedule_published',
+    message
+  });
+};
+
+// Static method to create a timesheet approved/rejected notification
+NotificationSchema.statics.createTimesheetReviewedNotification = async function(userId, timesheet) {
+  const week = timesheet.weekStart.toDateString();
+  const message = timesheet.status === 'approved'
+    ? `Your timesheet for the week of ${week} has been approved.`
+    : `Your timesheet for the week of ${week} was rejected: ${timesheet.reviewComment}`;
+  
+  return this.create({
+    userId,
+    type: timesheet.status === 'approved' ? 'timesheet_approved' : 'timesheet_rejected',
+    message
+  });
+};
+
+// Static method to create a correction accepted/rejected notification
+NotificationSchema.statics.createCorrectionReviewedNotification = async function(userId, correction) {
+  const message = correction.status === 'accepted'
+    ? 'Your shift correction request has been accepted and applied.'
+    : `Your shift correction request was rejected: ${correction.reviewComment}`;
+  
+  return this.create({
+    userId,
+    type: correction.status === 'accepted' ? 'correction_accepted' : 'correction_rejected',
+    message
+  });
+};
+
+// Static method to create an auto clock-out notification
+// Pass the employee's name when notifying a reviewer rather than the employee
+NotificationSchema.statics.createShiftAutoClosedNotification = async function(userId, shift, employeeName = null) {
+  const endedAt = new Date(shift.endTime.timestamp).toLocaleString();
+  const message = employeeName
+    ? `${employeeName}'s shift was left open and was closed automatically at ${endedAt}. It is waiting in the correction queue.`
+    : `Your shift was left open and was closed automatically at ${endedAt}. Please request a correction with your actual end time.`;
+  
+  return this.create({
+    userId,
+    type: 'shift_auto_closed',
+    message
+  });
+};
+
+// Static method to create a leave approved/rejected notification
+NotificationSchema.statics.createLeaveReviewedNotification = async function(userId, leaveRequest) {
+  const period = `${leaveRequest.startDate.toDateString()} - ${leaveRequest.endDate.toDateString()}`;
+  const message = leaveRequest.status === 'approved'
+    ? `Your leave request for ${period} has been approved.`
+    : `Your leave request for ${period} was rejected: ${leaveRequest.reviewComment}`;
+  
+  return this.create({
+    userId,
+    type: leaveRequest.status === 'approved' ? 'leave_approved' : 'leave_rejected',
+    message
+  });
+};
+
+// Static method to tell the approver that an employee cancelled approved leave
+NotificationSchema.statics.createLeaveCancelledNotification = async function(userId, leaveRequest, employeeName) {
+  const period = `${leaveRequest.startDate.toDateString()} - ${leaveRequest.endDate.toDateString()}`;
+  
+  return this.create({
+    userId,
+    type: 'leave_cancelled',
+    message: `${employeeName} cancelled their approved leave for ${period}.`
+  });
+};
+
+// Static method to create a break policy violation notification for a finished shift
+NotificationSchema.statics.createBreakViolationNotification = async function(userId, violations) {
+  const message = `Your last shift did not meet the break policy: ${violations.map(v => v.message).join('; ')}.`;
+  
+  return this.create({
+    userId,
+    type: 'break_violation',
+    message
+  });
+};
+
 // Static method to get unread notifications for a user
 NotificationSchema.statics.getUnreadByUser = function(userId) {
   return this.find({ userId, isRead: false }).sort({ createdAt: -1 });
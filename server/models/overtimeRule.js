@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Overtime rule set, assigned to employees directly or through their department
+// Thresholds are in hours; leave one null to switch that rule off
+const OvertimeRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Hours in a day after which time is overtime
+  dailyOvertimeHours: {
+    type: Number,
+    default: 8,
+    min: 0
+  },
+  // Hours in a day after which time is double time
+  dailyDoubleTimeHours: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Regular hours in a week after which time is overtime
+  weeklyOvertimeHours: {
+    type: Number,
+    default: 40,
+    min: 0
+  },
+  // Consecutive worked day in the week (e.g. the 7th) on which all time is overtime
+  consecutiveDayNumber: {
+    type: Number,
+    default: null,
+    min: 2,
+    max: 7
+  },
+  // Hours on that consecutive day after which time is double time
+  consecutiveDayDoubleTimeHours: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  departments: [{
+    type: String,
+    trim: true
+  }],
+  employees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Applies to anyone without an employee or department rule
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+// Double time has to start after overtime does
+OvertimeRuleSchema.pre('validate', function(next) {
+  if (this.dailyDoubleTimeHours != null && this.dailyOvertimeHours != null &&
+      this.dailyDoubleTimeHours <= this.dailyOvertimeHours) {
+    this.invalidate('dailyDoubleTimeHours', 'Daily double time must start after daily overtime');
+  }
+  next();
+});
+
+// Static method to pick the rule for a user: employee rule, then department rule, then the default
+OvertimeRuleSchema.statics.resolveForUser = function(user, rules) {
+  const userId = user._id.toString();
+
+  return rules.find(rule => rule.employees.some(id => id.toString() === userId)) ||
+    (user.department && rules.find(rule => rule.departments.includes(user.department))) ||
+    rules.find(rule => rule.isDefault) ||
+    null;
+};
+
+module.exports = mongoose.model('OvertimeRule', OvertimeRuleSchema);
\ No newline at end of file
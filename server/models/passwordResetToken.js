@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Single-use password reset token; only its SHA-256 hash is stored
+const PasswordResetTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  requestedIp: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+// MongoDB removes tokens once they expire
+PasswordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check whether the token can still be used
+PasswordResetTokenSchema.methods.isUsable = function() {
+  return !this.usedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('PasswordResetToken', PasswordResetTokenSchema);
\ No newline at end of file
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Effective-dated default hourly rate for a position and/or department
+// Used for employees without a personal rate in effect
+const PayRateSchema = new mongoose.Schema({
+  position: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  department: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  hourlyRate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  note: {
+    type: String,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+PayRateSchema.index({ position: 1, department: 1, effectiveFrom: -1 });
+
+// A default has to target a position, a department or both
+PayRateSchema.pre('validate', function(next) {
+  if (!this.position && !this.department) {
+    this.invalidate('position', 'A default pay rate needs a position or a department');
+  }
+  next();
+});
+
+module.exports = mongoose.model('PayRate', PayRateSchema);
\ No newline at end of file
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// Hours for one earning type (regular, overtime, ...)
+const EarningSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  hours: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Approved hours of one employee in the pay period
+const PayrollEmployeeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  employeeId: {
+    type: String,
+    default: ''
+  },
+  name: {
+    type: String,
+    default: ''
+  },
+  email: {
+    type: String,
+    default: ''
+  },
+  department: {
+    type: String,
+    default: ''
+  },
+  earnings: [EarningSchema],
+  totalHours: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Record of a payroll export in a given format
+const PayrollExportSchema = new mongoose.Schema({
+  format: {
+    type: String,
+    required: true
+  },
+  exportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  exportedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Adapter configuration in effect, e.g. the column-mapping template
+  settings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+// Frozen pay-period figures, so any export can be regenerated exactly
+const PayrollSnapshotSchema = new mongoose.Schema({
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  department: {
+    type: String,
+    default: null
+  },
+  employees: [PayrollEmployeeSchema],
+  totalHours: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  exports: [PayrollExportSchema]
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+PayrollSnapshotSchema.index({ periodStart: 1, periodEnd: 1 });
+
+// Method to flatten the snapshot into one line per employee and earning type
+PayrollSnapshotSchema.methods.toLines = function() {
+  const lines = [];
+
+  this.employees.forEach(employee => {
+    employee.earnings.forEach(earning => {
+      if (earning.hours <= 0) return;
+
+      lines.push({
+        employeeId: employee.employeeId,
+        employeeName: employee.name,
+        email: employee.email,
+        department: employee.department,
+        periodStart: this.periodStart,
+        periodEnd: this.periodEnd,
+        earningType: earning.type,
+        earningCode: earning.code,
+        hours: earning.hours
+      });
+    });
+  });
+
+  return lines;
+};
+
+module.exports = mongoose.model('PayrollSnapshot', PayrollSnapshotSchema);
\ No newline at end of file
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Catalogue entry that shift time can be allocated to: a project, a client or a cost centre
+const ProjectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  type: {
+    type: String,
+    enum: ['project', 'client', 'cost_centre'],
+    default: 'project'
+  },
+  // Client the project is for (projects only)
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  // Cost centre charged when a segment doesn't name one (projects only)
+  costCentre: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Departments that can book time to it; empty means everyone
+  departments: [{
+    type: String,
+    trim: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+ProjectSchema.index({ type: 1, isActive: 1 });
+
+// Clients and cost centres are only linked from projects
+ProjectSchema.pre('validate', function(next) {
+  if (this.type !== 'project' && (this.client || this.costCentre)) {
+    this.invalidate('type', 'Only projects can have a client or cost centre');
+  }
+  next();
+});
+
+// Method to check whether an employee in a department can book time to it
+ProjectSchema.methods.isVisibleTo = function(department) {
+  return this.departments.length === 0 || this.departments.includes(department);
+};
+
+// Static method to find active entries an employee in a department can book time to
+ProjectSchema.statics.findVisibleTo = function(department, type) {
+  const filter = {
+    isActive: true,
+    $or: [{ departments: { $size: 0 } }, { departments: department }]
+  };
+  if (type) filter.type = type;
+
+  return this.find(filter).sort({ type: 1, name: 1 });
+};
+
+module.exports = mongoose.model('Project', ProjectSchema);
\ No newline at end of file
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, BUILT_IN_ROLES } = require('../config/permissions');
+
+// Custom role made up of named permissions
+const RoleSchema = new mongoose.Schema({
+  // Stored on User.role
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_-]*$/, 'Role names may only contain letters, digits, - and _']
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  permissions: [{
+    type: String,
+    enum: Object.keys(PERMISSIONS)
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+// Built-in role names are reserved
+RoleSchema.pre('validate', function(next) {
+  if (BUILT_IN_ROLES[this.name]) {
+    this.invalidate('name', `${this.name} is a built-in role`);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Role', RoleSchema);
\ No newline at end of file
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Planned location schema (where the employee is expected to clock in)
+const PlannedLocationSchema = new mongoose.Schema({
+  latitude: {
+    type: Number
+  },
+  longitude: {
+    type: Number
+  },
+  address: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
+// Scheduled (planned) shift schema
+const ScheduledShiftSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  department: {
+    type: String,
+    trim: true
+  },
+  plannedStart: {
+    type: Date,
+    required: true
+  },
+  plannedEnd: {
+    type: Date,
+    required: true
+  },
+  plannedLocation: {
+    type: PlannedLocationSchema,
+    default: null
+  },
+  role: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'cancelled'],
+    default: 'draft'
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+ScheduledShiftSchema.index({ userId: 1, plannedStart: 1 });
+ScheduledShiftSchema.index({ department: 1, plannedStart: 1 });
+
+// Make sure the planned window is not empty or reversed
+ScheduledShiftSchema.pre('validate', function(next) {
+  if (this.plannedStart && this.plannedEnd && this.plannedEnd <= this.plannedStart) {
+    this.invalidate('plannedEnd', 'Planned end must be after planned start');
+  }
+  next();
+});
+
+// Planned duration in minutes
+ScheduledShiftSchema.virtual('plannedDuration').get(function() {
+  if (!this.plannedStart || !this.plannedEnd) return 0;
+  return (this.plannedEnd - this.plannedStart) / (1000 * 60);
+});
+
+// Static method to get a user's upcoming published shifts
+ScheduledShiftSchema.statics.findUpcomingByUser = function(userId, limit = 5) {
+  return this.find({
+    userId,
+    status: 'published',
+    plannedEnd: { $gte: new Date() }
+  })
+    .sort({ plannedStart: 1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('ScheduledShift', ScheduledShiftSchema);
\ No newline at end of file
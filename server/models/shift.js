@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { calculateShiftCost } = require('../utils/costUtils');
 
 // Location schema (reused in multiple places)
 const LocationSchema = new mongoose.Schema({
@@ -13,6 +14,23 @@ const LocationSchema = new mongoose.Schema({
   address: {
     type: String,
     default: ''
+  },
+  accuracy: {
+    type: Number,
+    default: null // in meters, as reported by the device
+  },
+  workLocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkLocation',
+    default: null
+  },
+  distanceFromWork: {
+    type: Number,
+    default: null // in meters
+  },
+  isAtWorkLocation: {
+    type: Boolean,
+    default: null // null when the user has no assigned sites
   }
 }, { _id: false });
 
@@ -30,10 +48,11 @@ const TimestampLocationSchema = new mongoose.Schema({
 
 // Break schema
 const BreakSchema = new mongoose.Schema({
+  // Key of a break type in the employee's break policy
   type: {
     type: String,
-    enum: ['lunch', 'short'],
-    required: true
+    required: true,
+    trim: true
   },
   startTime: {
     type: TimestampLocationSchema,
@@ -46,9 +65,165 @@ const BreakSchema = new mongoose.Schema({
   duration: {
     type: Number,
     default: 0 // in minutes
+  },
+  // Copied from the break type when the break is taken, so later policy changes keep past pay intact
+  isPaid: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: true });
+
+// Task segment schema (time on one job, project or cost code)
+// A segment runs until the next switch or the end of the shift
+const TaskSegmentSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  project: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  costCode: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Catalogue entries the time is booked to; project and costCode hold their name and code
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  costCentreId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    default: ''
   }
 }, { _id: true });
 
+// Location flag schema (accuracy and spoofing heuristics on a punch)
+const LocationFlagSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['poor_accuracy', 'impossible_speed', 'repeated_coordinates'],
+    required: true
+  },
+  punch: {
+    type: String,
+    enum: ['start', 'end', 'break_start', 'break_end'],
+    required: true
+  },
+  details: {
+    type: String,
+    default: ''
+  },
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: true });
+
+// Attendance variance against the scheduled shift
+const AttendanceSchema = new mongoose.Schema({
+  lateArrivalMinutes: {
+    type: Number,
+    default: 0
+  },
+  earlyDepartureMinutes: {
+    type: Number,
+    default: 0
+  },
+  unscheduled: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// Break policy violation found when the shift ended
+const BreakViolationSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    enum: ['break_too_long', 'too_many_breaks', 'missing_required_break'],
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  breakType: String,
+  minutes: Number
+}, { _id: false });
+
+// Result of checking the shift's breaks against the break policy
+const BreakComplianceSchema = new mongoose.Schema({
+  policyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BreakPolicy',
+    default: null // null when the built-in default policy applied
+  },
+  violations: [BreakViolationSchema],
+  evaluatedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Differential premium earned on part of a shift
+const CostDifferentialSchema = new mongoose.Schema({
+  differentialId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShiftDifferential'
+  },
+  name: String,
+  minutes: Number,
+  amount: Number
+}, { _id: false });
+
+// Labour cost of a completed shift
+const CostSchema = new mongoose.Schema({
+  hourlyRate: {
+    type: Number,
+    default: null
+  },
+  rateSource: {
+    type: String,
+    enum: ['user', 'position', 'department', null],
+    default: null
+  },
+  regularCost: {
+    type: Number,
+    default: 0
+  },
+  differentialCost: {
+    type: Number,
+    default: 0
+  },
+  totalCost: {
+    type: Number,
+    default: 0
+  },
+  differentials: [CostDifferentialSchema],
+  calculatedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
 // Main shift schema
 const ShiftSchema = new mongoose.Schema({
   userId: {
@@ -63,7 +238,7 @@ const ShiftSchema = new mongoose.Schema({
   },
   shiftStatus: {
     type: String,
-    enum: ['active', 'break', 'completed'],
+    enum: ['active', 'break', 'completed', 'auto_closed'],
     default: 'active'
   },
   startTime: {
@@ -71,42 +246,165 @@ const ShiftSchema = new mongoose.Schema({
     required: true
   },
   breaks: [BreakSchema],
+  segments: [TaskSegmentSchema],
   endTime: {
     type: TimestampLocationSchema,
     default: null
   },
+  // Clock-in to clock-out
+  presenceDuration: {
+    type: Number,
+    default: null // in minutes, null on shifts recorded before it was stored
+  },
+  // Presence minus every break
   totalWorkDuration: {
     type: Number,
     default: 0 // in minutes
   },
+  // Presence minus unpaid breaks; drives pay, overtime and labour cost
+  payableDuration: {
+    type: Number,
+    default: null // in minutes, null on shifts recorded before it was stored
+  },
   totalBreakDuration: {
     type: Number,
     default: 0 // in minutes
   },
+  paidBreakDuration: {
+    type: Number,
+    default: 0 // in minutes
+  },
   notes: {
     type: String,
     default: ''
+  },
+  workLocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkLocation',
+    default: null
+  },
+  distanceFromWorkLocation: {
+    type: Number,
+    default: null // in meters, measured at clock-in
+  },
+  locationFlags: [LocationFlagSchema],
+  isLocked: {
+    type: Boolean,
+    default: false // set when the week's timesheet is approved
+  },
+  timesheetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Timesheet',
+    default: null
+  },
+  scheduledShiftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScheduledShift',
+    default: null
+  },
+  attendance: {
+    type: AttendanceSchema,
+    default: () => ({})
+  },
+  adminCreated: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  autoClosedAt: {
+    type: Date,
+    default: null
+  },
+  cost: {
+    type: CostSchema,
+    default: null
+  },
+  breakCompliance: {
+    type: BreakComplianceSchema,
+    default: null
   }
 }, {
   timestamps: true // Automatically creates createdAt and updatedAt fields
 });
 
-// Method to calculate total work duration
-ShiftSchema.methods.calculateWorkDuration = function() {
+// Shifts on an approved timesheet are read-only
+ShiftSchema.pre('save', function(next) {
+  if (!this.isNew && this.isLocked && this.isModified()) {
+    const error = new Error('Shift is locked by an approved timesheet');
+    error.statusCode = 423;
+    return next(error);
+  }
+  next();
+});
+
+// Price completed shifts whenever their times change
+ShiftSchema.pre('save', async function() {
+  if (this.isLocked || this.shiftStatus !== 'completed') return;
+
+  const timesChanged = this.isNew || ['startTime', 'endTime', 'breaks', 'shiftStatus', 'userId']
+    .some(path => this.isModified(path));
+
+  if (timesChanged || !this.cost || !this.cost.calculatedAt) {
+    this.cost = await calculateShiftCost(this);
+  }
+});
+
+// Method to calculate presence duration (clock-in to clock-out)
+ShiftSchema.methods.calculatePresenceDuration = function() {
   if (!this.endTime) return 0;
   
-  // Calculate raw duration in milliseconds
-  const rawDurationMs = this.endTime.timestamp - this.startTime.timestamp;
-  // Convert to minutes
-  const rawDurationMinutes = rawDurationMs / (1000 * 60);
-  // Subtract break time
-  return rawDurationMinutes - this.totalBreakDuration;
+  // Convert milliseconds to minutes
+  return (this.endTime.timestamp - this.startTime.timestamp) / (1000 * 60);
+};
+
+// Method to calculate total work duration (every break is subtracted)
+ShiftSchema.methods.calculateWorkDuration = function() {
+  if (!this.endTime) return 0;
+  return this.calculatePresenceDuration() - this.totalBreakDuration;
+};
+
+// Method to calculate payable duration (only unpaid breaks are subtracted)
+ShiftSchema.methods.calculatePayableDuration = function() {
+  if (!this.endTime) return 0;
+  return this.calculatePresenceDuration() - (this.totalBreakDuration - this.paidBreakDuration);
+};
+
+// Method to store presence, work and payable durations
+ShiftSchema.methods.updateDurations = function() {
+  this.presenceDuration = this.calculatePresenceDuration();
+  this.totalWorkDuration = this.calculateWorkDuration();
+  this.payableDuration = this.calculatePayableDuration();
+  return this;
+};
+
+// Method to get payable minutes; older shifts without one treated every break as unpaid
+ShiftSchema.methods.getPayableDuration = function() {
+  return this.payableDuration !== null && this.payableDuration !== undefined
+    ? this.payableDuration
+    : this.totalWorkDuration || 0;
+};
+
+// Method to get presence minutes, derived from the punches on older shifts
+ShiftSchema.methods.getPresenceDuration = function() {
+  return this.presenceDuration !== null && this.presenceDuration !== undefined
+    ? this.presenceDuration
+    : this.calculatePresenceDuration();
 };
 
 // Method to add a new break
-ShiftSchema.methods.startBreak = function(breakType, location) {
+ShiftSchema.methods.startBreak = function(breakType, location, isPaid = false) {
   const newBreak = {
     type: breakType,
+    isPaid,
     startTime: {
       timestamp: new Date(),
       location: location
@@ -119,13 +417,12 @@ ShiftSchema.methods.startBreak = function(breakType, location) {
 };
 
 // Method to end the current break
-ShiftSchema.methods.endBreak = function(location) {
+ShiftSchema.methods.endBreak = function(location, endTime = new Date()) {
   if (this.breaks.length === 0) return null;
   
   const currentBreak = this.breaks[this.breaks.length - 1];
   if (currentBreak.endTime) return null; // Break already ended
   
-  const endTime = new Date();
   currentBreak.endTime = {
     timestamp: endTime,
     location: location
@@ -137,27 +434,141 @@ ShiftSchema.methods.endBreak = function(location) {
   
   // Update total break duration
   this.totalBreakDuration += currentBreak.duration;
+  if (currentBreak.isPaid) {
+    this.paidBreakDuration += currentBreak.duration;
+  }
   this.shiftStatus = 'active';
   
   return currentBreak;
 };
 
-// Method to end the shift
-ShiftSchema.methods.endShift = function(location) {
+// Method to close the open task segment
+ShiftSchema.methods.closeSegment = function(endTime = new Date()) {
+  const currentSegment = this.segments[this.segments.length - 1];
+  if (!currentSegment || currentSegment.endTime) return null;
+  
+  currentSegment.endTime = endTime;
+  return currentSegment;
+};
+
+// Method to switch to another job, closing the current task segment
+ShiftSchema.methods.switchSegment = function({ job, project, costCode, projectId, costCentreId, notes }, startTime = new Date()) {
+  this.closeSegment(startTime);
+  
+  this.segments.push({
+    job,
+    project,
+    costCode,
+    projectId,
+    costCentreId,
+    notes,
+    startTime
+  });
+  
+  return this.segments[this.segments.length - 1];
+};
+
+// Method to end the shift (endTime defaults to now)
+ShiftSchema.methods.endShift = function(location, endTime = new Date()) {
   if (this.shiftStatus === 'break') {
     // End any ongoing break first
-    this.endBreak(location);
+    this.endBreak(location, endTime);
   }
   
+  this.closeSegment(endTime);
+  
   this.endTime = {
-    timestamp: new Date(),
+    timestamp: endTime,
     location: location
   };
   
-  this.totalWorkDuration = this.calculateWorkDuration();
+  this.updateDurations();
   this.shiftStatus = 'completed';
   
   return this;
 };
 
+// Method to recalculate break and work durations from the recorded times
+ShiftSchema.methods.recalculateDurations = function() {
+  let totalBreakDuration = 0;
+  let paidBreakDuration = 0;
+  
+  this.breaks.forEach(breakItem => {
+    if (breakItem.endTime) {
+      breakItem.duration = (breakItem.endTime.timestamp - breakItem.startTime.timestamp) / (1000 * 60);
+      totalBreakDuration += breakItem.duration;
+      if (breakItem.isPaid) paidBreakDuration += breakItem.duration;
+    }
+  });
+  
+  this.totalBreakDuration = totalBreakDuration;
+  this.paidBreakDuration = paidBreakDuration;
+  
+  return this.updateDurations();
+};
+
+// Method to apply corrected times to the shift
+// Locations of corrected punches fall back to the closest recorded location
+// Whether a break is paid comes from breakPolicy when given, otherwise from the break it replaces
+ShiftSchema.methods.applyCorrection = function({ startTime, endTime, breaks, breakPolicy }) {
+  const startLocation = this.startTime.location;
+  
+  if (startTime) {
+    this.startTime.timestamp = new Date(startTime);
+  }
+  
+  if (endTime) {
+    this.endTime = {
+      timestamp: new Date(endTime),
+      location: this.endTime ? this.endTime.location : startLocation
+    };
+  }
+  
+  if (breaks) {
+    this.breaks = breaks.map((breakItem, index) => {
+      const existing = this.breaks[index];
+      const type = breakItem.type || (existing ? existing.type : 'short');
+      const policyType = breakPolicy && breakPolicy.breakTypes.find(breakType => breakType.key === type);
+      return {
+        type,
+        isPaid: policyType ? policyType.isPaid : Boolean(existing && existing.type === type && existing.isPaid),
+        startTime: {
+          timestamp: new Date(breakItem.startTime),
+          location: existing ? existing.startTime.location : startLocation
+        },
+        endTime: breakItem.endTime ? {
+          timestamp: new Date(breakItem.endTime),
+          location: existing && existing.endTime ? existing.endTime.location : startLocation
+        } : null
+      };
+    });
+  }
+  
+  // A corrected end time closes the shift and any break left open
+  if (this.endTime) {
+    this.breaks.forEach(breakItem => {
+      if (!breakItem.endTime) {
+        breakItem.endTime = { timestamp: this.endTime.timestamp, location: this.endTime.location };
+      }
+    });
+    this.shiftStatus = 'completed';
+  }
+  
+  // Breaks have to end after they start and fall inside the shift; save() rejects with a ValidationError otherwise
+  const shiftStart = this.startTime.timestamp;
+  const shiftEnd = this.endTime ? this.endTime.timestamp : null;
+  this.breaks.forEach((breakItem, index) => {
+    const breakStart = breakItem.startTime.timestamp;
+    const breakEnd = breakItem.endTime ? breakItem.endTime.timestamp : null;
+    if (breakEnd && breakEnd <= breakStart) {
+      this.invalidate(`breaks.${index}.endTime.timestamp`, 'Break end time must be after its start time');
+    }
+    if (breakStart < shiftStart || (shiftEnd && (breakEnd || breakStart) > shiftEnd)) {
+      this.invalidate(`breaks.${index}.startTime.timestamp`, 'Breaks must fall within the shift');
+    }
+  });
+  
+  return this.recalculateDurations();
+};
+
 module.exports = mongoose.model('Shift', ShiftSchema);
\ No newline at end of file
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Pay premium for hours worked in a time window, e.g. nights or weekends
+// The window runs from startTime to endTime on each listed day (all days when empty);
+// an endTime at or before startTime runs into the next day, so 00:00-00:00 is the whole day
+const ShiftDifferentialSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  days: [{
+    type: Number,
+    min: 0, // Sunday
+    max: 6 // Saturday
+  }],
+  startTime: {
+    type: String,
+    default: '00:00',
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start time must be HH:mm']
+  },
+  endTime: {
+    type: String,
+    default: '00:00',
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'End time must be HH:mm']
+  },
+  // percent: percentage of the hourly rate, fixed: amount per hour
+  premiumType: {
+    type: String,
+    enum: ['percent', 'fixed'],
+    default: 'percent'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Departments the differential applies to (all when empty)
+  departments: [{
+    type: String,
+    trim: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+module.exports = mongoose.model('ShiftDifferential', ShiftDifferentialSchema);
\ No newline at end of file
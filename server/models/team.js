@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Team or department in the org structure; teams nest through parentTeam
+const TeamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['department', 'team'],
+    default: 'team'
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  parentTeam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  // Managers see and approve everyone in this team and its sub-teams
+  managers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+// Names are unique among siblings
+TeamSchema.index({ parentTeam: 1, name: 1 }, { unique: true });
+TeamSchema.index({ managers: 1 });
+
+module.exports = mongoose.model('Team', TeamSchema);
\ No newline at end of file
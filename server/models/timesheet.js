@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const Shift = require('./shift');
+const { getWeekBounds } = require('../utils/timeUtils');
+
+// Weekly timesheet schema
+const TimesheetSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  weekStart: {
+    type: Date,
+    required: true
+  },
+  weekEnd: {
+    type: Date,
+    required: true
+  },
+  shifts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  }],
+  totalWorkDuration: {
+    type: Number,
+    default: 0 // in minutes
+  },
+  totalPayableDuration: {
+    type: Number,
+    default: 0 // in minutes, work plus paid breaks
+  },
+  totalBreakDuration: {
+    type: Number,
+    default: 0 // in minutes
+  },
+  status: {
+    type: String,
+    enum: ['open', 'submitted', 'approved', 'rejected'],
+    default: 'open'
+  },
+  employeeComment: {
+    type: String,
+    default: ''
+  },
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewComment: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+TimesheetSchema.index({ userId: 1, weekStart: 1 }, { unique: true });
+TimesheetSchema.index({ status: 1, weekStart: 1 });
+
+// Whether the employee can still change and (re)submit the timesheet
+TimesheetSchema.virtual('isEditable').get(function() {
+  return this.status === 'open' || this.status === 'rejected';
+});
+
+// Method to find the employee's completed shifts in the timesheet's week
+TimesheetSchema.methods.findWeekShifts = function() {
+  return Shift.find({
+    userId: this.userId,
+    'startTime.timestamp': { $gte: this.weekStart, $lte: this.weekEnd },
+    shiftStatus: 'completed'
+  }).sort({ 'startTime.timestamp': 1 });
+};
+
+// Method to refresh the shift list and totals from the employee's completed shifts
+TimesheetSchema.methods.refreshShifts = async function() {
+  const shifts = await this.findWeekShifts();
+
+  this.shifts = shifts.map(shift => shift._id);
+  this.totalWorkDuration = shifts.reduce((total, shift) => total + (shift.totalWorkDuration || 0), 0);
+  this.totalPayableDuration = shifts.reduce((total, shift) => total + shift.getPayableDuration(), 0);
+  this.totalBreakDuration = shifts.reduce((total, shift) => total + (shift.totalBreakDuration || 0), 0);
+
+  return shifts;
+};
+
+// Method to check whether the week's completed shifts and their totals still match the timesheet
+TimesheetSchema.methods.matchesWeekShifts = async function() {
+  const shifts = await this.findWeekShifts();
+  const current = new Set(this.shifts.map(id => id.toString()));
+
+  return shifts.length === current.size &&
+    shifts.every(shift => current.has(shift._id.toString())) &&
+    shifts.reduce((total, shift) => total + shift.getPayableDuration(), 0) === this.totalPayableDuration &&
+    shifts.reduce((total, shift) => total + (shift.totalBreakDuration || 0), 0) === this.totalBreakDuration;
+};
+
+// Method to lock or unlock the timesheet's shifts
+TimesheetSchema.methods.setShiftsLocked = function(locked) {
+  return Shift.updateMany(
+    { _id: { $in: this.shifts } },
+    { $set: { isLocked: locked, timesheetId: locked ? this._id : null } }
+  );
+};
+
+// Static method to get (or create) a user's timesheet for the week containing a date
+// Shifts are only refreshed while the timesheet is still editable; approval refuses a timesheet whose shifts have changed
+TimesheetSchema.statics.assemble = async function(userId, date = new Date()) {
+  const { start, end } = getWeekBounds(date);
+
+  let timesheet = await this.findOne({ userId, weekStart: start });
+  if (!timesheet) {
+    timesheet = new this({ userId, weekStart: start, weekEnd: end });
+  }
+
+  if (timesheet.isEditable) {
+    await timesheet.refreshShifts();
+    await timesheet.save();
+  }
+
+  return timesheet;
+};
+
+// Static method to check whether a date falls in an approved week for a user
+TimesheetSchema.statics.isPeriodApproved = async function(userId, date) {
+  const { start } = getWeekBounds(date);
+  const approved = await this.exists({ userId, weekStart: start, status: 'approved' });
+  return Boolean(approved);
+};
+
+module.exports = mongoose.model('Timesheet', TimesheetSchema);
\ No newline at end of file
@@ -1,6 +1,25 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Effective-dated hourly pay rate
+const PayRateSchema = new mongoose.Schema({
+  hourlyRate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  note: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
 const UserSchema = new mongoose.Schema({
   employeeId: {
     type: String,
@@ -31,15 +50,34 @@ const UserSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // Built-in role (config/permissions.js) or the name of a custom Role
   role: {
     type: String,
-    enum: ['employee', 'admin'],
+    trim: true,
+    lowercase: true,
     default: 'employee'
   },
   department: {
     type: String,
     trim: true
   },
+  // Team in the org structure (Team model)
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  // Line manager; the chain of managerId links forms the reporting line
+  managerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Departments whose staff this user may see and approve (roles without scope:all)
+  managedDepartments: [{
+    type: String,
+    trim: true
+  }],
   position: {
     type: String,
     trim: true
@@ -48,6 +86,11 @@ const UserSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Used by the compliance rules for under-18 staff
+  dateOfBirth: {
+    type: Date,
+    default: null
+  },
   profilePicture: {
     type: String,
     default: ''
@@ -55,11 +98,77 @@ const UserSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  workLocations: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkLocation'
+  }],
+  enforceLocationCheck: {
+    type: Boolean,
+    default: false
+  },
+  // Personal pay rates; position and department defaults apply when none is in effect
+  payRates: [PayRateSchema],
+  // Set by an admin to make this user enrol in two-factor authentication
+  twoFactorRequired: {
+    type: Boolean,
+    default: false
+  },
+  // TOTP two-factor authentication; secrets and recovery codes are never selected by default
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Encrypted base32 secret in use
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Encrypted secret awaiting its first code during enrolment
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // SHA-256 hashes of single-use recovery codes
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: { type: Date, default: null }
+      }],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    // Wrong codes at the second login step since the last success or lockout
+    failedAttempts: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    // The second login step is refused until then after too many wrong codes
+    lockedUntil: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true // Automatically creates createdAt and updatedAt fields
 });
 
+UserSchema.index({ managerId: 1 });
+UserSchema.index({ teamId: 1 });
+
 // Pre-save middleware to hash password
 UserSchema.pre('save', async function(next) {
   // Only hash the password if it's been modified (or is new)
@@ -81,4 +190,11 @@ UserSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to get the personal pay rate in effect on a date
+UserSchema.methods.getPayRateOn = function(date = new Date()) {
+  return this.payRates
+    .filter(rate => rate.effectiveFrom <= date)
+    .sort((a, b) => b.effectiveFrom - a.effectiveFrom)[0] || null;
+};
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
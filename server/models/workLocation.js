@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { calculateDistance, isPointInGeometry, isValidGeometry } = require('../utils/locationUtils');
+
+// Centre point of a work site
+const CenterSchema = new mongoose.Schema({
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  }
+}, { _id: false });
+
+// GeoJSON Polygon or MultiPolygon boundary (positions are [longitude, latitude])
+const BoundarySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Polygon', 'MultiPolygon'],
+    default: 'Polygon'
+  },
+  coordinates: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, { _id: false });
+
+// Work location (geofenced site) schema
+const WorkLocationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  address: {
+    type: String,
+    default: ''
+  },
+  center: {
+    type: CenterSchema,
+    required: true
+  },
+  geofenceType: {
+    type: String,
+    enum: ['circle', 'polygon'],
+    default: 'circle'
+  },
+  radius: {
+    type: Number,
+    default: 100, // in meters
+    min: 1
+  },
+  boundary: {
+    type: BoundarySchema,
+    default: null
+  },
+  departments: [{
+    type: String,
+    trim: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true // Automatically creates createdAt and updatedAt fields
+});
+
+// A polygon site needs a valid GeoJSON boundary
+WorkLocationSchema.pre('validate', function(next) {
+  if (this.geofenceType === 'polygon' && !isValidGeometry(this.boundary)) {
+    this.invalidate('boundary', 'Polygon sites need a valid GeoJSON Polygon or MultiPolygon boundary');
+  }
+  next();
+});
+
+// Method to get the distance in meters from a point to the site centre
+WorkLocationSchema.methods.distanceFrom = function(latitude, longitude) {
+  return calculateDistance(latitude, longitude, this.center.latitude, this.center.longitude);
+};
+
+// Method to check whether a point is inside the site's geofence
+WorkLocationSchema.methods.containsPoint = function(latitude, longitude) {
+  if (this.geofenceType === 'polygon' && this.boundary) {
+    return isPointInGeometry(latitude, longitude, this.boundary);
+  }
+  return this.distanceFrom(latitude, longitude) <= this.radius;
+};
+
+// Static method to get the active sites assigned to a user directly or through their department
+WorkLocationSchema.statics.findForUser = function(user) {
+  const conditions = [{ _id: { $in: user.workLocations || [] } }];
+  if (user.department) {
+    conditions.push({ departments: user.department });
+  }
+
+  return this.find({ isActive: true, $or: conditions });
+};
+
+module.exports = mongoose.model('WorkLocation', WorkLocationSchema);
\ No newline at end of file
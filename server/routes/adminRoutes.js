@@ -1,29 +1,222 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
+const scheduleController = require('../controllers/scheduleController');
+const attendanceController = require('../controllers/attendanceController');
+const workLocationController = require('../controllers/workLocationController');
+const timesheetController = require('../controllers/timesheetController');
+const correctionController = require('../controllers/correctionController');
+const auditController = require('../controllers/auditController');
+const jobController = require('../controllers/jobController');
+const overtimeRuleController = require('../controllers/overtimeRuleController');
+const payrollController = require('../controllers/payrollController');
+const laborCostController = require('../controllers/laborCostController');
+const leaveController = require('../controllers/leaveController');
+const leavePolicyController = require('../controllers/leavePolicyController');
+const holidayController = require('../controllers/holidayController');
+const breakPolicyController = require('../controllers/breakPolicyController');
+const complianceController = require('../controllers/complianceController');
+const projectHoursController = require('../controllers/projectHoursController');
+const projectController = require('../controllers/projectController');
+const roleController = require('../controllers/roleController');
+const teamController = require('../controllers/teamController');
 const auth = require('../middleware/auth');
-const admin = require('../middleware/admin');
+const requirePermission = require('../middleware/permissions');
+const {
+  validateScheduledShift,
+  validateScheduledShiftUpdate,
+  validateScheduleCopy,
+  validateSchedulePublish,
+  validateDateRange,
+  validatePagination,
+  validateWorkLocation,
+  validateWorkLocationAssignment,
+  validateTimesheetReview,
+  validateTimesheetReject,
+  validateCorrectionReview,
+  validateCorrectionReject,
+  validateAdminUserUpdate,
+  validateAuditQuery,
+  validateOvertimeRule,
+  validatePayrollExport,
+  validatePayrollSnapshot,
+  validatePayRate,
+  validateShiftDifferential,
+  validateLaborBudget,
+  validateCostRecalculation,
+  validateLeaveType,
+  validateLeaveTypeCreate,
+  validateLeavePolicy,
+  validateLeaveReview,
+  validateLeaveReject,
+  validateHolidayCalendar,
+  validateHoliday,
+  validateBreakPolicy,
+  validateComplianceRuleSet,
+  validateProject,
+  validateRole,
+  validateTeam
+} = require('../middleware/validators');
 
 // Updated routes to match controller methods
-router.get('/employees', auth, admin, adminController.getAllEmployees);
-router.get('/shifts', auth, admin, adminController.getAllShifts);
-router.get('/shifts/:id', auth, admin, adminController.getShiftById);
-router.put('/shifts/:id', auth, admin, adminController.updateShift);
-router.delete('/shifts/:id', auth, admin, adminController.deleteShift);
-router.get('/analytics', auth, admin, adminController.getAnalytics);
-router.get('/export/csv', auth, admin, adminController.exportToCSV);
-router.get('/export/excel', auth, admin, adminController.exportToExcel);
-router.get('/export/pdf', auth, admin, adminController.exportToPDF);
-router.get('/shifts/active', auth, admin, adminController.getActiveShifts);
-router.get('/employees/:id/summary', auth, admin, adminController.getEmployeeSummary);
-router.get('/departments/summary', auth, admin, adminController.getDepartmentSummary);
-router.post('/shifts', auth, admin, adminController.addShift);
+router.get('/employees', auth, requirePermission('users:read'), adminController.getAllEmployees);
+router.get('/shifts', auth, requirePermission('shifts:read'), adminController.getAllShifts);
+router.get('/shifts/active', auth, requirePermission('shifts:read'), adminController.getActiveShifts);
+router.get('/shifts/:id', auth, requirePermission('shifts:read'), adminController.getShiftById);
+router.put('/shifts/:id', auth, requirePermission('shifts:write'), adminController.updateShift);
+router.delete('/shifts/:id', auth, requirePermission('shifts:write'), adminController.deleteShift);
+router.get('/analytics', auth, requirePermission('reports:read'), adminController.getAnalytics);
+router.get('/export/csv', auth, requirePermission('reports:export'), adminController.exportToCSV);
+router.get('/export/excel', auth, requirePermission('reports:export'), adminController.exportToExcel);
+router.get('/export/pdf', auth, requirePermission('reports:export'), adminController.exportToPDF);
+router.get('/export/payroll/:format', auth, requirePermission('payroll:manage'), validatePayrollExport, payrollController.exportPayroll);
+router.get('/payroll/snapshots', auth, requirePermission('payroll:read'), payrollController.getPayrollSnapshots);
+router.post('/payroll/snapshots', auth, requirePermission('payroll:manage'), validatePayrollSnapshot, payrollController.createPayrollSnapshot);
+router.get('/payroll/snapshots/:id', auth, requirePermission('payroll:read'), payrollController.getPayrollSnapshotById);
+router.get('/employees/:id/summary', auth, requirePermission('users:read'), adminController.getEmployeeSummary);
+router.get('/departments/summary', auth, requirePermission('reports:read'), adminController.getDepartmentSummary);
+router.post('/shifts', auth, requirePermission('shifts:write'), adminController.addShift);
+router.get('/users/:id', auth, requirePermission('users:read'), adminController.getUserById);
+router.put('/users/:id', auth, requirePermission('users:write'), validateAdminUserUpdate, adminController.updateUser);
+router.delete('/users/:id', auth, requirePermission('users:write'), adminController.deleteUser);
+router.get('/users/:id/reports', auth, requirePermission('users:read'), teamController.getUserReports);
+router.delete('/users/:id/two-factor', auth, requirePermission('users:write'), adminController.resetTwoFactor);
+
+// Teams, departments and reporting lines
+router.get('/teams', auth, requirePermission('users:read'), teamController.getTeams);
+router.post('/teams', auth, requirePermission('users:write'), validateTeam, teamController.createTeam);
+router.get('/teams/:id', auth, requirePermission('users:read'), teamController.getTeamById);
+router.put('/teams/:id', auth, requirePermission('users:write'), validateTeam, teamController.updateTeam);
+router.delete('/teams/:id', auth, requirePermission('users:write'), teamController.deleteTeam);
+
+// Scheduled shifts (roster)
+router.get('/schedules', auth, requirePermission('schedules:manage'), scheduleController.getSchedules);
+router.post('/schedules', auth, requirePermission('schedules:manage'), validateScheduledShift, scheduleController.createSchedule);
+router.post('/schedules/copy', auth, requirePermission('schedules:manage'), validateScheduleCopy, scheduleController.copyWeek);
+router.post('/schedules/publish', auth, requirePermission('schedules:manage'), validateSchedulePublish, scheduleController.publishWeek);
+router.put('/schedules/:id', auth, requirePermission('schedules:manage'), validateScheduledShiftUpdate, scheduleController.updateSchedule);
+router.delete('/schedules/:id', auth, requirePermission('schedules:manage'), scheduleController.deleteSchedule);
+
+// Plan-vs-actual attendance
+router.get('/attendance/variance', auth, requirePermission('reports:read'), validateDateRange, attendanceController.getVariance);
+
+// Hours by project, job and cost code (shift task segments)
+router.get('/reports/project-hours', auth, requirePermission('reports:read'), validateDateRange, projectHoursController.getProjectHoursReport);
+
+// Project, client and cost centre catalogue
+router.get('/projects', auth, requirePermission('policies:manage'), projectController.getProjects);
+router.post('/projects', auth, requirePermission('policies:manage'), validateProject, projectController.createProject);
+router.put('/projects/:id', auth, requirePermission('policies:manage'), validateProject, projectController.updateProject);
+router.delete('/projects/:id', auth, requirePermission('policies:manage'), projectController.deleteProject);
+
+// Punch location flags (GPS accuracy and spoofing heuristics)
+router.get('/location-flags', auth, requirePermission('shifts:read'), validateDateRange, validatePagination, adminController.getLocationFlags);
+
+// Work locations (geofenced sites)
+router.get('/work-locations', auth, requirePermission('policies:manage'), workLocationController.getWorkLocations);
+router.post('/work-locations', auth, requirePermission('policies:manage'), validateWorkLocation, workLocationController.createWorkLocation);
+router.post('/work-locations/import', auth, requirePermission('policies:manage'), workLocationController.importWorkLocations);
+router.get('/work-locations/:id', auth, requirePermission('policies:manage'), workLocationController.getWorkLocationById);
+router.put('/work-locations/:id', auth, requirePermission('policies:manage'), validateWorkLocation, workLocationController.updateWorkLocation);
+router.delete('/work-locations/:id', auth, requirePermission('policies:manage'), workLocationController.deleteWorkLocation);
+router.post('/work-locations/:id/assign', auth, requirePermission('policies:manage'), validateWorkLocationAssignment, workLocationController.assignWorkLocation);
+router.post('/work-locations/:id/unassign', auth, requirePermission('policies:manage'), validateWorkLocationAssignment, workLocationController.unassignWorkLocation);
+
+// Overtime rules and regular / overtime / double time split
+router.get('/overtime', auth, requirePermission('reports:read'), validateDateRange, overtimeRuleController.getOvertimeReport);
+router.get('/overtime-rules', auth, requirePermission('policies:manage'), overtimeRuleController.getOvertimeRules);
+router.post('/overtime-rules', auth, requirePermission('policies:manage'), validateOvertimeRule, overtimeRuleController.createOvertimeRule);
+router.put('/overtime-rules/:id', auth, requirePermission('policies:manage'), validateOvertimeRule, overtimeRuleController.updateOvertimeRule);
+router.delete('/overtime-rules/:id', auth, requirePermission('policies:manage'), overtimeRuleController.deleteOvertimeRule);
+
+// Labour cost: pay rates, shift differentials and budgets
+router.get('/users/:id/pay-rates', auth, requirePermission('payroll:read'), laborCostController.getUserPayRates);
+router.post('/users/:id/pay-rates', auth, requirePermission('payroll:manage'), validatePayRate, laborCostController.addUserPayRate);
+router.delete('/users/:id/pay-rates/:rateId', auth, requirePermission('payroll:manage'), laborCostController.deleteUserPayRate);
+router.get('/pay-rates', auth, requirePermission('payroll:read'), laborCostController.getPayRates);
+router.post('/pay-rates', auth, requirePermission('payroll:manage'), validatePayRate, laborCostController.createPayRate);
+router.post('/pay-rates/recalculate', auth, requirePermission('payroll:manage'), validateCostRecalculation, laborCostController.recalculateShiftCosts);
+router.put('/pay-rates/:id', auth, requirePermission('payroll:manage'), validatePayRate, laborCostController.updatePayRate);
+router.delete('/pay-rates/:id', auth, requirePermission('payroll:manage'), laborCostController.deletePayRate);
+router.get('/shift-differentials', auth, requirePermission('payroll:read'), laborCostController.getShiftDifferentials);
+router.post('/shift-differentials', auth, requirePermission('payroll:manage'), validateShiftDifferential, laborCostController.createShiftDifferential);
+router.put('/shift-differentials/:id', auth, requirePermission('payroll:manage'), validateShiftDifferential, laborCostController.updateShiftDifferential);
+router.delete('/shift-differentials/:id', auth, requirePermission('payroll:manage'), laborCostController.deleteShiftDifferential);
+router.get('/labor-budgets', auth, requirePermission('payroll:read'), laborCostController.getLaborBudgets);
+router.post('/labor-budgets', auth, requirePermission('payroll:manage'), validateLaborBudget, laborCostController.createLaborBudget);
+router.put('/labor-budgets/:id', auth, requirePermission('payroll:manage'), validateLaborBudget, laborCostController.updateLaborBudget);
+router.delete('/labor-budgets/:id', auth, requirePermission('payroll:manage'), laborCostController.deleteLaborBudget);
+
+// Timesheet approval
+router.get('/timesheets', auth, requirePermission('shifts:read'), timesheetController.getTimesheets);
+router.get('/timesheets/:id', auth, requirePermission('shifts:read'), timesheetController.getTimesheetById);
+router.put('/timesheets/:id/approve', auth, requirePermission('shifts:approve'), validateTimesheetReview, timesheetController.approveTimesheet);
+router.put('/timesheets/:id/reject', auth, requirePermission('shifts:approve'), validateTimesheetReject, timesheetController.rejectTimesheet);
+router.put('/timesheets/:id/reopen', auth, requirePermission('shifts:approve'), validateTimesheetReview, timesheetController.reopenTimesheet);
+
+// Leave requests, balances, types and accrual policies
+router.get('/leave/requests', auth, requirePermission('leave:approve'), leaveController.getLeaveRequests);
+router.put('/leave/requests/:id/approve', auth, requirePermission('leave:approve'), validateLeaveReview, leaveController.approveLeaveRequest);
+router.put('/leave/requests/:id/reject', auth, requirePermission('leave:approve'), validateLeaveReject, leaveController.rejectLeaveRequest);
+router.get('/leave/balances', auth, requirePermission('leave:approve'), leaveController.getLeaveBalancesReport);
+router.get('/leave/types', auth, requirePermission('leave:manage'), leavePolicyController.getLeaveTypes);
+router.post('/leave/types', auth, requirePermission('leave:manage'), validateLeaveTypeCreate, leavePolicyController.createLeaveType);
+router.put('/leave/types/:id', auth, requirePermission('leave:manage'), validateLeaveType, leavePolicyController.updateLeaveType);
+router.delete('/leave/types/:id', auth, requirePermission('leave:manage'), leavePolicyController.deleteLeaveType);
+router.get('/leave/policies', auth, requirePermission('leave:manage'), leavePolicyController.getLeavePolicies);
+router.post('/leave/policies', auth, requirePermission('leave:manage'), validateLeavePolicy, leavePolicyController.createLeavePolicy);
+router.put('/leave/policies/:id', auth, requirePermission('leave:manage'), validateLeavePolicy, leavePolicyController.updateLeavePolicy);
+router.delete('/leave/policies/:id', auth, requirePermission('leave:manage'), leavePolicyController.deleteLeavePolicy);
+
+// Public holiday calendars (.ics files can be posted as text/calendar)
+router.get('/holiday-calendars', auth, requirePermission('leave:manage'), holidayController.getHolidayCalendars);
+router.post('/holiday-calendars', auth, requirePermission('leave:manage'), validateHolidayCalendar, holidayController.createHolidayCalendar);
+router.get('/holiday-calendars/:id', auth, requirePermission('leave:manage'), holidayController.getHolidayCalendarById);
+router.put('/holiday-calendars/:id', auth, requirePermission('leave:manage'), validateHolidayCalendar, holidayController.updateHolidayCalendar);
+router.delete('/holiday-calendars/:id', auth, requirePermission('leave:manage'), holidayController.deleteHolidayCalendar);
+router.post('/holiday-calendars/:id/import', auth, requirePermission('leave:manage'), express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }), holidayController.importHolidays);
+router.post('/holiday-calendars/:id/holidays', auth, requirePermission('leave:manage'), validateHoliday, holidayController.addHoliday);
+router.delete('/holiday-calendars/:id/holidays/:holidayId', auth, requirePermission('leave:manage'), holidayController.deleteHoliday);
+
+// Break policies and violations
+router.get('/break-policies', auth, requirePermission('policies:manage'), breakPolicyController.getBreakPolicies);
+router.post('/break-policies', auth, requirePermission('policies:manage'), validateBreakPolicy, breakPolicyController.createBreakPolicy);
+router.put('/break-policies/:id', auth, requirePermission('policies:manage'), validateBreakPolicy, breakPolicyController.updateBreakPolicy);
+router.delete('/break-policies/:id', auth, requirePermission('policies:manage'), breakPolicyController.deleteBreakPolicy);
+router.get('/break-violations', auth, requirePermission('reports:read'), validateDateRange, breakPolicyController.getBreakViolations);
+
+// Working time compliance rules and violations
+router.get('/compliance/rules', auth, requirePermission('policies:manage'), complianceController.getComplianceRuleSets);
+router.post('/compliance/rules', auth, requirePermission('policies:manage'), validateComplianceRuleSet, complianceController.createComplianceRuleSet);
+router.put('/compliance/rules/:id', auth, requirePermission('policies:manage'), validateComplianceRuleSet, complianceController.updateComplianceRuleSet);
+router.delete('/compliance/rules/:id', auth, requirePermission('policies:manage'), complianceController.deleteComplianceRuleSet);
+router.get('/compliance/violations', auth, requirePermission('reports:read'), validateDateRange, complianceController.getComplianceViolations);
+router.put('/compliance/violations/:id/resolve', auth, requirePermission('shifts:approve'), complianceController.resolveComplianceViolation);
+
+// Shift correction requests
+router.get('/corrections', auth, requirePermission('shifts:read'), correctionController.getCorrections);
+router.put('/corrections/:id/accept', auth, requirePermission('shifts:approve'), validateCorrectionReview, correctionController.acceptCorrection);
+router.put('/corrections/:id/reject', auth, requirePermission('shifts:approve'), validateCorrectionReject, correctionController.rejectCorrection);
+
+// Audit trail
+router.get('/audit', auth, requirePermission('audit:read'), validateAuditQuery, auditController.getAuditLogs);
+router.get('/audit/export', auth, requirePermission('audit:read'), validateAuditQuery, auditController.exportAuditLogs);
+router.get('/audit/:id', auth, requirePermission('audit:read'), auditController.getAuditLogById);
+
+// Roles and permissions
+router.get('/roles', auth, requirePermission('roles:manage'), roleController.getRoles);
+router.post('/roles', auth, requirePermission('roles:manage'), validateRole, roleController.createRole);
+router.put('/roles/:id', auth, requirePermission('roles:manage'), validateRole, roleController.updateRole);
+router.delete('/roles/:id', auth, requirePermission('roles:manage'), roleController.deleteRole);
+
+// Recurring jobs
+router.get('/jobs', auth, requirePermission('jobs:manage'), jobController.getJobs);
+router.get('/jobs/:name', auth, requirePermission('jobs:manage'), jobController.getJobByName);
+router.post('/jobs/:name/run', auth, requirePermission('jobs:manage'), jobController.runJob);
 
 // Remove undefined routes:
-// - /users routes (not implemented in controller)
 // - /stats routes (implement analytics instead)
 // - /reports routes (use export endpoints instead)
 // - /notifications (not implemented)
-// - /logs (not implemented)
 
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { validateSignup, validateLogin } = require('../middleware/validators');
+const {
+  validateSignup,
+  validateLogin,
+  validateSessionId,
+  validateTwoFactorCode,
+  validateLoginTwoFactor,
+  validateLoginTwoFactorSetup,
+  validateTwoFactorDisable,
+  validateForgotPassword,
+  validateResetPassword
+} = require('../middleware/validators');
 const auth = require('../middleware/auth');
+const { authLimiter, passwordResetLimiter } = require('../middleware/rateLimiter');
 
 /**
  * @route   POST /api/auth/register
@@ -18,6 +29,55 @@ router.post('/register', validateSignup, authController.register);
  */
 router.post('/login', validateLogin, authController.login);
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Second login step: TOTP or recovery code for the challenge token
+ * @access  Public (with login challenge token)
+ */
+router.post('/login/2fa', authLimiter, validateLoginTwoFactor, authController.loginTwoFactor);
+
+/**
+ * @route   POST /api/auth/login/2fa/setup
+ * @desc    Start two-factor enrolment during login when it is required
+ * @access  Public (with login challenge token)
+ */
+router.post('/login/2fa/setup', authLimiter, validateLoginTwoFactorSetup, authController.loginTwoFactorSetup);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor authentication status
+ * @access  Private
+ */
+router.get('/2fa', auth, authController.getTwoFactorStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrolment (returns secret and otpauth URI)
+ * @access  Private
+ */
+router.post('/2fa/setup', auth, authController.setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Confirm enrolment with a code and get recovery codes
+ * @access  Private
+ */
+router.post('/2fa/verify', auth, validateTwoFactorCode, authController.verifyTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace the recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', auth, validateTwoFactorCode, authController.regenerateRecoveryCodes);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off two-factor authentication
+ * @access  Private
+ */
+router.post('/2fa/disable', auth, authLimiter, validateTwoFactorDisable, authController.disableTwoFactor);
+
 /**
  * @route   GET /api/auth/verify
  * @desc    Verify user token
@@ -32,6 +92,27 @@ router.get('/verify', auth, authController.verifyToken);
  */
 router.post('/logout', auth, authController.logout);
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout user from every device
+ * @access  Private
+ */
+router.post('/logout-all', auth, authController.logoutAll);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the user's open sessions (one per device)
+ * @access  Private
+ */
+router.get('/sessions', auth, authController.getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke one of the user's sessions
+ * @access  Private
+ */
+router.delete('/sessions/:id', auth, validateSessionId, authController.revokeSession);
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user's data
@@ -41,23 +122,23 @@ router.get('/me', auth, authController.getCurrentUser);
 
 /**
  * @route   POST /api/auth/refresh-token
- * @desc    Refresh JWT token
+ * @desc    Exchange a refresh token for new access and refresh tokens
  * @access  Public (with refresh token)
  */
 router.post('/refresh-token', authController.refreshToken);
 
 /**
  * @route   POST /api/auth/forgot-password
- * @desc    Send password reset email
+ * @desc    Send password reset email (same response whether or not the account exists)
  * @access  Public
  */
-router.post('/forgot-password', authController.forgotPassword);
+router.post('/forgot-password', passwordResetLimiter, validateForgotPassword, authController.forgotPassword);
 
 /**
  * @route   POST /api/auth/reset-password/:token
- * @desc    Reset password using token
+ * @desc    Reset password using the single-use token from the email
  * @access  Public
  */
-router.post('/reset-password/:token', authController.resetPassword);
+router.post('/reset-password/:token', passwordResetLimiter, validateResetPassword, authController.resetPassword);
 
 module.exports = router;
\ No newline at end of file
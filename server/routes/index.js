@@ -6,6 +6,7 @@ const authRoutes = require('./authRoutes');
 const shiftRoutes = require('./shiftRoutes');
 const userRoutes = require('./userRoutes');
 const adminRoutes = require('./adminRoutes');
+const timesheetRoutes = require('./timesheetRoutes');
 
 /**
  * Main router configuration to handle all API routes
@@ -24,6 +25,9 @@ router.use('/users', userRoutes);
 // Admin-only routes for user management and reports
 router.use('/admin', adminRoutes);
 
+// Weekly timesheet routes - assemble and submit for approval
+router.use('/timesheets', timesheetRoutes);
+
 // Health check endpoint
 router.get('/health', (req, res) => {
   res.status(200).json({ status: 'OK', timestamp: new Date() });
@@ -38,7 +42,8 @@ router.get('/docs', (req, res) => {
       auth: '/api/auth/*',
       shifts: '/api/shifts/*',
       users: '/api/users/*',
-      admin: '/api/admin/*'
+      admin: '/api/admin/*',
+      timesheets: '/api/timesheets/*'
     },
     documentation: 'For detailed documentation, please refer to the Postman collection or API docs'
   });
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const leaveController = require('../controllers/leaveController');
+const auth = require('../middleware/auth');
+const { validateLeaveRequest } = require('../middleware/validators');
+
+/**
+ * @route   GET /api/leave/types
+ * @desc    Get leave types that can be requested
+ * @access  Private
+ */
+router.get('/types', auth, leaveController.getLeaveTypes);
+
+/**
+ * @route   GET /api/leave/balances
+ * @desc    Get logged-in user's leave balances for a year
+ * @access  Private
+ */
+router.get('/balances', auth, leaveController.getMyLeaveBalances);
+
+/**
+ * @route   GET /api/leave/requests
+ * @desc    Get logged-in user's leave requests
+ * @access  Private
+ */
+router.get('/requests', auth, leaveController.getMyLeaveRequests);
+
+/**
+ * @route   POST /api/leave/requests
+ * @desc    Request leave
+ * @access  Private
+ */
+router.post('/requests', auth, validateLeaveRequest, leaveController.createLeaveRequest);
+
+/**
+ * @route   PUT /api/leave/requests/:id/cancel
+ * @desc    Cancel a pending request or leave that hasn't started
+ * @access  Private
+ */
+router.put('/requests/:id/cancel', auth, leaveController.cancelLeaveRequest);
+
+module.exports = router;
\ No newline at end of file
@@ -1,36 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const shiftController = require('../controllers/shiftController');
+const correctionController = require('../controllers/correctionController');
 const auth = require('../middleware/auth');
-const { validateLocation } = require('../middleware/validators');
+const locationVerifier = require('../middleware/locationVerifier');
+const { validateLocation, validateDateRange, validateCorrectionRequest, validateTaskSegment, validateShiftStartTask } = require('../middleware/validators');
 
 /**
  * @route   POST /api/shifts/start
  * @desc    Start a new shift with location
  * @access  Private
  */
-router.post('/start', auth, validateLocation, shiftController.startShift);
+router.post('/start', auth, validateLocation, validateShiftStartTask, locationVerifier, shiftController.startShift);
 
 /**
  * @route   POST /api/shifts/end
  * @desc    End current shift with location
  * @access  Private
  */
-router.post('/end', auth, validateLocation, shiftController.endShift);
+router.post('/end', auth, validateLocation, locationVerifier, shiftController.endShift);
 
 /**
  * @route   POST /api/shifts/break/start
  * @desc    Start break on current shift with location
  * @access  Private
  */
-router.post('/break/start', auth, validateLocation, shiftController.startBreak);
+router.post('/break/start', auth, validateLocation, locationVerifier, shiftController.startBreak);
 
 /**
  * @route   POST /api/shifts/break/end
  * @desc    End break on current shift with location
  * @access  Private
  */
-router.post('/break/end', auth, validateLocation, shiftController.endBreak);
+router.post('/break/end', auth, validateLocation, locationVerifier, shiftController.endBreak);
 // Move these specific routes BEFORE the /:id route
 /**
  * @route   GET /api/shifts/stats/daily
@@ -53,6 +55,41 @@ router.get('/stats/weekly', auth, shiftController.getWeeklyStats);
  */
 router.get('/stats/monthly', auth, shiftController.getMonthlyStats);
 
+/**
+ * @route   GET /api/shifts/schedule
+ * @desc    Get published scheduled shifts for logged-in user
+ * @access  Private
+ */
+router.get('/schedule', auth, validateDateRange, shiftController.getMySchedule);
+
+/**
+ * @route   GET /api/shifts/break-policy
+ * @desc    Get break types and rules for logged-in user
+ * @access  Private
+ */
+router.get('/break-policy', auth, shiftController.getMyBreakPolicy);
+
+/**
+ * @route   GET /api/shifts/projects
+ * @desc    Get projects and cost centres the logged-in user can book time to
+ * @access  Private
+ */
+router.get('/projects', auth, shiftController.getMyProjects);
+
+/**
+ * @route   GET /api/shifts/corrections
+ * @desc    Get logged-in user's shift correction requests
+ * @access  Private
+ */
+router.get('/corrections', auth, correctionController.getMyCorrections);
+
+/**
+ * @route   DELETE /api/shifts/corrections/:id
+ * @desc    Cancel a pending shift correction request
+ * @access  Private
+ */
+router.delete('/corrections/:id', auth, correctionController.cancelCorrection);
+
 // Then define the wildcard/parameter routes after
 /**
  * @route   GET /api/shifts/:id
@@ -61,4 +98,18 @@ router.get('/stats/monthly', auth, shiftController.getMonthlyStats);
  */
 router.get('/:id', auth, shiftController.getShiftById);
 
+/**
+ * @route   POST /api/shifts/:id/corrections
+ * @desc    Request a correction to one of the user's shifts
+ * @access  Private
+ */
+router.post('/:id/corrections', auth, validateCorrectionRequest, correctionController.createCorrection);
+
+/**
+ * @route   POST /api/shifts/:id/segments
+ * @desc    Switch the job, project or cost code being worked on
+ * @access  Private
+ */
+router.post('/:id/segments', auth, validateTaskSegment, shiftController.switchSegment);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const timesheetController = require('../controllers/timesheetController');
+const auth = require('../middleware/auth');
+const { validateTimesheetSubmit } = require('../middleware/validators');
+
+/**
+ * @route   GET /api/timesheets
+ * @desc    Get logged-in user's timesheets
+ * @access  Private
+ */
+router.get('/', auth, timesheetController.getMyTimesheets);
+
+/**
+ * @route   GET /api/timesheets/week
+ * @desc    Get (and assemble) logged-in user's timesheet for a week
+ * @access  Private
+ */
+router.get('/week', auth, timesheetController.getWeekTimesheet);
+
+/**
+ * @route   POST /api/timesheets/submit
+ * @desc    Submit a week's timesheet for approval
+ * @access  Private
+ */
+router.post('/submit', auth, validateTimesheetSubmit, timesheetController.submitTimesheet);
+
+/**
+ * @route   GET /api/timesheets/:id
+ * @desc    Get one of logged-in user's timesheets
+ * @access  Private
+ */
+router.get('/:id', auth, timesheetController.getMyTimesheetById);
+
+module.exports = router;
\ No newline at end of file
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
 const auth = require('../middleware/auth');
-const { validateUserUpdate } = require('../middleware/validators');
+const { validateUserUpdate, validateDateRange } = require('../middleware/validators');
 
 /**
  * @route   GET /api/users/profile
@@ -46,6 +46,20 @@ router.put('/notifications/:id', auth, userController.markNotificationRead);
  */
 router.get('/dashboard', auth, userController.getDashboardData);
 
+/**
+ * @route   GET /api/users/holidays
+ * @desc    Get public holidays that apply to the user
+ * @access  Private
+ */
+router.get('/holidays', auth, validateDateRange, userController.getMyHolidays);
+
+/**
+ * @route   GET /api/users/reports
+ * @desc    Get the user's direct and indirect reports
+ * @access  Private
+ */
+router.get('/reports', auth, userController.getMyReports);
+
 /**
  * @route   POST /api/users/profile/avatar
  * @desc    Upload profile avatar
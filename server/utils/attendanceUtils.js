@@ -0,0 +1,259 @@
+const Shift = require('../models/shift');
+const ScheduledShift = require('../models/scheduledShift');
+const { getHolidayMap, getHolidayName } = require('./holidayUtils');
+const { getApprovedLeave } = require('./leaveUtils');
+
+// Minutes of slack before an arrival counts as late or a departure as early
+const GRACE_MINUTES = parseInt(process.env.ATTENDANCE_GRACE_MINUTES) || 5;
+// How long before the planned start a clock-in can still match that slot
+const MATCH_WINDOW_MINUTES = parseInt(process.env.ATTENDANCE_MATCH_WINDOW_MINUTES) || 120;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Attendance variance record
+ * @typedef {Object} Variance
+ * @property {String} type - late_arrival, early_departure, no_show or unscheduled_shift
+ * @property {ObjectId} userId - Employee the variance belongs to
+ * @property {ObjectId} [scheduledShiftId] - Planned slot (absent for unscheduled shifts)
+ * @property {ObjectId} [shiftId] - Recorded shift (absent for no-shows)
+ * @property {Date} date - Planned start, or actual start for unscheduled shifts
+ * @property {Number} minutes - Size of the variance in minutes
+ */
+
+/**
+ * Find the scheduled shift a clock-in belongs to
+ * @param {Date} shiftStart - Actual clock-in time
+ * @param {Array} schedules - Candidate scheduled shifts for the same employee
+ * @returns {Object|null} Closest matching scheduled shift, if any
+ */
+const findMatchingSchedule = (shiftStart, schedules) => {
+  const start = new Date(shiftStart).getTime();
+  let bestMatch = null;
+  let bestGap = Infinity;
+
+  schedules.forEach(schedule => {
+    const plannedStart = new Date(schedule.plannedStart).getTime();
+    const plannedEnd = new Date(schedule.plannedEnd).getTime();
+
+    // Clock-in must fall between the match window and the planned end
+    if (start < plannedStart - MATCH_WINDOW_MINUTES * MINUTE_MS || start > plannedEnd) return;
+
+    const gap = Math.abs(start - plannedStart);
+    if (gap < bestGap) {
+      bestGap = gap;
+      bestMatch = schedule;
+    }
+  });
+
+  return bestMatch;
+};
+
+/**
+ * Calculate late arrival and early departure for a shift against its plan
+ * @param {Object|null} schedule - Matched scheduled shift
+ * @param {Object} shift - Recorded shift document
+ * @returns {Object} Attendance values in minutes
+ */
+const calculateAttendance = (schedule, shift) => {
+  if (!schedule) {
+    return { lateArrivalMinutes: 0, earlyDepartureMinutes: 0, unscheduled: true };
+  }
+
+  const attendance = { lateArrivalMinutes: 0, earlyDepartureMinutes: 0, unscheduled: false };
+
+  const lateBy = (shift.startTime.timestamp - schedule.plannedStart) / MINUTE_MS;
+  if (lateBy > GRACE_MINUTES) {
+    attendance.lateArrivalMinutes = Math.round(lateBy);
+  }
+
+  if (shift.endTime && shift.endTime.timestamp) {
+    const earlyBy = (schedule.plannedEnd - shift.endTime.timestamp) / MINUTE_MS;
+    if (earlyBy > GRACE_MINUTES) {
+      attendance.earlyDepartureMinutes = Math.round(earlyBy);
+    }
+  }
+
+  return attendance;
+};
+
+/**
+ * Match recorded shifts against published scheduled shifts
+ * Shifts already linked through scheduledShiftId keep that link,
+ * the rest are matched to the closest unclaimed slot of the same employee
+ * @param {Array} schedules - Published scheduled shifts
+ * @param {Array} shifts - Recorded shifts
+ * @param {Date} [now] - Reference time for no-show detection
+ * @returns {Array<Variance>} Variances found
+ */
+const reconcileAttendance = (schedules, shifts, now = new Date()) => {
+  const variances = [];
+  const scheduleById = new Map(schedules.map(s => [s._id.toString(), s]));
+  const claimed = new Set();
+
+  // Sort so earlier clock-ins claim their slots first
+  const sortedShifts = [...shifts].sort((a, b) => a.startTime.timestamp - b.startTime.timestamp);
+
+  sortedShifts.forEach(shift => {
+    let schedule = null;
+    const linkedId = shift.scheduledShiftId ? shift.scheduledShiftId.toString() : null;
+
+    if (linkedId && scheduleById.has(linkedId) && !claimed.has(linkedId)) {
+      schedule = scheduleById.get(linkedId);
+    } else {
+      const candidates = schedules.filter(s =>
+        s.userId.toString() === shift.userId.toString() && !claimed.has(s._id.toString())
+      );
+      schedule = findMatchingSchedule(shift.startTime.timestamp, candidates);
+    }
+
+    if (!schedule) {
+      const worked = shift.endTime && shift.endTime.timestamp
+        ? (shift.endTime.timestamp - shift.startTime.timestamp) / MINUTE_MS
+        : 0;
+
+      variances.push({
+        type: 'unscheduled_shift',
+        userId: shift.userId,
+        shiftId: shift._id,
+        date: shift.startTime.timestamp,
+        minutes: Math.round(worked)
+      });
+      return;
+    }
+
+    claimed.add(schedule._id.toString());
+    const attendance = calculateAttendance(schedule, shift);
+
+    if (attendance.lateArrivalMinutes > 0) {
+      variances.push({
+        type: 'late_arrival',
+        userId: shift.userId,
+        scheduledShiftId: schedule._id,
+        shiftId: shift._id,
+        date: schedule.plannedStart,
+        minutes: attendance.lateArrivalMinutes
+      });
+    }
+
+    if (attendance.earlyDepartureMinutes > 0) {
+      variances.push({
+        type: 'early_departure',
+        userId: shift.userId,
+        scheduledShiftId: schedule._id,
+        shiftId: shift._id,
+        date: schedule.plannedStart,
+        minutes: attendance.earlyDepartureMinutes
+      });
+    }
+  });
+
+  // Any published slot that has already ended without a clock-in is a no-show
+  schedules.forEach(schedule => {
+    if (claimed.has(schedule._id.toString()) || schedule.plannedEnd > now) return;
+
+    variances.push({
+      type: 'no_show',
+      userId: schedule.userId,
+      scheduledShiftId: schedule._id,
+      date: schedule.plannedStart,
+      minutes: Math.round((schedule.plannedEnd - schedule.plannedStart) / MINUTE_MS)
+    });
+  });
+
+  return variances.sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+/**
+ * Summarise a list of variances into counts and minutes
+ * @param {Array<Variance>} variances - Variances to summarise
+ * @returns {Object} Totals per variance type
+ */
+const summarizeVariances = (variances) => {
+  const summary = {
+    lateArrivals: 0,
+    lateMinutes: 0,
+    earlyDepartures: 0,
+    earlyDepartureMinutes: 0,
+    noShows: 0,
+    noShowMinutes: 0,
+    unscheduledShifts: 0,
+    unscheduledMinutes: 0
+  };
+
+  variances.forEach(variance => {
+    switch (variance.type) {
+      case 'late_arrival':
+        summary.lateArrivals++;
+        summary.lateMinutes += variance.minutes;
+        break;
+      case 'early_departure':
+        summary.earlyDepartures++;
+        summary.earlyDepartureMinutes += variance.minutes;
+        break;
+      case 'no_show':
+        summary.noShows++;
+        summary.noShowMinutes += variance.minutes;
+        break;
+      case 'unscheduled_shift':
+        summary.unscheduledShifts++;
+        summary.unscheduledMinutes += variance.minutes;
+        break;
+    }
+  });
+
+  return summary;
+};
+
+/**
+ * Load schedules and shifts for a period and reconcile them
+ * @param {Object} options - Query options
+ * @param {Date} options.start - Start of the period
+ * @param {Date} options.end - End of the period
+ * @param {Array} [options.userIds] - Restrict to these employees
+ * @returns {Promise<Array<Variance>>} Variances found in the period
+ */
+const getAttendanceVariances = async ({ start, end, userIds }) => {
+  const scheduleFilter = {
+    status: 'published',
+    plannedStart: { $gte: start, $lte: end }
+  };
+  const shiftFilter = {
+    'startTime.timestamp': { $gte: start, $lte: end }
+  };
+
+  if (userIds) {
+    scheduleFilter.userId = { $in: userIds };
+    shiftFilter.userId = { $in: userIds };
+  }
+
+  const [schedules, shifts] = await Promise.all([
+    ScheduledShift.find(scheduleFilter),
+    Shift.find(shiftFilter).select('userId startTime endTime shiftStatus scheduledShiftId')
+  ]);
+
+  // Missing a slot on a public holiday or a day of approved leave isn't an absence
+  // Leave days are stored at midnight, so the lookup starts at the beginning of the first day
+  const scheduledUserIds = [...new Set(schedules.map(schedule => schedule.userId.toString()))];
+  const leaveStart = new Date(start);
+  leaveStart.setHours(0, 0, 0, 0);
+  const [holidayMap, leave] = await Promise.all([
+    getHolidayMap({ start, end, userIds: scheduledUserIds }),
+    getApprovedLeave({ start: leaveStart, end, userIds: scheduledUserIds })
+  ]);
+  const leaveDays = new Set(leave.map(entry => `${entry.userId}:${entry.date.toDateString()}`));
+
+  return reconcileAttendance(schedules, shifts)
+    .filter(variance => variance.type !== 'no_show' || (
+      !getHolidayName(holidayMap, variance.userId, variance.date) &&
+      !leaveDays.has(`${variance.userId}:${new Date(variance.date).toDateString()}`)
+    ));
+};
+
+module.exports = {
+  findMatchingSchedule,
+  calculateAttendance,
+  reconcileAttendance,
+  summarizeVariances,
+  getAttendanceVariances
+};
\ No newline at end of file
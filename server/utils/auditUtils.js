@@ -0,0 +1,120 @@
+const AuditLog = require('../models/auditLog');
+
+// Fields whose values never end up in the audit trail
+const REDACTED_FIELDS = ['password', 'tokens', 'refreshToken', 'secret', 'pendingSecret', 'recoveryCodes'];
+// Bookkeeping fields that change on every save
+const IGNORED_FIELDS = ['updatedAt', '__v'];
+
+/**
+ * Turn a document into a plain object suitable for diffing
+ * @param {Object|null} doc - Mongoose document or plain object
+ * @returns {Object|null} Plain object copy
+ */
+const snapshot = (doc) => {
+  if (!doc) return null;
+  return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+};
+
+const isRedacted = (path) => path.split('.').some(key => REDACTED_FIELDS.includes(key));
+
+const isPlainObject = (value) =>
+  Object.prototype.toString.call(value) === '[object Object]' && !value._bsontype;
+
+/**
+ * Flatten nested objects into dot-separated paths (arrays are kept whole)
+ * @param {Object} value - Object to flatten
+ * @param {String} [prefix] - Path of the current level
+ * @param {Object} [out] - Accumulator
+ * @returns {Object} Map of path to leaf value
+ */
+const flatten = (value, prefix = '', out = {}) => {
+  Object.keys(value || {}).forEach(key => {
+    if (!prefix && IGNORED_FIELDS.includes(key)) return;
+
+    const path = prefix ? `${prefix}.${key}` : key;
+    const field = value[key];
+
+    if (isPlainObject(field) && Object.keys(field).length > 0) {
+      flatten(field, path, out);
+    } else {
+      out[path] = field === undefined ? null : field;
+    }
+  });
+
+  return out;
+};
+
+/**
+ * Compare two snapshots and list the fields that differ
+ * @param {Object|null} before - State before the change
+ * @param {Object|null} after - State after the change
+ * @returns {Array} Changes as { field, before, after }
+ */
+const diffChanges = (before, after) => {
+  const flatBefore = flatten(before || {});
+  const flatAfter = flatten(after || {});
+  const fields = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])];
+
+  return fields
+    .filter(field => JSON.stringify(flatBefore[field]) !== JSON.stringify(flatAfter[field]))
+    .map(field => {
+      // Sensitive fields show that they changed, never their values
+      if (isRedacted(field)) {
+        return { field, before: '[redacted]', after: '[redacted]' };
+      }
+
+      return {
+        field,
+        before: flatBefore[field] === undefined ? null : flatBefore[field],
+        after: flatAfter[field] === undefined ? null : flatAfter[field]
+      };
+    });
+};
+
+/**
+ * Append an entry to the audit trail
+ * Failures are logged rather than thrown so auditing never blocks the change itself
+ * @param {Object|null} req - Express request (actor, IP and user agent are taken from it),
+ *   or null for changes made by background jobs
+ * @param {Object} entry - Audit details
+ * @param {String} entry.action - What happened, e.g. shift.update
+ * @param {String} entry.targetType - Kind of record changed
+ * @param {ObjectId} entry.targetId - Record changed
+ * @param {ObjectId} [entry.targetUser] - Employee affected by the change
+ * @param {Object} [entry.before] - State before the change (omit for creations)
+ * @param {Object} [entry.after] - State after the change (omit for deletions)
+ * @param {Object} [entry.metadata] - Extra context such as a reason or comment
+ * @returns {Promise<Object|null>} Saved entry, or null if nothing changed or saving failed
+ */
+const recordAudit = async (req, { action, targetType, targetId, targetUser, before, after, metadata }) => {
+  try {
+    const changes = diffChanges(snapshot(before), snapshot(after));
+
+    // An update that changed nothing is not worth recording
+    if (before && after && changes.length === 0) return null;
+
+    const actor = req && req.user;
+
+    return await AuditLog.create({
+      actor: actor ? actor._id : null,
+      actorEmail: actor ? actor.email : '',
+      action,
+      targetType,
+      targetId,
+      targetUser: targetUser || null,
+      changes,
+      ip: (req && req.ip) || '',
+      userAgent: (req && req.get('user-agent')) || '',
+      metadata: metadata || {}
+    });
+  } catch (error) {
+    console.error('Error recording audit entry:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  snapshot,
+  diffChanges,
+  recordAudit
+};
\ No newline at end of file
@@ -0,0 +1,142 @@
+const Shift = require('../models/shift');
+const CorrectionRequest = require('../models/correctionRequest');
+const Notification = require('../models/notification');
+const { recordAudit } = require('./auditUtils');
+const { getUsersWithPermission } = require('./permissionUtils');
+
+// Longest a shift may stay open before it is closed automatically
+const MAX_SHIFT_HOURS = parseInt(process.env.AUTO_CLOCKOUT_MAX_HOURS) || 16;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Parse per-department cutoff times from AUTO_CLOCKOUT_DEPARTMENT_CUTOFFS
+ * e.g. {"Warehouse":"22:00","Retail":"23:30"}
+ * @param {String} [value] - JSON map of department to HH:mm
+ * @returns {Object} Map of department to { hours, minutes }
+ */
+const parseDepartmentCutoffs = (value) => {
+  if (!value) return {};
+
+  try {
+    const cutoffs = {};
+    Object.entries(JSON.parse(value)).forEach(([department, time]) => {
+      const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(time);
+      if (match) {
+        cutoffs[department] = { hours: parseInt(match[1]), minutes: parseInt(match[2]) };
+      } else {
+        console.error(`Ignoring invalid auto clock-out cutoff for ${department}: ${time}`);
+      }
+    });
+    return cutoffs;
+  } catch (error) {
+    console.error('Invalid AUTO_CLOCKOUT_DEPARTMENT_CUTOFFS:', error.message);
+    return {};
+  }
+};
+
+const DEPARTMENT_CUTOFFS = parseDepartmentCutoffs(process.env.AUTO_CLOCKOUT_DEPARTMENT_CUTOFFS);
+
+/**
+ * Work out when an open shift should be closed
+ * This is the earlier of the maximum shift length and the department's
+ * cutoff time following the clock-in
+ * @param {Date} shiftStart - Clock-in time
+ * @param {String} [department] - Employee's department
+ * @returns {Date} Automatic clock-out time
+ */
+const getAutoClockOutTime = (shiftStart, department) => {
+  const start = new Date(shiftStart);
+  let closeAt = new Date(start.getTime() + MAX_SHIFT_HOURS * HOUR_MS);
+
+  const cutoff = department && DEPARTMENT_CUTOFFS[department];
+  if (cutoff) {
+    const cutoffTime = new Date(start);
+    cutoffTime.setHours(cutoff.hours, cutoff.minutes, 0, 0);
+
+    // A clock-in after today's cutoff runs until tomorrow's
+    if (cutoffTime <= start) {
+      cutoffTime.setDate(cutoffTime.getDate() + 1);
+    }
+
+    if (cutoffTime < closeAt) closeAt = cutoffTime;
+  }
+
+  return closeAt;
+};
+
+/**
+ * Close every open shift that is past its automatic clock-out time
+ * Each shift is ended at its clock-out time, marked auto_closed, queued for
+ * correction and reported to the employee and to whoever approves their corrections
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Array>} Shifts that were closed
+ */
+const closeForgottenShifts = async (now = new Date()) => {
+  const openShifts = await Shift.find({ shiftStatus: { $in: ['active', 'break'] } })
+    .populate('userId', 'firstName lastName department');
+
+  const closed = [];
+  let reviewers = null;
+
+  for (const shift of openShifts) {
+    const employee = shift.userId;
+    if (!employee) continue;
+
+    const closeAt = getAutoClockOutTime(shift.startTime.timestamp, employee.department);
+    if (closeAt > now) continue;
+
+    try {
+      const original = CorrectionRequest.snapshotShift(shift);
+      const previousStatus = shift.shiftStatus;
+
+      // No punch was recorded, so the clock-in location stands in for the clock-out
+      shift.endShift(shift.startTime.location, closeAt);
+      shift.shiftStatus = 'auto_closed';
+      shift.autoClosedAt = now;
+      await shift.save();
+
+      await CorrectionRequest.create({
+        userId: employee._id,
+        shiftId: shift._id,
+        proposed: { endTime: closeAt },
+        original,
+        reason: `Shift was still open after ${MAX_SHIFT_HOURS} hours or the department cutoff and was closed automatically`,
+        source: 'auto_clockout'
+      });
+
+      await recordAudit(null, {
+        action: 'shift.auto_close',
+        targetType: 'Shift',
+        targetId: shift._id,
+        targetUser: employee._id,
+        before: { shiftStatus: previousStatus, endTime: null },
+        after: { shiftStatus: shift.shiftStatus, endTime: shift.endTime.timestamp }
+      });
+
+      // Same people who can accept the correction from the queue
+      if (!reviewers) {
+        reviewers = await getUsersWithPermission('shifts:approve');
+      }
+
+      const employeeName = `${employee.firstName} ${employee.lastName}`;
+      const employeeId = employee._id.toString();
+      await Notification.createShiftAutoClosedNotification(employee._id, shift);
+      await Promise.all(reviewers
+        .filter(({ user, userIds }) => !user._id.equals(employee._id) &&
+          (!userIds || userIds.some(id => id.toString() === employeeId)))
+        .map(({ user }) => Notification.createShiftAutoClosedNotification(user._id, shift, employeeName)));
+
+      closed.push(shift);
+    } catch (error) {
+      console.error(`Error auto-closing shift ${shift._id}:`, error);
+    }
+  }
+
+  return closed;
+};
+
+module.exports = {
+  getAutoClockOutTime,
+  closeForgottenShifts
+};
\ No newline at end of file
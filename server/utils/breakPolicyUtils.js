@@ -0,0 +1,141 @@
+const BreakPolicy = require('../models/breakPolicy');
+
+const MINUTE_MS = 60 * 1000;
+
+// Applies when no break policy is configured: the original 60 minute lunch and 15 minute short break
+const DEFAULT_BREAK_POLICY = {
+  _id: null,
+  name: 'Default',
+  breakTypes: [
+    { key: 'lunch', name: 'Lunch', isPaid: false, maxDurationMinutes: 60, maxPerShift: null },
+    { key: 'short', name: 'Short break', isPaid: true, maxDurationMinutes: 15, maxPerShift: null }
+  ],
+  requiredBreaks: [],
+  maxBreaksPerShift: null
+};
+
+/**
+ * Compliance violation found on a shift
+ * @typedef {Object} BreakViolation
+ * @property {String} code - break_too_long, too_many_breaks or missing_required_break
+ * @property {String} message - Readable explanation
+ * @property {String} [breakType] - Break type the violation concerns
+ * @property {Number} [minutes] - Minutes over (or short of) the limit
+ */
+
+/**
+ * Load the break policy that applies to an employee
+ * @param {Object} user - User with department
+ * @returns {Promise<Object>} BreakPolicy, or DEFAULT_BREAK_POLICY
+ */
+const getBreakPolicyForUser = async (user) => {
+  const policies = await BreakPolicy.find({ isActive: true });
+  return BreakPolicy.resolveForUser(user, policies) || DEFAULT_BREAK_POLICY;
+};
+
+/**
+ * Find a break type in a policy
+ * @param {Object} policy - BreakPolicy or DEFAULT_BREAK_POLICY
+ * @param {String} key - Break type key
+ * @returns {Object|null} Break type
+ */
+const findBreakType = (policy, key) => policy.breakTypes.find(type => type.key === key) || null;
+
+/**
+ * Check a single finished break against its type's maximum duration
+ * @param {Object} policy - BreakPolicy or DEFAULT_BREAK_POLICY
+ * @param {Object} breakItem - Break with type and duration
+ * @returns {BreakViolation|null}
+ */
+const checkBreakDuration = (policy, breakItem) => {
+  const breakType = findBreakType(policy, breakItem.type);
+  if (!breakType || !breakType.maxDurationMinutes || breakItem.duration <= breakType.maxDurationMinutes) {
+    return null;
+  }
+
+  const over = Math.round(breakItem.duration - breakType.maxDurationMinutes);
+  return {
+    code: 'break_too_long',
+    message: `${breakType.name} lasted ${Math.round(breakItem.duration)} minutes (limit ${breakType.maxDurationMinutes})`,
+    breakType: breakType.key,
+    minutes: over
+  };
+};
+
+/**
+ * Evaluate a completed shift against a break policy
+ * @param {Object} shift - Completed shift document
+ * @param {Object} policy - BreakPolicy or DEFAULT_BREAK_POLICY
+ * @returns {Array<BreakViolation>} Violations found
+ */
+const evaluateBreakCompliance = (shift, policy) => {
+  const violations = [];
+  const breaks = shift.breaks
+    .filter(breakItem => breakItem.endTime)
+    .sort((a, b) => a.startTime.timestamp - b.startTime.timestamp);
+
+  breaks.forEach(breakItem => {
+    const violation = checkBreakDuration(policy, breakItem);
+    if (violation) violations.push(violation);
+  });
+
+  if (policy.maxBreaksPerShift && breaks.length > policy.maxBreaksPerShift) {
+    violations.push({
+      code: 'too_many_breaks',
+      message: `${breaks.length} breaks taken (limit ${policy.maxBreaksPerShift} per shift)`
+    });
+  }
+
+  policy.breakTypes
+    .filter(breakType => breakType.maxPerShift)
+    .forEach(breakType => {
+      const taken = breaks.filter(breakItem => breakItem.type === breakType.key).length;
+      if (taken > breakType.maxPerShift) {
+        violations.push({
+          code: 'too_many_breaks',
+          message: `${taken} ${breakType.name} breaks taken (limit ${breakType.maxPerShift} per shift)`,
+          breakType: breakType.key
+        });
+      }
+    });
+
+  // Minutes worked before each break started
+  const shiftStart = shift.startTime.timestamp.getTime();
+  let breakMinutesSoFar = 0;
+  const timeline = breaks.map(breakItem => {
+    const workedBefore = (breakItem.startTime.timestamp - shiftStart) / MINUTE_MS - breakMinutesSoFar;
+    breakMinutesSoFar += breakItem.duration;
+    return { breakItem, workedBefore };
+  });
+
+  const workedMinutes = shift.totalWorkDuration;
+  policy.requiredBreaks.forEach(rule => {
+    const threshold = rule.afterHoursWorked * 60;
+    if (workedMinutes <= threshold) return;
+
+    const satisfied = timeline.some(({ breakItem, workedBefore }) =>
+      workedBefore <= threshold &&
+      breakItem.duration >= rule.minDurationMinutes &&
+      (rule.breakTypes.length === 0 || rule.breakTypes.includes(breakItem.type))
+    );
+
+    if (!satisfied) {
+      violations.push({
+        code: 'missing_required_break',
+        message: `No break of at least ${rule.minDurationMinutes} minutes within the first ${rule.afterHoursWorked} hours worked`,
+        breakType: rule.breakTypes.join(', ') || undefined,
+        minutes: rule.minDurationMinutes
+      });
+    }
+  });
+
+  return violations;
+};
+
+module.exports = {
+  DEFAULT_BREAK_POLICY,
+  getBreakPolicyForUser,
+  findBreakType,
+  checkBreakDuration,
+  evaluateBreakCompliance
+};
\ No newline at end of file
@@ -0,0 +1,263 @@
+const Shift = require('../models/shift');
+const ComplianceRuleSet = require('../models/complianceRuleSet');
+const ComplianceViolation = require('../models/complianceViolation');
+const { getWeekBounds } = require('./timeUtils');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Applies when no rule set is configured: 11h rest, 48h a week averaged over 17 weeks,
+// under-18 limits; everything is recorded and nothing is blocked
+const DEFAULT_COMPLIANCE_RULES = {
+  _id: null,
+  name: 'Default',
+  minRestHours: 11,
+  maxShiftHours: null,
+  maxWeeklyHours: 48,
+  averagingWeeks: 17,
+  minors: {
+    ageUnder: 18,
+    minRestHours: 12,
+    maxDailyHours: 8,
+    maxWeeklyHours: 40,
+    earliestStart: '06:00',
+    latestEnd: '22:00'
+  },
+  blockOn: []
+};
+
+/**
+ * Working time rule broken by a punch
+ * @typedef {Object} ComplianceResult
+ * @property {String} code - Rule code (see ComplianceRuleSet.COMPLIANCE_CODES)
+ * @property {String} message - Readable reason
+ * @property {Number} limit - Limit in hours
+ * @property {Number} actual - Measured value in hours
+ */
+
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+/**
+ * Load the rule set that applies to an employee
+ * @param {Object} user - User with department
+ * @returns {Promise<Object>} ComplianceRuleSet, or DEFAULT_COMPLIANCE_RULES
+ */
+const getComplianceRulesForUser = async (user) => {
+  const ruleSets = await ComplianceRuleSet.find({ isActive: true });
+  return ComplianceRuleSet.resolveForUser(user, ruleSets) || DEFAULT_COMPLIANCE_RULES;
+};
+
+/**
+ * Whether the minors rules apply to an employee on a date
+ * @param {Object} user - User with dateOfBirth
+ * @param {Date} date - Date of the punch
+ * @param {Object} rules - Rule set
+ * @returns {Boolean}
+ */
+const isMinor = (user, date, rules) => {
+  if (!user.dateOfBirth || !rules.minors) return false;
+
+  const comesOfAge = new Date(user.dateOfBirth);
+  comesOfAge.setFullYear(comesOfAge.getFullYear() + rules.minors.ageUnder);
+  return date < comesOfAge;
+};
+
+// Minutes since midnight for an HH:mm string or a Date
+const minuteOfDay = (value) => {
+  if (typeof value === 'string') {
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+  return value.getHours() * 60 + value.getMinutes();
+};
+
+// Completed work minutes with clock-in between two times
+const sumWorkedMinutes = async (userId, start, end) => {
+  const result = await Shift.aggregate([
+    {
+      $match: {
+        userId,
+        shiftStatus: { $in: ['completed', 'auto_closed'] },
+        'startTime.timestamp': { $gte: start, $lte: end }
+      }
+    },
+    { $group: { _id: null, minutes: { $sum: '$totalWorkDuration' } } }
+  ]);
+  return result.length > 0 ? result[0].minutes : 0;
+};
+
+/**
+ * Check a clock-in against the rule set
+ * @param {Object} user - Employee clocking in
+ * @param {Date} clockIn - Time of the punch
+ * @param {Object} rules - Rule set
+ * @returns {Promise<Array<ComplianceResult>>} Rules the clock-in would break
+ */
+const checkClockIn = async (user, clockIn, rules) => {
+  const results = [];
+  const minor = isMinor(user, clockIn, rules);
+
+  const lastShift = await Shift.findOne({
+    userId: user._id,
+    shiftStatus: { $in: ['completed', 'auto_closed'] },
+    'endTime.timestamp': { $lte: clockIn }
+  }).sort({ 'endTime.timestamp': -1 }).select('endTime');
+
+  if (lastShift) {
+    const restHours = (clockIn - lastShift.endTime.timestamp) / HOUR_MS;
+
+    if (rules.minRestHours !== null && restHours < rules.minRestHours) {
+      results.push({
+        code: 'min_rest',
+        message: `Only ${roundHours(restHours)} hours of rest since the last shift (minimum ${rules.minRestHours})`,
+        limit: rules.minRestHours,
+        actual: roundHours(restHours)
+      });
+    }
+
+    if (minor && rules.minors.minRestHours !== null && restHours < rules.minors.minRestHours) {
+      results.push({
+        code: 'minor_rest',
+        message: `Under-${rules.minors.ageUnder} staff need ${rules.minors.minRestHours} hours of rest between shifts (had ${roundHours(restHours)})`,
+        limit: rules.minors.minRestHours,
+        actual: roundHours(restHours)
+      });
+    }
+  }
+
+  if (minor) {
+    const minute = minuteOfDay(clockIn);
+    if (minute < minuteOfDay(rules.minors.earliestStart) || minute >= minuteOfDay(rules.minors.latestEnd)) {
+      results.push({
+        code: 'minor_night_work',
+        message: `Under-${rules.minors.ageUnder} staff can only work between ${rules.minors.earliestStart} and ${rules.minors.latestEnd}`,
+        limit: minuteOfDay(rules.minors.latestEnd) / 60,
+        actual: roundHours(minute / 60)
+      });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Check a completed shift against the rule set
+ * The shift must already be saved so it counts towards the totals
+ * @param {Object} user - Employee clocking out
+ * @param {Object} shift - Completed shift
+ * @param {Object} rules - Rule set
+ * @returns {Promise<Array<ComplianceResult>>} Rules the shift broke
+ */
+const checkClockOut = async (user, shift, rules) => {
+  const results = [];
+  const clockIn = shift.startTime.timestamp;
+  const clockOut = shift.endTime.timestamp;
+  const shiftHours = shift.totalWorkDuration / 60;
+
+  if (rules.maxShiftHours !== null && shiftHours > rules.maxShiftHours) {
+    results.push({
+      code: 'max_shift_hours',
+      message: `Shift lasted ${roundHours(shiftHours)} hours (limit ${rules.maxShiftHours})`,
+      limit: rules.maxShiftHours,
+      actual: roundHours(shiftHours)
+    });
+  }
+
+  if (rules.maxWeeklyHours !== null) {
+    // Rolling reference period ending with this shift
+    const periodStart = new Date(clockOut.getTime() - rules.averagingWeeks * 7 * DAY_MS);
+    const averageHours = (await sumWorkedMinutes(user._id, periodStart, clockOut)) / 60 / rules.averagingWeeks;
+
+    if (averageHours > rules.maxWeeklyHours) {
+      results.push({
+        code: 'weekly_average_hours',
+        message: `Averaging ${roundHours(averageHours)} hours a week over ${rules.averagingWeeks} weeks (limit ${rules.maxWeeklyHours})`,
+        limit: rules.maxWeeklyHours,
+        actual: roundHours(averageHours)
+      });
+    }
+  }
+
+  if (isMinor(user, clockIn, rules)) {
+    const dayStart = new Date(clockIn);
+    dayStart.setHours(0, 0, 0, 0);
+    const dailyHours = (await sumWorkedMinutes(user._id, dayStart, new Date(dayStart.getTime() + DAY_MS - 1))) / 60;
+
+    if (dailyHours > rules.minors.maxDailyHours) {
+      results.push({
+        code: 'minor_daily_hours',
+        message: `Under-${rules.minors.ageUnder} staff worked ${roundHours(dailyHours)} hours in a day (limit ${rules.minors.maxDailyHours})`,
+        limit: rules.minors.maxDailyHours,
+        actual: roundHours(dailyHours)
+      });
+    }
+
+    const week = getWeekBounds(clockIn);
+    const weeklyHours = (await sumWorkedMinutes(user._id, week.start, week.end)) / 60;
+
+    if (weeklyHours > rules.minors.maxWeeklyHours) {
+      results.push({
+        code: 'minor_weekly_hours',
+        message: `Under-${rules.minors.ageUnder} staff worked ${roundHours(weeklyHours)} hours this week (limit ${rules.minors.maxWeeklyHours})`,
+        limit: rules.minors.maxWeeklyHours,
+        actual: roundHours(weeklyHours)
+      });
+    }
+
+    // Shifts past midnight or past the latest end time count as night work
+    const latestEnd = new Date(dayStart);
+    latestEnd.setMinutes(minuteOfDay(rules.minors.latestEnd));
+    if (clockOut > latestEnd) {
+      results.push({
+        code: 'minor_night_work',
+        message: `Under-${rules.minors.ageUnder} staff worked past ${rules.minors.latestEnd}`,
+        limit: minuteOfDay(rules.minors.latestEnd) / 60,
+        actual: roundHours((clockOut - dayStart) / HOUR_MS)
+      });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Store violations found at a punch
+ * @param {Object} options
+ * @param {Object} options.user - Employee
+ * @param {Object} [options.shift] - Shift, if one was created
+ * @param {Object} options.rules - Rule set that was applied
+ * @param {String} options.punch - start or end
+ * @param {Array<ComplianceResult>} options.results - Rules broken
+ * @param {Boolean} [options.blocked] - Whether the punch was refused; only the violations of rules in blockOn are marked blocked
+ * @returns {Promise<Array>} Created ComplianceViolation documents
+ */
+const recordViolations = async ({ user, shift = null, rules, punch, results, blocked = false }) => {
+  if (results.length === 0) return [];
+
+  return ComplianceViolation.insertMany(results.map(result => ({
+    userId: user._id,
+    shiftId: shift ? shift._id : null,
+    ruleSetId: rules._id,
+    punch,
+    ...result,
+    blocked: blocked && rules.blockOn.includes(result.code)
+  })));
+};
+
+/**
+ * Violations that should refuse the punch under the rule set
+ * @param {Array<ComplianceResult>} results - Rules broken
+ * @param {Object} rules - Rule set
+ * @returns {Array<ComplianceResult>} Blocking violations
+ */
+const getBlockingResults = (results, rules) => results.filter(result => rules.blockOn.includes(result.code));
+
+module.exports = {
+  DEFAULT_COMPLIANCE_RULES,
+  getComplianceRulesForUser,
+  isMinor,
+  checkClockIn,
+  checkClockOut,
+  recordViolations,
+  getBlockingResults
+};
\ No newline at end of file
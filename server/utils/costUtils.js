@@ -0,0 +1,168 @@
+const User = require('../models/user');
+const PayRate = require('../models/payRate');
+const ShiftDifferential = require('../models/shiftDifferential');
+
+const MINUTE_MS = 60 * 1000;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Find the hourly rate in effect for an employee on a date
+ * Personal rate first, then the position and department default,
+ * then a position-only default, then a department-only default
+ * @param {Object} user - User with payRates, position and department
+ * @param {Date} date - Date the work was done
+ * @param {Array} defaults - PayRate defaults to choose from
+ * @returns {Object|null} { hourlyRate, source } or null if no rate applies
+ */
+const resolveHourlyRate = (user, date, defaults) => {
+  const personal = user.getPayRateOn(date);
+  if (personal) return { hourlyRate: personal.hourlyRate, source: 'user' };
+
+  const latest = (matches) => defaults
+    .filter(rate => matches(rate) && rate.effectiveFrom <= date)
+    .sort((a, b) => b.effectiveFrom - a.effectiveFrom)[0];
+
+  const candidates = [
+    ['position', rate => user.position && rate.position === user.position && rate.department === user.department],
+    ['position', rate => user.position && rate.position === user.position && !rate.department],
+    ['department', rate => user.department && rate.department === user.department && !rate.position]
+  ];
+
+  for (const [source, matches] of candidates) {
+    const rate = latest(matches);
+    if (rate) return { hourlyRate: rate.hourlyRate, source };
+  }
+
+  return null;
+};
+
+/**
+ * Get the paid intervals of a shift (clock-in to clock-out minus unpaid breaks)
+ * @param {Object} shift - Shift document
+ * @returns {Array} [start, end] pairs in milliseconds
+ */
+const getWorkedIntervals = (shift) => {
+  const intervals = [];
+  let cursor = new Date(shift.startTime.timestamp).getTime();
+  const end = new Date(shift.endTime.timestamp).getTime();
+
+  shift.breaks
+    .filter(breakItem => breakItem.endTime && !breakItem.isPaid)
+    .map(breakItem => [
+      new Date(breakItem.startTime.timestamp).getTime(),
+      new Date(breakItem.endTime.timestamp).getTime()
+    ])
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([breakStart, breakEnd]) => {
+      if (breakStart > cursor) intervals.push([cursor, Math.min(breakStart, end)]);
+      cursor = Math.max(cursor, breakEnd);
+    });
+
+  if (end > cursor) intervals.push([cursor, end]);
+  return intervals;
+};
+
+/**
+ * Count worked minutes falling inside a differential's windows
+ * @param {Array} intervals - Paid intervals from getWorkedIntervals
+ * @param {Object} differential - ShiftDifferential
+ * @returns {Number} Minutes covered by the differential
+ */
+const getDifferentialMinutes = (intervals, differential) => {
+  if (intervals.length === 0) return 0;
+
+  const [startHours, startMinutes] = differential.startTime.split(':').map(Number);
+  const [endHours, endMinutes] = differential.endTime.split(':').map(Number);
+  const wraps = endHours * 60 + endMinutes <= startHours * 60 + startMinutes;
+
+  // Windows can start the day before the shift when they run past midnight
+  const day = new Date(intervals[0][0]);
+  day.setHours(0, 0, 0, 0);
+  day.setDate(day.getDate() - 1);
+  const lastDay = intervals[intervals.length - 1][1];
+
+  let minutes = 0;
+  while (day.getTime() <= lastDay) {
+    if (differential.days.length === 0 || differential.days.includes(day.getDay())) {
+      const windowStart = new Date(day);
+      windowStart.setHours(startHours, startMinutes, 0, 0);
+      const windowEnd = new Date(day);
+      if (wraps) windowEnd.setDate(windowEnd.getDate() + 1);
+      windowEnd.setHours(endHours, endMinutes, 0, 0);
+
+      intervals.forEach(([start, end]) => {
+        const overlap = Math.min(end, windowEnd.getTime()) - Math.max(start, windowStart.getTime());
+        if (overlap > 0) minutes += overlap / MINUTE_MS;
+      });
+    }
+    day.setDate(day.getDate() + 1);
+  }
+
+  return minutes;
+};
+
+/**
+ * Calculate the labour cost of a completed shift
+ * @param {Object} shift - Completed shift document
+ * @returns {Promise<Object>} Cost breakdown stored on Shift.cost
+ */
+const calculateShiftCost = async (shift) => {
+  const cost = {
+    hourlyRate: null,
+    rateSource: null,
+    regularCost: 0,
+    differentialCost: 0,
+    totalCost: 0,
+    differentials: [],
+    calculatedAt: new Date()
+  };
+
+  const user = await User.findById(shift.userId).select('position department payRates');
+  if (!user || !shift.endTime) return cost;
+
+  const date = new Date(shift.startTime.timestamp);
+  const [defaults, differentials] = await Promise.all([
+    PayRate.find({ effectiveFrom: { $lte: date } }),
+    ShiftDifferential.find({ isActive: true })
+  ]);
+
+  const rate = resolveHourlyRate(user, date, defaults);
+  if (!rate) return cost;
+
+  cost.hourlyRate = rate.hourlyRate;
+  cost.rateSource = rate.source;
+  cost.regularCost = roundMoney((shift.getPayableDuration() / 60) * rate.hourlyRate);
+
+  const intervals = getWorkedIntervals(shift);
+  differentials
+    .filter(differential => differential.departments.length === 0 || differential.departments.includes(user.department))
+    .forEach(differential => {
+      const minutes = getDifferentialMinutes(intervals, differential);
+      if (minutes <= 0) return;
+
+      const hourlyPremium = differential.premiumType === 'percent'
+        ? rate.hourlyRate * differential.amount / 100
+        : differential.amount;
+
+      cost.differentials.push({
+        differentialId: differential._id,
+        name: differential.name,
+        minutes: Math.round(minutes),
+        amount: roundMoney((minutes / 60) * hourlyPremium)
+      });
+    });
+
+  cost.differentialCost = roundMoney(cost.differentials.reduce((total, item) => total + item.amount, 0));
+  cost.totalCost = roundMoney(cost.regularCost + cost.differentialCost);
+
+  return cost;
+};
+
+module.exports = {
+  roundMoney,
+  resolveHourlyRate,
+  getWorkedIntervals,
+  getDifferentialMinutes,
+  calculateShiftCost
+};
\ No newline at end of file
@@ -0,0 +1,134 @@
+// Allowed values for each field of a five-field cron expression
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+// Give up looking for a match after roughly four years of minutes
+const MAX_SEARCH_STEPS = 4 * 366 * 24 * 60;
+
+/**
+ * Parse one cron field into the set of values it allows
+ * Supports *, single values, ranges (1-5), lists (1,3,5) and steps (*\/15, 0-30/5)
+ * @param {String} field - Field text
+ * @param {Object} range - Field definition with name, min and max
+ * @returns {Set<Number>} Allowed values
+ */
+const parseField = (field, { name, min, max }) => {
+  const values = new Set();
+
+  field.split(',').forEach(part => {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    let from = min;
+    let to = max;
+
+    if (rangeText !== '*') {
+      const bounds = rangeText.split('-').map(Number);
+      from = bounds[0];
+      // A single value with a step runs to the end of the range
+      to = bounds.length > 1 ? bounds[1] : (stepText === undefined ? bounds[0] : max);
+    }
+
+    if (![from, to, step].every(Number.isInteger) || step < 1 || from < min || to > max || from > to) {
+      throw new Error(`Invalid cron ${name} field: ${field}`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week)
+ * @param {String} expression - Cron expression, e.g. "*\/15 * * * *"
+ * @returns {Object} Allowed values per field
+ */
+const parseCron = (expression) => {
+  const fields = String(expression).trim().split(/\s+/);
+
+  if (fields.length !== 5) {
+    throw new Error(`Invalid cron expression: ${expression}`);
+  }
+
+  const parsed = {};
+  CRON_FIELDS.forEach((definition, index) => {
+    parsed[definition.name] = parseField(fields[index], definition);
+  });
+
+  if (parsed.dayOfWeek.has(7)) parsed.dayOfWeek.add(0);
+
+  // Standard cron: when both day fields are restricted, either may match
+  parsed.dayOfMonthRestricted = fields[2] !== '*';
+  parsed.dayOfWeekRestricted = fields[4] !== '*';
+
+  return parsed;
+};
+
+/**
+ * Check whether a cron expression is valid
+ * @param {String} expression - Cron expression
+ * @returns {Boolean} True if the expression parses
+ */
+const isValidCron = (expression) => {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const matchesDay = (cron, date) => {
+  const domMatch = cron.dayOfMonth.has(date.getDate());
+  const dowMatch = cron.dayOfWeek.has(date.getDay());
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return domMatch || dowMatch;
+  if (cron.dayOfMonthRestricted) return domMatch;
+  if (cron.dayOfWeekRestricted) return dowMatch;
+  return true;
+};
+
+/**
+ * Get the next time a cron expression fires after a given time (server local time)
+ * @param {String} expression - Cron expression
+ * @param {Date} [from] - Time to start searching from (default: now)
+ * @returns {Date} Next run time, always later than from
+ */
+const getNextRun = (expression, from = new Date()) => {
+  const cron = parseCron(expression);
+  const next = new Date(from);
+  next.setSeconds(0, 0);
+  next.setMinutes(next.getMinutes() + 1);
+
+  for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+    if (!cron.month.has(next.getMonth() + 1)) {
+      next.setMonth(next.getMonth() + 1, 1);
+      next.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, next)) {
+      next.setDate(next.getDate() + 1);
+      next.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(next.getHours())) {
+      next.setHours(next.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(next.getMinutes())) {
+      next.setMinutes(next.getMinutes() + 1, 0, 0);
+    } else {
+      return next;
+    }
+  }
+
+  throw new Error(`Cron expression never fires: ${expression}`);
+};
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  getNextRun
+};
\ No newline at end of file
@@ -39,29 +39,19 @@ const createTransporter = () => {
  * @returns {Object} Email options object
  */
 const generateShiftCompletionEmail = (user, shift) => {
-  const startTime = new Date(shift.startTime);
-  const endTime = new Date(shift.endTime);
+  const startTime = new Date(shift.startTime.timestamp);
+  const endTime = new Date(shift.endTime.timestamp);
   
-  // Calculate total shift duration
-  const totalDuration = endTime.getTime() - startTime.getTime();
-  const formattedDuration = formatDuration(totalDuration);
+  // Durations come from the shift, which stores them in minutes
+  const formattedDuration = formatDuration(shift.getPresenceDuration());
+  const formattedBreakDuration = formatDuration(shift.totalBreakDuration);
+  const formattedPaidBreakDuration = formatDuration(shift.paidBreakDuration);
+  const formattedWorkingDuration = formatDuration(shift.totalWorkDuration);
   
-  // Calculate break time
-  const breakDuration = shift.breaks.reduce((total, breakItem) => {
-    if (breakItem.startTime && breakItem.endTime) {
-      const breakStart = new Date(breakItem.startTime);
-      const breakEnd = new Date(breakItem.endTime);
-      return total + (breakEnd.getTime() - breakStart.getTime());
-    }
-    return total;
-  }, 0);
-  
-  const formattedBreakDuration = formatDuration(breakDuration);
-  
-  // Calculate working time (total - breaks)
-  const workingDuration = totalDuration - breakDuration;
-  const formattedWorkingDuration = formatDuration(workingDuration);
-  const decimalHours = toDecimalHours(workingDuration);
+  // Paid time is working time plus paid breaks
+  const payableDuration = shift.getPayableDuration();
+  const formattedPayableDuration = formatDuration(payableDuration);
+  const decimalHours = toDecimalHours(payableDuration);
   
   // Format start and end times
   const formatTimeOptions = { 
@@ -93,13 +83,14 @@ const generateShiftCompletionEmail = (user, shift) => {
           <p><strong>Start:</strong> ${formattedStartTime}</p>
           <p><strong>End:</strong> ${formattedEndTime}</p>
           <p><strong>Total Duration:</strong> ${formattedDuration.formatted}</p>
-          <p><strong>Break Duration:</strong> ${formattedBreakDuration.formatted}</p>
-          <p><strong>Working Time:</strong> ${formattedWorkingDuration.formatted} (${decimalHours} hours)</p>
+          <p><strong>Break Duration:</strong> ${formattedBreakDuration.formatted} (${formattedPaidBreakDuration.formatted} paid)</p>
+          <p><strong>Working Time:</strong> ${formattedWorkingDuration.formatted}</p>
+          <p><strong>Paid Time:</strong> ${formattedPayableDuration.formatted} (${decimalHours} hours)</p>
         </div>
         
         <h3>Location Details</h3>
-        <p><strong>Start Location:</strong> ${shift.startLocation.address || 'Not available'}</p>
-        <p><strong>End Location:</strong> ${shift.endLocation.address || 'Not available'}</p>
+        <p><strong>Start Location:</strong> ${shift.startTime.location.address || 'Not available'}</p>
+        <p><strong>End Location:</strong> ${shift.endTime.location.address || 'Not available'}</p>
         
         <p style="margin-top: 20px;">If you have any questions or notice any discrepancies, please contact your supervisor.</p>
         
@@ -118,12 +109,13 @@ const generateShiftCompletionEmail = (user, shift) => {
       Start: ${formattedStartTime}
       End: ${formattedEndTime}
       Total Duration: ${formattedDuration.formatted}
-      Break Duration: ${formattedBreakDuration.formatted}
-      Working Time: ${formattedWorkingDuration.formatted} (${decimalHours} hours)
+      Break Duration: ${formattedBreakDuration.formatted} (${formattedPaidBreakDuration.formatted} paid)
+      Working Time: ${formattedWorkingDuration.formatted}
+      Paid Time: ${formattedPayableDuration.formatted} (${decimalHours} hours)
       
       Location Details:
-      Start Location: ${shift.startLocation.address || 'Not available'}
-      End Location: ${shift.endLocation.address || 'Not available'}
+      Start Location: ${shift.startTime.location.address || 'Not available'}
+      End Location: ${shift.endTime.location.address || 'Not available'}
       
       If you have any questions or notice any discrepancies, please contact your supervisor.
       
@@ -180,7 +172,8 @@ const sendIrregularityAlert = async (user, shift, irregularityType, details) =>
       return { success: false, error: 'No supervisor emails configured' };
     }
     
-    const startTime = new Date(shift.startTime);
+    // Shift documents store the clock-in as { timestamp, location }
+    const startTime = new Date(shift.startTime.timestamp || shift.startTime);
     const formattedStartTime = startTime.toLocaleString('en-US', {
       hour: '2-digit', 
       minute: '2-digit',
@@ -242,7 +235,99 @@ const sendIrregularityAlert = async (user, shift, irregularityType, details) =>
   }
 };
 
+/**
+ * Generate email with a password reset link
+ * @param {Object} user - User object
+ * @param {String} resetUrl - Link containing the single-use reset token
+ * @param {Number} expiresInMinutes - How long the link stays valid
+ * @returns {Object} Email options object
+ */
+const generatePasswordResetEmail = (user, resetUrl, expiresInMinutes) => {
+  const appName = process.env.APP_NAME || 'Shift Tracker';
+  
+  return {
+    from: `"${appName}" <${process.env.EMAIL_FROM || 'noreply@shifttracker.com'}>`,
+    to: user.email,
+    subject: `Reset your ${appName} password`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 5px;">
+        <h2 style="color: #333;">Password Reset</h2>
+        
+        <p>Hello ${user.firstName},</p>
+        
+        <p>We received a request to reset the password for your ${appName} account. Use the button below to choose a new password.</p>
+        
+        <p style="margin: 25px 0;">
+          <a href="${resetUrl}" style="background-color: #0066cc; color: white; padding: 10px 15px; text-decoration: none; border-radius: 3px;">
+            Reset Password
+          </a>
+        </p>
+        
+        <p>Or copy this link into your browser:</p>
+        <p style="word-break: break-all;"><a href="${resetUrl}">${resetUrl}</a></p>
+        
+        <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 15px 0;">
+          <p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+          <p>Resetting your password signs you out on every device.</p>
+        </div>
+        
+        <p>If you didn't ask to reset your password, you can ignore this email; your password will not change.</p>
+        
+        <p style="color: #666; font-size: 0.8em; margin-top: 30px;">
+          This is an automated message. Please do not reply to this email.
+        </p>
+      </div>
+    `,
+    text: `
+      Password Reset
+      
+      Hello ${user.firstName},
+      
+      We received a request to reset the password for your ${appName} account.
+      Open this link to choose a new password:
+      
+      ${resetUrl}
+      
+      This link expires in ${expiresInMinutes} minutes and can only be used once.
+      Resetting your password signs you out on every device.
+      
+      If you didn't ask to reset your password, you can ignore this email; your password will not change.
+      
+      This is an automated message. Please do not reply to this email.
+    `
+  };
+};
+
+/**
+ * Send password reset email
+ * @param {Object} user - User object
+ * @param {String} resetUrl - Link containing the single-use reset token
+ * @param {Number} expiresInMinutes - How long the link stays valid
+ * @returns {Promise} Email sending result
+ */
+const sendPasswordResetEmail = async (user, resetUrl, expiresInMinutes) => {
+  try {
+    const transporter = createTransporter();
+    const mailOptions = generatePasswordResetEmail(user, resetUrl, expiresInMinutes);
+    
+    const info = await transporter.sendMail(mailOptions);
+    
+    console.log('Password reset email sent:', info.messageId);
+    
+    // For development, log preview URL from Ethereal
+    if (process.env.NODE_ENV !== 'production' && info.messageId) {
+      console.log('Preview URL: %s', nodemailer.getTestMessageUrl(info));
+    }
+    
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending password reset email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 module.exports = {
   sendShiftCompletionEmail,
-  sendIrregularityAlert
+  sendIrregularityAlert,
+  sendPasswordResetEmail
 };
\ No newline at end of file
@@ -0,0 +1,69 @@
+const User = require('../models/user');
+const HolidayCalendar = require('../models/holidayCalendar');
+
+/**
+ * Public holidays that apply to each employee in a period
+ * @param {Object} options
+ * @param {Date} options.start - Period start
+ * @param {Date} options.end - Period end
+ * @param {Array} [options.userIds] - Only these employees (all active employees otherwise)
+ * @returns {Promise<Map>} User id to a Map of day (Date#toDateString) to holiday name
+ */
+const getHolidayMap = async ({ start, end, userIds }) => {
+  const userFilter = userIds ? { _id: { $in: userIds } } : { isActive: true };
+
+  const [users, calendars] = await Promise.all([
+    User.find(userFilter).select('department workLocations'),
+    HolidayCalendar.find({ isActive: true })
+  ]);
+
+  const holidayMap = new Map();
+  users.forEach(user => {
+    const calendar = HolidayCalendar.resolveForUser(user, calendars);
+    const days = new Map();
+
+    if (calendar) {
+      calendar.holidays
+        .filter(holiday => holiday.date >= start && holiday.date <= end)
+        .forEach(holiday => days.set(holiday.date.toDateString(), holiday.name));
+    }
+
+    holidayMap.set(user._id.toString(), days);
+  });
+
+  return holidayMap;
+};
+
+/**
+ * Public holidays for one employee in a period
+ * @param {String|ObjectId} userId - Employee
+ * @param {Date} start - Period start
+ * @param {Date} end - Period end
+ * @returns {Promise<Array>} { date, name } sorted by date
+ */
+const getHolidaysForUser = async (userId, start, end) => {
+  const holidayMap = await getHolidayMap({ start, end, userIds: [userId] });
+  const days = holidayMap.get(userId.toString()) || new Map();
+
+  return [...days.entries()]
+    .map(([day, name]) => ({ date: new Date(day), name }))
+    .sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Look up the holiday, if any, an employee has on a given day
+ * @param {Map} holidayMap - Result of getHolidayMap
+ * @param {String|ObjectId} userId - Employee
+ * @param {Date} date - Any time on the day
+ * @returns {String|null} Holiday name
+ */
+const getHolidayName = (holidayMap, userId, date) => {
+  const days = holidayMap.get(userId.toString());
+  return (days && days.get(new Date(date).toDateString())) || null;
+};
+
+module.exports = {
+  getHolidayMap,
+  getHolidaysForUser,
+  getHolidayName
+};
\ No newline at end of file
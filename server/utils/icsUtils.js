@@ -0,0 +1,87 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Undo iCalendar line folding (continuation lines start with a space or tab)
+ * @param {String} text - Raw .ics content
+ * @returns {Array<String>} Unfolded content lines
+ */
+const unfoldLines = (text) => text
+  .replace(/\r?\n[ \t]/g, '')
+  .split(/\r?\n/)
+  .filter(line => line.length > 0);
+
+const unescapeText = (value) => value
+  .replace(/\\n/gi, ' ')
+  .replace(/\\([,;\\])/g, '$1')
+  .trim();
+
+/**
+ * Parse a DTSTART/DTEND value into a local calendar day
+ * Date-time values are reduced to the day they fall on
+ * @param {String} value - e.g. 20261225 or 20261225T090000Z
+ * @returns {Date|null} Local midnight of that day
+ */
+const parseIcsDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (hours && utc) {
+    const instant = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+    return new Date(instant.getFullYear(), instant.getMonth(), instant.getDate());
+  }
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Read the holidays out of an iCalendar file
+ * Multi-day events produce one holiday per day; recurrence rules are not expanded,
+ * so calendars should list every year's dates explicitly
+ * @param {String} text - Raw .ics content
+ * @returns {Array} { name, date } sorted by date
+ */
+const parseIcs = (text) => {
+  const holidays = [];
+  let event = null;
+
+  unfoldLines(text).forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      return;
+    }
+
+    if (line === 'END:VEVENT') {
+      if (event && event.start) {
+        // DTEND is exclusive; without it the event covers a single day
+        const end = event.end && event.end > event.start ? event.end : new Date(event.start.getTime() + DAY_MS);
+        for (let day = new Date(event.start); day < end; day.setDate(day.getDate() + 1)) {
+          holidays.push({
+            name: event.name || 'Holiday',
+            date: new Date(day)
+          });
+        }
+      }
+      event = null;
+      return;
+    }
+
+    if (!event) return;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const property = line.slice(0, separator).split(';')[0].toUpperCase();
+    const value = line.slice(separator + 1);
+
+    if (property === 'DTSTART') event.start = parseIcsDate(value);
+    if (property === 'DTEND') event.end = parseIcsDate(value);
+    if (property === 'SUMMARY') event.name = unescapeText(value);
+  });
+
+  return holidays.sort((a, b) => a.date - b.date);
+};
+
+module.exports = {
+  parseIcsDate,
+  parseIcs
+};
\ No newline at end of file
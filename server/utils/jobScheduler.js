@@ -0,0 +1,226 @@
+const os = require('os');
+const Job = require('../models/job');
+const { getNextRun } = require('./cronUtils');
+
+// How often the scheduler looks for due jobs
+const POLL_INTERVAL_SECONDS = parseInt(process.env.JOB_POLL_INTERVAL_SECONDS) || 30;
+// Runs kept in each job's history
+const HISTORY_LIMIT = parseInt(process.env.JOB_HISTORY_LIMIT) || 50;
+
+const MINUTE_MS = 60 * 1000;
+
+// Identifies this server process in job locks and run history
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Job definitions registered in code, keyed by name
+const definitions = new Map();
+
+/**
+ * Register a recurring job
+ * @param {String} name - Unique job name
+ * @param {Object} options - Job options
+ * @param {String} options.schedule - Cron expression (minute hour day-of-month month day-of-week)
+ * @param {Function} options.handler - Async function doing the work; its return value is stored as the run result
+ * @param {String} [options.description] - What the job does
+ * @param {Number} [options.maxRetries] - Retries after a failed scheduled run (default 2)
+ * @param {Number} [options.retryDelayMinutes] - Delay before the first retry, doubled for each further one (default 5)
+ * @param {Number} [options.lockMinutes] - How long a run may hold the lock before others may take over (default 10)
+ */
+const defineJob = (name, { schedule, handler, description = '', maxRetries = 2, retryDelayMinutes = 5, lockMinutes = 10 }) => {
+  // Fail at startup rather than at the first tick
+  getNextRun(schedule);
+
+  definitions.set(name, { name, schedule, handler, description, maxRetries, retryDelayMinutes, lockMinutes });
+};
+
+/**
+ * Check whether a job is registered in this process
+ * @param {String} name - Job name
+ * @returns {Boolean} True if the job can be run here
+ */
+const isJobRegistered = (name) => definitions.has(name);
+
+/**
+ * Create or update the stored record of every registered job
+ * The next run is recalculated when a job's schedule changes
+ */
+const syncJobs = async () => {
+  for (const definition of definitions.values()) {
+    const existing = await Job.findOne({ name: definition.name });
+
+    const update = {
+      description: definition.description,
+      schedule: definition.schedule,
+      maxRetries: definition.maxRetries
+    };
+
+    if (!existing || existing.schedule !== definition.schedule || !existing.nextRunAt) {
+      update.nextRunAt = getNextRun(definition.schedule);
+    }
+
+    await Job.updateOne({ name: definition.name }, { $set: update }, { upsert: true });
+  }
+};
+
+/**
+ * Take the lock on a job
+ * Stale locks (past lockedUntil) are taken over, so a crashed instance can't block a job forever
+ * @param {Object} definition - Job definition
+ * @param {Boolean} onlyIfDue - Only lock the job if it is enabled and due
+ * @returns {Promise<Object|null>} Locked job, or null if it is locked elsewhere or not due
+ */
+const acquireLock = (definition, onlyIfDue) => {
+  const now = new Date();
+  const filter = {
+    name: definition.name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  };
+
+  if (onlyIfDue) {
+    filter.enabled = true;
+    filter.nextRunAt = { $lte: now };
+  }
+
+  return Job.findOneAndUpdate(
+    filter,
+    { $set: { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + definition.lockMinutes * MINUTE_MS) } },
+    { new: true }
+  );
+};
+
+/**
+ * Run a locked job, record the run and release the lock
+ * Failed scheduled runs are retried with a growing delay until maxRetries is reached;
+ * manual runs never change the schedule
+ * @param {Object} job - Locked job document
+ * @param {Object} definition - Job definition
+ * @param {String} trigger - schedule, retry or manual
+ * @param {ObjectId} [triggeredBy] - Admin who started a manual run
+ * @returns {Promise<Object>} Run record
+ */
+const executeJob = async (job, definition, trigger, triggeredBy = null) => {
+  const startedAt = new Date();
+  const attempt = trigger === 'manual' ? 1 : job.attempts + 1;
+  let status = 'success';
+  let result = null;
+  let error = null;
+
+  try {
+    result = await definition.handler({ job, trigger });
+  } catch (handlerError) {
+    status = 'failed';
+    error = handlerError.message;
+    console.error(`Job ${definition.name} failed:`, handlerError);
+  }
+
+  const finishedAt = new Date();
+  const run = {
+    trigger,
+    attempt,
+    status,
+    startedAt,
+    finishedAt,
+    durationMs: finishedAt - startedAt,
+    result: result === undefined ? null : result,
+    error,
+    instance: INSTANCE_ID,
+    triggeredBy
+  };
+
+  const update = {
+    lockedBy: null,
+    lockedUntil: null,
+    lastRunAt: startedAt,
+    lastStatus: status,
+    lastError: error
+  };
+
+  if (trigger !== 'manual') {
+    if (status === 'failed' && job.attempts < definition.maxRetries) {
+      update.attempts = attempt;
+      update.nextRunAt = new Date(finishedAt.getTime() + definition.retryDelayMinutes * MINUTE_MS * 2 ** job.attempts);
+    } else {
+      update.attempts = 0;
+      update.nextRunAt = getNextRun(definition.schedule, finishedAt);
+    }
+  }
+
+  // The run is always recorded, even if it overran its lock and another instance took the job over
+  await Job.updateOne(
+    { _id: job._id },
+    { $push: { history: { $each: [run], $slice: -HISTORY_LIMIT } } }
+  );
+
+  // Only this run's own lock (identified by its lockedUntil) is released and rescheduled
+  await Job.updateOne(
+    { _id: job._id, lockedBy: INSTANCE_ID, lockedUntil: job.lockedUntil },
+    { $set: update }
+  );
+
+  return run;
+};
+
+/**
+ * Run every registered job that is due and not locked by another instance
+ */
+const runDueJobs = async () => {
+  for (const definition of definitions.values()) {
+    const job = await acquireLock(definition, true);
+    if (!job) continue;
+
+    await executeJob(job, definition, job.attempts > 0 ? 'retry' : 'schedule');
+  }
+};
+
+/**
+ * Run a job immediately, outside its schedule
+ * @param {String} name - Job name
+ * @param {ObjectId} [triggeredBy] - Admin who started the run
+ * @returns {Promise<Object|null>} Run record, or null if the job is already running
+ */
+const runJobNow = async (name, triggeredBy = null) => {
+  const definition = definitions.get(name);
+  if (!definition) {
+    throw new Error(`Job ${name} is not registered`);
+  }
+
+  const job = await acquireLock(definition, false);
+  if (!job) return null;
+
+  return executeJob(job, definition, 'manual', triggeredBy);
+};
+
+/**
+ * Sync job records and start polling for due jobs
+ * @returns {Object} Interval handle
+ */
+const startScheduler = () => {
+  let ticking = false;
+
+  const tick = async () => {
+    // Skip a tick if the previous one is still running jobs
+    if (ticking) return;
+    ticking = true;
+
+    try {
+      await runDueJobs();
+    } catch (error) {
+      console.error('Job scheduler error:', error.message);
+    } finally {
+      ticking = false;
+    }
+  };
+
+  syncJobs()
+    .then(tick)
+    .catch(error => console.error('Job scheduler sync error:', error.message));
+
+  return setInterval(tick, POLL_INTERVAL_SECONDS * 1000);
+};
+
+module.exports = {
+  defineJob,
+  isJobRegistered,
+  runJobNow,
+  startScheduler
+};
\ No newline at end of file
@@ -0,0 +1,149 @@
+const Shift = require('../models/shift');
+const User = require('../models/user');
+const LaborBudget = require('../models/laborBudget');
+const { getPayBuckets } = require('./overtimeUtils');
+const { roundMoney } = require('./costUtils');
+
+const CURRENCY = process.env.CURRENCY || 'USD';
+
+// Shift costs are priced at the base rate; these add the premium on top
+const OVERTIME_RATE_MULTIPLIER = parseFloat(process.env.OVERTIME_RATE_MULTIPLIER) || 1.5;
+const DOUBLE_TIME_RATE_MULTIPLIER = parseFloat(process.env.DOUBLE_TIME_RATE_MULTIPLIER) || 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const emptyTotals = () => ({
+  hours: 0,
+  regularCost: 0,
+  differentialCost: 0,
+  overtimeCost: 0,
+  totalCost: 0,
+  shifts: 0,
+  unpricedShifts: 0
+});
+
+const roundTotals = (totals) => ({
+  ...totals,
+  hours: Math.round(totals.hours * 100) / 100,
+  regularCost: roundMoney(totals.regularCost),
+  differentialCost: roundMoney(totals.differentialCost),
+  overtimeCost: roundMoney(totals.overtimeCost),
+  totalCost: roundMoney(totals.totalCost)
+});
+
+/**
+ * Share of a budget that falls inside a period, prorated by day
+ * @param {Object} budget - LaborBudget
+ * @param {Date} start - Period start
+ * @param {Date} end - Period end
+ * @returns {Number} Prorated budget amount
+ */
+const prorateBudget = (budget, start, end) => {
+  const budgetDays = (budget.periodEnd - budget.periodStart) / DAY_MS + 1;
+  const overlapStart = Math.max(budget.periodStart.getTime(), start.getTime());
+  const overlapEnd = Math.min(budget.periodEnd.getTime(), end.getTime());
+  if (overlapEnd < overlapStart) return 0;
+
+  const overlapDays = Math.min((overlapEnd - overlapStart) / DAY_MS + 1, budgetDays);
+  return budget.amount * overlapDays / budgetDays;
+};
+
+/**
+ * Total labour cost for a period, broken down by department and compared to budgets
+ * @param {Object} options
+ * @param {Date} options.start - Period start
+ * @param {Date} options.end - Period end
+ * @param {String} [options.department] - Only include this department
+ * @param {Array} [options.userIds] - Only include these employees (the caller's span of control)
+ * @returns {Promise<Object>} { currency, totals, byDepartment, budgetVsActual }
+ */
+const getLaborCost = async ({ start, end, department, userIds }) => {
+  const filter = {
+    shiftStatus: 'completed',
+    'startTime.timestamp': { $gte: start, $lte: end }
+  };
+
+  if (department) {
+    const departmentFilter = { department };
+    if (userIds) departmentFilter._id = { $in: userIds };
+    const departmentEmployees = await User.find(departmentFilter).select('_id');
+    userIds = departmentEmployees.map(emp => emp._id);
+  }
+  if (userIds) filter.userId = { $in: userIds };
+
+  const [shifts, payBuckets] = await Promise.all([
+    Shift.find(filter)
+      .select('userId totalWorkDuration payableDuration cost')
+      .populate('userId', 'department'),
+    getPayBuckets({ start, end, userIds })
+  ]);
+
+  const totals = emptyTotals();
+  const departments = new Map();
+
+  shifts.forEach(shift => {
+    const name = (shift.userId && shift.userId.department) || 'Unassigned';
+    if (!departments.has(name)) departments.set(name, emptyTotals());
+
+    [totals, departments.get(name)].forEach(entry => {
+      entry.shifts += 1;
+      entry.hours += shift.getPayableDuration() / 60;
+
+      if (!shift.cost || shift.cost.hourlyRate === null) {
+        entry.unpricedShifts += 1;
+        return;
+      }
+
+      const bucket = payBuckets.byShift.get(shift._id.toString());
+      const overtimeCost = bucket
+        ? (bucket.overtimeMinutes / 60) * shift.cost.hourlyRate * (OVERTIME_RATE_MULTIPLIER - 1) +
+          (bucket.doubleTimeMinutes / 60) * shift.cost.hourlyRate * (DOUBLE_TIME_RATE_MULTIPLIER - 1)
+        : 0;
+
+      entry.regularCost += shift.cost.regularCost;
+      entry.differentialCost += shift.cost.differentialCost;
+      entry.overtimeCost += overtimeCost;
+      entry.totalCost += shift.cost.totalCost + overtimeCost;
+    });
+  });
+
+  const budgetFilter = { periodStart: { $lte: end }, periodEnd: { $gte: start } };
+  if (department) budgetFilter.department = department;
+  const budgets = await LaborBudget.find(budgetFilter);
+
+  const budgeted = new Map();
+  budgets.forEach(budget => {
+    budgeted.set(budget.department, (budgeted.get(budget.department) || 0) + prorateBudget(budget, start, end));
+  });
+
+  const byDepartment = [...departments.entries()]
+    .map(([name, entry]) => ({ department: name, ...roundTotals(entry) }))
+    .sort((a, b) => b.totalCost - a.totalCost);
+
+  const budgetVsActual = [...new Set([...budgeted.keys(), ...departments.keys()])]
+    .filter(name => budgeted.has(name))
+    .map(name => {
+      const budget = roundMoney(budgeted.get(name));
+      const actual = departments.has(name) ? roundMoney(departments.get(name).totalCost) : 0;
+      return {
+        department: name,
+        budget,
+        actual,
+        variance: roundMoney(budget - actual),
+        percentUsed: budget > 0 ? Math.round((actual / budget) * 10000) / 100 : null
+      };
+    });
+
+  return {
+    currency: CURRENCY,
+    totals: roundTotals(totals),
+    byDepartment,
+    budgetVsActual
+  };
+};
+
+module.exports = {
+  CURRENCY,
+  prorateBudget,
+  getLaborCost
+};
\ No newline at end of file
@@ -0,0 +1,276 @@
+const Shift = require('../models/shift');
+const User = require('../models/user');
+const LeaveType = require('../models/leaveType');
+const LeavePolicy = require('../models/leavePolicy');
+const LeaveBalance = require('../models/leaveBalance');
+const LeaveRequest = require('../models/leaveRequest');
+
+// Hours a full day of leave counts for
+const LEAVE_HOURS_PER_DAY = parseFloat(process.env.LEAVE_HOURS_PER_DAY) || 8;
+
+// Days of the week (0 = Sunday) on which leave is taken, e.g. "1,2,3,4,5"
+const LEAVE_WORKING_DAYS = (process.env.LEAVE_WORKING_DAYS || '1,2,3,4,5')
+  .split(',')
+  .map(day => parseInt(day, 10))
+  .filter(day => day >= 0 && day <= 6);
+
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+/**
+ * Break a leave period into the working days it covers
+ * @param {Date} startDate - First day of leave
+ * @param {Date} endDate - Last day of leave
+ * @param {Number} [hoursPerDay] - Hours per day, for partial days
+ * @returns {Array} { date, hours } for every working day
+ */
+const buildLeaveDays = (startDate, endDate, hoursPerDay = LEAVE_HOURS_PER_DAY) => {
+  const days = [];
+  const day = new Date(startDate);
+  day.setHours(0, 0, 0, 0);
+  const last = new Date(endDate);
+  last.setHours(0, 0, 0, 0);
+
+  while (day <= last) {
+    if (LEAVE_WORKING_DAYS.includes(day.getDay())) {
+      days.push({ date: new Date(day), hours: hoursPerDay });
+    }
+    day.setDate(day.getDate() + 1);
+  }
+
+  return days;
+};
+
+/**
+ * Hours accrued under a policy before the balance cap is applied
+ * @param {Object} policy - LeavePolicy
+ * @param {Object} accrual - workedMinutes and monthsAccrued for the period
+ * @returns {Number} Accrued hours
+ */
+const calculateAccrual = (policy, { workedMinutes, monthsAccrued }) => {
+  if (policy.accrualMethod === 'monthly') {
+    return monthsAccrued * policy.accrualHours;
+  }
+  return (workedMinutes / 60 / policy.perHoursWorked) * policy.accrualHours;
+};
+
+/**
+ * Recalculate and store an employee's balance of a leave type for a year
+ * Previous years are calculated first when they are needed for carry-over
+ * @param {Object} user - User with _id, department and joinDate
+ * @param {Object} leaveType - LeaveType
+ * @param {Number} year - Calendar year
+ * @param {Date} [asOf] - Accrue up to this moment
+ * @returns {Promise<Object>} The LeaveBalance document
+ */
+const refreshLeaveBalance = async (user, leaveType, year, asOf = new Date()) => {
+  const yearStart = new Date(year, 0, 1);
+  const yearEnd = new Date(year, 11, 31, 23, 59, 59, 999);
+  const joinDate = new Date(user.joinDate || user.createdAt || yearStart);
+
+  const policies = await LeavePolicy.find({ leaveType: leaveType._id, isActive: true });
+  const policy = LeavePolicy.resolveForUser(user, leaveType._id, policies);
+
+  let carriedOverHours = 0;
+  if (policy && year > joinDate.getFullYear()) {
+    const previous = await LeaveBalance.findOne({ userId: user._id, leaveType: leaveType._id, year: year - 1 }) ||
+      await refreshLeaveBalance(user, leaveType, year - 1, asOf);
+    const unused = Math.max(0, previous.availableHours);
+    carriedOverHours = policy.carryOverHours === null ? unused : Math.min(unused, policy.carryOverHours);
+  }
+
+  let rawAccrued = 0;
+  const accrualStart = joinDate > yearStart ? joinDate : yearStart;
+  const accrualEnd = asOf < yearEnd ? asOf : yearEnd;
+
+  if (policy && accrualEnd >= accrualStart) {
+    let workedMinutes = 0;
+    if (policy.accrualMethod === 'hours_worked') {
+      const worked = await Shift.aggregate([
+        {
+          $match: {
+            userId: user._id,
+            shiftStatus: 'completed',
+            'startTime.timestamp': { $gte: accrualStart, $lte: accrualEnd }
+          }
+        },
+        { $group: { _id: null, minutes: { $sum: '$totalWorkDuration' } } }
+      ]);
+      workedMinutes = worked.length > 0 ? worked[0].minutes : 0;
+    }
+
+    rawAccrued = calculateAccrual(policy, {
+      workedMinutes,
+      monthsAccrued: accrualEnd.getMonth() - accrualStart.getMonth() + 1
+    });
+  }
+
+  const requests = await LeaveRequest.find({
+    userId: user._id,
+    leaveType: leaveType._id,
+    status: { $in: ['approved', 'pending'] },
+    startDate: { $lte: yearEnd },
+    endDate: { $gte: yearStart }
+  });
+
+  const hoursWithStatus = (status) => requests
+    .filter(request => request.status === status)
+    .reduce((total, request) => total + request.getHoursBetween(yearStart, yearEnd), 0);
+
+  const usedHours = hoursWithStatus('approved');
+  const pendingHours = hoursWithStatus('pending');
+
+  // Accrual stops once the available balance reaches the cap
+  const accruedHours = policy && policy.maxBalanceHours !== null
+    ? Math.min(rawAccrued, Math.max(0, policy.maxBalanceHours - carriedOverHours + usedHours))
+    : rawAccrued;
+
+  return LeaveBalance.findOneAndUpdate(
+    { userId: user._id, leaveType: leaveType._id, year },
+    {
+      $set: {
+        policyId: policy ? policy._id : null,
+        carriedOverHours: roundHours(carriedOverHours),
+        accruedHours: roundHours(accruedHours),
+        usedHours: roundHours(usedHours),
+        pendingHours: roundHours(pendingHours),
+        availableHours: roundHours(carriedOverHours + accruedHours - usedHours),
+        calculatedAt: new Date()
+      }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Refresh an employee's balances for every active leave type that tracks one
+ * @param {Object} user - User
+ * @param {Number} [year] - Calendar year, defaults to the current one
+ * @returns {Promise<Array>} LeaveBalance documents with the leave type populated
+ */
+const getLeaveBalances = async (user, year = new Date().getFullYear()) => {
+  const leaveTypes = await LeaveType.find({ isActive: true, tracksBalance: true }).sort({ name: 1 });
+
+  const balances = [];
+  for (const leaveType of leaveTypes) {
+    const balance = await refreshLeaveBalance(user, leaveType, year);
+    await balance.populate('leaveType', 'name code isPaid');
+    balances.push(balance);
+  }
+
+  return balances;
+};
+
+/**
+ * Refresh the current year's balances of every active employee
+ * @returns {Promise<Number>} Number of employees refreshed
+ */
+const refreshAllLeaveBalances = async () => {
+  const users = await User.find({ isActive: true }).select('department joinDate createdAt');
+
+  for (const user of users) {
+    await getLeaveBalances(user);
+  }
+
+  return users.length;
+};
+
+/**
+ * Find where a request would take a balance below zero
+ * @param {Object} user - User requesting the leave
+ * @param {Object} leaveType - LeaveType being requested
+ * @param {Array} days - { date, hours } covered by the request
+ * @param {Object} [options]
+ * @param {Boolean} [options.countPending] - Treat other pending requests as already taken
+ * @returns {Promise<Object|null>} { year, availableHours, requestedHours } or null if covered
+ */
+const findBalanceShortfall = async (user, leaveType, days, { countPending = false } = {}) => {
+  if (!leaveType.tracksBalance) return null;
+
+  const hoursByYear = new Map();
+  days.forEach(day => {
+    const year = new Date(day.date).getFullYear();
+    hoursByYear.set(year, (hoursByYear.get(year) || 0) + day.hours);
+  });
+
+  for (const [year, requestedHours] of hoursByYear) {
+    const balance = await refreshLeaveBalance(user, leaveType, year);
+    const availableHours = countPending ? balance.availableHours - balance.pendingHours : balance.availableHours;
+
+    if (requestedHours > availableHours) {
+      return { year, availableHours: roundHours(availableHours), requestedHours };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Approved leave falling inside a period, one entry per day
+ * @param {Object} period
+ * @param {Date} period.start - Period start
+ * @param {Date} period.end - Period end
+ * @param {Array} [period.userIds] - Only include these employees
+ * @returns {Promise<Array>} { userId, leaveType, isPaid, date, hours }
+ */
+const getApprovedLeave = async ({ start, end, userIds }) => {
+  const filter = {
+    status: 'approved',
+    startDate: { $lte: end },
+    endDate: { $gte: start }
+  };
+  if (userIds) filter.userId = { $in: userIds };
+
+  const requests = await LeaveRequest.find(filter).populate('leaveType', 'name code');
+
+  return requests.flatMap(request => request.days
+    .filter(day => day.date >= start && day.date <= end)
+    .map(day => ({
+      userId: request.userId,
+      leaveType: request.leaveType,
+      isPaid: request.isPaid,
+      date: day.date,
+      hours: day.hours
+    })));
+};
+
+/**
+ * Total paid and unpaid leave hours, as shown next to worked hours in stats
+ * @param {Array} entries - Entries from getApprovedLeave
+ * @returns {Object} { paidHours, unpaidHours }
+ */
+const summarizeLeave = (entries) => ({
+  paidHours: roundHours(entries.filter(entry => entry.isPaid).reduce((total, entry) => total + entry.hours, 0)),
+  unpaidHours: roundHours(entries.filter(entry => !entry.isPaid).reduce((total, entry) => total + entry.hours, 0))
+});
+
+/**
+ * Approved paid leave in a pay period, exported to payroll as PTO
+ * @param {Object} period - { start, end, userIds } as for getApprovedLeave
+ * @returns {Promise<Map>} Map of user id to { pto } minutes
+ */
+const getPaidLeaveEarnings = async (period) => {
+  const entries = await getApprovedLeave(period);
+
+  const minutesByUser = new Map();
+  entries.filter(entry => entry.isPaid).forEach(entry => {
+    const key = entry.userId.toString();
+    const minutes = minutesByUser.get(key) || { pto: 0 };
+    minutes.pto += entry.hours * 60;
+    minutesByUser.set(key, minutes);
+  });
+
+  return minutesByUser;
+};
+
+module.exports = {
+  LEAVE_HOURS_PER_DAY,
+  buildLeaveDays,
+  calculateAccrual,
+  refreshLeaveBalance,
+  getLeaveBalances,
+  refreshAllLeaveBalances,
+  findBalanceShortfall,
+  getApprovedLeave,
+  summarizeLeave,
+  getPaidLeaveEarnings
+};
\ No newline at end of file
@@ -0,0 +1,160 @@
+const Shift = require('../models/shift');
+const { calculateDistance } = require('./locationUtils');
+const { sendIrregularityAlert } = require('./emailService');
+
+// Punches reported with a worse accuracy than this (in meters) are flagged
+const ACCURACY_THRESHOLD = parseFloat(process.env.LOCATION_ACCURACY_THRESHOLD) || 100;
+// Fastest believable travel between two punches, in km/h
+const MAX_SPEED_KMH = parseFloat(process.env.LOCATION_MAX_SPEED_KMH) || 250;
+// Movement below this distance (in meters) never counts as travel, to absorb GPS jitter
+const MIN_TRAVEL_DISTANCE = 500;
+// Decimal places coordinates are compared at when looking for repeats (about 10cm)
+const COORDINATE_DECIMALS = 6;
+
+/**
+ * Range of stored coordinates that round to the same value as a reported one
+ * Request bodies may carry coordinates as strings, so they are converted first
+ * @param {Number|String} value - Latitude or longitude
+ * @returns {Object} Mongo range condition
+ */
+const coordinateRange = (value) => {
+  const rounded = Number(Number(value).toFixed(COORDINATE_DECIMALS));
+  const halfStep = 0.5 / 10 ** COORDINATE_DECIMALS;
+  return { $gte: rounded - halfStep, $lt: rounded + halfStep };
+};
+
+/**
+ * Location flag raised on a punch
+ * @typedef {Object} LocationFlag
+ * @property {String} type - poor_accuracy, impossible_speed or repeated_coordinates
+ * @property {String} punch - start, end, break_start or break_end
+ * @property {String} details - Human-readable explanation
+ */
+
+/**
+ * Get the most recent punch recorded for a user
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<Object|null>} Latest punch as { timestamp, location }
+ */
+const getLastPunch = async (userId) => {
+  const lastShift = await Shift.findOne({ userId }).sort({ 'startTime.timestamp': -1 });
+  if (!lastShift) return null;
+
+  const punches = [lastShift.startTime];
+  lastShift.breaks.forEach(breakItem => {
+    punches.push(breakItem.startTime);
+    if (breakItem.endTime) punches.push(breakItem.endTime);
+  });
+  if (lastShift.endTime) punches.push(lastShift.endTime);
+
+  return punches.reduce((latest, punch) =>
+    punch.timestamp > latest.timestamp ? punch : latest
+  );
+};
+
+/**
+ * Check whether the same coordinates (to COORDINATE_DECIMALS places) were already used on an earlier day
+ * Real GPS readings jitter, so an exact repeat usually means a spoofed location
+ * @param {ObjectId} userId - User ID
+ * @param {Object} location - Punch location
+ * @param {Date} timestamp - Punch time
+ * @returns {Promise<Boolean>} Whether the coordinates repeat
+ */
+const hasRepeatedCoordinates = async (userId, location, timestamp) => {
+  const startOfDay = new Date(timestamp);
+  startOfDay.setHours(0, 0, 0, 0);
+
+  const latitude = coordinateRange(location.latitude);
+  const longitude = coordinateRange(location.longitude);
+
+  const repeat = await Shift.exists({
+    userId,
+    'startTime.timestamp': { $lt: startOfDay },
+    $or: [
+      { 'startTime.location.latitude': latitude, 'startTime.location.longitude': longitude },
+      { 'endTime.location.latitude': latitude, 'endTime.location.longitude': longitude },
+      { breaks: { $elemMatch: { 'startTime.location.latitude': latitude, 'startTime.location.longitude': longitude } } },
+      { breaks: { $elemMatch: { 'endTime.location.latitude': latitude, 'endTime.location.longitude': longitude } } }
+    ]
+  });
+
+  return Boolean(repeat);
+};
+
+/**
+ * Run the accuracy and spoofing heuristics on a punch
+ * Must be called before the punch is saved, so the previous punch is the last one stored
+ * @param {ObjectId} userId - User ID
+ * @param {Object} location - Punch location (latitude, longitude, accuracy)
+ * @param {String} punch - start, end, break_start or break_end
+ * @param {Date} [timestamp] - Punch time (default: now)
+ * @returns {Promise<Array<LocationFlag>>} Flags raised
+ */
+const checkPunchLocation = async (userId, location, punch, timestamp = new Date()) => {
+  const flags = [];
+
+  if (location.accuracy !== null && location.accuracy !== undefined && location.accuracy > ACCURACY_THRESHOLD) {
+    flags.push({
+      type: 'poor_accuracy',
+      punch,
+      details: `Reported accuracy of ${Math.round(location.accuracy)}m is worse than the ${ACCURACY_THRESHOLD}m threshold`
+    });
+  }
+
+  const lastPunch = await getLastPunch(userId);
+  if (lastPunch && lastPunch.location) {
+    const distance = calculateDistance(
+      lastPunch.location.latitude,
+      lastPunch.location.longitude,
+      location.latitude,
+      location.longitude
+    );
+    const hours = (timestamp - lastPunch.timestamp) / (1000 * 60 * 60);
+
+    if (distance > MIN_TRAVEL_DISTANCE) {
+      const speedKmh = hours > 0 ? (distance / 1000) / hours : Infinity;
+      if (speedKmh > MAX_SPEED_KMH) {
+        flags.push({
+          type: 'impossible_speed',
+          punch,
+          details: `Moved ${(distance / 1000).toFixed(2)}km since the previous punch at ${lastPunch.timestamp.toISOString()}, ` +
+            `an implied speed of ${isFinite(speedKmh) ? Math.round(speedKmh) + 'km/h' : 'infinity'}`
+        });
+      }
+    }
+  }
+
+  if (await hasRepeatedCoordinates(userId, location, timestamp)) {
+    flags.push({
+      type: 'repeated_coordinates',
+      punch,
+      details: `Coordinates ${location.latitude}, ${location.longitude} match (to ${COORDINATE_DECIMALS} decimal places) a punch from an earlier day`
+    });
+  }
+
+  return flags;
+};
+
+/**
+ * Send an irregularity alert to supervisors for each flag raised on a punch
+ * @param {Object} user - User who punched
+ * @param {Object} shift - Shift the punch belongs to
+ * @param {Array<LocationFlag>} flags - Flags raised
+ * @returns {Promise<Array>} Email sending results
+ */
+const raiseLocationFlags = (user, shift, flags) => {
+  const labels = {
+    poor_accuracy: 'Poor GPS Accuracy',
+    impossible_speed: 'Impossible Travel Speed',
+    repeated_coordinates: 'Repeated Coordinates'
+  };
+
+  return Promise.all(flags.map(flag =>
+    sendIrregularityAlert(user, shift, labels[flag.type], `${flag.details} (${flag.punch.replace('_', ' ')} punch)`)
+  ));
+};
+
+module.exports = {
+  checkPunchLocation,
+  raiseLocationFlags
+};
\ No newline at end of file
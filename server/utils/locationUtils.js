@@ -1,5 +1,8 @@
 const axios = require('axios');
 
+// GeoJSON geometry types that can be used as a geofence
+const POLYGON_TYPES = ['Polygon', 'MultiPolygon'];
+
 /**
  * Location object structure
  * @typedef {Object} Location
@@ -37,14 +40,20 @@ const calculateDistance = (lat1, lon1, lat2, lon2) => {
 
 /**
  * Verify if user is within acceptable distance of a required location
+ * The required location can also be a GeoJSON Polygon or MultiPolygon,
+ * in which case the user must be inside it and maxDistance is ignored
  * @param {Location} currentLocation - User's current location
- * @param {Location} requiredLocation - Required check-in location
+ * @param {Location|Object} requiredLocation - Required check-in location or GeoJSON geometry
  * @param {Number} maxDistance - Maximum allowed distance in meters
  * @returns {Boolean} Whether user is within acceptable distance
  */
 const verifyLocationProximity = (currentLocation, requiredLocation, maxDistance = 100) => {
   if (!currentLocation || !requiredLocation) return false;
   
+  if (POLYGON_TYPES.includes(requiredLocation.type)) {
+    return isPointInGeometry(currentLocation.latitude, currentLocation.longitude, requiredLocation);
+  }
+  
   const distance = calculateDistance(
     currentLocation.latitude,
     currentLocation.longitude,
@@ -55,6 +64,110 @@ const verifyLocationProximity = (currentLocation, requiredLocation, maxDistance
   return distance <= maxDistance;
 };
 
+/**
+ * Check if a point lies inside a polygon ring using ray casting
+ * @param {Number} latitude - Latitude of the point
+ * @param {Number} longitude - Longitude of the point
+ * @param {Array<Array<Number>>} ring - Polygon ring as GeoJSON [longitude, latitude] pairs
+ * @returns {Boolean} Whether the point is inside the ring
+ */
+const isPointInPolygon = (latitude, longitude, ring) => {
+  if (!ring || ring.length < 3) return false;
+  
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    
+    const crosses = (yi > latitude) !== (yj > latitude) &&
+      longitude < (xj - xi) * (latitude - yi) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  
+  return inside;
+};
+
+/**
+ * Check if a point lies inside a GeoJSON Polygon or MultiPolygon
+ * The first ring of each polygon is its outline, any further rings are holes
+ * @param {Number} latitude - Latitude of the point
+ * @param {Number} longitude - Longitude of the point
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Boolean} Whether the point is inside the geometry
+ */
+const isPointInGeometry = (latitude, longitude, geometry) => {
+  if (!geometry || !Array.isArray(geometry.coordinates)) return false;
+  
+  const isInPolygon = (rings) => {
+    const [outline, ...holes] = rings;
+    if (!isPointInPolygon(latitude, longitude, outline)) return false;
+    return !holes.some(hole => isPointInPolygon(latitude, longitude, hole));
+  };
+  
+  switch (geometry.type) {
+    case 'Polygon':
+      return isInPolygon(geometry.coordinates);
+    case 'MultiPolygon':
+      return geometry.coordinates.some(polygon => isInPolygon(polygon));
+    default:
+      return false;
+  }
+};
+
+/**
+ * Check that a GeoJSON Polygon or MultiPolygon is well formed
+ * Every ring needs at least four positions and must be closed
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Boolean} Whether the geometry can be used as a geofence
+ */
+const isValidGeometry = (geometry) => {
+  if (!geometry || !POLYGON_TYPES.includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    return false;
+  }
+  
+  const isValidPosition = (position) => Array.isArray(position) && position.length >= 2 &&
+    position[0] >= -180 && position[0] <= 180 && position[1] >= -90 && position[1] <= 90;
+  
+  const isValidRing = (ring) => {
+    if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isValidPosition)) return false;
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return first[0] === last[0] && first[1] === last[1];
+  };
+  
+  const isValidPolygon = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isValidRing);
+  
+  if (geometry.type === 'Polygon') {
+    return isValidPolygon(geometry.coordinates);
+  }
+  return geometry.coordinates.length > 0 && geometry.coordinates.every(isValidPolygon);
+};
+
+/**
+ * Get an approximate centre point for a GeoJSON Polygon or MultiPolygon
+ * Uses the average of the outline vertices, which is good enough for
+ * reporting distances from a site
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Object|null} Centre as { latitude, longitude }
+ */
+const getGeometryCenter = (geometry) => {
+  if (!isValidGeometry(geometry)) return null;
+  
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  // Skip each ring's closing position so it isn't counted twice
+  const positions = polygons.flatMap(rings => rings[0].slice(0, -1));
+  
+  const sum = positions.reduce((total, [lng, lat]) => ({
+    latitude: total.latitude + lat,
+    longitude: total.longitude + lng
+  }), { latitude: 0, longitude: 0 });
+  
+  return {
+    latitude: sum.latitude / positions.length,
+    longitude: sum.longitude / positions.length
+  };
+};
+
 /**
  * Reverse geocode coordinates to get human-readable address
  * @param {Number} latitude - Latitude coordinate
@@ -120,6 +233,10 @@ const formatLocation = async (latitude, longitude, accuracy = null) => {
 module.exports = {
   calculateDistance,
   verifyLocationProximity,
+  isPointInPolygon,
+  isPointInGeometry,
+  isValidGeometry,
+  getGeometryCenter,
   reverseGeocode,
   formatLocation
 };
\ No newline at end of file
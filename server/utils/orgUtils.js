@@ -0,0 +1,105 @@
+const Team = require('../models/team');
+const User = require('../models/user');
+
+/**
+ * Collect the given teams and every team nested below them
+ * @param {Array} teamIds - Root team ids
+ * @returns {Promise<Array>} Team ids including the roots
+ */
+const getTeamAndDescendantIds = async (teamIds) => {
+  const seen = new Set(teamIds.map(id => id.toString()));
+  const result = [...teamIds];
+  let frontier = teamIds;
+
+  while (frontier.length > 0) {
+    const children = await Team.find({ parentTeam: { $in: frontier } }).select('_id');
+    frontier = children.map(team => team._id).filter(id => !seen.has(id.toString()));
+    frontier.forEach(id => seen.add(id.toString()));
+    result.push(...frontier);
+  }
+
+  return result;
+};
+
+/**
+ * Whether a team sits at or below another team
+ * Used to stop a team being moved under itself
+ * @param {ObjectId|String} teamId - Team that might be nested
+ * @param {ObjectId|String} ancestorId - Possible ancestor
+ * @returns {Promise<Boolean>}
+ */
+const isTeamWithin = async (teamId, ancestorId) => {
+  const ids = await getTeamAndDescendantIds([ancestorId]);
+  return ids.some(id => id.toString() === teamId.toString());
+};
+
+/**
+ * Walk the reporting line below a manager
+ * Direct reports name the manager as managerId; indirect reports sit further down
+ * @param {ObjectId|String} managerId - Manager's user id
+ * @param {String} [fields] - User fields to select
+ * @returns {Promise<Object>} { direct, indirect } arrays of users
+ */
+const getReports = async (managerId, fields = 'firstName lastName email employeeId department position teamId managerId') => {
+  const seen = new Set([managerId.toString()]);
+  const levels = [];
+  let frontier = [managerId];
+
+  while (frontier.length > 0) {
+    const reports = await User.find({ managerId: { $in: frontier }, isActive: true })
+      .select(fields)
+      .sort({ lastName: 1, firstName: 1 });
+
+    // A misconfigured loop in the reporting line must not loop forever
+    const fresh = reports.filter(user => !seen.has(user._id.toString()));
+    fresh.forEach(user => seen.add(user._id.toString()));
+
+    if (fresh.length > 0) levels.push(fresh);
+    frontier = fresh.map(user => user._id);
+  }
+
+  return {
+    direct: levels[0] || [],
+    indirect: levels.slice(1).flat()
+  };
+};
+
+/**
+ * Everyone a user manages: staff of their managed departments, members of the
+ * teams they manage (and sub-teams) and their direct and indirect reports
+ * @param {Object} user - Manager's user document
+ * @returns {Promise<Array>} User ids
+ */
+const getSpanOfControl = async (user) => {
+  const managedTeams = await Team.find({ managers: user._id }).select('_id');
+  const teamIds = managedTeams.length > 0
+    ? await getTeamAndDescendantIds(managedTeams.map(team => team._id))
+    : [];
+
+  const [members, reports] = await Promise.all([
+    User.find({
+      $or: [
+        { department: { $in: user.managedDepartments || [] } },
+        { teamId: { $in: teamIds } }
+      ]
+    }).select('_id'),
+    getReports(user._id, '_id')
+  ]);
+
+  const ids = new Map();
+  [...members, ...reports.direct, ...reports.indirect].forEach(member => {
+    ids.set(member._id.toString(), member._id);
+  });
+
+  // Managers act on their team, not on themselves
+  ids.delete(user._id.toString());
+
+  return [...ids.values()];
+};
+
+module.exports = {
+  getTeamAndDescendantIds,
+  isTeamWithin,
+  getReports,
+  getSpanOfControl
+};
\ No newline at end of file
@@ -0,0 +1,251 @@
+const Shift = require('../models/shift');
+const User = require('../models/user');
+const OvertimeRule = require('../models/overtimeRule');
+const { getWeekBounds } = require('./timeUtils');
+const { getHolidayMap, getHolidayName } = require('./holidayUtils');
+
+// Applies when no overtime rule is configured: over 8h a day or 40h a week is overtime
+const DEFAULT_OVERTIME_RULE = {
+  dailyOvertimeHours: 8,
+  dailyDoubleTimeHours: null,
+  weeklyOvertimeHours: 40,
+  consecutiveDayNumber: null,
+  consecutiveDayDoubleTimeHours: null
+};
+
+/**
+ * Pay bucket split of a shift
+ * @typedef {Object} PayBucket
+ * @property {ObjectId} shiftId - Shift the split belongs to
+ * @property {ObjectId} userId - Employee
+ * @property {Date} date - Clock-in time
+ * @property {Number} regularMinutes - Minutes paid at the regular rate
+ * @property {Number} overtimeMinutes - Minutes paid as overtime
+ * @property {Number} doubleTimeMinutes - Minutes paid as double time
+ * @property {Number} holidayMinutes - Regular minutes worked on a public holiday
+ */
+
+const toMinutes = (hours) => (hours === null || hours === undefined ? Infinity : hours * 60);
+
+/**
+ * Find which bucket the next worked minute falls into and how many minutes stay in it
+ * @param {Object} rule - Overtime rule
+ * @param {Object} state - Minutes worked so far today and regular minutes this week
+ * @returns {Array} [bucket name, minutes available in that bucket]
+ */
+const nextBucket = (rule, { dayMinutes, weekRegularMinutes, isConsecutiveDay }) => {
+  if (isConsecutiveDay) {
+    const doubleTimeAt = toMinutes(rule.consecutiveDayDoubleTimeHours);
+    return dayMinutes < doubleTimeAt ? ['overtime', doubleTimeAt - dayMinutes] : ['doubleTime', Infinity];
+  }
+
+  const overtimeAt = toMinutes(rule.dailyOvertimeHours);
+  const doubleTimeAt = toMinutes(rule.dailyDoubleTimeHours);
+  const weeklyAt = toMinutes(rule.weeklyOvertimeHours);
+
+  if (dayMinutes >= doubleTimeAt) return ['doubleTime', Infinity];
+  if (dayMinutes >= overtimeAt || weekRegularMinutes >= weeklyAt) return ['overtime', doubleTimeAt - dayMinutes];
+  return ['regular', Math.min(overtimeAt - dayMinutes, weeklyAt - weekRegularMinutes)];
+};
+
+/**
+ * Split one employee's completed shifts into regular, overtime and double time
+ * Daily thresholds apply per calendar day, the weekly threshold counts regular
+ * minutes only (time already paid as daily overtime is not counted twice) and
+ * weeks run Sunday to Saturday
+ * @param {Array} shifts - Completed shifts of a single employee
+ * @param {Object} [rule] - Overtime rule (defaults to DEFAULT_OVERTIME_RULE)
+ * @returns {Array<PayBucket>} One split per shift, in clock-in order
+ */
+const splitShifts = (shifts, rule = DEFAULT_OVERTIME_RULE) => {
+  const sorted = [...shifts].sort((a, b) => a.startTime.timestamp - b.startTime.timestamp);
+  const buckets = [];
+
+  let currentWeek = null;
+  let currentDay = null;
+  let consecutiveDays = 0;
+  const state = { dayMinutes: 0, weekRegularMinutes: 0, isConsecutiveDay: false };
+
+  sorted.forEach(shift => {
+    const start = new Date(shift.startTime.timestamp);
+    const weekStart = getWeekBounds(start).start.getTime();
+    const day = new Date(start);
+    day.setHours(0, 0, 0, 0);
+
+    // Weekly totals and the consecutive-day count restart every week
+    if (weekStart !== currentWeek) {
+      currentWeek = weekStart;
+      currentDay = null;
+      consecutiveDays = 0;
+      state.weekRegularMinutes = 0;
+    }
+
+    if (!currentDay || day.getTime() !== currentDay.getTime()) {
+      const nextDay = currentDay ? new Date(currentDay) : null;
+      if (nextDay) nextDay.setDate(nextDay.getDate() + 1);
+
+      consecutiveDays = nextDay && nextDay.getTime() === day.getTime() ? consecutiveDays + 1 : 1;
+      currentDay = day;
+      state.dayMinutes = 0;
+      state.isConsecutiveDay = Boolean(rule.consecutiveDayNumber) && consecutiveDays >= rule.consecutiveDayNumber;
+    }
+
+    const bucket = {
+      shiftId: shift._id,
+      userId: shift.userId,
+      date: start,
+      regularMinutes: 0,
+      overtimeMinutes: 0,
+      doubleTimeMinutes: 0,
+      holidayMinutes: 0
+    };
+
+    // Paid breaks count towards the day and week like worked time
+    let remaining = Math.max(shift.getPayableDuration(), 0);
+    while (remaining > 0) {
+      const [type, available] = nextBucket(rule, state);
+      const minutes = Math.min(remaining, available);
+
+      bucket[`${type}Minutes`] += minutes;
+      if (type === 'regular') state.weekRegularMinutes += minutes;
+      state.dayMinutes += minutes;
+      remaining -= minutes;
+    }
+
+    buckets.push(bucket);
+  });
+
+  return buckets;
+};
+
+/**
+ * Add up pay buckets
+ * @param {Array<PayBucket>} buckets - Buckets to add up
+ * @returns {Object} Total regular, overtime and double time minutes
+ */
+const sumPayBuckets = (buckets) => buckets.reduce((totals, bucket) => ({
+  regularMinutes: totals.regularMinutes + bucket.regularMinutes,
+  overtimeMinutes: totals.overtimeMinutes + bucket.overtimeMinutes,
+  doubleTimeMinutes: totals.doubleTimeMinutes + bucket.doubleTimeMinutes,
+  holidayMinutes: totals.holidayMinutes + bucket.holidayMinutes
+}), { regularMinutes: 0, overtimeMinutes: 0, doubleTimeMinutes: 0, holidayMinutes: 0 });
+
+/**
+ * Convert bucket minutes to hours rounded to two decimals, as used by the stats endpoints
+ * @param {Object} [bucket] - Object with regular, overtime, double time and holiday minutes
+ * @returns {Object} Regular, overtime, double time and holiday hours
+ */
+const toPayHours = (bucket) => {
+  const hours = (minutes) => parseFloat(((minutes || 0) / 60).toFixed(2));
+
+  return {
+    regularHours: hours(bucket && bucket.regularMinutes),
+    overtimeHours: hours(bucket && bucket.overtimeMinutes),
+    doubleTimeHours: hours(bucket && bucket.doubleTimeMinutes),
+    holidayHours: hours(bucket && bucket.holidayMinutes)
+  };
+};
+
+/**
+ * Split the completed shifts in a period into pay buckets
+ * Whole weeks are loaded around the period so weekly and consecutive-day rules
+ * see every shift that counts towards them
+ * @param {Object} options - Query options
+ * @param {Date} options.start - Start of the period
+ * @param {Date} options.end - End of the period
+ * @param {Array} [options.userIds] - Restrict to these employees
+ * @returns {Promise<Object>} byShift (shift id to bucket), byUser (user id to totals) and totals
+ */
+const getPayBuckets = async ({ start, end, userIds }) => {
+  const filter = {
+    shiftStatus: 'completed',
+    'startTime.timestamp': { $gte: getWeekBounds(start).start, $lte: getWeekBounds(end).end }
+  };
+
+  if (userIds) {
+    filter.userId = { $in: userIds };
+  }
+
+  const [shifts, rules] = await Promise.all([
+    Shift.find(filter).select('userId startTime totalWorkDuration payableDuration'),
+    OvertimeRule.find({ isActive: true })
+  ]);
+
+  // Group shifts per employee
+  const shiftsByUser = new Map();
+  shifts.forEach(shift => {
+    const key = shift.userId.toString();
+    if (!shiftsByUser.has(key)) shiftsByUser.set(key, []);
+    shiftsByUser.get(key).push(shift);
+  });
+
+  const users = await User.find({ _id: { $in: [...shiftsByUser.keys()] } }).select('department');
+  const userMap = new Map(users.map(user => [user._id.toString(), user]));
+
+  // Holidays are stored per day, so a period starting or ending mid-day still covers the whole day
+  const holidayStart = new Date(start);
+  holidayStart.setHours(0, 0, 0, 0);
+  const holidayEnd = new Date(end);
+  holidayEnd.setHours(23, 59, 59, 999);
+  const holidayMap = await getHolidayMap({ start: holidayStart, end: holidayEnd, userIds: [...shiftsByUser.keys()] });
+
+  const byShift = new Map();
+  const byUser = new Map();
+  const periodStart = new Date(start);
+  const periodEnd = new Date(end);
+
+  shiftsByUser.forEach((userShifts, key) => {
+    const user = userMap.get(key);
+    const rule = (user && OvertimeRule.resolveForUser(user, rules)) || DEFAULT_OVERTIME_RULE;
+
+    // Shifts outside the period only provide context for the weekly rules
+    const buckets = splitShifts(userShifts, rule)
+      .filter(bucket => bucket.date >= periodStart && bucket.date <= periodEnd);
+
+    // Regular time on a public holiday is paid separately; overtime stays overtime
+    buckets.forEach(bucket => {
+      if (getHolidayName(holidayMap, key, bucket.date)) {
+        bucket.holidayMinutes = bucket.regularMinutes;
+        bucket.regularMinutes = 0;
+      }
+    });
+
+    buckets.forEach(bucket => byShift.set(bucket.shiftId.toString(), bucket));
+    byUser.set(key, sumPayBuckets(buckets));
+  });
+
+  return {
+    byShift,
+    byUser,
+    totals: sumPayBuckets([...byShift.values()])
+  };
+};
+
+/**
+ * Split a list of already loaded shifts into pay buckets
+ * @param {Array} shifts - Shifts, e.g. the rows of an export
+ * @returns {Promise<Map>} Shift id to pay bucket
+ */
+const getPayBucketsForShifts = async (shifts) => {
+  if (shifts.length === 0) return new Map();
+
+  const starts = shifts.map(shift => new Date(shift.startTime.timestamp || shift.startTime));
+  const userIds = [...new Set(shifts.map(shift => (shift.userId._id || shift.userId).toString()))];
+
+  const { byShift } = await getPayBuckets({
+    start: new Date(Math.min(...starts)),
+    end: new Date(Math.max(...starts)),
+    userIds
+  });
+
+  return byShift;
+};
+
+module.exports = {
+  DEFAULT_OVERTIME_RULE,
+  splitShifts,
+  sumPayBuckets,
+  toPayHours,
+  getPayBuckets,
+  getPayBucketsForShifts
+};
\ No newline at end of file
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const PasswordResetToken = require('../models/passwordResetToken');
+const { hashToken } = require('./sessionUtils');
+
+const PASSWORD_RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES, 10) || 60;
+// Page of the client app that reads the token from the path and posts the new password
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password`;
+
+/**
+ * Issue a reset token for a user; earlier unused tokens stop working
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (the requesting IP is recorded)
+ * @returns {Promise<Object>} { token, resetUrl, expiresInMinutes }
+ */
+const createPasswordResetToken = async (user, req) => {
+  await PasswordResetToken.deleteMany({ userId: user._id, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await PasswordResetToken.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + PASSWORD_RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+    requestedIp: req.ip || ''
+  });
+
+  return {
+    token,
+    resetUrl: `${PASSWORD_RESET_URL}/${token}`,
+    expiresInMinutes: PASSWORD_RESET_TOKEN_TTL_MINUTES
+  };
+};
+
+/**
+ * Use up a reset token; marking it used is atomic so it works only once
+ * @param {String} token - Token from the reset link
+ * @returns {Promise<Object|null>} The token document, or null when invalid, used or expired
+ */
+const consumePasswordResetToken = async (token) => {
+  return PasswordResetToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  createPasswordResetToken,
+  consumePasswordResetToken
+};
\ No newline at end of file
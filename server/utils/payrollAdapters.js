@@ -0,0 +1,175 @@
+const { Parser } = require('json2csv');
+const moment = require('moment');
+
+/**
+ * Payroll export adapter
+ * @typedef {Object} PayrollAdapter
+ * @property {String} contentType - MIME type of the file
+ * @property {String} extension - File extension
+ * @property {Function} render - (snapshot, settings) => file contents as a string
+ * @property {Function} [settings] - () => current configuration; stored with each export and
+ *   passed back to render when the same snapshot is exported again, so the file is identical
+ */
+
+/**
+ * Parse a JSON environment variable, falling back on invalid or missing values
+ * @param {String} name - Environment variable name
+ * @param {Object} fallback - Value to use when the variable is not usable
+ * @returns {Object} Parsed value merged over the fallback
+ */
+const readJsonSetting = (name, fallback) => {
+  if (!process.env[name]) return fallback;
+
+  try {
+    return { ...fallback, ...JSON.parse(process.env[name]) };
+  } catch (error) {
+    console.error(`Invalid ${name}:`, error.message);
+    return fallback;
+  }
+};
+
+// Generic fixed-column CSV: one row per employee and earning code
+const csvAdapter = {
+  contentType: 'text/csv',
+  extension: 'csv',
+  render: (snapshot) => {
+    const parser = new Parser({
+      fields: [
+        { label: 'Employee ID', value: 'employeeId' },
+        { label: 'Employee Name', value: 'employeeName' },
+        { label: 'Department', value: 'department' },
+        { label: 'Period Start', value: line => moment(line.periodStart).format('YYYY-MM-DD') },
+        { label: 'Period End', value: line => moment(line.periodEnd).format('YYYY-MM-DD') },
+        { label: 'Earning Code', value: 'earningCode' },
+        { label: 'Hours', value: line => line.hours.toFixed(2) }
+      ]
+    });
+
+    return parser.parse(snapshot.toLines());
+  }
+};
+
+// Column-mapping template used when PAYROLL_TEMPLATE is not set
+// Each column takes a line field (employeeId, employeeName, email, department,
+// periodStart, periodEnd, earningType, earningCode, hours) or a constant value
+const DEFAULT_TEMPLATE = {
+  delimiter: ',',
+  header: true,
+  dateFormat: 'YYYY-MM-DD',
+  decimals: 2,
+  columns: [
+    { header: 'EmployeeNumber', field: 'employeeId' },
+    { header: 'PayCode', field: 'earningCode' },
+    { header: 'Hours', field: 'hours' },
+    { header: 'PeriodEnding', field: 'periodEnd' }
+  ]
+};
+
+const getTemplate = () => readJsonSetting('PAYROLL_TEMPLATE', DEFAULT_TEMPLATE);
+
+// Configurable column mapping for providers with their own import layout
+const templateAdapter = {
+  contentType: 'text/csv',
+  extension: 'csv',
+  settings: getTemplate,
+  render: (snapshot, template = getTemplate()) => {
+    const formatValue = (value, column) => {
+      if (value instanceof Date) return moment(value).format(column.dateFormat || template.dateFormat);
+      if (typeof value === 'number') return value.toFixed(column.decimals !== undefined ? column.decimals : template.decimals);
+      return value === undefined || value === null ? '' : value;
+    };
+
+    const parser = new Parser({
+      delimiter: template.delimiter,
+      header: template.header,
+      fields: template.columns.map(column => ({
+        label: column.header,
+        value: line => (column.value !== undefined ? column.value : formatValue(line[column.field], column))
+      }))
+    });
+
+    return parser.parse(snapshot.toLines());
+  }
+};
+
+// QuickBooks payroll item per earning type, overridable through PAYROLL_IIF_ITEMS
+const DEFAULT_IIF_ITEMS = {
+  regular: 'Regular Pay',
+  overtime: 'Overtime Pay',
+  doubleTime: 'Double Time Pay',
+  holiday: 'Holiday Pay',
+  pto: 'PTO Pay'
+};
+
+const getIifItems = () => readJsonSetting('PAYROLL_IIF_ITEMS', DEFAULT_IIF_ITEMS);
+
+// QuickBooks IIF time activity import (TIMEACT rows dated on the last day of the period)
+const iifAdapter = {
+  contentType: 'application/octet-stream',
+  extension: 'iif',
+  settings: getIifItems,
+  render: (snapshot, items = getIifItems()) => {
+    // Tabs and line breaks would split an IIF row
+    const clean = (value) => String(value === undefined || value === null ? '' : value).replace(/[\t\r\n]+/g, ' ');
+    const duration = (hours) => {
+      const totalMinutes = Math.round(hours * 60);
+      return `${Math.floor(totalMinutes / 60)}:${String(totalMinutes % 60).padStart(2, '0')}`;
+    };
+
+    const rows = [
+      ['!TIMEACT', 'DATE', 'JOB', 'EMP', 'ITEM', 'PITEM', 'DURATION', 'PROJ', 'NOTE', 'XFERTOPAYROLL', 'BILLINGSTATUS']
+    ];
+
+    snapshot.toLines().forEach(line => {
+      rows.push([
+        'TIMEACT',
+        moment(line.periodEnd).format('MM/DD/YYYY'),
+        '',
+        clean(line.employeeName),
+        '',
+        clean(items[line.earningType] || line.earningCode),
+        duration(line.hours),
+        '',
+        clean(`Pay period ${moment(line.periodStart).format('MM/DD/YYYY')} - ${moment(line.periodEnd).format('MM/DD/YYYY')}`),
+        'Y',
+        '0'
+      ]);
+    });
+
+    return rows.map(row => row.join('\t')).join('\r\n') + '\r\n';
+  }
+};
+
+const adapters = {
+  csv: csvAdapter,
+  template: templateAdapter,
+  iif: iifAdapter
+};
+
+/**
+ * Register an additional payroll export format
+ * @param {String} format - Format name used in /api/admin/export/payroll/:format
+ * @param {PayrollAdapter} adapter - Adapter implementation
+ */
+const registerPayrollAdapter = (format, adapter) => {
+  adapters[format] = adapter;
+};
+
+/**
+ * Get the adapter for a format
+ * @param {String} format - Format name
+ * @returns {PayrollAdapter|null} Adapter, or null if the format is unknown
+ */
+const getPayrollAdapter = (format) => adapters[format] || null;
+
+/**
+ * List the available export formats
+ * @returns {Array<String>} Format names
+ */
+const getPayrollFormats = () => Object.keys(adapters);
+
+module.exports = {
+  registerPayrollAdapter,
+  getPayrollAdapter,
+  getPayrollFormats
+};
\ No newline at end of file
@@ -0,0 +1,161 @@
+const Shift = require('../models/shift');
+const User = require('../models/user');
+const PayrollSnapshot = require('../models/payrollSnapshot');
+const { getPayBuckets } = require('./overtimeUtils');
+const { getPaidLeaveEarnings } = require('./leaveUtils');
+
+// Earning types in the order they appear on exports
+const EARNING_TYPES = ['regular', 'overtime', 'doubleTime', 'holiday', 'pto'];
+
+const DEFAULT_EARNING_CODES = {
+  regular: 'REG',
+  overtime: 'OT',
+  doubleTime: 'DT',
+  holiday: 'HOL',
+  pto: 'PTO'
+};
+
+/**
+ * Read earning codes, letting PAYROLL_EARNING_CODES override any of them
+ * e.g. {"regular":"E01","overtime":"E02"}
+ * @returns {Object} Earning type to payroll code
+ */
+const getEarningCodes = () => {
+  if (!process.env.PAYROLL_EARNING_CODES) return { ...DEFAULT_EARNING_CODES };
+
+  try {
+    return { ...DEFAULT_EARNING_CODES, ...JSON.parse(process.env.PAYROLL_EARNING_CODES) };
+  } catch (error) {
+    console.error('Invalid PAYROLL_EARNING_CODES:', error.message);
+    return { ...DEFAULT_EARNING_CODES };
+  }
+};
+
+/**
+ * Approved worked time, split into regular, overtime, double time and holiday
+ * Only shifts locked by an approved timesheet count
+ * @param {Object} period - start, end and optional userIds
+ * @returns {Promise<Map>} User id to minutes per earning type
+ */
+const workedTimeSource = async ({ start, end, userIds }) => {
+  const filter = {
+    isLocked: true,
+    shiftStatus: 'completed',
+    'startTime.timestamp': { $gte: start, $lte: end }
+  };
+  if (userIds) filter.userId = { $in: userIds };
+
+  const [approvedShifts, payBuckets] = await Promise.all([
+    Shift.find(filter).select('_id'),
+    getPayBuckets({ start, end, userIds })
+  ]);
+
+  const minutesByUser = new Map();
+  approvedShifts.forEach(shift => {
+    const bucket = payBuckets.byShift.get(shift._id.toString());
+    if (!bucket) return;
+
+    const key = bucket.userId.toString();
+    const minutes = minutesByUser.get(key) || { regular: 0, overtime: 0, doubleTime: 0, holiday: 0 };
+    minutes.regular += bucket.regularMinutes;
+    minutes.overtime += bucket.overtimeMinutes;
+    minutes.doubleTime += bucket.doubleTimeMinutes;
+    minutes.holiday += bucket.holidayMinutes;
+    minutesByUser.set(key, minutes);
+  });
+
+  return minutesByUser;
+};
+
+// Functions contributing minutes per earning type to a pay period
+const earningSources = [workedTimeSource, getPaidLeaveEarnings];
+
+/**
+ * Register another source of paid time (e.g. holidays)
+ * @param {Function} source - async ({ start, end, userIds }) => Map of user id to minutes per earning type
+ */
+const registerEarningSource = (source) => {
+  earningSources.push(source);
+};
+
+/**
+ * Aggregate approved hours per employee and earning type into an unsaved snapshot
+ * @param {Object} options - Snapshot options
+ * @param {Date} options.start - Pay period start
+ * @param {Date} options.end - Pay period end
+ * @param {String} [options.department] - Restrict to one department
+ * @param {ObjectId} [options.createdBy] - Admin creating the snapshot
+ * @returns {Promise<Object>} PayrollSnapshot, not yet saved
+ */
+const buildPayrollSnapshot = async ({ start, end, department, createdBy }) => {
+  let userIds;
+  if (department) {
+    const departmentEmployees = await User.find({ department }).select('_id');
+    userIds = departmentEmployees.map(emp => emp._id);
+  }
+
+  // Merge minutes from every source
+  const minutesByUser = new Map();
+  const results = await Promise.all(earningSources.map(source => source({ start, end, userIds })));
+  results.forEach(result => {
+    result.forEach((minutes, key) => {
+      const merged = minutesByUser.get(key) || {};
+      Object.entries(minutes).forEach(([type, value]) => {
+        merged[type] = (merged[type] || 0) + value;
+      });
+      minutesByUser.set(key, merged);
+    });
+  });
+
+  const users = await User.find({ _id: { $in: [...minutesByUser.keys()] } })
+    .select('firstName lastName email department employeeId')
+    .sort({ lastName: 1, firstName: 1 });
+
+  const earningCodes = getEarningCodes();
+  const toHours = (minutes) => parseFloat(((minutes || 0) / 60).toFixed(2));
+
+  const employees = users.map(user => {
+    const minutes = minutesByUser.get(user._id.toString());
+    const earnings = EARNING_TYPES.map(type => ({
+      type,
+      code: earningCodes[type],
+      hours: toHours(minutes[type])
+    }));
+
+    return {
+      userId: user._id,
+      employeeId: user.employeeId || '',
+      name: `${user.firstName} ${user.lastName}`,
+      email: user.email,
+      department: user.department || '',
+      earnings,
+      totalHours: parseFloat(earnings.reduce((total, earning) => total + earning.hours, 0).toFixed(2))
+    };
+  });
+
+  return new PayrollSnapshot({
+    periodStart: start,
+    periodEnd: end,
+    department: department || null,
+    employees,
+    totalHours: parseFloat(employees.reduce((total, emp) => total + emp.totalHours, 0).toFixed(2)),
+    createdBy
+  });
+};
+
+/**
+ * Aggregate approved hours per employee and earning type and store them as a snapshot
+ * @param {Object} options - Same options as buildPayrollSnapshot
+ * @returns {Promise<Object>} Saved PayrollSnapshot
+ */
+const createPayrollSnapshot = async (options) => {
+  const snapshot = await buildPayrollSnapshot(options);
+  return snapshot.save();
+};
+
+module.exports = {
+  EARNING_TYPES,
+  registerEarningSource,
+  buildPayrollSnapshot,
+  createPayrollSnapshot
+};
\ No newline at end of file
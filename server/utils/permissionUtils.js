@@ -0,0 +1,148 @@
+const Role = require('../models/role');
+const User = require('../models/user');
+const { BUILT_IN_ROLES } = require('../config/permissions');
+const { getSpanOfControl } = require('./orgUtils');
+
+/**
+ * Look up the permissions a role grants
+ * @param {String} roleName - Built-in or custom role name
+ * @returns {Promise<Array<String>>} Permissions (empty for unknown roles)
+ */
+const getRolePermissions = async (roleName) => {
+  if (BUILT_IN_ROLES[roleName]) return BUILT_IN_ROLES[roleName].permissions;
+
+  const role = await Role.findOne({ name: roleName });
+  return role ? role.permissions : [];
+};
+
+/**
+ * Whether a role name exists
+ * @param {String} roleName - Role name
+ * @returns {Promise<Boolean>}
+ */
+const roleExists = async (roleName) => Boolean(BUILT_IN_ROLES[roleName]) || Boolean(await Role.exists({ name: roleName }));
+
+/**
+ * Load (once per request) the permissions of the authenticated user
+ * @param {Object} req - Express request with req.user
+ * @returns {Promise<Array<String>>} Permissions
+ */
+const getRequestPermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = await getRolePermissions(req.user.role);
+  }
+  return req.permissions;
+};
+
+/**
+ * Whether the authenticated user holds a permission
+ * @param {Object} req - Express request with req.user
+ * @param {String} permission - Permission name
+ * @returns {Promise<Boolean>}
+ */
+const hasPermission = async (req, permission) => (await getRequestPermissions(req)).includes(permission);
+
+/**
+ * Ids of the users the authenticated user may act on (their span of control)
+ * Computed once per request
+ * @param {Object} req - Express request with req.user
+ * @returns {Promise<Array|null>} User ids, or null when unrestricted (scope:all)
+ */
+const getScopedUserIds = async (req) => {
+  if (await hasPermission(req, 'scope:all')) return null;
+
+  if (!req.scopedUserIds) {
+    req.scopedUserIds = await getSpanOfControl(req.user);
+  }
+  return req.scopedUserIds;
+};
+
+/**
+ * Users the authenticated user may act on, as a filter on the User collection
+ * @param {Object} req - Express request with req.user
+ * @returns {Promise<Object>} Mongo filter on users ({} when unrestricted)
+ */
+const getUserScopeFilter = async (req) => {
+  const userIds = await getScopedUserIds(req);
+  return userIds ? { _id: { $in: userIds } } : {};
+};
+
+/**
+ * Whether a user falls inside the authenticated user's scope
+ * @param {Object} req - Express request with req.user
+ * @param {ObjectId|String} userId - User to check
+ * @returns {Promise<Boolean>}
+ */
+const isUserInScope = async (req, userId) => {
+  const userIds = await getScopedUserIds(req);
+  if (!userIds) return true;
+
+  const id = (userId && userId._id ? userId._id : userId).toString();
+  return userIds.some(scopedId => scopedId.toString() === id);
+};
+
+/**
+ * Narrow a requested set of user ids to the authenticated user's span of control
+ * @param {Object} req - Express request with req.user
+ * @param {Array} [userIds] - Requested ids (undefined for everyone)
+ * @returns {Promise<Array|undefined>} Ids to query, or undefined when unrestricted
+ */
+const scopeUserIds = async (req, userIds) => {
+  const scoped = await getScopedUserIds(req);
+  if (!scoped) return userIds;
+  if (!userIds) return scoped;
+
+  const allowed = new Set(scoped.map(id => id.toString()));
+  return userIds.filter(id => allowed.has(id.toString()));
+};
+
+/**
+ * Restrict a query filter to documents owned by users in scope
+ * Added under $and so existing userId / department filters still apply
+ * @param {Object} req - Express request with req.user
+ * @param {Object} filter - Mongo filter to extend
+ * @param {String} [field='userId'] - Field holding the owning user
+ * @returns {Promise<Object>} The same filter
+ */
+const applyUserScope = async (req, filter, field = 'userId') => {
+  const userIds = await getScopedUserIds(req);
+  if (userIds) {
+    filter.$and = [...(filter.$and || []), { [field]: { $in: userIds } }];
+  }
+  return filter;
+};
+
+/**
+ * Active users whose role grants a permission, each with the ids of the users they may act on
+ * Used to address notifications the way the matching queues are scoped
+ * @param {String} permission - Permission name
+ * @returns {Promise<Array>} [{ user, userIds }] (userIds is null when unrestricted)
+ */
+const getUsersWithPermission = async (permission) => {
+  const customRoles = await Role.find({ permissions: permission }).select('name permissions');
+  const roles = new Map(customRoles.map(role => [role.name, role.permissions]));
+  Object.entries(BUILT_IN_ROLES).forEach(([name, role]) => {
+    if (role.permissions.includes(permission)) roles.set(name, role.permissions);
+  });
+
+  const users = await User.find({ role: { $in: [...roles.keys()] }, isActive: true })
+    .select('_id role managedDepartments');
+
+  return Promise.all(users.map(async user => ({
+    user,
+    userIds: roles.get(user.role).includes('scope:all') ? null : await getSpanOfControl(user)
+  })));
+};
+
+module.exports = {
+  getRolePermissions,
+  roleExists,
+  getRequestPermissions,
+  hasPermission,
+  getUserScopeFilter,
+  getScopedUserIds,
+  isUserInScope,
+  scopeUserIds,
+  applyUserScope,
+  getUsersWithPermission
+};
\ No newline at end of file
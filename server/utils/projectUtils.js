@@ -0,0 +1,126 @@
+const Project = require('../models/project');
+const { getSegmentAllocation } = require('./segmentUtils');
+const { roundMoney } = require('./costUtils');
+
+// Project label for time not booked to any project
+const UNASSIGNED = 'Unassigned';
+
+/**
+ * Load a catalogue entry an employee is allowed to book time to
+ * @param {String} id - Project id
+ * @param {String} type - project or cost_centre
+ * @param {Object} user - Employee with department
+ * @returns {Promise<Object|null>} Project, or null when missing, inactive or hidden from the department
+ */
+const findBookable = async (id, type, user) => {
+  const entry = await Project.findById(id);
+  if (!entry || !entry.isActive || entry.type !== type || !entry.isVisibleTo(user.department)) {
+    return null;
+  }
+  return entry;
+};
+
+/**
+ * Build a task segment from request fields, resolving catalogue references
+ * The project's name and the cost centre's code are copied onto the segment so
+ * reports still read correctly if the catalogue entry is renamed later
+ * @param {Object} user - Employee booking the time
+ * @param {Object} fields - job, project, costCode, projectId, costCentreId and notes
+ * @returns {Promise<Object>} { segment } or { error }
+ */
+const resolveSegmentFields = async (user, { job, project, costCode, projectId, costCentreId, notes }) => {
+  const segment = { job, project, costCode, notes };
+
+  if (projectId) {
+    const catalogueProject = await findBookable(projectId, 'project', user);
+    if (!catalogueProject) {
+      return { error: 'Project not found or not available to your department' };
+    }
+
+    segment.projectId = catalogueProject._id;
+    segment.project = catalogueProject.name;
+
+    // Fall back to the project's own cost centre
+    if (!costCentreId && catalogueProject.costCentre) {
+      costCentreId = catalogueProject.costCentre;
+    }
+  }
+
+  if (costCentreId) {
+    const costCentre = await findBookable(costCentreId, 'cost_centre', user);
+    if (!costCentre) {
+      return { error: 'Cost centre not found or not available to your department' };
+    }
+
+    segment.costCentreId = costCentre._id;
+    segment.costCode = costCentre.code;
+  }
+
+  if (!segment.job && !segment.project && !segment.costCode) {
+    return { error: 'A job, project or cost code is required' };
+  }
+
+  return { segment };
+};
+
+/**
+ * Add up hours and labour cost per project across shifts
+ * Each shift's cost is split across its segments in proportion to payable time
+ * @param {Array} shifts - Completed shift documents
+ * @returns {Promise<Array<Object>>} projectId, name, code, client, workHours, payableHours, cost and shifts, most hours first
+ */
+const getProjectHours = async (shifts) => {
+  const projects = new Map();
+
+  shifts.forEach(shift => {
+    const payableMinutes = shift.getPayableDuration();
+    const shiftCost = shift.cost ? shift.cost.totalCost : 0;
+
+    getSegmentAllocation(shift).forEach(entry => {
+      const key = entry.projectId ? entry.projectId.toString() : `name:${entry.project || ''}`;
+      if (!projects.has(key)) {
+        projects.set(key, {
+          projectId: entry.projectId,
+          name: entry.project || UNASSIGNED,
+          workMinutes: 0,
+          payableMinutes: 0,
+          cost: 0,
+          shiftIds: new Set()
+        });
+      }
+
+      const totals = projects.get(key);
+      totals.workMinutes += entry.workMinutes;
+      totals.payableMinutes += entry.payableMinutes;
+      totals.cost += payableMinutes > 0 ? shiftCost * entry.payableMinutes / payableMinutes : 0;
+      totals.shiftIds.add(shift._id.toString());
+    });
+  });
+
+  // Current names, codes and clients from the catalogue
+  const projectIds = [...projects.values()].filter(entry => entry.projectId).map(entry => entry.projectId);
+  const catalogue = await Project.find({ _id: { $in: projectIds } }).populate('client', 'name code');
+  const catalogueMap = new Map(catalogue.map(project => [project._id.toString(), project]));
+
+  return [...projects.values()]
+    .map(entry => {
+      const project = entry.projectId ? catalogueMap.get(entry.projectId.toString()) : null;
+      return {
+        projectId: entry.projectId,
+        name: project ? project.name : entry.name,
+        code: project ? project.code : null,
+        client: project && project.client ? project.client.name : null,
+        workHours: parseFloat((entry.workMinutes / 60).toFixed(2)),
+        payableHours: parseFloat((entry.payableMinutes / 60).toFixed(2)),
+        cost: roundMoney(entry.cost),
+        shifts: entry.shiftIds.size
+      };
+    })
+    .sort((a, b) => b.workHours - a.workHours);
+};
+
+module.exports = {
+  UNASSIGNED,
+  resolveSegmentFields,
+  getProjectHours
+};
\ No newline at end of file
@@ -0,0 +1,141 @@
+const MINUTE_MS = 60 * 1000;
+
+// Job label for time not covered by any task segment
+const UNALLOCATED = 'Unallocated';
+
+/**
+ * Minutes two intervals overlap
+ * @param {Number} start - Start in milliseconds
+ * @param {Number} end - End in milliseconds
+ * @param {Number} otherStart - Start in milliseconds
+ * @param {Number} otherEnd - End in milliseconds
+ * @returns {Number} Overlap in minutes
+ */
+const overlapMinutes = (start, end, otherStart, otherEnd) =>
+  Math.max(Math.min(end, otherEnd) - Math.max(start, otherStart), 0) / MINUTE_MS;
+
+/**
+ * Key grouping segments on the same job, project and cost code
+ * @param {Object} segment - Task segment or allocation
+ * @returns {String} Grouping key
+ */
+const getJobKey = (segment) => [segment.project || '', segment.job || '', segment.costCode || ''].join('|');
+
+/**
+ * Split a completed shift's work and payable minutes across its task segments
+ * Segments are clipped to the shift, breaks are taken out of the segment they fall in,
+ * and time outside every segment is reported as unallocated
+ * @param {Object} shift - Completed shift document
+ * @returns {Array<Object>} job, project, costCode, catalogue ids, workMinutes and payableMinutes per segment
+ */
+const getSegmentAllocation = (shift) => {
+  const shiftStart = new Date(shift.startTime.timestamp).getTime();
+  const shiftEnd = shift.endTime ? new Date(shift.endTime.timestamp).getTime() : Date.now();
+  const breaks = shift.breaks
+    .filter(breakItem => breakItem.endTime)
+    .map(breakItem => ({
+      start: new Date(breakItem.startTime.timestamp).getTime(),
+      end: new Date(breakItem.endTime.timestamp).getTime(),
+      isPaid: breakItem.isPaid
+    }));
+
+  const allocation = (shift.segments || []).map(segment => {
+    const start = Math.max(new Date(segment.startTime).getTime(), shiftStart);
+    const end = Math.min(segment.endTime ? new Date(segment.endTime).getTime() : shiftEnd, shiftEnd);
+    const minutes = Math.max(end - start, 0) / MINUTE_MS;
+
+    const breakMinutes = breaks.reduce((total, b) => total + overlapMinutes(start, end, b.start, b.end), 0);
+    const unpaidBreakMinutes = breaks
+      .filter(b => !b.isPaid)
+      .reduce((total, b) => total + overlapMinutes(start, end, b.start, b.end), 0);
+
+    return {
+      job: segment.job,
+      project: segment.project,
+      costCode: segment.costCode,
+      projectId: segment.projectId || null,
+      costCentreId: segment.costCentreId || null,
+      workMinutes: Math.max(minutes - breakMinutes, 0),
+      payableMinutes: Math.max(minutes - unpaidBreakMinutes, 0)
+    };
+  });
+
+  // Whatever the segments don't cover stays visible as unallocated time
+  const allocatedWork = allocation.reduce((total, entry) => total + entry.workMinutes, 0);
+  const allocatedPayable = allocation.reduce((total, entry) => total + entry.payableMinutes, 0);
+  const unallocated = {
+    job: UNALLOCATED,
+    project: '',
+    costCode: '',
+    projectId: null,
+    costCentreId: null,
+    workMinutes: Math.max((shift.totalWorkDuration || 0) - allocatedWork, 0),
+    payableMinutes: Math.max(shift.getPayableDuration() - allocatedPayable, 0)
+  };
+
+  if (unallocated.workMinutes >= 1 || unallocated.payableMinutes >= 1) {
+    allocation.push(unallocated);
+  }
+
+  return allocation;
+};
+
+/**
+ * Add up work and payable hours per job across shifts
+ * @param {Array} shifts - Completed shift documents
+ * @returns {Array<Object>} job, project, costCode, workHours, payableHours and shifts, most hours first
+ */
+const summarizeJobHours = (shifts) => {
+  const jobs = new Map();
+
+  shifts.forEach(shift => {
+    getSegmentAllocation(shift).forEach(entry => {
+      const key = getJobKey(entry);
+      if (!jobs.has(key)) {
+        jobs.set(key, {
+          job: entry.job,
+          project: entry.project,
+          costCode: entry.costCode,
+          workMinutes: 0,
+          payableMinutes: 0,
+          shiftIds: new Set()
+        });
+      }
+
+      const job = jobs.get(key);
+      job.workMinutes += entry.workMinutes;
+      job.payableMinutes += entry.payableMinutes;
+      job.shiftIds.add(shift._id.toString());
+    });
+  });
+
+  return [...jobs.values()]
+    .map(job => ({
+      job: job.job,
+      project: job.project,
+      costCode: job.costCode,
+      workHours: parseFloat((job.workMinutes / 60).toFixed(2)),
+      payableHours: parseFloat((job.payableMinutes / 60).toFixed(2)),
+      shifts: job.shiftIds.size
+    }))
+    .sort((a, b) => b.workHours - a.workHours);
+};
+
+/**
+ * Readable job label, e.g. "Project X / Install (CC-100)"
+ * @param {Object} entry - Allocation or summary entry
+ * @returns {String} Label
+ */
+const formatJobLabel = (entry) => {
+  const name = [entry.project, entry.job].filter(Boolean).join(' / ');
+  if (!name) return entry.costCode || UNALLOCATED;
+  return entry.costCode ? `${name} (${entry.costCode})` : name;
+};
+
+module.exports = {
+  UNALLOCATED,
+  getJobKey,
+  getSegmentAllocation,
+  summarizeJobHours,
+  formatJobLabel
+};
\ No newline at end of file
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/session');
+const User = require('../models/user');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a refresh token for storage; only the hash is kept server-side
+ * @param {String} token - Refresh token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign a short-lived access token tied to a session
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {String} JWT access token
+ */
+const generateAccessToken = (user, session) => {
+  return jwt.sign(
+    {
+      id: user._id,
+      role: user.role,
+      sid: session._id
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+/**
+ * Give a session a new refresh token, replacing the previous one
+ * The token is "<session id>.<random>" so the session can be found without the hash
+ * @param {Object} session - Session document (not saved)
+ * @returns {String} New refresh token
+ */
+const issueRefreshToken = (session) => {
+  const refreshToken = `${session._id}.${crypto.randomBytes(40).toString('hex')}`;
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.lastUsedAt = new Date();
+  session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS);
+  return refreshToken;
+};
+
+/**
+ * Start a session for a user on the requesting device
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (device name, user agent and IP are recorded)
+ * @returns {Promise<Object>} { session, token, refreshToken }
+ */
+const createSession = async (user, req) => {
+  const session = new Session({
+    userId: user._id,
+    deviceName: (req.body && req.body.deviceName) || '',
+    userAgent: req.get('User-Agent') || '',
+    ipAddress: req.ip || ''
+  });
+
+  const refreshToken = issueRefreshToken(session);
+  await session.save();
+
+  return {
+    session,
+    token: generateAccessToken(user, session),
+    refreshToken
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access and refresh token
+ * Presenting a token that was already rotated out means it leaked, so the
+ * whole session (token family) is revoked
+ * @param {String} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { session, user, token, refreshToken } or { error }
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken).split('.');
+  const session = /^[0-9a-f]{24}$/i.test(sessionId) ? await Session.findById(sessionId) : null;
+
+  if (!session || !session.isUsable()) {
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  if (session.refreshTokenHash !== hashToken(refreshToken)) {
+    await session.revoke('reuse_detected');
+    console.error(`Refresh token reuse detected for session ${session._id}; session revoked`);
+    return { error: 'Refresh token has already been used. Please log in again.' };
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || !user.isActive) {
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  const newRefreshToken = issueRefreshToken(session);
+  session.ipAddress = req.ip || session.ipAddress;
+  await session.save();
+
+  return {
+    session,
+    user,
+    token: generateAccessToken(user, session),
+    refreshToken: newRefreshToken
+  };
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  createSession,
+  rotateRefreshToken
+};
\ No newline at end of file
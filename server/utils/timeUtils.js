@@ -0,0 +1,47 @@
+/**
+ * Get the start and end of the week containing a date
+ * Weeks run Sunday to Saturday, matching the weekly shift statistics
+ * @param {Date|String} [date] - Any date within the week (default: now)
+ * @returns {Object} Object with start (Sunday 00:00) and end (Saturday 23:59:59.999)
+ */
+const getWeekBounds = (date = new Date()) => {
+  const start = new Date(date);
+  start.setDate(start.getDate() - start.getDay());
+  start.setHours(0, 0, 0, 0);
+
+  const end = new Date(start);
+  end.setDate(end.getDate() + 6);
+  end.setHours(23, 59, 59, 999);
+
+  return { start, end };
+};
+
+/**
+ * Split a duration into whole hours and minutes
+ * @param {Number} minutes - Duration in minutes, as stored on shifts
+ * @returns {Object} hours, minutes and formatted (e.g. "7h 30m")
+ */
+const formatDuration = (minutes) => {
+  const totalMinutes = Math.max(Math.round(minutes || 0), 0);
+  const hours = Math.floor(totalMinutes / 60);
+  const remainder = totalMinutes % 60;
+
+  return {
+    hours,
+    minutes: remainder,
+    formatted: `${hours}h ${remainder}m`
+  };
+};
+
+/**
+ * Convert a duration to hours rounded to two decimals
+ * @param {Number} minutes - Duration in minutes, as stored on shifts
+ * @returns {Number} Decimal hours
+ */
+const toDecimalHours = (minutes) => parseFloat(((minutes || 0) / 60).toFixed(2));
+
+module.exports = {
+  getWeekBounds,
+  formatDuration,
+  toDecimalHours
+};
\ No newline at end of file
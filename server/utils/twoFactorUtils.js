@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('./totpUtils');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+// Wrong codes allowed at the second login step before it is locked
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5;
+const LOCK_MINUTES = parseInt(process.env.TWO_FACTOR_LOCK_MINUTES) || 15;
+const ISSUER = process.env.APP_NAME || 'Shift Tracker';
+
+// Fields left out of user queries by default
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep +twoFactor.failedAttempts';
+
+/**
+ * Key used to encrypt TOTP secrets at rest
+ * @returns {Buffer} 32-byte key
+ */
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+/**
+ * Encrypt a TOTP secret with AES-256-GCM
+ * @param {String} secret - Base32 secret
+ * @returns {String} "iv.tag.ciphertext" in hex
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join('.');
+};
+
+/**
+ * Decrypt a TOTP secret stored by encryptSecret
+ * @param {String} stored - "iv.tag.ciphertext" in hex
+ * @returns {String} Base32 secret
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = String(stored).split('.').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Normalise and hash a recovery code (case and dashes are ignored)
+ * @param {String} code - Recovery code
+ * @returns {String} SHA-256 hex digest
+ */
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+/**
+ * Whether the user must use two-factor authentication
+ * Admins can require it per user, or for whole roles with TWO_FACTOR_REQUIRED_ROLES
+ * @param {Object} user - User document
+ * @returns {Boolean}
+ */
+const isTwoFactorRequired = (user) => {
+  const roles = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim().toLowerCase())
+    .filter(Boolean);
+
+  return Boolean(user.twoFactorRequired) || roles.includes(user.role);
+};
+
+/**
+ * Start enrolment: store a new pending secret on the user (not saved)
+ * @param {Object} user - User document
+ * @returns {Object} { secret, otpauthUri } to show to the user once
+ */
+const startEnrolment = (user) => {
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: ISSUER })
+  };
+};
+
+/**
+ * Replace the user's recovery codes (not saved)
+ * @param {Object} user - User document
+ * @returns {Array<String>} Plain codes to show to the user once
+ */
+const issueRecoveryCodes = (user) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  user.twoFactor.recoveryCodes = codes.map(code => ({ hash: hashRecoveryCode(code), usedAt: null }));
+  return codes;
+};
+
+/**
+ * Finish enrolment when the code matches the pending secret (not saved)
+ * @param {Object} user - User document loaded with TWO_FACTOR_SECRET_FIELDS
+ * @param {String} code - Code from the authenticator app
+ * @returns {Array<String>|null} Recovery codes, or null when the code is wrong
+ */
+const completeEnrolment = (user, code) => {
+  if (!user.twoFactor.pendingSecret) return null;
+
+  const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), code);
+  if (step === null) return null;
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = null;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.lastUsedStep = step;
+
+  return issueRecoveryCodes(user);
+};
+
+/**
+ * Check a TOTP code, or use up a recovery code (not saved)
+ * @param {Object} user - User document loaded with TWO_FACTOR_SECRET_FIELDS
+ * @param {Object} credentials
+ * @param {String} [credentials.code] - Code from the authenticator app
+ * @param {String} [credentials.recoveryCode] - Single-use recovery code
+ * @returns {String|null} 'totp' or 'recovery_code' when accepted, otherwise null
+ */
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (!user.twoFactor.enabled || !user.twoFactor.secret) return null;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, {
+      afterStep: user.twoFactor.lastUsedStep
+    });
+    if (step === null) return null;
+
+    user.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const entry = user.twoFactor.recoveryCodes.find(rc => rc.hash === hash && !rc.usedAt);
+    if (!entry) return null;
+
+    entry.usedAt = new Date();
+    return 'recovery_code';
+  }
+
+  return null;
+};
+
+/**
+ * Whether the second login step is locked after too many wrong codes
+ * @param {Object} user - User document
+ * @returns {Boolean}
+ */
+const isSecondFactorLocked = (user) => Boolean(user.twoFactor.lockedUntil && user.twoFactor.lockedUntil > new Date());
+
+/**
+ * Count a wrong code at the second login step, locking it once MAX_FAILED_ATTEMPTS is reached
+ * Counted atomically, so parallel guesses can't get past the limit
+ * @param {Object} user - User document
+ * @returns {Promise<Boolean>} Whether this attempt locked the second step
+ */
+const recordFailedSecondFactor = async (user) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { 'twoFactor.failedAttempts': 1 } },
+    { new: true }
+  ).select('+twoFactor.failedAttempts');
+
+  if (!updated || updated.twoFactor.failedAttempts < MAX_FAILED_ATTEMPTS) return false;
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': new Date(Date.now() + LOCK_MINUTES * 60 * 1000) } }
+  );
+  return true;
+};
+
+/**
+ * Forget earlier wrong codes after a successful second step (not saved)
+ * @param {Object} user - User document loaded with TWO_FACTOR_SECRET_FIELDS
+ */
+const resetFailedSecondFactor = (user) => {
+  user.twoFactor.failedAttempts = 0;
+  user.twoFactor.lockedUntil = null;
+};
+
+/**
+ * Turn two-factor authentication off and forget the secret (not saved)
+ * @param {Object} user - User document
+ */
+const clearTwoFactor = (user) => {
+  user.twoFactor.enabled = false;
+  user.twoFactor.secret = null;
+  user.twoFactor.pendingSecret = null;
+  user.twoFactor.recoveryCodes = [];
+  user.twoFactor.lastUsedStep = null;
+  user.twoFactor.enabledAt = null;
+  resetFailedSecondFactor(user);
+};
+
+/**
+ * Number of recovery codes still unused
+ * @param {Object} user - User document loaded with TWO_FACTOR_SECRET_FIELDS
+ * @returns {Number}
+ */
+const countRecoveryCodes = (user) => (user.twoFactor.recoveryCodes || []).filter(rc => !rc.usedAt).length;
+
+/**
+ * Sign the short-lived token that links the two login steps
+ * It has no session id, so the auth middleware never accepts it as an access token
+ * @param {Object} user - User who passed the password check
+ * @returns {String} JWT challenge token
+ */
+const createLoginChallenge = (user) => jwt.sign(
+  { id: user._id, purpose: 'two_factor' },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_EXPIRES_IN }
+);
+
+/**
+ * Read the user id from a login challenge token
+ * @param {String} token - Challenge token from the first login step
+ * @returns {String|null} User id, or null when invalid or expired
+ */
+const readLoginChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === 'two_factor' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  TWO_FACTOR_SECRET_FIELDS,
+  isTwoFactorRequired,
+  startEnrolment,
+  completeEnrolment,
+  issueRecoveryCodes,
+  verifySecondFactor,
+  isSecondFactorLocked,
+  recordFailedSecondFactor,
+  resetFailedSecondFactor,
+  clearTwoFactor,
+  countRecoveryCodes,
+  createLoginChallenge,
+  readLoginChallenge
+};
\ No newline at end of file